@@ -6,26 +6,76 @@ import {
   generateAudio,
   generateVideo,
   healthCheck,
-  getSupportedFileTypes
+  getSupportedFileTypes,
+  chat,
+  chatStream,
+  handleGenerateStreamRequest,
+  clearHistory,
+  getHistory,
+  createChat,
+  listChats,
+  getChat,
+  renameChat,
+  deleteChat,
+  forkChat,
+  getPersonas,
+  getModels,
+  getTools
 } from '../../modules/genAI/controller.js';
 
 // Mock all dependencies
 jest.mock('../../services/geminiService.js', () => ({
   generateText: jest.fn(),
-  generateFromFile: jest.fn()
+  generateFromFile: jest.fn(),
+  conversation: jest.fn(),
+  clearConversationHistory: jest.fn(),
+  getConversationHistory: jest.fn(),
+  generateTextStream: jest.fn(),
+  conversationStream: jest.fn()
+}));
+
+jest.mock('../../services/conversationService.js', () => ({
+  createConversation: jest.fn(),
+  listConversations: jest.fn(),
+  getConversation: jest.fn(),
+  findConversation: jest.fn(),
+  renameConversation: jest.fn(),
+  deleteConversation: jest.fn(),
+  forkConversation: jest.fn()
+}));
+
+jest.mock('../../services/personaService.js', () => ({
+  getPersona: jest.fn(),
+  getDefaultPersonaId: jest.fn(),
+  listPersonas: jest.fn(),
+  resolvePersona: jest.fn()
+}));
+
+jest.mock('../../services/modelService.js', () => ({
+  getModel: jest.fn(),
+  routeModel: jest.fn(),
+  supportsTask: jest.fn(),
+  listModels: jest.fn()
+}));
+
+jest.mock('../../services/fileUploadService.js', () => ({
+  prepareFiles: jest.fn()
 }));
 
 jest.mock('../../utils/fileValidation.js', () => ({
-  validateFile: jest.fn(),
   prepareFileForAPI: jest.fn(),
   formatFileMetadata: jest.fn(),
-  getFileTypeConfig: jest.fn()
+  getFileTypeConfig: jest.fn(),
+  getFileTypeForMimeType: jest.fn(),
+  validateFiles: jest.fn(),
+  getAllFileTypeConfigs: jest.fn()
 }));
 
 jest.mock('../../utils/responseHandler.js', () => ({
   sendSuccessResponse: jest.fn(),
   sendValidationError: jest.fn(),
-  sendInternalServerError: jest.fn()
+  sendInternalServerError: jest.fn(),
+  sendNotFoundError: jest.fn()
 }));
 
 jest.mock('../../utils/logger.js', () => ({
@@ -36,18 +86,41 @@ jest.mock('../../utils/logger.js', () => ({
   withPerformanceMonitoring: jest.fn().mockImplementation((fn) => fn)
 }));
 
-import { generateText, generateFromFile } from '../../services/geminiService.js';
 import {
-  validateFile,
+  generateText,
+  generateFromFile,
+  conversation,
+  clearConversationHistory,
+  getConversationHistory,
+  generateTextStream,
+  conversationStream
+} from '../../services/geminiService.js';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  findConversation,
+  renameConversation,
+  deleteConversation,
+  forkConversation
+} from '../../services/conversationService.js';
+import { getPersona, getDefaultPersonaId, listPersonas, resolvePersona } from '../../services/personaService.js';
+import { getModel, routeModel, supportsTask, listModels } from '../../services/modelService.js';
+import { prepareFiles } from '../../services/fileUploadService.js';
+import {
   prepareFileForAPI,
   formatFileMetadata,
-  getFileTypeConfig
+  getFileTypeForMimeType,
+  validateFiles,
+  getAllFileTypeConfigs
 } from '../../utils/fileValidation.js';
 import {
   sendSuccessResponse,
   sendValidationError,
-  sendInternalServerError
+  sendInternalServerError,
+  sendNotFoundError
 } from '../../utils/responseHandler.js';
+import { recordTokens, runWithUsage } from '../../services/usageService.js';
 import {
   logRequest,
   logSuccess,
@@ -66,6 +139,9 @@ describe('Controller Functions', () => {
     };
     mockRes = {};
     jest.clearAllMocks();
+    routeModel.mockReturnValue('gemini-2.5-flash');
+    // Files below the inline limit are prepared as is
+    prepareFiles.mockImplementation(async files => files.map(file => prepareFileForAPI(file)));
   });
 
   describe('handleGenerateRequest', () => {
@@ -76,7 +152,7 @@ describe('Controller Functions', () => {
       await handleGenerateRequest(mockReq, mockRes);
 
       expect(logRequest).toHaveBeenCalledWith(mockReq, 'generate-text');
-      expect(generateText).toHaveBeenCalledWith('Test prompt');
+      expect(generateText).toHaveBeenCalledWith('Test prompt', { generationConfig: {}, model: 'gemini-2.5-flash' });
       expect(logSuccess).toHaveBeenCalledWith(
         'generate-text',
         expect.any(Number),
@@ -88,7 +164,64 @@ describe('Controller Functions', () => {
       expect(sendSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         'Generated response',
-        'Content generated successfully'
+        'Content generated successfully',
+        { generationConfig: {}, model: 'gemini-2.5-flash', usage: null }
+      );
+    });
+
+    test('should pass and echo the generation settings', async () => {
+      mockReq.body = { prompt: 'Test prompt', generationConfig: { temperature: 0.2, maxOutputTokens: 64 } };
+      generateText.mockResolvedValue('Generated response');
+
+      await handleGenerateRequest(mockReq, mockRes);
+
+      expect(generateText).toHaveBeenCalledWith('Test prompt', {
+        generationConfig: { temperature: 0.2, maxOutputTokens: 64 },
+        model: 'gemini-2.5-flash'
+      });
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        'Generated response',
+        'Content generated successfully',
+        { model: 'gemini-2.5-flash', generationConfig: { temperature: 0.2, maxOutputTokens: 64 }, usage: null }
+      );
+    });
+
+    test('should report the tokens the request used', async () => {
+      mockReq.body.prompt = 'Test prompt';
+      generateText.mockImplementation(async () => {
+        recordTokens({ promptTokenCount: 3, candidatesTokenCount: 5, totalTokenCount: 8 });
+        return 'Generated response';
+      });
+
+      await runWithUsage('ip:127.0.0.1', () => handleGenerateRequest(mockReq, mockRes));
+
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        'Generated response',
+        'Content generated successfully',
+        expect.objectContaining({ usage: { promptTokenCount: 3, candidatesTokenCount: 5, totalTokenCount: 8 } })
+      );
+    });
+
+    test('should pass the response schema and return the parsed reply', async () => {
+      const responseSchema = { type: 'object', properties: { title: { type: 'string' } } };
+      mockReq.body = { prompt: 'Test prompt', responseSchema };
+      generateText.mockResolvedValue({ title: 'Halo' });
+
+      await handleGenerateRequest(mockReq, mockRes);
+
+      expect(generateText).toHaveBeenCalledWith('Test prompt', expect.objectContaining({ responseSchema }));
+      expect(logSuccess).toHaveBeenCalledWith(
+        'generate-text',
+        expect.any(Number),
+        expect.objectContaining({ responseLength: 16 })
+      );
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        { title: 'Halo' },
+        'Content generated successfully',
+        expect.any(Object)
       );
     });
 
@@ -140,7 +273,7 @@ describe('Controller Functions', () => {
       mockReq.body.prompt = 'Describe this image';
       mockReq.file = mockImageFile;
       
-      validateFile.mockReturnValue({ isValid: true, error: null });
+      validateFiles.mockReturnValue({ isValid: true, error: null });
       prepareFileForAPI.mockReturnValue({
         mimeType: 'image/jpeg',
         data: 'base64data'
@@ -157,11 +290,12 @@ describe('Controller Functions', () => {
       await generateImage(mockReq, mockRes);
 
       expect(logRequest).toHaveBeenCalledWith(mockReq, 'generate-from-image', 'image');
-      expect(validateFile).toHaveBeenCalledWith(mockImageFile, 'image');
+      expect(validateFiles).toHaveBeenCalledWith([mockImageFile], 'image');
       expect(prepareFileForAPI).toHaveBeenCalledWith(mockImageFile);
       expect(generateFromFile).toHaveBeenCalledWith(
         'Describe this image',
-        { mimeType: 'image/jpeg', data: 'base64data' }
+        { mimeType: 'image/jpeg', data: 'base64data' },
+        { generationConfig: {}, model: 'gemini-2.5-flash' }
       );
       expect(sendSuccessResponse).toHaveBeenCalledWith(
         mockRes,
@@ -176,7 +310,7 @@ describe('Controller Functions', () => {
     });
 
     test('should handle file validation errors', async () => {
-      validateFile.mockReturnValue({
+      validateFiles.mockReturnValue({
         isValid: false,
         error: 'File too large'
       });
@@ -220,7 +354,7 @@ describe('Controller Functions', () => {
 
     test('should handle missing file', async () => {
       mockReq.file = null;
-      validateFile.mockReturnValue({
+      validateFiles.mockReturnValue({
         isValid: false,
         error: 'image file is required'
       });
@@ -243,7 +377,7 @@ describe('Controller Functions', () => {
       mockReq.body.prompt = 'Summarize this document';
       mockReq.file = mockDocumentFile;
       
-      validateFile.mockReturnValue({ isValid: true, error: null });
+      validateFiles.mockReturnValue({ isValid: true, error: null });
       prepareFileForAPI.mockReturnValue({
         mimeType: 'application/pdf',
         data: 'base64pdfdata'
@@ -260,10 +394,11 @@ describe('Controller Functions', () => {
       await generateDocument(mockReq, mockRes);
 
       expect(logRequest).toHaveBeenCalledWith(mockReq, 'generate-from-document', 'document');
-      expect(validateFile).toHaveBeenCalledWith(mockDocumentFile, 'document');
+      expect(validateFiles).toHaveBeenCalledWith([mockDocumentFile], 'document');
       expect(generateFromFile).toHaveBeenCalledWith(
         'Summarize this document',
-        { mimeType: 'application/pdf', data: 'base64pdfdata' }
+        { mimeType: 'application/pdf', data: 'base64pdfdata' },
+        { generationConfig: {}, model: 'gemini-2.5-flash' }
       );
       expect(sendSuccessResponse).toHaveBeenCalledWith(
         mockRes,
@@ -275,8 +410,26 @@ describe('Controller Functions', () => {
       );
     });
 
+    test('should send extracted document text and name the extractor', async () => {
+      const extracted = { mimeType: 'text/csv', text: '| a | b |\n| --- | --- |', extractor: 'csv' };
+      prepareFiles.mockResolvedValue([extracted]);
+
+      await generateDocument(mockReq, mockRes);
+
+      expect(generateFromFile).toHaveBeenCalledWith('Summarize this document', extracted, expect.any(Object));
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        'Document summary',
+        'Content generated successfully from document',
+        expect.objectContaining({
+          extractor: 'csv',
+          files: [expect.objectContaining({ originalName: 'test.pdf', extractor: 'csv' })]
+        })
+      );
+    });
+
     test('should handle document validation errors', async () => {
-      validateFile.mockReturnValue({
+      validateFiles.mockReturnValue({
         isValid: false,
         error: 'Unsupported document format'
       });
@@ -300,7 +453,7 @@ describe('Controller Functions', () => {
       mockReq.body.prompt = 'Transcribe this audio';
       mockReq.file = mockAudioFile;
       
-      validateFile.mockReturnValue({ isValid: true, error: null });
+      validateFiles.mockReturnValue({ isValid: true, error: null });
       prepareFileForAPI.mockReturnValue({
         mimeType: 'audio/mpeg',
         data: 'base64audiodata'
@@ -317,7 +470,7 @@ describe('Controller Functions', () => {
       await generateAudio(mockReq, mockRes);
 
       expect(logRequest).toHaveBeenCalledWith(mockReq, 'generate-from-audio', 'audio');
-      expect(validateFile).toHaveBeenCalledWith(mockAudioFile, 'audio');
+      expect(validateFiles).toHaveBeenCalledWith([mockAudioFile], 'audio');
       expect(sendSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         'Audio transcription',
@@ -341,7 +494,7 @@ describe('Controller Functions', () => {
       mockReq.body.prompt = 'Describe this video';
       mockReq.file = mockVideoFile;
       
-      validateFile.mockReturnValue({ isValid: true, error: null });
+      validateFiles.mockReturnValue({ isValid: true, error: null });
       prepareFileForAPI.mockReturnValue({
         mimeType: 'video/mp4',
         data: 'base64videodata'
@@ -358,7 +511,7 @@ describe('Controller Functions', () => {
       await generateVideo(mockReq, mockRes);
 
       expect(logRequest).toHaveBeenCalledWith(mockReq, 'generate-from-video', 'video');
-      expect(validateFile).toHaveBeenCalledWith(mockVideoFile, 'video');
+      expect(validateFiles).toHaveBeenCalledWith([mockVideoFile], 'video');
       expect(sendSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         'Video description',
@@ -368,6 +521,61 @@ describe('Controller Functions', () => {
         })
       );
     });
+
+    test('should use the model routed for video', async () => {
+      routeModel.mockReturnValue('gemini-2.5-pro');
+
+      await generateVideo(mockReq, mockRes);
+
+      expect(routeModel).toHaveBeenCalledWith('video');
+      expect(generateFromFile).toHaveBeenCalledWith(
+        'Describe this video',
+        { mimeType: 'video/mp4', data: 'base64videodata' },
+        { generationConfig: {}, model: 'gemini-2.5-pro' }
+      );
+    });
+
+    test('should use a requested model that accepts video', async () => {
+      mockReq.body.model = 'gemini-2.5-flash';
+      getModel.mockReturnValue({ id: 'gemini-2.5-flash', modalities: ['text', 'video'] });
+      supportsTask.mockReturnValue(true);
+
+      await generateVideo(mockReq, mockRes);
+
+      expect(supportsTask).toHaveBeenCalledWith(expect.objectContaining({ id: 'gemini-2.5-flash' }), 'video');
+      expect(routeModel).not.toHaveBeenCalled();
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        'Video description',
+        'Content generated successfully from video',
+        expect.objectContaining({ model: 'gemini-2.5-flash' })
+      );
+    });
+
+    test('should reject models outside the catalog', async () => {
+      mockReq.body.model = 'gemini-ultra';
+      getModel.mockReturnValue(null);
+
+      await generateVideo(mockReq, mockRes);
+
+      expect(generateFromFile).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'Unknown model: gemini-ultra');
+    });
+
+    test('should reject models that do not accept the input', async () => {
+      mockReq.body.model = 'text-only';
+      getModel.mockReturnValue({ id: 'text-only', modalities: ['text'] });
+      supportsTask.mockReturnValue(false);
+
+      await generateVideo(mockReq, mockRes);
+
+      expect(generateFromFile).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(
+        mockRes,
+        'Invalid request body',
+        'Model text-only does not support video requests'
+      );
+    });
   });
 
   describe('healthCheck', () => {
@@ -443,26 +651,35 @@ describe('Controller Functions', () => {
 
   describe('getSupportedFileTypes', () => {
     beforeEach(() => {
-      getFileTypeConfig.mockReturnValue({
-        IMAGE: {
+      getAllFileTypeConfigs.mockReturnValue([
+        {
+          type: 'image',
           name: 'image',
           maxSize: 10485760,
+          maxSizeMB: 10,
+          maxFiles: 10,
           allowedMimeTypes: ['image/jpeg', 'image/png'],
-          fieldName: 'file'
+          fieldName: 'file',
+          errorMessage: 'Only images'
         },
-        DOCUMENT: {
+        {
+          type: 'document',
           name: 'document',
           maxSize: 52428800,
+          maxSizeMB: 50,
+          maxFiles: 5,
           allowedMimeTypes: ['application/pdf'],
-          fieldName: 'file'
+          fieldName: 'file',
+          errorMessage: 'Only documents'
         }
-      });
+      ]);
     });
 
     test('should return supported file types successfully', async () => {
       await getSupportedFileTypes(mockReq, mockRes);
 
-      expect(getFileTypeConfig).toHaveBeenCalled();
+      expect(getAllFileTypeConfigs).toHaveBeenCalled();
+      expect(sendSuccessResponse.mock.calls[0][1][0]).not.toHaveProperty('errorMessage');
       expect(sendSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         expect.arrayContaining([
@@ -471,6 +688,7 @@ describe('Controller Functions', () => {
             name: 'image',
             maxSize: 10485760,
             maxSizeMB: 10,
+            maxFiles: 10,
             allowedMimeTypes: ['image/jpeg', 'image/png'],
             fieldName: 'file'
           }),
@@ -488,7 +706,7 @@ describe('Controller Functions', () => {
     });
 
     test('should handle errors when retrieving file types', async () => {
-      getFileTypeConfig.mockImplementation(() => {
+      getAllFileTypeConfigs.mockImplementation(() => {
         throw new Error('Configuration error');
       });
 
@@ -515,7 +733,7 @@ describe('Controller Functions', () => {
       mockReq.body.prompt = 'Test prompt';
       mockReq.file = { originalname: 'test.jpg' };
       
-      validateFile.mockReturnValue({ isValid: true, error: null });
+      validateFiles.mockReturnValue({ isValid: true, error: null });
       prepareFileForAPI.mockImplementation(() => {
         throw new Error('File processing failed');
       });
@@ -529,11 +747,63 @@ describe('Controller Functions', () => {
       );
     });
 
+    test('should analyse several files together', async () => {
+      const screenshots = [
+        { originalname: 'a.png', mimetype: 'image/png', size: 100, buffer: Buffer.from('a') },
+        { originalname: 'b.png', mimetype: 'image/png', size: 200, buffer: Buffer.from('b') }
+      ];
+      mockReq.body.prompt = 'Compare these screenshots';
+      mockReq.files = screenshots;
+      validateFiles.mockReturnValue({ isValid: true, error: null });
+      prepareFileForAPI.mockImplementation(file => ({ mimeType: file.mimetype, data: file.buffer.toString('base64') }));
+      formatFileMetadata.mockImplementation(file => ({ originalName: file.originalname, size: file.size }));
+      generateFromFile.mockResolvedValue('They differ');
+
+      await generateImage(mockReq, mockRes);
+
+      expect(validateFiles).toHaveBeenCalledWith(screenshots, 'image');
+      expect(generateFromFile).toHaveBeenCalledWith(
+        'Compare these screenshots',
+        [
+          { mimeType: 'image/png', data: 'YQ==', name: 'a.png' },
+          { mimeType: 'image/png', data: 'Yg==', name: 'b.png' }
+        ],
+        { generationConfig: {}, model: 'gemini-2.5-flash' }
+      );
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        'They differ',
+        'Content generated successfully from image',
+        {
+          files: [{ originalName: 'a.png', size: 100, extractor: null }, { originalName: 'b.png', size: 200, extractor: null }],
+          generationConfig: {},
+          model: 'gemini-2.5-flash',
+          usage: null
+        }
+      );
+      expect(logSuccess).toHaveBeenCalledWith(
+        'generate-from-image',
+        expect.any(Number),
+        expect.objectContaining({ fileCount: 2, fileSize: 300, fileName: 'a.png, b.png' })
+      );
+    });
+
+    test('should reject uploads over the limits of the type', async () => {
+      mockReq.body.prompt = 'Compare these screenshots';
+      mockReq.files = [{ originalname: 'a.png', size: 1 }, { originalname: 'b.png', size: 1 }];
+      validateFiles.mockReturnValue({ isValid: false, error: 'Total upload size exceeds 50MB limit' });
+
+      await generateImage(mockReq, mockRes);
+
+      expect(generateFromFile).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Total upload size exceeds 50MB limit');
+    });
+
     test('should handle null file metadata gracefully', async () => {
       mockReq.body.prompt = 'Test prompt';
       mockReq.file = { originalname: 'test.jpg' };
       
-      validateFile.mockReturnValue({ isValid: true, error: null });
+      validateFiles.mockReturnValue({ isValid: true, error: null });
       prepareFileForAPI.mockReturnValue({ mimeType: 'image/jpeg', data: 'data' });
       formatFileMetadata.mockReturnValue(null);
       generateFromFile.mockResolvedValue('Result');
@@ -544,8 +814,616 @@ describe('Controller Functions', () => {
         mockRes,
         'Result',
         'Content generated successfully from image',
-        null
+        { files: [], generationConfig: {}, model: 'gemini-2.5-flash', usage: null }
+      );
+    });
+  });
+  describe('chat', () => {
+    const messages = [{ role: 'user', content: 'Halo' }];
+
+    beforeEach(() => {
+      mockReq.sessionId = 'session-1234';
+      mockReq.body = { messages };
+      getDefaultPersonaId.mockReturnValue('neng-ai');
+    });
+
+    test('should reply within the caller session', async () => {
+      conversation.mockResolvedValue('Halo oge!');
+
+      await chat(mockReq, mockRes);
+
+      expect(findConversation).toHaveBeenCalledWith('session-1234', 'session-1234');
+      expect(conversation).toHaveBeenCalledWith(messages, undefined, 'session-1234', { persona: undefined, generationConfig: {}, model: 'gemini-2.5-flash', tools: [] });
+      expect(logSuccess).toHaveBeenCalledWith(
+        'chat',
+        expect.any(Number),
+        expect.objectContaining({ sessionId: 'session-1234', messagesCount: 1 })
+      );
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        'Halo oge!',
+        'Chat message processed successfully',
+        { generationConfig: {}, model: 'gemini-2.5-flash', tools: [], usage: null }
+      );
+    });
+
+    test('should echo the persona temperature overridden by the request', async () => {
+      mockReq.body = { messages, generationConfig: { topP: 0.9 } };
+      findConversation.mockResolvedValue({ id: 'session-1234', persona: 'assistant' });
+      resolvePersona.mockReturnValue({ id: 'assistant', temperature: 0.3 });
+      conversation.mockResolvedValue('Halo oge!');
+
+      await chat(mockReq, mockRes);
+
+      expect(resolvePersona).toHaveBeenCalledWith('assistant');
+      expect(conversation).toHaveBeenCalledWith(messages, undefined, 'session-1234', {
+        persona: undefined,
+        generationConfig: { topP: 0.9 },
+        model: 'gemini-2.5-flash',
+        tools: []
+      });
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        'Halo oge!',
+        'Chat message processed successfully',
+        { model: 'gemini-2.5-flash', generationConfig: { temperature: 0.3, topP: 0.9 }, tools: [], usage: null }
+      );
+    });
+
+    test('should reply within a requested conversation', async () => {
+      mockReq.body = { messages, conversationId: 'chat-1' };
+      findConversation.mockResolvedValue({ id: 'chat-1' });
+      conversation.mockResolvedValue('Halo oge!');
+
+      await chat(mockReq, mockRes);
+
+      expect(findConversation).toHaveBeenCalledWith('chat-1', 'session-1234');
+      expect(conversation).toHaveBeenCalledWith(messages, 'chat-1', 'session-1234', { persona: undefined, generationConfig: {}, model: 'gemini-2.5-flash', tools: [] });
+    });
+
+    test('should start a new conversation with the requested persona', async () => {
+      mockReq.body = { messages, persona: 'assistant' };
+      getPersona.mockReturnValue({ id: 'assistant' });
+      findConversation.mockResolvedValue(null);
+      conversation.mockResolvedValue('Hello!');
+
+      await chat(mockReq, mockRes);
+
+      expect(getPersona).toHaveBeenCalledWith('assistant');
+      expect(conversation).toHaveBeenCalledWith(messages, undefined, 'session-1234', { persona: 'assistant', generationConfig: {}, model: 'gemini-2.5-flash', tools: [] });
+    });
+
+    test('should pass the requested tools', async () => {
+      mockReq.body = { messages, tools: ['calculator'] };
+      conversation.mockResolvedValue('4');
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).toHaveBeenCalledWith(messages, undefined, 'session-1234', expect.objectContaining({ tools: ['calculator'] }));
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        '4',
+        'Chat message processed successfully',
+        expect.objectContaining({ tools: ['calculator'] })
+      );
+    });
+
+    test('should route chats with attachments to a model that reads them', async () => {
+      const attachment = { role: 'user', content: { text: 'What is this?', file: { mimeType: 'video/mp4', data: 'AAAA' } } };
+      mockReq.body = { messages: [attachment] };
+      getFileTypeForMimeType.mockReturnValue('video');
+      routeModel.mockImplementation(task => task === 'video' ? 'gemini-2.5-pro' : 'gemini-2.5-flash');
+      getModel.mockImplementation(id => ({ id }));
+      supportsTask.mockImplementation((model, task) => task !== 'video' || model.id === 'gemini-2.5-pro');
+      conversation.mockResolvedValue('A video');
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).toHaveBeenCalledWith([attachment], undefined, 'session-1234', expect.objectContaining({ model: 'gemini-2.5-pro' }));
+    });
+
+    test('should reject a requested model that cannot read the attachments', async () => {
+      mockReq.body = {
+        messages: [{ role: 'user', content: { text: 'Describe', file: { mimeType: 'image/png', data: 'AAAA' } } }],
+        model: 'text-only'
+      };
+      getFileTypeForMimeType.mockReturnValue('image');
+      getModel.mockReturnValue({ id: 'text-only' });
+      supportsTask.mockImplementation((model, task) => task === 'chat');
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'Model text-only does not support image requests');
+    });
+
+    test('should reject unknown tools', async () => {
+      mockReq.body = { messages, tools: ['calculator', 'shell'] };
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'Unknown tool: shell');
+    });
+
+    test('should reject unknown personas', async () => {
+      mockReq.body = { messages, persona: 'pirate' };
+      getPersona.mockReturnValue(null);
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'Unknown persona: pirate');
+    });
+
+    test('should not switch the persona of an existing conversation', async () => {
+      mockReq.body = { messages, persona: 'assistant' };
+      getPersona.mockReturnValue({ id: 'assistant' });
+      getDefaultPersonaId.mockReturnValue('neng-ai');
+      findConversation.mockResolvedValue({ id: 'session-1234', persona: null });
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(
+        mockRes,
+        'Invalid request body',
+        'Persona cannot be changed for an existing conversation'
+      );
+    });
+
+    test('should return 404 for an unknown conversation', async () => {
+      mockReq.body = { messages, conversationId: 'chat-missing' };
+      findConversation.mockResolvedValue(null);
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).not.toHaveBeenCalled();
+      expect(sendNotFoundError).toHaveBeenCalledWith(mockRes, 'Conversation');
+    });
+
+    test('should reject a missing messages array', async () => {
+      mockReq.body = {};
+
+      await chat(mockReq, mockRes);
+
+      expect(conversation).not.toHaveBeenCalled();
+      expect(sendInternalServerError).toHaveBeenCalledWith(
+        mockRes,
+        expect.any(Error),
+        'Failed to process chat message'
       );
     });
+
+    test('should handle conversation errors', async () => {
+      conversation.mockRejectedValue(new Error('Upstream failed'));
+
+      await chat(mockReq, mockRes);
+
+      expect(logError).toHaveBeenCalledWith(
+        'chat',
+        expect.any(Error),
+        expect.objectContaining({ messagesCount: 1 })
+      );
+      expect(sendInternalServerError).toHaveBeenCalled();
+    });
+  });
+
+  describe('conversation history', () => {
+    beforeEach(() => {
+      mockReq.sessionId = 'session-1234';
+    });
+
+    test('should clear history of the caller session only', async () => {
+      await clearHistory(mockReq, mockRes);
+
+      expect(clearConversationHistory).toHaveBeenCalledWith('session-1234');
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        null,
+        'Conversation history cleared successfully'
+      );
+    });
+
+    test('should return history of the caller session', async () => {
+      const history = [{ role: 'user', parts: [{ text: 'Halo' }] }];
+      getConversationHistory.mockReturnValue(history);
+
+      await getHistory(mockReq, mockRes);
+
+      expect(getConversationHistory).toHaveBeenCalledWith('session-1234');
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        history,
+        'Conversation history retrieved successfully'
+      );
+    });
+
+    test('should use the history of the signed-in user over the session', async () => {
+      mockReq.user = { id: 'user-42', ownerId: 'jwt_0123456789abcdef' };
+      getConversationHistory.mockReturnValue([]);
+
+      await clearHistory(mockReq, mockRes);
+      await getHistory(mockReq, mockRes);
+
+      expect(clearConversationHistory).toHaveBeenCalledWith('jwt_0123456789abcdef');
+      expect(getConversationHistory).toHaveBeenCalledWith('jwt_0123456789abcdef');
+    });
+
+    test('should handle history errors', async () => {
+      clearConversationHistory.mockImplementation(() => {
+        throw new Error('Store failure');
+      });
+      getConversationHistory.mockImplementation(() => {
+        throw new Error('Store failure');
+      });
+
+      await clearHistory(mockReq, mockRes);
+      await getHistory(mockReq, mockRes);
+
+      expect(sendInternalServerError).toHaveBeenCalledWith(
+        mockRes,
+        expect.any(Error),
+        'Failed to clear conversation history'
+      );
+      expect(sendInternalServerError).toHaveBeenCalledWith(
+        mockRes,
+        expect.any(Error),
+        'Failed to retrieve conversation history'
+      );
+    });
+  });
+  describe('streaming endpoints', () => {
+    let streamRes;
+    let written;
+
+    const parseEvents = () => written.map((frame) => {
+      const [eventLine, dataLine] = frame.trim().split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', ''))
+      };
+    });
+
+    beforeEach(() => {
+      written = [];
+      const listeners = {};
+      streamRes = {
+        writableEnded: false,
+        status: jest.fn().mockReturnThis(),
+        set: jest.fn().mockReturnThis(),
+        flushHeaders: jest.fn(),
+        write: jest.fn((frame) => written.push(frame)),
+        end: jest.fn(function () {
+          this.writableEnded = true;
+        }),
+        on: jest.fn((event, listener) => {
+          listeners[event] = listener;
+        }),
+        emit: (event) => listeners[event]?.()
+      };
+    });
+
+    test('should stream text chunks followed by a done event', async () => {
+      mockReq.body = { prompt: 'Tell a story' };
+      generateTextStream.mockImplementation(async (prompt, onChunk) => {
+        onChunk('Once ');
+        onChunk('upon a time');
+        return { text: 'Once upon a time', usage: { totalTokenCount: 12 } };
+      });
+
+      await handleGenerateStreamRequest(mockReq, streamRes);
+
+      expect(generateTextStream).toHaveBeenCalledWith('Tell a story', expect.any(Function), expect.any(AbortSignal), {
+        generationConfig: {},
+        model: 'gemini-2.5-flash'
+      });
+      const events = parseEvents();
+      expect(events.map((e) => e.event)).toEqual(['chunk', 'chunk', 'done']);
+      expect(events[0].data).toEqual({ text: 'Once ' });
+      expect(events[2].data).toEqual(expect.objectContaining({
+        status: true,
+        usage: { totalTokenCount: 12 },
+        chunks: 2,
+        responseLength: 16,
+        model: 'gemini-2.5-flash',
+        generationConfig: {},
+        timing: expect.objectContaining({ processingTime: expect.any(Number) })
+      }));
+      expect(streamRes.end).toHaveBeenCalled();
+      expect(logSuccess).toHaveBeenCalledWith(
+        'generate-text-stream',
+        expect.any(Number),
+        expect.objectContaining({ streamed: true, chunks: 2 })
+      );
+    });
+
+    test('should stream chat replies within the caller session', async () => {
+      const messages = [{ role: 'user', content: 'Halo' }];
+      mockReq.body = { messages, generationConfig: { maxOutputTokens: 100 } };
+      mockReq.sessionId = 'session-1234';
+      getDefaultPersonaId.mockReturnValue('neng-ai');
+      resolvePersona.mockReturnValue({ id: 'neng-ai' });
+      conversationStream.mockImplementation(async (payload, conversationId, ownerId, onChunk) => {
+        onChunk('Halo oge!');
+        return { text: 'Halo oge!', usage: null };
+      });
+
+      await chatStream(mockReq, streamRes);
+
+      expect(conversationStream).toHaveBeenCalledWith(
+        messages,
+        undefined,
+        'session-1234',
+        expect.any(Function),
+        expect.any(AbortSignal),
+        { persona: undefined, generationConfig: { maxOutputTokens: 100 }, model: 'gemini-2.5-flash' }
+      );
+      expect(resolvePersona).toHaveBeenCalledWith('neng-ai');
+      const events = parseEvents();
+      expect(events[events.length - 1]).toEqual({
+        event: 'done',
+        data: expect.objectContaining({ usage: null, chunks: 1, model: 'gemini-2.5-flash', generationConfig: { maxOutputTokens: 100 } })
+      });
+    });
+
+    test('should reject tools before streaming a chat', async () => {
+      mockReq.body = { messages: [{ role: 'user', content: 'Halo' }], tools: ['calculator'] };
+
+      await chatStream(mockReq, streamRes);
+
+      expect(conversationStream).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(
+        streamRes,
+        'Invalid request body',
+        'Tools are only supported on /chat, not on streaming chat'
+      );
+    });
+
+    test('should return 404 before streaming into an unknown conversation', async () => {
+      mockReq.body = { messages: [{ role: 'user', content: 'Halo' }], conversationId: 'chat-missing' };
+      mockReq.sessionId = 'session-1234';
+      findConversation.mockResolvedValue(null);
+
+      await chatStream(mockReq, streamRes);
+
+      expect(conversationStream).not.toHaveBeenCalled();
+      expect(streamRes.flushHeaders).not.toHaveBeenCalled();
+      expect(sendNotFoundError).toHaveBeenCalledWith(streamRes, 'Conversation');
+    });
+
+    test('should emit an error event when the stream fails', async () => {
+      mockReq.body = { prompt: 'Tell a story' };
+      generateTextStream.mockRejectedValue(new Error('Upstream failed'));
+
+      await handleGenerateStreamRequest(mockReq, streamRes);
+
+      const events = parseEvents();
+      expect(events).toEqual([{
+        event: 'error',
+        data: { status: false, message: 'Failed to stream content', errorCode: 'INTERNAL_ERROR' }
+      }]);
+      expect(logError).toHaveBeenCalledWith('generate-text-stream', expect.any(Error), expect.any(Object));
+      expect(streamRes.end).toHaveBeenCalled();
+    });
+
+    test('should abort the upstream call when the client disconnects', async () => {
+      mockReq.body = { prompt: 'Tell a story' };
+      let receivedSignal;
+      generateTextStream.mockImplementation(async (prompt, onChunk, signal) => {
+        receivedSignal = signal;
+        streamRes.emit('close');
+        const abortError = new Error('Stream aborted by client');
+        abortError.name = 'AbortError';
+        throw abortError;
+      });
+
+      await handleGenerateStreamRequest(mockReq, streamRes);
+
+      expect(receivedSignal.aborted).toBe(true);
+      expect(parseEvents()).toEqual([]);
+      expect(logError).toHaveBeenCalledWith(
+        'generate-text-stream',
+        expect.any(Error),
+        expect.objectContaining({ aborted: true })
+      );
+    });
+  });
+
+  describe('conversations', () => {
+    const summary = { id: 'chat-1', ownerId: 'session-1234', title: 'Resep', messageCount: 0 };
+
+    beforeEach(() => {
+      mockReq.sessionId = 'session-1234';
+      mockReq.params = { id: 'chat-1' };
+      mockReq.query = {};
+    });
+
+    test('should create a conversation for the caller', async () => {
+      mockReq.body = { title: 'Resep' };
+      createConversation.mockResolvedValue(summary);
+
+      await createChat(mockReq, mockRes);
+
+      expect(createConversation).toHaveBeenCalledWith('session-1234', { title: 'Resep', persona: null });
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        summary,
+        'Conversation created successfully',
+        null,
+        201
+      );
+    });
+
+    test('should reject conversations with an unknown persona', async () => {
+      mockReq.body = { persona: 'pirate' };
+      getPersona.mockReturnValue(null);
+
+      await createChat(mockReq, mockRes);
+
+      expect(createConversation).not.toHaveBeenCalled();
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'Unknown persona: pirate');
+    });
+
+    test('should list conversations with pagination meta', async () => {
+      mockReq.query = { page: '2', limit: '5' };
+      listConversations.mockResolvedValue({ items: [summary], page: 2, limit: 5, total: 6, totalPages: 2 });
+
+      await listChats(mockReq, mockRes);
+
+      expect(listConversations).toHaveBeenCalledWith('session-1234', { page: 2, limit: 5 });
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        [summary],
+        'Conversations retrieved successfully',
+        { page: 2, limit: 5, total: 6, totalPages: 2 }
+      );
+    });
+
+    test('should default pagination', async () => {
+      listConversations.mockResolvedValue({ items: [], page: 1, limit: 20, total: 0, totalPages: 0 });
+
+      await listChats(mockReq, mockRes);
+
+      expect(listConversations).toHaveBeenCalledWith('session-1234', { page: 1, limit: 20 });
+    });
+
+    test('should get, rename and delete a conversation', async () => {
+      getConversation.mockResolvedValue({ ...summary, history: [] });
+      renameConversation.mockResolvedValue({ ...summary, title: 'Baru' });
+      deleteConversation.mockResolvedValue(true);
+      mockReq.body = { title: 'Baru' };
+
+      await getChat(mockReq, mockRes);
+      await renameChat(mockReq, mockRes);
+      await deleteChat(mockReq, mockRes);
+
+      expect(getConversation).toHaveBeenCalledWith('chat-1', 'session-1234');
+      expect(renameConversation).toHaveBeenCalledWith('chat-1', 'session-1234', 'Baru');
+      expect(deleteConversation).toHaveBeenCalledWith('chat-1', 'session-1234');
+      expect(sendSuccessResponse).toHaveBeenCalledWith(mockRes, null, 'Conversation deleted successfully');
+      expect(sendNotFoundError).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for conversations that are missing or not owned', async () => {
+      getConversation.mockResolvedValue(null);
+      renameConversation.mockResolvedValue(null);
+      deleteConversation.mockResolvedValue(false);
+      forkConversation.mockResolvedValue(null);
+      mockReq.body = { title: 'Baru' };
+      mockReq.query = { fromMessage: '0' };
+
+      await getChat(mockReq, mockRes);
+      await renameChat(mockReq, mockRes);
+      await deleteChat(mockReq, mockRes);
+      await forkChat(mockReq, mockRes);
+
+      expect(sendNotFoundError).toHaveBeenCalledTimes(4);
+      expect(sendNotFoundError).toHaveBeenCalledWith(mockRes, 'Conversation');
+    });
+
+    test('should fork a conversation from a message index', async () => {
+      mockReq.query = { fromMessage: '3' };
+      forkConversation.mockResolvedValue({ ...summary, id: 'chat-2' });
+
+      await forkChat(mockReq, mockRes);
+
+      expect(forkConversation).toHaveBeenCalledWith('chat-1', 'session-1234', 3);
+      expect(sendSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        expect.objectContaining({ id: 'chat-2' }),
+        'Conversation forked successfully',
+        null,
+        201
+      );
+    });
+
+    test('should reject fork indexes outside the history', async () => {
+      mockReq.query = { fromMessage: '10' };
+      forkConversation.mockRejectedValue(new RangeError('fromMessage 10 is outside the conversation history (3 messages)'));
+
+      await forkChat(mockReq, mockRes);
+
+      expect(sendValidationError).toHaveBeenCalledWith(
+        mockRes,
+        'Invalid query parameters',
+        'fromMessage 10 is outside the conversation history (3 messages)'
+      );
+    });
+
+    test('should handle storage errors', async () => {
+      const failure = new Error('Store failure');
+      createConversation.mockRejectedValue(failure);
+      listConversations.mockRejectedValue(failure);
+      getConversation.mockRejectedValue(failure);
+      renameConversation.mockRejectedValue(failure);
+      deleteConversation.mockRejectedValue(failure);
+      forkConversation.mockRejectedValue(failure);
+      mockReq.body = { title: 'Baru' };
+      mockReq.query = { fromMessage: '0' };
+
+      await createChat(mockReq, mockRes);
+      await listChats(mockReq, mockRes);
+      await getChat(mockReq, mockRes);
+      await renameChat(mockReq, mockRes);
+      await deleteChat(mockReq, mockRes);
+      await forkChat(mockReq, mockRes);
+
+      expect(sendInternalServerError).toHaveBeenCalledTimes(6);
+      expect(sendInternalServerError).toHaveBeenCalledWith(mockRes, failure, 'Failed to fork conversation');
+    });
+  });
+
+  describe('getPersonas', () => {
+    test('should list the configured personas', async () => {
+      const personas = [{ id: 'neng-ai', name: 'Neng AI', isDefault: true }];
+      listPersonas.mockReturnValue(personas);
+
+      await getPersonas(mockReq, mockRes);
+
+      expect(sendSuccessResponse).toHaveBeenCalledWith(mockRes, personas, 'Personas retrieved successfully');
+    });
+
+    test('should handle invalid persona configuration', async () => {
+      listPersonas.mockImplementation(() => {
+        throw new Error('Invalid persona file');
+      });
+
+      await getPersonas(mockReq, mockRes);
+
+      expect(sendInternalServerError).toHaveBeenCalledWith(mockRes, expect.any(Error), 'Failed to retrieve personas');
+    });
+  });
+
+  describe('getModels', () => {
+    test('should list the model catalog', async () => {
+      const models = [{ id: 'gemini-2.5-flash', isDefault: true }];
+      listModels.mockReturnValue(models);
+
+      await getModels(mockReq, mockRes);
+
+      expect(sendSuccessResponse).toHaveBeenCalledWith(mockRes, models, 'Models retrieved successfully');
+    });
+
+    test('should handle an invalid model catalog', async () => {
+      listModels.mockImplementation(() => {
+        throw new Error('Invalid model catalog');
+      });
+
+      await getModels(mockReq, mockRes);
+
+      expect(sendInternalServerError).toHaveBeenCalledWith(mockRes, expect.any(Error), 'Failed to retrieve models');
+    });
+  });
+
+  describe('getTools', () => {
+    test('should list the registered tools', async () => {
+      await getTools(mockReq, mockRes);
+
+      const [, tools, message] = sendSuccessResponse.mock.calls[0];
+      expect(message).toBe('Tools retrieved successfully');
+      expect(tools.map(tool => tool.name)).toEqual(['calculator', 'current_datetime', 'search_conversations']);
+      expect(tools[0]).toEqual({ name: 'calculator', description: expect.any(String), parameters: expect.any(Object) });
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,943 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHmac } from 'crypto';
+import apiRouter from '../../router.js';
+import { createProvider, setProvider } from '../../services/providers/index.js';
+import { getStorage, setStorage } from '../../services/storage/index.js';
+import { createJsonFileStorage } from '../../services/storage/jsonFileStorage.js';
+import { sessionStore } from '../../services/sessionStore.js';
+import { LLMError } from '../../utils/errors.js';
+import { hashApiKey, setApiKeys } from '../../services/apiKeyService.js';
+import { clearUsage } from '../../services/usageService.js';
+import { setRateLimitStore } from '../../services/rateLimit/index.js';
+import { createJwtConfig, setJwtConfig } from '../../services/jwtAuthService.js';
+
+// Upload fixtures start with the signature of their format
+const PNG_DATA = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.from('fake')]);
+const MP3_DATA = Buffer.from('ID3 fake mp3');
+const MP4_DATA = Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x18]), Buffer.from('ftypisom fake')]);
+
+// Runs the real router end-to-end against the offline mock provider
+describe('Offline API (mock provider)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.LLM_PROVIDER = 'mock';
+    setProvider(null);
+
+    app = express();
+    app.use(express.json());
+    app.use('/api', apiRouter);
+  });
+
+  // Every test starts with fresh rate limits, as the suite makes more requests than one client may
+  beforeEach(() => {
+    setRateLimitStore(null);
+  });
+
+  test('should send rate limit headers except on the health check', async () => {
+    const response = await request(app).get('/api/nengAI/models').expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBe('100');
+    expect(response.headers['ratelimit-remaining']).toBe('99');
+    expect(response.headers['ratelimit-policy']).toBe('100;w=900');
+
+    const health = await request(app).get('/api/nengAI/health').expect(200);
+    expect(health.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  test('should generate text without network access', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-text')
+      .send({ prompt: 'Halo Neng' })
+      .expect(200);
+
+    expect(response.body.status).toBe(true);
+    expect(response.body.data).toBe('[mock] Halo Neng');
+  });
+
+  test('should analyse uploaded files', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-from-image')
+      .field('prompt', 'Describe this image')
+      .attach('file', PNG_DATA, { filename: 'test.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(response.body.data).toBe('[mock] Describe this image (image/png, 12 bytes)');
+    expect(response.body.meta.originalName).toBe('test.png');
+    expect(response.body.meta.detectedMimeType).toBe('image/png');
+    expect(response.body.meta.extractor).toBeNull();
+  });
+
+  test('should send CSV files as extracted text', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-from-document')
+      .field('prompt', 'Summarize this table')
+      .attach('file', Buffer.from('city,total\nBandung,42\n'), { filename: 'sales.csv', contentType: 'text/csv' })
+      .expect(200);
+
+    expect(response.body.data).toBe('[mock] Summarize this table (text/csv, 47 characters of text)');
+    expect(response.body.meta.extractor).toBe('csv');
+  });
+
+  test('should accept CSV files in legacy encodings', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-from-document')
+      .field('prompt', 'Summarize this table')
+      .attach('file', Buffer.from('caf\xE9,total\nBandung,42\n', 'latin1'), { filename: 'sales.csv', contentType: 'text/csv' })
+      .expect(200);
+
+    expect(response.body.meta.extractor).toBe('csv');
+  });
+
+  test('should reject files whose content is not the declared type', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-from-image')
+      .field('prompt', 'Describe this image')
+      .attach('file', Buffer.from('MZ\x90\x00\x03\x00', 'latin1'), { filename: 'cat.png', contentType: 'image/png' })
+      .expect(400);
+
+    expect(response.body.message).toBe('File content does not match the declared type image/png (detected unknown format)');
+  });
+
+  test('should analyse several uploaded images together', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-from-image')
+      .field('prompt', 'Compare these images')
+      .attach('file', PNG_DATA, { filename: 'a.png', contentType: 'image/png' })
+      .attach('file', PNG_DATA.subarray(0, 9), { filename: 'b.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(response.body.data).toBe('[mock] Compare these images (image/png, 12 bytes; image/png, 9 bytes)');
+    expect(response.body.meta.files.map(file => file.originalName)).toEqual(['a.png', 'b.png']);
+    expect(response.body.meta).not.toHaveProperty('originalName');
+  });
+
+  test('should reject more files than the type allows', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-from-audio')
+      .field('prompt', 'Transcribe')
+      .attach('file', MP3_DATA, { filename: 'a.mp3', contentType: 'audio/mpeg' })
+      .attach('file', MP3_DATA, { filename: 'b.mp3', contentType: 'audio/mpeg' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Too many files uploaded');
+  });
+
+  test('should name an unexpected file field', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/generate-from-image')
+      .field('prompt', 'Describe this image')
+      .attach('image', PNG_DATA, { filename: 'cat.png', contentType: 'image/png' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Unexpected file field "image"');
+    expect(response.body.errors).toBe('Files must be sent in the "file" field, at most maxFiles of them (see /file-types)');
+  });
+
+  test('should send large files through the Files API', async () => {
+    process.env.FILE_INLINE_LIMIT_MB = '0.00001';
+    try {
+      const response = await request(app)
+        .post('/api/nengAI/generate-from-video')
+        .field('prompt', 'Describe this video')
+        .attach('file', MP4_DATA, { filename: 'test.mp4', contentType: 'video/mp4' })
+        .expect(200);
+
+      expect(response.body.data).toMatch(/^\[mock\] Describe this video \(video\/mp4, mock:\/\/files\/mock-[0-9a-f]{12}\)$/);
+    } finally {
+      delete process.env.FILE_INLINE_LIMIT_MB;
+    }
+  });
+
+  test('should keep chat history per session', async () => {
+    const first = await request(app)
+      .post('/api/nengAI/chat')
+      .set('X-Session-Id', 'offline-session-a')
+      .send({ messages: [{ role: 'user', content: 'Halo' }] })
+      .expect(200);
+
+    expect(first.headers['x-session-id']).toBe('offline-session-a');
+    expect(first.body.data).toBe('[mock] Halo');
+
+    await request(app)
+      .post('/api/nengAI/chat')
+      .set('X-Session-Id', 'offline-session-b')
+      .send({ messages: [{ role: 'user', content: 'Hi' }] })
+      .expect(200);
+
+    const historyA = await request(app)
+      .get('/api/nengAI/chat/history')
+      .set('X-Session-Id', 'offline-session-a')
+      .expect(200);
+
+    expect(historyA.body.data.map(entry => entry.parts[0].text)).toEqual([
+      expect.stringContaining('Neng AI'),
+      'Halo',
+      '[mock] Halo'
+    ]);
+
+    await request(app)
+      .delete('/api/nengAI/chat/history')
+      .set('X-Session-Id', 'offline-session-a')
+      .expect(200);
+
+    const historyB = await request(app)
+      .get('/api/nengAI/chat/history')
+      .set('X-Session-Id', 'offline-session-b')
+      .expect(200);
+
+    expect(historyB.body.data).toHaveLength(3);
+  });
+
+  test('should stream chat replies over SSE', async () => {
+    const response = await request(app)
+      .post('/api/nengAI/chat/stream')
+      .set('X-Session-Id', 'offline-session-stream')
+      .send({ messages: [{ role: 'user', content: 'one two' }] })
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+
+    const events = response.text.trim().split('\n\n').map(frame => {
+      const [eventLine, dataLine] = frame.split('\n');
+      return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+    });
+    const streamed = events.filter(e => e.event === 'chunk').map(e => e.data.text).join('');
+
+    expect(streamed).toBe('[mock] one two');
+    expect(events[events.length - 1].event).toBe('done');
+    expect(events[events.length - 1].data.usage.totalTokenCount).toBeGreaterThan(0);
+  });
+
+  test('should restore persisted chat history after a restart', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-offline-'));
+    setStorage(createJsonFileStorage({ dir }));
+
+    try {
+      await request(app)
+        .post('/api/nengAI/chat')
+        .set('X-Session-Id', 'offline-session-persist')
+        .send({ messages: [{ role: 'user', content: 'Inget abdi?' }] })
+        .expect(200);
+
+      // Simulate a restart: empty the in-memory working set and reopen the store
+      sessionStore.clear();
+      setStorage(createJsonFileStorage({ dir }));
+
+      const history = await request(app)
+        .get('/api/nengAI/chat/history')
+        .set('X-Session-Id', 'offline-session-persist')
+        .expect(200);
+
+      expect(history.body.data.map(entry => entry.parts[0].text)).toEqual([
+        expect.stringContaining('Neng AI'),
+        'Inget abdi?',
+        '[mock] Inget abdi?'
+      ]);
+    } finally {
+      setStorage(null);
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should manage conversations through the REST resource', async () => {
+    const owner = 'offline-session-crud';
+    const api = (method, url) => request(app)[method](`/api/nengAI${url}`).set('X-Session-Id', owner);
+
+    const created = await api('post', '/conversations').send({ title: 'Resep' }).expect(201);
+    const id = created.body.data.id;
+
+    await api('post', '/chat').send({ conversationId: id, messages: [{ role: 'user', content: 'Sangu' }] }).expect(200);
+
+    const fetched = await api('get', `/conversations/${id}`).expect(200);
+    expect(fetched.body.data.history.map(entry => entry.parts[0].text)).toEqual([
+      expect.stringContaining('Neng AI'),
+      'Sangu',
+      '[mock] Sangu'
+    ]);
+
+    const fork = await api('post', `/conversations/${id}/fork?fromMessage=1`).expect(201);
+    expect(fork.body.data).toEqual(expect.objectContaining({
+      messageCount: 2,
+      forkedFrom: { conversationId: id, messageIndex: 1 }
+    }));
+
+    await api('patch', `/conversations/${id}`).send({ title: 'Resep Sunda' }).expect(200);
+
+    const list = await api('get', '/conversations?limit=1').expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.meta).toEqual(expect.objectContaining({ page: 1, limit: 1, total: 2 }));
+    expect(list.body.data[0].title).toBe('Resep Sunda');
+
+    // Other sessions cannot see or touch the conversation
+    await request(app)
+      .get(`/api/nengAI/conversations/${id}`)
+      .set('X-Session-Id', 'offline-session-other')
+      .expect(404);
+    await request(app)
+      .post('/api/nengAI/chat')
+      .set('X-Session-Id', 'offline-session-other')
+      .send({ conversationId: id, messages: [{ role: 'user', content: 'Halo' }] })
+      .expect(404);
+
+    await api('delete', `/conversations/${id}`).expect(200);
+    await api('get', `/conversations/${id}`).expect(404);
+  });
+
+  test('should validate conversation requests', async () => {
+    const api = (method, url) => request(app)[method](`/api/nengAI${url}`).set('X-Session-Id', 'offline-session-crud');
+
+    await api('get', '/conversations?limit=0').expect(400);
+    await api('patch', '/conversations/some-id').send({}).expect(400);
+    await api('post', '/conversations/some-id/fork').expect(400);
+    await api('post', '/chat').send({ conversationId: '../x', messages: [{ role: 'user', content: 'Halo' }] }).expect(400);
+
+    const created = await api('post', '/conversations').send({}).expect(201);
+    const outOfRange = await api('post', `/conversations/${created.body.data.id}/fork?fromMessage=0`).expect(400);
+    expect(outOfRange.body.errors).toBe('fromMessage 0 is outside the conversation history (0 messages)');
+  });
+
+  test('should report every invalid field of a request at once', async () => {
+    const body = await request(app)
+      .post('/api/nengAI/generate-text')
+      .send({ generationConfig: { temperature: 3, topK: 0 } })
+      .expect(400);
+
+    expect(body.body).toEqual(expect.objectContaining({ message: 'Invalid request body', errorCode: 'VALIDATION_ERROR' }));
+    expect(body.body.errors.map(({ field, message }) => [field, message])).toEqual([
+      ['prompt', 'Prompt is required in the request body'],
+      ['generationConfig.temperature', 'generationConfig.temperature must be less than or equal to 2'],
+      ['generationConfig.topK', 'generationConfig.topK must be greater than or equal to 1']
+    ]);
+
+    const mixed = await request(app)
+      .patch('/api/nengAI/conversations/not.valid')
+      .set('X-Session-Id', 'offline-session-crud')
+      .send({ title: '' })
+      .expect(400);
+
+    expect(mixed.body.message).toBe('Invalid request');
+    expect(mixed.body.errors).toEqual([
+      { field: 'id', location: 'params', message: 'Invalid conversation ID' },
+      { field: 'title', location: 'body', message: 'Title cannot be empty' }
+    ]);
+  });
+
+  test('should chat with a configured persona', async () => {
+    const personas = await request(app).get('/api/nengAI/personas').expect(200);
+    expect(personas.body.data.map(item => item.id)).toEqual(expect.arrayContaining(['neng-ai', 'assistant']));
+    expect(personas.body.data[0]).not.toHaveProperty('systemInstruction');
+
+    const api = (method, url) => request(app)[method](`/api/nengAI${url}`).set('X-Session-Id', 'offline-session-persona');
+
+    await api('post', '/chat').send({ persona: 'assistant', messages: [{ role: 'user', content: 'Hi' }] }).expect(200);
+
+    const history = await api('get', '/chat/history').expect(200);
+    expect(history.body.data[0].parts[0].text).toBe("Hello! I'm your assistant. How can I help you today?");
+
+    await api('post', '/chat').send({ persona: 'neng-ai', messages: [{ role: 'user', content: 'Halo' }] }).expect(400);
+    await api('post', '/conversations').send({ persona: 'pirate' }).expect(400);
+
+    const created = await api('post', '/conversations').send({ persona: 'assistant' }).expect(201);
+    expect(created.body.data.persona).toBe('assistant');
+  });
+
+  test('should summarize long chats into a conversation memory', async () => {
+    const originalBudget = process.env.CONTEXT_TOKEN_BUDGET;
+    process.env.CONTEXT_TOKEN_BUDGET = '400';
+    const sessionId = 'offline-session-context';
+
+    try {
+      for (const word of ['satu', 'dua', 'tilu', 'opat']) {
+        await request(app)
+          .post('/api/nengAI/chat')
+          .set('X-Session-Id', sessionId)
+          .send({ messages: [{ role: 'user', content: `${word} `.repeat(60) }] })
+          .expect(200);
+      }
+
+      const stored = await getStorage().loadConversation(sessionId);
+      expect(stored.memory).toEqual({ text: expect.any(String), messageCount: expect.any(Number) });
+      expect(stored.memory.messageCount).toBeGreaterThan(0);
+      // The full history is still kept; only the request was trimmed
+      expect(stored.history).toHaveLength(9);
+    } finally {
+      process.env.CONTEXT_TOKEN_BUDGET = originalBudget;
+      if (originalBudget === undefined) {
+        delete process.env.CONTEXT_TOKEN_BUDGET;
+      }
+    }
+  });
+
+  test('should validate and echo generation settings', async () => {
+    const text = await request(app)
+      .post('/api/nengAI/generate-text')
+      .send({ prompt: 'Halo', generationConfig: { temperature: 0.4, topP: 0.9, stopSequences: ['END'] } })
+      .expect(200);
+    expect(text.body.meta.generationConfig).toEqual({ temperature: 0.4, topP: 0.9, stopSequences: ['END'] });
+
+    // Multipart requests send the settings as a JSON string
+    const file = await request(app)
+      .post('/api/nengAI/generate-from-image')
+      .field('prompt', 'Describe this image')
+      .field('generationConfig', JSON.stringify({ maxOutputTokens: 256 }))
+      .attach('file', PNG_DATA, { filename: 'test.png', contentType: 'image/png' })
+      .expect(200);
+    expect(file.body.meta).toEqual(expect.objectContaining({ originalName: 'test.png', generationConfig: { maxOutputTokens: 256 } }));
+
+    const chat = await request(app)
+      .post('/api/nengAI/chat')
+      .set('X-Session-Id', 'offline-session-generation')
+      .send({ persona: 'assistant', messages: [{ role: 'user', content: 'Hi' }], generationConfig: { maxOutputTokens: 100 } })
+      .expect(200);
+    expect(chat.body.meta.generationConfig).toEqual(expect.objectContaining({ maxOutputTokens: 100 }));
+
+    const tooHot = await request(app)
+      .post('/api/nengAI/generate-text')
+      .send({ prompt: 'Halo', generationConfig: { temperature: 3 } })
+      .expect(400);
+    expect(tooHot.body.errors).toEqual([
+      { field: 'generationConfig.temperature', location: 'body', message: 'generationConfig.temperature must be less than or equal to 2' }
+    ]);
+
+    const unknownField = await request(app)
+      .post('/api/nengAI/chat')
+      .send({ messages: [{ role: 'user', content: 'Hi' }], generationConfig: { seed: 1 } })
+      .expect(400);
+    expect(unknownField.body.errors).toEqual([
+      { field: 'generationConfig.seed', location: 'body', message: 'generationConfig.seed is not allowed' }
+    ]);
+
+    const notJson = await request(app)
+      .post('/api/nengAI/generate-from-image')
+      .field('prompt', 'Describe this image')
+      .field('generationConfig', '{temperature')
+      .attach('file', PNG_DATA, { filename: 'test.png', contentType: 'image/png' })
+      .expect(400);
+    expect(notJson.body.errors).toEqual([
+      { field: 'generationConfig', location: 'body', message: 'generationConfig must be a JSON object' }
+    ]);
+  });
+
+  test('should pick models per request from the catalog', async () => {
+    const models = await request(app).get('/api/nengAI/models').expect(200);
+    expect(models.body.data.map(item => item.id)).toEqual(expect.arrayContaining(['gemini-2.5-flash', 'gemini-2.5-pro']));
+
+    const routed = await request(app).post('/api/nengAI/generate-text').send({ prompt: 'Halo' }).expect(200);
+    expect(routed.body.meta.model).toBe('gemini-2.5-flash');
+
+    const video = await request(app)
+      .post('/api/nengAI/generate-from-video')
+      .field('prompt', 'Describe this video')
+      .attach('file', MP4_DATA, { filename: 'test.mp4', contentType: 'video/mp4' })
+      .expect(200);
+    expect(video.body.meta.model).toBe('gemini-2.5-pro');
+
+    const chosen = await request(app)
+      .post('/api/nengAI/chat')
+      .set('X-Session-Id', 'offline-session-model')
+      .send({ model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'Halo' }] })
+      .expect(200);
+    expect(chosen.body.meta.model).toBe('gemini-2.5-pro');
+
+    const unknown = await request(app)
+      .post('/api/nengAI/generate-text')
+      .send({ prompt: 'Halo', model: 'gemini-ultra' })
+      .expect(400);
+    expect(unknown.body.errors).toBe('Unknown model: gemini-ultra');
+  });
+
+  describe('chat attachments', () => {
+    test('should keep an uploaded file in the conversation for follow-ups', async () => {
+      const sessionId = 'offline-session-attachment';
+
+      const upload = await request(app)
+        .post('/api/nengAI/chat')
+        .set('X-Session-Id', sessionId)
+        .field('message', 'Apa ini?')
+        .field('generationConfig', JSON.stringify({ temperature: 0.1 }))
+        .attach('file', PNG_DATA, { filename: 'cat.png', contentType: 'image/png' })
+        .expect(200);
+      expect(upload.body.data).toBe('[mock] Apa ini? [image/png]');
+      expect(upload.body.meta.generationConfig).toEqual({ temperature: 0.1 });
+
+      await request(app)
+        .post('/api/nengAI/chat')
+        .set('X-Session-Id', sessionId)
+        .send({ messages: [{ role: 'user', content: 'Warnanya apa?' }] })
+        .expect(200);
+
+      const history = await request(app).get('/api/nengAI/chat/history').set('X-Session-Id', sessionId).expect(200);
+      expect(history.body.data[1].parts).toEqual([
+        { text: 'Apa ini?' },
+        { inlineData: { mimeType: 'image/png', data: PNG_DATA.toString('base64') } }
+      ]);
+      expect(history.body.data.at(-2).parts).toEqual([{ text: 'Warnanya apa?' }]);
+    });
+
+    test('should accept base64 attachments in JSON and on the stream', async () => {
+      const pdf = { mimeType: 'application/pdf', data: Buffer.from('%PDF-1.4').toString('base64') };
+
+      const json = await request(app)
+        .post('/api/nengAI/chat')
+        .set('X-Session-Id', 'offline-session-attachment-json')
+        .send({ messages: [{ role: 'user', content: { text: 'Ringkas', file: pdf } }] })
+        .expect(200);
+      expect(json.body.data).toBe('[mock] Ringkas [application/pdf]');
+
+      const stream = await request(app)
+        .post('/api/nengAI/chat/stream')
+        .set('X-Session-Id', 'offline-session-attachment-stream')
+        .attach('file', Buffer.from('%PDF-1.4'), { filename: 'doc.pdf', contentType: 'application/pdf' })
+        .expect(200);
+      expect(stream.text).toContain('event: done');
+    });
+
+    test('should reject attachments outside FILE_TYPES', async () => {
+      const unsupported = await request(app)
+        .post('/api/nengAI/chat')
+        .send({ messages: [{ role: 'user', content: { file: { mimeType: 'application/zip', data: 'UEsDBA==' } } }] })
+        .expect(400);
+      expect(unsupported.body.errors).toBe('Unsupported attachment type: application/zip');
+
+      const notBase64 = await request(app)
+        .post('/api/nengAI/chat')
+        .send({ messages: [{ role: 'user', content: { file: { mimeType: 'image/png', data: 'not base64!' } } }] })
+        .expect(400);
+      expect(notBase64.body.errorCode).toBe('VALIDATION_ERROR');
+
+      const upload = await request(app)
+        .post('/api/nengAI/chat')
+        .field('message', 'Apa ini?')
+        .attach('file', Buffer.from('MZ'), { filename: 'app.exe', contentType: 'application/x-msdownload' })
+        .expect(400);
+      expect(upload.body.message).toBe('Only image, document, audio and video files are allowed');
+    });
+  });
+
+  describe('structured output', () => {
+    const responseSchema = {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        score: { type: 'integer', minimum: 1 }
+      },
+      required: ['title', 'tags']
+    };
+
+    // Mock provider whose generateText() replies with the given texts
+    const useReplies = (replies) => {
+      const provider = createProvider('mock');
+      provider.generateText = jest.fn(async () => ({ text: replies[provider.generateText.mock.calls.length - 1], usage: null }));
+      setProvider(provider);
+      return provider;
+    };
+
+    afterEach(() => {
+      setProvider(null);
+    });
+
+    test('should return the parsed object matching the schema', async () => {
+      const text = await request(app)
+        .post('/api/nengAI/generate-text')
+        .send({ prompt: 'Summarize', responseSchema })
+        .expect(200);
+      expect(text.body.data).toEqual({ title: '[mock] Summarize', tags: ['[mock] Summarize'], score: 1 });
+
+      // Multipart requests send the schema as a JSON string
+      const document = await request(app)
+        .post('/api/nengAI/generate-from-document')
+        .field('prompt', 'Extract')
+        .field('responseSchema', JSON.stringify(responseSchema))
+        .attach('file', Buffer.from('%PDF-1.4 fake'), { filename: 'test.pdf', contentType: 'application/pdf' })
+        .expect(200);
+      expect(document.body.data).toEqual(expect.objectContaining({ title: expect.stringContaining('Extract') }));
+    });
+
+    test('should retry once when the reply does not match', async () => {
+      const provider = useReplies(['Sure! Here it is', '```json\n{"title":"Halo","tags":["a"]}\n```']);
+
+      const response = await request(app)
+        .post('/api/nengAI/generate-text')
+        .send({ prompt: 'Summarize', responseSchema })
+        .expect(200);
+
+      expect(response.body.data).toEqual({ title: 'Halo', tags: ['a'] });
+      expect(provider.generateText).toHaveBeenCalledTimes(2);
+      expect(provider.generateText.mock.calls[0][1].responseSchema).toEqual(responseSchema);
+    });
+
+    test('should fail with INVALID_OUTPUT when the retry does not match either', async () => {
+      const provider = useReplies(['{"title":"Halo"}', '{"title":"Halo","tags":[]}']);
+
+      const response = await request(app)
+        .post('/api/nengAI/generate-text')
+        .send({ prompt: 'Summarize', responseSchema })
+        .expect(502);
+
+      expect(response.body.errorCode).toBe('INVALID_OUTPUT');
+      expect(provider.generateText).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject unsupported schemas', async () => {
+      const response = await request(app)
+        .post('/api/nengAI/generate-text')
+        .send({ prompt: 'Summarize', responseSchema: { type: 'object', properties: { a: { $ref: '#/a' } } } })
+        .expect(400);
+
+      expect(response.body.errorCode).toBe('VALIDATION_ERROR');
+      expect(response.body.errors).toEqual([
+        { field: 'responseSchema', location: 'body', message: 'responseSchema.properties.a.$ref is not supported' }
+      ]);
+    });
+  });
+
+  describe('tools', () => {
+    const chat = (sessionId, content, tools) => request(app)
+      .post('/api/nengAI/chat')
+      .set('X-Session-Id', sessionId)
+      .send({ messages: [{ role: 'user', content }], tools });
+
+    afterEach(() => {
+      setProvider(null);
+      delete process.env.TOOL_MAX_ITERATIONS;
+    });
+
+    test('should list the available tools', async () => {
+      const response = await request(app).get('/api/nengAI/tools').expect(200);
+
+      expect(response.body.data.map(tool => tool.name)).toEqual(['calculator', 'current_datetime', 'search_conversations']);
+    });
+
+    test('should run the tools the model calls and keep only the answer in history', async () => {
+      const sessionId = 'offline-session-calculator';
+
+      const response = await chat(sessionId, '/tool calculator {"expression":"6 * 7"}', ['calculator']).expect(200);
+
+      expect(response.body.data).toBe('[mock] calculator -> {"output":{"expression":"6 * 7","result":42}}');
+      expect(response.body.meta.tools).toEqual(['calculator']);
+      const stored = await getStorage().loadConversation(sessionId);
+      expect(stored.history.slice(1).map(entry => entry.parts.flatMap(part => Object.keys(part)))).toEqual([['text'], ['text']]);
+    });
+
+    test('should not call tools that were not offered', async () => {
+      const response = await chat('offline-session-no-tools', '/tool calculator {"expression":"1"}').expect(200);
+
+      expect(response.body.data).toBe('[mock] /tool calculator {"expression":"1"}');
+    });
+
+    test('should search the caller conversations only', async () => {
+      await chat('offline-session-search', 'Resep seblak favorit saya pakai kencur').expect(200);
+      await chat('offline-session-other', 'Seblak rahasia orang lain').expect(200);
+
+      const response = await chat('offline-session-search', '/tool search_conversations {"query":"SEBLAK"}', ['search_conversations']).expect(200);
+
+      const result = JSON.parse(response.body.data.replace('[mock] search_conversations -> ', ''));
+      expect(result.output.matches).toEqual([
+        { conversationId: 'offline-session-search', title: null, role: 'user', text: 'Resep seblak favorit saya pakai kencur' },
+        { conversationId: 'offline-session-search', title: null, role: 'model', text: '[mock] Resep seblak favorit saya pakai kencur' }
+      ]);
+    });
+
+    test('should stop a model that keeps calling tools', async () => {
+      process.env.TOOL_MAX_ITERATIONS = '2';
+      const provider = createProvider('mock');
+      const call = { name: 'current_datetime', args: {} };
+      provider.conversation = jest.fn(async () => ({
+        text: '',
+        usage: null,
+        functionCalls: [call],
+        content: { role: 'model', parts: [{ functionCall: call }] }
+      }));
+      setProvider(provider);
+
+      const response = await chat('offline-session-tool-loop', 'Jam berapa?', ['current_datetime']).expect(502);
+
+      expect(response.body.errorCode).toBe('TOOL_LOOP_LIMIT');
+      expect(provider.conversation).toHaveBeenCalledTimes(3);
+      const [contents, options] = provider.conversation.mock.calls[2];
+      expect(options.tools.map(tool => tool.name)).toEqual(['current_datetime']);
+      expect(contents.at(-1).parts[0].functionResponse).toEqual(expect.objectContaining({ name: 'current_datetime' }));
+    });
+
+    test('should validate requested tools', async () => {
+      const unknown = await chat('offline-session-bad-tool', 'Halo', ['shell']).expect(400);
+      expect(unknown.body.errors).toBe('Unknown tool: shell');
+
+      const streamed = await request(app)
+        .post('/api/nengAI/chat/stream')
+        .send({ messages: [{ role: 'user', content: 'Halo' }], tools: ['calculator'] })
+        .expect(400);
+      expect(streamed.body.errors).toBe('Tools are only supported on /chat, not on streaming chat');
+    });
+  });
+
+  describe('conversation fallbacks', () => {
+    const chat = (sessionId, content) => request(app)
+      .post('/api/nengAI/chat')
+      .set('X-Session-Id', sessionId)
+      .send({ messages: [{ role: 'user', content }] });
+
+    // Mock provider whose conversation() fails for the given calls
+    const useFailingProvider = (failures) => {
+      const provider = createProvider('mock');
+      const reply = provider.conversation;
+      provider.conversation = jest.fn(async (contents, options) => {
+        const failure = failures[provider.conversation.mock.calls.length - 1];
+        if (failure) {
+          throw failure;
+        }
+        return reply(contents, options);
+      });
+      setProvider(provider);
+      return provider;
+    };
+
+    afterEach(() => {
+      setProvider(null);
+      delete process.env.LLM_FALLBACK_MODEL;
+    });
+
+    test('should inject the persona into the user turn when the system instruction is rejected', async () => {
+      const provider = useFailingProvider([new LLMError('INVALID_ARGUMENT', 'systemInstruction is not supported')]);
+
+      const response = await chat('offline-session-injection', 'Halo').expect(200);
+
+      const [, [contents, options]] = provider.conversation.mock.calls;
+      expect(options.systemInstruction).toBeUndefined();
+      expect(contents.at(-1).parts[0].text).toMatch(/Neng AI[\s\S]*User message: Halo/);
+      expect(response.body.data).toContain('User message: Halo');
+
+      // History keeps the message as the user wrote it
+      const stored = await getStorage().loadConversation('offline-session-injection');
+      expect(stored.history.at(-2).parts[0].text).toBe('Halo');
+    });
+
+    test('should fall back to the secondary model', async () => {
+      process.env.LLM_FALLBACK_MODEL = 'gemini-2.0-flash';
+      const provider = useFailingProvider([new LLMError('UPSTREAM_UNAVAILABLE')]);
+
+      await chat('offline-session-fallback-model', 'Halo').expect(200);
+
+      expect(provider.conversation).toHaveBeenCalledTimes(2);
+      expect(provider.conversation.mock.calls[1][1].model).toBe('gemini-2.0-flash');
+    });
+
+    test('should leave history untouched when every attempt fails', async () => {
+      process.env.LLM_FALLBACK_MODEL = 'gemini-2.0-flash';
+      const provider = useFailingProvider([
+        new LLMError('INVALID_ARGUMENT'),
+        new LLMError('INVALID_ARGUMENT'),
+        new LLMError('RATE_LIMITED')
+      ]);
+      const sessionId = 'offline-session-failed-turn';
+
+      const response = await chat(sessionId, 'Halo').expect(429);
+
+      expect(response.body.errorCode).toBe('RATE_LIMITED');
+      expect(provider.conversation).toHaveBeenCalledTimes(3);
+      const stored = await getStorage().loadConversation(sessionId);
+      expect(stored.history.map(entry => entry.role)).toEqual(['model']);
+
+      setProvider(null);
+      await chat(sessionId, 'Deui').expect(200);
+      const history = await request(app).get('/api/nengAI/chat/history').set('X-Session-Id', sessionId).expect(200);
+      expect(history.body.data.map(entry => entry.parts[0].text).slice(1)).toEqual(['Deui', '[mock] Deui']);
+    });
+
+    test('should not fall back on safety blocks', async () => {
+      process.env.LLM_FALLBACK_MODEL = 'gemini-2.0-flash';
+      const provider = useFailingProvider([new LLMError('SAFETY_BLOCKED')]);
+
+      const response = await chat('offline-session-blocked', 'Halo').expect(422);
+
+      expect(response.body.errorCode).toBe('SAFETY_BLOCKED');
+      expect(provider.conversation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('API keys', () => {
+    const CHAT_KEY = 'nk_chat_0123456789abcdef';
+    const ADMIN_KEY = 'nk_admin_0123456789abcdef';
+
+    beforeEach(() => {
+      const keys = [
+        { id: 'chat-team', name: 'Chat team', keyHash: hashApiKey(CHAT_KEY), scopes: ['chat'], dailyRequestLimit: 2, dailyTokenLimit: null },
+        { id: 'ops', name: 'Ops', keyHash: hashApiKey(ADMIN_KEY), scopes: ['admin'], dailyRequestLimit: null, dailyTokenLimit: null }
+      ];
+      setApiKeys(new Map(keys.map(apiKey => [apiKey.keyHash, apiKey])));
+      clearUsage();
+    });
+
+    afterEach(() => {
+      setApiKeys(null);
+    });
+
+    test('should require a valid key except for the health check', async () => {
+      await request(app).get('/api/nengAI/health').expect(200);
+
+      const missing = await request(app).post('/api/nengAI/generate-text').send({ prompt: 'Halo' }).expect(401);
+      expect(missing.body.errorCode).toBe('UNAUTHORIZED');
+
+      const invalid = await request(app).get('/api/nengAI/models').set('X-API-Key', 'nk_wrong').expect(401);
+      expect(invalid.body.message).toBe('Invalid API key');
+
+      await request(app).get('/api/nengAI/models').set('Authorization', `Bearer ${CHAT_KEY}`).expect(200);
+    });
+
+    test('should only allow the scopes of the key', async () => {
+      const upload = await request(app)
+        .post('/api/nengAI/generate-from-image')
+        .set('Authorization', `Bearer ${CHAT_KEY}`)
+        .field('prompt', 'Describe this image')
+        .attach('file', PNG_DATA, { filename: 'test.png', contentType: 'image/png' })
+        .expect(403);
+      expect(upload.body.errorCode).toBe('FORBIDDEN');
+
+      await request(app).get('/api/nengAI/usage').set('Authorization', `Bearer ${CHAT_KEY}`).expect(403);
+    });
+
+    test('should report usage and stop at the daily request quota', async () => {
+      const generate = () => request(app)
+        .post('/api/nengAI/generate-text')
+        .set('Authorization', `Bearer ${CHAT_KEY}`)
+        .send({ prompt: 'Halo' });
+
+      await generate().expect(200);
+      await generate().expect(200);
+      const refused = await generate().expect(429);
+
+      expect(refused.body.errorCode).toBe('DAILY_QUOTA_EXCEEDED');
+      expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+
+      const usage = await request(app).get('/api/nengAI/me/usage').set('Authorization', `Bearer ${CHAT_KEY}`).expect(200);
+      expect(usage.body.data).toEqual(expect.objectContaining({
+        keyId: 'chat-team',
+        requests: { used: 2, limit: 2, remaining: 0 },
+        tokens: { used: expect.any(Number), limit: null, remaining: null }
+      }));
+      expect(usage.body.data.tokens.used).toBeGreaterThan(0);
+    });
+
+    test('should charge the tokens of file requests and list every key for admins', async () => {
+      await request(app)
+        .post('/api/nengAI/generate-from-image')
+        .set('X-API-Key', ADMIN_KEY)
+        .field('prompt', 'Describe this image')
+        .attach('file', PNG_DATA, { filename: 'test.png', contentType: 'image/png' })
+        .expect(200);
+
+      const usage = await request(app).get('/api/nengAI/usage').set('X-API-Key', ADMIN_KEY).expect(200);
+
+      expect(usage.body.data.map(({ keyId, requests }) => [keyId, requests.used])).toEqual([['chat-team', 0], ['ops', 2]]);
+      expect(usage.body.data[1].tokens.used).toBeGreaterThan(0);
+    });
+
+    test('should not report usage while authentication is off', async () => {
+      setApiKeys(new Map());
+      await request(app).get('/api/nengAI/me/usage').expect(401);
+
+      setApiKeys(null);
+      await request(app).get('/api/nengAI/me/usage').expect(404);
+    });
+  });
+
+  describe('token budgets', () => {
+    beforeEach(() => {
+      clearUsage();
+    });
+
+    afterEach(() => {
+      delete process.env.TOKEN_BUDGET_DAILY;
+    });
+
+    test('should report the tokens of each request in the response meta', async () => {
+      const response = await request(app).post('/api/nengAI/generate-text').send({ prompt: 'Halo' }).expect(200);
+
+      expect(response.body.meta.usage).toEqual({
+        promptTokenCount: expect.any(Number),
+        candidatesTokenCount: expect.any(Number),
+        totalTokenCount: expect.any(Number)
+      });
+      expect(response.body.meta.usage.totalTokenCount).toBeGreaterThan(0);
+    });
+
+    test('should refuse requests that would go over the daily token budget', async () => {
+      process.env.TOKEN_BUDGET_DAILY = '500';
+
+      await request(app).post('/api/nengAI/generate-text').send({ prompt: 'Halo' }).expect(200);
+      const refused = await request(app)
+        .post('/api/nengAI/generate-text')
+        .send({ prompt: 'Halo', generationConfig: { maxOutputTokens: 500 } })
+        .expect(429);
+
+      expect(refused.body.errorCode).toBe('TOKEN_BUDGET_EXCEEDED');
+      expect(refused.body.message).toMatch(/^Request would exceed the daily token budget/);
+      expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+    });
+  });
+
+  describe('JWT users', () => {
+    const SECRET = 'portal-shared-secret';
+
+    /**
+     * Sign a portal token for a user
+     * @param {string} sub - User ID
+     * @returns {string} - Authorization header value
+     */
+    function bearer(sub) {
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+      return `Bearer ${input}.${createHmac('sha256', SECRET).update(input).digest('base64url')}`;
+    }
+
+    beforeEach(() => {
+      setJwtConfig(createJwtConfig({ JWT_SECRET: SECRET }));
+    });
+
+    afterEach(() => {
+      setJwtConfig(null);
+    });
+
+    test('should keep the history of a user across sessions', async () => {
+      await request(app)
+        .post('/api/nengAI/chat')
+        .set('Authorization', bearer('offline-user-a'))
+        .set('X-Session-Id', 'offline-jwt-laptop')
+        .send({ messages: [{ role: 'user', content: 'Dari laptop' }] })
+        .expect(200);
+
+      const history = await request(app)
+        .get('/api/nengAI/chat/history')
+        .set('Authorization', bearer('offline-user-a'))
+        .set('X-Session-Id', 'offline-jwt-phone')
+        .expect(200);
+      expect(history.body.data.map(message => message.parts[0].text).slice(-2)).toEqual(['Dari laptop', '[mock] Dari laptop']);
+
+      const other = await request(app).get('/api/nengAI/chat/history').set('Authorization', bearer('offline-user-b')).expect(200);
+      expect(JSON.stringify(other.body.data)).not.toContain('Dari laptop');
+    });
+
+    test('should keep conversations private to their user', async () => {
+      const created = await request(app)
+        .post('/api/nengAI/conversations')
+        .set('Authorization', bearer('offline-user-c'))
+        .send({ title: 'Rahasia' })
+        .expect(201);
+
+      await request(app).get(`/api/nengAI/conversations/${created.body.data.id}`).set('Authorization', bearer('offline-user-c')).expect(200);
+      await request(app).get(`/api/nengAI/conversations/${created.body.data.id}`).set('Authorization', bearer('offline-user-d')).expect(404);
+    });
+
+    test('should reject invalid tokens', async () => {
+      const response = await request(app).get('/api/nengAI/models').set('Authorization', `${bearer('offline-user-a')}x`).expect(401);
+      expect(response.body.message).toBe('Invalid token signature');
+    });
+  });
+});
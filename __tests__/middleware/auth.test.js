@@ -0,0 +1,198 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+jest.mock('../../services/apiKeyService.js', () => ({
+  findApiKey: jest.fn(),
+  hasScope: jest.fn(),
+  isAuthEnabled: jest.fn()
+}));
+
+jest.mock('../../services/jwtAuthService.js', () => ({
+  isJwtEnabled: jest.fn(),
+  looksLikeJwt: jest.fn(),
+  verifyJwt: jest.fn()
+}));
+
+jest.mock('../../services/usageService.js', () => ({
+  countRequest: jest.fn(),
+  findExceededQuota: jest.fn()
+}));
+
+jest.mock('../../utils/responseHandler.js', () => ({
+  sendErrorResponse: jest.fn(),
+  sendForbiddenError: jest.fn(),
+  sendUnauthorizedError: jest.fn()
+}));
+
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { findApiKey, hasScope, isAuthEnabled } from '../../services/apiKeyService.js';
+import { isJwtEnabled, looksLikeJwt, verifyJwt } from '../../services/jwtAuthService.js';
+import { countRequest, findExceededQuota } from '../../services/usageService.js';
+import { sendErrorResponse, sendForbiddenError, sendUnauthorizedError } from '../../utils/responseHandler.js';
+
+const apiKey = { id: 'search', scopes: ['chat'] };
+const user = { id: 'user-42', ownerId: 'jwt_42', scopes: ['chat'] };
+
+function mockRequest(headers = {}) {
+  return { get: jest.fn(name => headers[name]) };
+}
+
+describe('Auth Middleware', () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    res = { set: jest.fn() };
+    next = jest.fn();
+    isAuthEnabled.mockReturnValue(true);
+  });
+
+  describe('authenticate', () => {
+    test('should accept bearer tokens', () => {
+      findApiKey.mockReturnValue(apiKey);
+      const req = mockRequest({ Authorization: 'Bearer nk_search' });
+
+      authenticate(req, res, next);
+
+      expect(findApiKey).toHaveBeenCalledWith('nk_search');
+      expect(req.apiKey).toBe(apiKey);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should accept the X-API-Key header', () => {
+      findApiKey.mockReturnValue(apiKey);
+
+      authenticate(mockRequest({ 'X-API-Key': 'nk_search' }), res, next);
+
+      expect(findApiKey).toHaveBeenCalledWith('nk_search');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject requests without a key or with an unknown key', () => {
+      authenticate(mockRequest({ Authorization: 'Basic abc' }), res, next);
+      expect(sendUnauthorizedError).toHaveBeenCalledWith(res, 'API key is required');
+
+      findApiKey.mockReturnValue(null);
+      authenticate(mockRequest({ 'X-API-Key': 'nk_wrong' }), res, next);
+      expect(sendUnauthorizedError).toHaveBeenCalledWith(res, 'Invalid API key');
+
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    describe('with JWT authentication', () => {
+      beforeEach(() => {
+        isAuthEnabled.mockReturnValue(false);
+        isJwtEnabled.mockReturnValue(true);
+        looksLikeJwt.mockImplementation(token => token.includes('.'));
+      });
+
+      test('should set the user of a valid token', () => {
+        verifyJwt.mockReturnValue(user);
+        const req = mockRequest({ Authorization: 'Bearer a.b.c' });
+
+        authenticate(req, res, next);
+
+        expect(verifyJwt).toHaveBeenCalledWith('a.b.c');
+        expect(req.user).toBe(user);
+        expect(next).toHaveBeenCalled();
+      });
+
+      test('should reject tokens that do not verify', () => {
+        verifyJwt.mockImplementation(() => {
+          throw new Error('Token has expired');
+        });
+
+        authenticate(mockRequest({ Authorization: 'Bearer a.b.c' }), res, next);
+
+        expect(sendUnauthorizedError).toHaveBeenCalledWith(res, 'Token has expired');
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      test('should still accept API keys and ask for either credential', () => {
+        isAuthEnabled.mockReturnValue(true);
+        findApiKey.mockReturnValue(apiKey);
+
+        authenticate(mockRequest({ Authorization: 'Bearer nk_search' }), res, next);
+        expect(verifyJwt).not.toHaveBeenCalled();
+        expect(findApiKey).toHaveBeenCalledWith('nk_search');
+
+        authenticate(mockRequest(), res, next);
+        expect(sendUnauthorizedError).toHaveBeenCalledWith(res, 'Bearer token or API key is required');
+      });
+    });
+
+    test('should let everything through while authentication is off', () => {
+      isAuthEnabled.mockReturnValue(false);
+      const req = mockRequest();
+
+      authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.apiKey).toBeUndefined();
+    });
+  });
+
+  describe('authorize', () => {
+    test('should count requests of keys with the scope', () => {
+      hasScope.mockReturnValue(true);
+      findExceededQuota.mockReturnValue(null);
+
+      authorize('chat')({ apiKey }, res, next);
+
+      expect(hasScope).toHaveBeenCalledWith(apiKey, 'chat');
+      expect(countRequest).toHaveBeenCalledWith('search');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should refuse keys without the scope', () => {
+      hasScope.mockReturnValue(false);
+
+      authorize('files')({ apiKey }, res, next);
+
+      expect(sendForbiddenError).toHaveBeenCalledWith(res, 'API key is not allowed to use files endpoints');
+      expect(countRequest).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should refuse keys over their daily quota until it resets', () => {
+      hasScope.mockReturnValue(true);
+      findExceededQuota.mockReturnValue({ quota: 'token', retryAfterSeconds: 3600 });
+
+      authorize('chat')({ apiKey }, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '3600');
+      expect(sendErrorResponse).toHaveBeenCalledWith(res, 'Daily token quota exceeded', 429, null, 'DAILY_QUOTA_EXCEEDED');
+      expect(countRequest).not.toHaveBeenCalled();
+    });
+
+    test('should check the scopes of JWT users without quotas', () => {
+      isAuthEnabled.mockReturnValue(false);
+      isJwtEnabled.mockReturnValue(true);
+      hasScope.mockReturnValueOnce(true).mockReturnValueOnce(false);
+
+      authorize('chat')({ user }, res, next);
+      expect(hasScope).toHaveBeenCalledWith(user, 'chat');
+      expect(next).toHaveBeenCalled();
+
+      authorize('admin')({ user }, res, next);
+      expect(sendForbiddenError).toHaveBeenCalledWith(res, 'User is not allowed to use admin endpoints');
+
+      expect(findExceededQuota).not.toHaveBeenCalled();
+      expect(countRequest).not.toHaveBeenCalled();
+    });
+
+    test('should require a key when authentication is on', () => {
+      authorize('chat')({}, res, next);
+
+      expect(sendUnauthorizedError).toHaveBeenCalledWith(res, 'API key is required');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should let everything through while authentication is off', () => {
+      isAuthEnabled.mockReturnValue(false);
+
+      authorize('admin')({}, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+jest.mock('../../services/usageService.js', () => ({
+  findExceededBudget: jest.fn(),
+  runWithUsage: jest.fn()
+}));
+
+jest.mock('../../utils/responseHandler.js', () => ({
+  sendErrorResponse: jest.fn()
+}));
+
+import { usageClient, trackUsage, estimateRequestTokens, checkTokenBudget } from '../../middleware/budget.js';
+import { findExceededBudget, runWithUsage } from '../../services/usageService.js';
+import { sendErrorResponse } from '../../utils/responseHandler.js';
+
+const apiKey = { id: 'search', scopes: ['chat'] };
+
+describe('Budget Middleware', () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    res = { set: jest.fn() };
+    next = jest.fn();
+    findExceededBudget.mockReturnValue(null);
+    runWithUsage.mockImplementation((clientId, fn) => fn());
+  });
+
+  describe('usageClient', () => {
+    test('should charge the API key, then the user, then the IP', () => {
+      expect(usageClient({ apiKey, user: { id: 'user-42' } })).toBe(apiKey);
+      expect(usageClient({ user: { id: 'user-42' }, ip: '10.0.0.1' })).toEqual({ id: 'user:user-42' });
+      expect(usageClient({ ip: '10.0.0.1' })).toEqual({ id: 'ip:10.0.0.1' });
+      expect(usageClient({ connection: { remoteAddress: '10.0.0.2' } })).toEqual({ id: 'ip:10.0.0.2' });
+    });
+  });
+
+  describe('trackUsage', () => {
+    test('should run the rest of the request in the usage context of its client', () => {
+      trackUsage({ apiKey }, res, next);
+
+      expect(runWithUsage).toHaveBeenCalledWith('search', next);
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('estimateRequestTokens', () => {
+    test('should count the prompt and maxOutputTokens', () => {
+      const req = { body: { prompt: 'a'.repeat(40), generationConfig: { maxOutputTokens: 100 } } };
+
+      expect(estimateRequestTokens(req)).toBe(110);
+    });
+
+    test('should count chat messages and their attachments', () => {
+      const req = {
+        body: {
+          messages: [
+            { role: 'user', content: 'a'.repeat(8) },
+            { role: 'user', content: { text: 'a'.repeat(4), file: { mimeType: 'image/png', data: 'aGVsbG8=' } } }
+          ]
+        }
+      };
+
+      expect(estimateRequestTokens(req)).toBe(2 + 1 + 258);
+    });
+
+    test('should count uploaded files', () => {
+      expect(estimateRequestTokens({ body: {}, file: { mimetype: 'application/pdf', size: 2560 } })).toBe(10);
+      expect(estimateRequestTokens({
+        body: {},
+        files: [{ mimetype: 'image/jpeg', size: 1 }, { mimetype: 'text/plain', size: 512 }]
+      })).toBe(260);
+    });
+
+    test('should treat a missing body as empty', () => {
+      expect(estimateRequestTokens({})).toBe(0);
+    });
+  });
+
+  describe('checkTokenBudget', () => {
+    test('should let requests within the budget through', () => {
+      const req = { apiKey, body: { prompt: 'a'.repeat(40) } };
+
+      checkTokenBudget(req, res, next);
+
+      expect(findExceededBudget).toHaveBeenCalledWith(apiKey, 10);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should refuse requests over the budget with 429', () => {
+      findExceededBudget.mockReturnValue({ budget: 'monthly', limit: 1000, remaining: 5, retryAfterSeconds: 3600 });
+      const req = { user: { id: 'user-42' }, body: { prompt: 'a'.repeat(40) } };
+
+      checkTokenBudget(req, res, next);
+
+      expect(findExceededBudget).toHaveBeenCalledWith({ id: 'user:user-42' }, 10);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '3600');
+      expect(sendErrorResponse).toHaveBeenCalledWith(
+        res,
+        'Request would exceed the monthly token budget (about 10 tokens, 5 left)',
+        429,
+        null,
+        'TOKEN_BUDGET_EXCEEDED'
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
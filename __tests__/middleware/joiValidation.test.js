@@ -0,0 +1,181 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+jest.mock('../../utils/responseHandler.js', () => ({
+  sendValidationError: jest.fn()
+}));
+
+import { validate } from '../../middleware/joiValidation.js';
+import { sendValidationError } from '../../utils/responseHandler.js';
+
+describe('Joi Validation Middleware', () => {
+  let res;
+  let next;
+
+  beforeEach(() => {
+    res = {};
+    next = jest.fn();
+  });
+
+  /**
+   * Run a schema of the registry against a request
+   * @param {string} name - Schema name
+   * @param {Object} req - Request parts (body, query, params)
+   * @returns {Object} - The request, after validation
+   */
+  function run(name, req) {
+    validate(name)(req, res, next);
+    return req;
+  }
+
+  test('should reject unknown schema names when routes are built', () => {
+    expect(() => validate('nope')).toThrow(/^Unknown validation schema: nope\. Available schemas: generateText, /);
+  });
+
+  describe('prompt', () => {
+    test('should accept and trim a valid prompt', () => {
+      const req = run('generateText', { body: { prompt: '  This is a prompt with whitespace  ' } });
+
+      expect(req.body.prompt).toBe('This is a prompt with whitespace');
+      expect(next).toHaveBeenCalled();
+      expect(sendValidationError).not.toHaveBeenCalled();
+    });
+
+    test('should accept a prompt of the maximum length', () => {
+      run('generateText', { body: { prompt: 'a'.repeat(10000) } });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test.each([
+      ['missing', {}, 'Prompt is required in the request body'],
+      ['not a string', { prompt: 123 }, 'Prompt must be a string'],
+      ['null', { prompt: null }, 'Prompt must be a string'],
+      ['empty', { prompt: '' }, 'Prompt cannot be empty'],
+      ['too long', { prompt: 'a'.repeat(10001) }, 'Prompt is too long (maximum 10,000 characters)']
+    ])('should reject a prompt that is %s', (label, body, message) => {
+      run('generateText', { body });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request body', [
+        { field: 'prompt', location: 'body', message }
+      ]);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generation settings', () => {
+    test('should parse JSON strings sent by multipart uploads', () => {
+      const req = run('generateFromFile', {
+        body: {
+          prompt: 'Describe this image',
+          generationConfig: '{"maxOutputTokens":256}',
+          responseSchema: '{"type":"object","properties":{"tags":{"type":"array"}}}'
+        }
+      });
+
+      expect(req.body.generationConfig).toEqual({ maxOutputTokens: 256 });
+      expect(req.body.responseSchema).toEqual({ type: 'object', properties: { tags: { type: 'array' } } });
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should report every failing field', () => {
+      run('generateText', {
+        body: { prompt: 'Halo', generationConfig: '{temperature', responseSchema: { type: 'object', $ref: '#/x' } }
+      });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request body', [
+        { field: 'generationConfig', location: 'body', message: 'generationConfig must be a JSON object' },
+        { field: 'responseSchema', location: 'body', message: 'responseSchema.$ref is not supported' }
+      ]);
+    });
+
+    test('should not accept a response schema when streaming', () => {
+      run('generateTextStream', { body: { prompt: 'Halo', responseSchema: { type: 'object' } } });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request body', [
+        { field: 'responseSchema', location: 'body', message: 'responseSchema is not allowed' }
+      ]);
+    });
+  });
+
+  describe('chat', () => {
+    test('should report invalid messages with their path', () => {
+      run('chat', { body: { messages: [{ role: 'admin', content: 'Hi' }, { role: 'user' }], tools: ['ok', 'rm -rf'] } });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request body', [
+        { field: 'messages.0.role', location: 'body', message: 'Invalid role value' },
+        { field: 'messages.1.content', location: 'body', message: 'Content is required' },
+        { field: 'tools.1', location: 'body', message: 'Invalid tool name' }
+      ]);
+    });
+
+    test('should reject a body that is not an object', () => {
+      run('chat', { body: 'Hi' });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request body', [
+        { field: null, location: 'body', message: 'value must be of type object' }
+      ]);
+    });
+  });
+
+  describe('chatUpload', () => {
+    test('should parse the JSON fields of a multipart chat', () => {
+      const req = run('chatUpload', {
+        body: { message: ' What is this? ', generationConfig: '{"temperature":0.2}', tools: '["calculator"]' }
+      });
+
+      expect(req.body).toEqual({ message: 'What is this?', generationConfig: { temperature: 0.2 }, tools: ['calculator'] });
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should report fields that are not valid JSON', () => {
+      run('chatUpload', { body: { message: 'Halo', generationConfig: '{temperature', tools: '"calculator"' } });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request body', [
+        { field: 'generationConfig', location: 'body', message: 'generationConfig must be a JSON object' },
+        { field: 'tools', location: 'body', message: 'tools must be a JSON array' }
+      ]);
+    });
+
+    test('should not accept message history or attachment references', () => {
+      run('chatUpload', { body: { message: 'Halo', messages: '[]' } });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request body', [
+        { field: 'messages', location: 'body', message: 'messages is not allowed' }
+      ]);
+    });
+  });
+
+  describe('conversations', () => {
+    test('should check path and query parameters without rewriting them', () => {
+      const req = run('forkConversation', { params: { id: 'conversation-1' }, query: { fromMessage: '2' } });
+
+      expect(req.query.fromMessage).toBe('2');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should name the part that failed', () => {
+      run('listConversations', { query: { limit: '0', sort: 'title' } });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid query parameters', [
+        { field: 'limit', location: 'query', message: 'limit must be greater than or equal to 1' },
+        { field: 'sort', location: 'query', message: 'sort is not allowed' }
+      ]);
+    });
+
+    test('should report failures of several parts together', () => {
+      run('forkConversation', { params: { id: '../x' }, query: {} });
+
+      expect(sendValidationError).toHaveBeenCalledWith(res, 'Invalid request', [
+        { field: 'id', location: 'params', message: 'Invalid conversation ID' },
+        { field: 'fromMessage', location: 'query', message: 'fromMessage query parameter is required' }
+      ]);
+    });
+
+    test('should treat a missing body as empty', () => {
+      const req = run('createConversation', {});
+
+      expect(req.body).toEqual({});
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
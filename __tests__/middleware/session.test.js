@@ -0,0 +1,107 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import {
+  resolveSession,
+  readCookie,
+  isValidSessionId,
+  SESSION_COOKIE
+} from '../../middleware/session.js';
+
+describe('Session Middleware', () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+  let headers;
+
+  beforeEach(() => {
+    headers = {};
+    mockReq = {
+      get: jest.fn((name) => headers[name.toLowerCase()])
+    };
+    mockRes = {
+      set: jest.fn(),
+      cookie: jest.fn()
+    };
+    mockNext = jest.fn();
+  });
+
+  describe('isValidSessionId', () => {
+    test('should accept UUIDs and URL-safe tokens', () => {
+      expect(isValidSessionId('2b1c7a52-1f0e-4c4f-9d55-3f1c2e9a7b10')).toBe(true);
+      expect(isValidSessionId('abc_DEF-123')).toBe(true);
+    });
+
+    test('should reject short, long or unsafe values', () => {
+      expect(isValidSessionId('short')).toBe(false);
+      expect(isValidSessionId('a'.repeat(129))).toBe(false);
+      expect(isValidSessionId('bad id; drop')).toBe(false);
+      expect(isValidSessionId(undefined)).toBe(false);
+    });
+
+    test('should reject the owner ID prefix of JWT users', () => {
+      expect(isValidSessionId('jwt_0123456789abcdef')).toBe(false);
+    });
+  });
+
+  describe('readCookie', () => {
+    test('should read a named cookie', () => {
+      expect(readCookie('foo=bar; nengai_sid=session-1234', 'nengai_sid')).toBe('session-1234');
+    });
+
+    test('should return null when cookie is missing', () => {
+      expect(readCookie('foo=bar', 'nengai_sid')).toBeNull();
+      expect(readCookie(undefined, 'nengai_sid')).toBeNull();
+      expect(readCookie('malformed', 'nengai_sid')).toBeNull();
+    });
+
+    test('should return null for undecodable values', () => {
+      expect(readCookie('nengai_sid=%E0%A4%A', 'nengai_sid')).toBeNull();
+    });
+  });
+
+  describe('resolveSession', () => {
+    test('should use the X-Session-Id header when valid', () => {
+      headers['x-session-id'] = 'header-session-1';
+
+      resolveSession(mockReq, mockRes, mockNext);
+
+      expect(mockReq.sessionId).toBe('header-session-1');
+      expect(mockRes.set).toHaveBeenCalledWith('X-Session-Id', 'header-session-1');
+      expect(mockRes.cookie).toHaveBeenCalledWith(
+        SESSION_COOKIE,
+        'header-session-1',
+        expect.objectContaining({ httpOnly: true })
+      );
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should fall back to the session cookie', () => {
+      headers.cookie = `${SESSION_COOKIE}=cookie-session-1`;
+
+      resolveSession(mockReq, mockRes, mockNext);
+
+      expect(mockReq.sessionId).toBe('cookie-session-1');
+      expect(mockRes.cookie).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should issue a new session ID when none is supplied', () => {
+      resolveSession(mockReq, mockRes, mockNext);
+
+      expect(isValidSessionId(mockReq.sessionId)).toBe(true);
+      expect(mockRes.cookie).toHaveBeenCalledWith(
+        SESSION_COOKIE,
+        mockReq.sessionId,
+        expect.any(Object)
+      );
+    });
+
+    test('should ignore an invalid header value', () => {
+      headers['x-session-id'] = 'bad';
+      headers.cookie = `${SESSION_COOKIE}=cookie-session-1`;
+
+      resolveSession(mockReq, mockRes, mockNext);
+
+      expect(mockReq.sessionId).toBe('cookie-session-1');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+jest.mock('../../utils/responseHandler.js', () => ({
+  sendErrorResponse: jest.fn()
+}));
+
+jest.mock('../../utils/uploadStorage.js', () => ({
+  removeUploadedFiles: jest.fn()
+}));
+
+import { createUploadLimiter, cleanupUploadedFiles } from '../../middleware/uploads.js';
+import { sendErrorResponse } from '../../utils/responseHandler.js';
+import { removeUploadedFiles } from '../../utils/uploadStorage.js';
+
+const MB = 1024 * 1024;
+
+function mockRequest(contentLength) {
+  return { get: jest.fn(() => contentLength === undefined ? undefined : String(contentLength)) };
+}
+
+function mockResponse() {
+  const res = new EventEmitter();
+  res.set = jest.fn();
+  return res;
+}
+
+describe('Upload Middleware', () => {
+  let next;
+
+  beforeEach(() => {
+    next = jest.fn();
+  });
+
+  describe('createUploadLimiter', () => {
+    test('should admit uploads until the limit and release them when done', () => {
+      const limiter = createUploadLimiter({ maxBytes: 10 * MB, retryAfterSeconds: 3 });
+      const first = mockResponse();
+      const second = mockResponse();
+      const third = mockResponse();
+
+      limiter.limit(20 * MB)(mockRequest(6 * MB), first, next);
+      limiter.limit(20 * MB)(mockRequest(4 * MB), second, next);
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(limiter.inFlightBytes()).toBe(10 * MB);
+
+      limiter.limit(20 * MB)(mockRequest(1), third, next);
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(third.set).toHaveBeenCalledWith('Retry-After', '3');
+      expect(sendErrorResponse).toHaveBeenCalledWith(
+        third,
+        'Too many uploads in progress, please retry later',
+        503,
+        null,
+        'UPLOAD_CAPACITY_EXCEEDED'
+      );
+
+      first.emit('close');
+      expect(limiter.inFlightBytes()).toBe(4 * MB);
+      limiter.limit(20 * MB)(mockRequest(1), mockResponse(), next);
+      expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    test('should reserve the route maximum when the length is unknown', () => {
+      const limiter = createUploadLimiter({ maxBytes: 100 * MB });
+
+      limiter.limit(50 * MB)(mockRequest(), mockResponse(), next);
+      limiter.limit(50 * MB)(mockRequest(500 * MB), mockResponse(), next);
+
+      expect(limiter.inFlightBytes()).toBe(100 * MB);
+    });
+
+    test('should admit a single upload larger than the limit when idle', () => {
+      const limiter = createUploadLimiter({ maxBytes: 10 * MB });
+      const res = mockResponse();
+
+      limiter.limit(200 * MB)(mockRequest(50 * MB), res, next);
+
+      expect(next).toHaveBeenCalled();
+      res.emit('close');
+      expect(limiter.inFlightBytes()).toBe(0);
+    });
+  });
+
+  describe('cleanupUploadedFiles', () => {
+    test('should remove the temporary files once the response is done', () => {
+      removeUploadedFiles.mockResolvedValue(1);
+      const req = {};
+      const res = mockResponse();
+
+      cleanupUploadedFiles(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(removeUploadedFiles).not.toHaveBeenCalled();
+      res.emit('close');
+      expect(removeUploadedFiles).toHaveBeenCalledWith(req);
+    });
+
+    test('should log cleanup failures', async () => {
+      const error = new Error('EACCES');
+      removeUploadedFiles.mockRejectedValue(error);
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const res = mockResponse();
+
+      cleanupUploadedFiles({}, res, next);
+      res.emit('close');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(consoleError).toHaveBeenCalledWith('Failed to remove temporary upload files:', error);
+    });
+  });
+});
@@ -1,18 +1,24 @@
-import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
 import {
-  validatePrompt,
   validateFileUpload,
   sanitizeRequestBody,
   createRateLimiter,
-  validateContentType
+  validateContentType,
+  parseMultipartChat,
+  validateChatAttachments
 } from '../../middleware/validation.js';
 
 // Mock the response handler
 jest.mock('../../utils/responseHandler.js', () => ({
+  sendErrorResponse: jest.fn(),
   sendValidationError: jest.fn()
 }));
 
-import { sendValidationError } from '../../utils/responseHandler.js';
+import { sendErrorResponse, sendValidationError } from '../../utils/responseHandler.js';
+import { setRateLimitStore } from '../../services/rateLimit/index.js';
 
 describe('Validation Middleware', () => {
   let mockReq;
@@ -30,95 +36,6 @@ describe('Validation Middleware', () => {
     jest.clearAllMocks();
   });
 
-  describe('validatePrompt', () => {
-    test('should call next() for valid prompt', () => {
-      mockReq.body.prompt = 'This is a valid prompt';
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(mockNext).toHaveBeenCalled();
-      expect(sendValidationError).not.toHaveBeenCalled();
-    });
-
-    test('should trim whitespace from prompt', () => {
-      mockReq.body.prompt = '  This is a prompt with whitespace  ';
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(mockReq.body.prompt).toBe('This is a prompt with whitespace');
-      expect(mockNext).toHaveBeenCalled();
-    });
-
-    test('should send validation error for missing prompt', () => {
-      mockReq.body = {};
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(sendValidationError).toHaveBeenCalledWith(
-        mockRes,
-        'Prompt is required in the request body'
-      );
-      expect(mockNext).not.toHaveBeenCalled();
-    });
-
-    test('should send validation error for null prompt', () => {
-      mockReq.body.prompt = null;
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(sendValidationError).toHaveBeenCalledWith(
-        mockRes,
-        'Prompt is required in the request body'
-      );
-      expect(mockNext).not.toHaveBeenCalled();
-    });
-
-    test('should send validation error for non-string prompt', () => {
-      mockReq.body.prompt = 123;
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(sendValidationError).toHaveBeenCalledWith(
-        mockRes,
-        'Prompt must be a string'
-      );
-      expect(mockNext).not.toHaveBeenCalled();
-    });
-
-    test('should send validation error for empty prompt after trim', () => {
-      mockReq.body.prompt = '   ';
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(sendValidationError).toHaveBeenCalledWith(
-        mockRes,
-        'Prompt cannot be empty'
-      );
-      expect(mockNext).not.toHaveBeenCalled();
-    });
-
-    test('should send validation error for too long prompt', () => {
-      mockReq.body.prompt = 'a'.repeat(10001); // 10,001 characters
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(sendValidationError).toHaveBeenCalledWith(
-        mockRes,
-        'Prompt is too long (maximum 10,000 characters)'
-      );
-      expect(mockNext).not.toHaveBeenCalled();
-    });
-
-    test('should accept maximum length prompt', () => {
-      mockReq.body.prompt = 'a'.repeat(10000); // Exactly 10,000 characters
-
-      validatePrompt(mockReq, mockRes, mockNext);
-
-      expect(mockNext).toHaveBeenCalled();
-      expect(sendValidationError).not.toHaveBeenCalled();
-    });
-  });
-
   describe('validateFileUpload', () => {
     test('should call next() when file is present', () => {
       mockReq.file = { originalname: 'test.jpg' };
@@ -263,141 +180,361 @@ describe('Validation Middleware', () => {
       // Reset time for consistent testing
       jest.useFakeTimers();
       jest.setSystemTime(new Date('2023-01-01T00:00:00Z'));
+      setRateLimitStore(null);
+      mockRes.set = jest.fn();
     });
 
     afterEach(() => {
       jest.useRealTimers();
     });
 
-    test('should allow requests under the limit', () => {
+    test('should allow requests under the limit', async () => {
       mockReq.ip = '127.0.0.1';
       const rateLimiter = createRateLimiter(5, 60000); // 5 requests per minute
 
       // First request should pass
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(1);
-      expect(sendValidationError).not.toHaveBeenCalled();
+      expect(sendErrorResponse).not.toHaveBeenCalled();
 
       mockNext.mockClear();
 
       // Second request should also pass
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(1);
     });
 
-    test('should block requests exceeding the limit', () => {
+    test('should block requests exceeding the limit', async () => {
       mockReq.ip = '127.0.0.1';
       const rateLimiter = createRateLimiter(2, 60000); // 2 requests per minute
 
       // First two requests should pass
-      rateLimiter(mockReq, mockRes, mockNext);
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(2);
 
       mockNext.mockClear();
 
       // Third request should be blocked
-      rateLimiter(mockReq, mockRes, mockNext);
-      expect(sendValidationError).toHaveBeenCalledWith(
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(sendErrorResponse).toHaveBeenCalledWith(
         mockRes,
         'Too many requests. Please try again later.',
-        429
+        429,
+        null,
+        'TOO_MANY_REQUESTS'
       );
       expect(mockNext).not.toHaveBeenCalled();
     });
 
-    test('should reset rate limit after time window', () => {
+    test('should reset rate limit after time window', async () => {
       mockReq.ip = '127.0.0.1';
       const timeWindow = 60000; // 1 minute
       const rateLimiter = createRateLimiter(1, timeWindow);
 
       // First request
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(1);
 
       mockNext.mockClear();
 
       // Second request should be blocked
-      rateLimiter(mockReq, mockRes, mockNext);
-      expect(sendValidationError).toHaveBeenCalled();
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(sendErrorResponse).toHaveBeenCalled();
 
-      sendValidationError.mockClear();
+      sendErrorResponse.mockClear();
       mockNext.mockClear();
 
       // Advance time past the window
       jest.advanceTimersByTime(timeWindow + 1000);
 
       // Request should now pass again
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(1);
-      expect(sendValidationError).not.toHaveBeenCalled();
+      expect(sendErrorResponse).not.toHaveBeenCalled();
     });
 
-    test('should handle different IPs separately', () => {
+    test('should handle different IPs separately', async () => {
       const rateLimiter = createRateLimiter(1, 60000);
 
       // Request from first IP
       mockReq.ip = '127.0.0.1';
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(1);
 
       mockNext.mockClear();
 
       // Request from second IP should still pass
       mockReq.ip = '192.168.1.1';
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(1);
-      expect(sendValidationError).not.toHaveBeenCalled();
+      expect(sendErrorResponse).not.toHaveBeenCalled();
     });
 
-    test('should use connection.remoteAddress when IP is not available', () => {
+    test('should use connection.remoteAddress when IP is not available', async () => {
       mockReq.ip = undefined;
       mockReq.connection = { remoteAddress: '10.0.0.1' };
       const rateLimiter = createRateLimiter(1, 60000);
 
-      rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
       expect(mockNext).toHaveBeenCalledTimes(1);
 
       mockNext.mockClear();
 
       // Second request from same connection should be blocked
-      rateLimiter(mockReq, mockRes, mockNext);
-      expect(sendValidationError).toHaveBeenCalled();
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(sendErrorResponse).toHaveBeenCalled();
     });
 
-    test('should handle edge case of exactly at limit', () => {
+    test('should handle edge case of exactly at limit', async () => {
       mockReq.ip = '127.0.0.1';
       const rateLimiter = createRateLimiter(3, 60000);
 
       // Make exactly 3 requests (the limit)
       for (let i = 0; i < 3; i++) {
-        rateLimiter(mockReq, mockRes, mockNext);
+        await rateLimiter(mockReq, mockRes, mockNext);
       }
       expect(mockNext).toHaveBeenCalledTimes(3);
 
       mockNext.mockClear();
 
       // 4th request should be blocked
-      rateLimiter(mockReq, mockRes, mockNext);
-      expect(sendValidationError).toHaveBeenCalled();
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(sendErrorResponse).toHaveBeenCalled();
       expect(mockNext).not.toHaveBeenCalled();
     });
 
-    test('should work with custom parameters', () => {
+    test('should work with custom parameters', async () => {
       mockReq.ip = '127.0.0.1';
       const rateLimiter = createRateLimiter(10, 30000); // 10 requests per 30 seconds
 
       // Should allow up to 10 requests
       for (let i = 0; i < 10; i++) {
-        rateLimiter(mockReq, mockRes, mockNext);
+        await rateLimiter(mockReq, mockRes, mockNext);
       }
       expect(mockNext).toHaveBeenCalledTimes(10);
 
       mockNext.mockClear();
 
       // 11th request should be blocked
-      rateLimiter(mockReq, mockRes, mockNext);
-      expect(sendValidationError).toHaveBeenCalled();
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(sendErrorResponse).toHaveBeenCalled();
+    });
+
+    test('should send the standard rate limit headers', async () => {
+      mockReq.ip = '127.0.0.1';
+      const rateLimiter = createRateLimiter(2, 60000);
+
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(mockRes.set).toHaveBeenCalledWith({
+        'RateLimit-Limit': '2',
+        'RateLimit-Remaining': '1',
+        'RateLimit-Reset': '60',
+        'RateLimit-Policy': '2;w=60'
+      });
+
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '61');
+    });
+
+    test('should weigh the previous window while it slides out', async () => {
+      mockReq.ip = '127.0.0.1';
+      const rateLimiter = createRateLimiter(2, 60000);
+
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      // A quarter into the next window, 1.5 of the 2 earlier requests still count
+      jest.advanceTimersByTime(75000);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(mockNext).toHaveBeenCalledTimes(3);
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '16');
+
+      jest.advanceTimersByTime(16000);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(mockNext).toHaveBeenCalledTimes(4);
+    });
+
+    test('should limit API keys and users rather than their IP', async () => {
+      mockReq.ip = '127.0.0.1';
+      const rateLimiter = createRateLimiter(1, 60000);
+
+      await rateLimiter({ ...mockReq, apiKey: { id: 'search' } }, mockRes, mockNext);
+      await rateLimiter({ ...mockReq, user: { id: 'user-42' } }, mockRes, mockNext);
+      await rateLimiter(mockReq, mockRes, mockNext);
+      expect(mockNext).toHaveBeenCalledTimes(3);
+
+      await rateLimiter({ ...mockReq, user: { id: 'user-42' } }, mockRes, mockNext);
+      expect(sendErrorResponse).toHaveBeenCalledTimes(1);
+    });
+
+    test('should let requests through when the store fails', async () => {
+      const store = {
+        get: jest.fn().mockRejectedValue(new Error('Connection refused')),
+        increment: jest.fn().mockRejectedValue(new Error('Connection refused'))
+      };
+      const rateLimiter = createRateLimiter(1, 60000, { store, keyGenerator: () => 'shared' });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await rateLimiter(mockReq, mockRes, mockNext);
+
+      expect(store.increment).toHaveBeenCalledWith(expect.stringMatching(/^shared:/), 120000);
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockRes.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseMultipartChat', () => {
+    const png = { originalname: 'cat.png', mimetype: 'image/png', size: 3, buffer: Buffer.from('png') };
+
+    beforeEach(() => {
+      mockReq.is = jest.fn().mockReturnValue('multipart/form-data');
+    });
+
+    test('should leave JSON requests untouched', () => {
+      mockReq.is.mockReturnValue(false);
+      mockReq.body = { messages: [{ role: 'user', content: 'Halo' }] };
+
+      parseMultipartChat(mockReq, mockRes, mockNext);
+
+      expect(mockReq.body).toEqual({ messages: [{ role: 'user', content: 'Halo' }] });
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should turn the message and file into one user message', () => {
+      mockReq.body = { message: 'What is this?', conversationId: 'chat-1', generationConfig: { temperature: 0.2 }, tools: ['calculator'] };
+      mockReq.file = png;
+
+      parseMultipartChat(mockReq, mockRes, mockNext);
+
+      expect(mockReq.body).toEqual({
+        conversationId: 'chat-1',
+        generationConfig: { temperature: 0.2 },
+        tools: ['calculator'],
+        messages: [{
+          role: 'user',
+          content: { text: 'What is this?', file: { mimeType: 'image/png', data: Buffer.from('png').toString('base64'), name: 'cat.png' } }
+        }]
+      });
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    describe('disk uploads', () => {
+      const sha256 = 'a'.repeat(64);
+      const pngHeader = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+      let directory;
+      let filePath;
+
+      beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-chat-test-'));
+        filePath = path.join(directory, 'upload');
+        await fs.writeFile(filePath, pngHeader);
+        process.env.CHAT_ATTACHMENTS_DIR = path.join(directory, 'attachments');
+      });
+
+      afterEach(async () => {
+        delete process.env.CHAT_ATTACHMENTS_DIR;
+        await fs.rm(directory, { recursive: true, force: true });
+      });
+
+      test('should keep the attachment on disk and reference it by hash', async () => {
+        mockReq.body = { message: 'What is this?' };
+        mockReq.file = { originalname: 'cat.png', mimetype: 'image/png', size: 8, path: filePath, sha256, header: pngHeader };
+
+        await parseMultipartChat(mockReq, mockRes, mockNext);
+
+        expect(mockReq.body.messages[0].content.file).toEqual({ sha256, mimeType: 'image/png', size: 8, name: 'cat.png' });
+        await expect(fs.readFile(path.join(directory, 'attachments', sha256))).resolves.toEqual(pngHeader);
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      test('should reject an attachment whose content does not match its type', async () => {
+        mockReq.body = { message: 'What is this?' };
+        mockReq.file = { originalname: 'cat.png', mimetype: 'image/png', size: 8, path: filePath, sha256, header: Buffer.from('%PDF-1.7') };
+
+        await parseMultipartChat(mockReq, mockRes, mockNext);
+
+        expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', expect.stringMatching(/^File content does not match the declared type image\/png/));
+        await expect(fs.access(path.join(directory, 'attachments', sha256))).rejects.toThrow();
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+    });
+
+    test('should accept a text-only multipart message', () => {
+      mockReq.body = { message: 'Halo' };
+
+      parseMultipartChat(mockReq, mockRes, mockNext);
+
+      expect(mockReq.body.messages).toEqual([{ role: 'user', content: 'Halo' }]);
+    });
+
+    test('should require a message or a file', () => {
+      mockReq.body = { message: '' };
+
+      parseMultipartChat(mockReq, mockRes, mockNext);
+
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'A message or a file is required');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateChatAttachments', () => {
+    const SIGNATURES = { 'application/pdf': '%PDF-1.4', 'image/png': '\x89PNG\r\n\x1a\n' };
+    const attachment = (mimeType, size) => {
+      const data = Buffer.alloc(size);
+      data.write(SIGNATURES[mimeType] || '', 'latin1');
+      return { role: 'user', content: { text: 'Look', file: { mimeType, data: data.toString('base64') } } };
+    };
+
+    test('should accept supported attachments and plain messages', () => {
+      mockReq.body = { messages: [{ role: 'user', content: 'Halo' }, attachment('application/pdf', 10)] };
+
+      validateChatAttachments(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    test('should reject unsupported attachment types', () => {
+      mockReq.body = { messages: [attachment('application/x-msdownload', 10)] };
+
+      validateChatAttachments(mockReq, mockRes, mockNext);
+
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'Unsupported attachment type: application/x-msdownload');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should apply the size limit of the attachment category', () => {
+      mockReq.body = { messages: [attachment('image/png', 10 * 1024 * 1024 + 1)] };
+
+      validateChatAttachments(mockReq, mockRes, mockNext);
+
+      expect(sendValidationError).toHaveBeenCalledWith(mockRes, 'Invalid request body', 'File size exceeds 10MB limit');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should reject attachments whose content is not the declared type', () => {
+      const renamed = attachment('image/png', 10);
+      renamed.content.file.data = Buffer.from('MZ\x90\x00\x03', 'latin1').toString('base64');
+      mockReq.body = { messages: [renamed] };
+
+      validateChatAttachments(mockReq, mockRes, mockNext);
+
+      expect(sendValidationError).toHaveBeenCalledWith(
+        mockRes,
+        'Invalid request body',
+        'File content does not match the declared type image/png (detected unknown format)'
+      );
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('should skip attachments kept on disk, checked when uploaded', () => {
+      mockReq.body = { messages: [{ role: 'user', content: { text: '', file: { sha256: 'a'.repeat(64), mimeType: 'image/png', size: 10 } } }] };
+
+      validateChatAttachments(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+});
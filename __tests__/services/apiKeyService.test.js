@@ -0,0 +1,105 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  hashApiKey,
+  loadApiKeys,
+  setApiKeys,
+  isAuthEnabled,
+  findApiKey,
+  listApiKeys,
+  hasScope
+} from '../../services/apiKeyService.js';
+
+const SEARCH_KEY = 'nk_search_0123456789abcdef';
+const ADMIN_KEY = 'nk_admin_fedcba9876543210';
+
+describe('API Key Service', () => {
+  let directory;
+
+  /**
+   * Write a key file and return its path
+   * @param {any} keys - File content
+   * @returns {string} - Path of the file
+   */
+  async function writeKeys(keys) {
+    const file = path.join(directory, 'api-keys.json');
+    await fs.writeFile(file, JSON.stringify(keys));
+    return file;
+  }
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-keys-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+    delete process.env.API_KEYS_FILE;
+    setApiKeys(null);
+  });
+
+  test('hashApiKey should return the SHA-256 hex digest', () => {
+    expect(hashApiKey('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  describe('loadApiKeys', () => {
+    test('should index keys by hash and default the limits to unlimited', async () => {
+      const keys = loadApiKeys(await writeKeys([
+        { id: 'search', name: 'Search team', keyHash: hashApiKey(SEARCH_KEY), scopes: ['chat'], dailyRequestLimit: 100 }
+      ]));
+
+      expect(keys.get(hashApiKey(SEARCH_KEY))).toEqual({
+        id: 'search',
+        name: 'Search team',
+        keyHash: hashApiKey(SEARCH_KEY),
+        scopes: ['chat'],
+        dailyRequestLimit: 100,
+        dailyTokenLimit: null,
+        monthlyTokenLimit: null
+      });
+    });
+
+    test.each([
+      ['unknown scopes', [{ id: 'a', name: 'A', keyHash: hashApiKey('a'), scopes: ['root'] }], '"[0].scopes[0]" must be one of [chat, files, admin]'],
+      ['plain keys', [{ id: 'a', name: 'A', keyHash: 'secret', scopes: ['chat'] }], '"[0].keyHash" with value "secret" fails to match the required pattern'],
+      ['duplicate IDs', [
+        { id: 'a', name: 'A', keyHash: hashApiKey('a'), scopes: ['chat'] },
+        { id: 'a', name: 'B', keyHash: hashApiKey('b'), scopes: ['chat'] }
+      ], '"[1]" contains a duplicate value']
+    ])('should reject %s', async (description, keys, message) => {
+      const file = await writeKeys(keys);
+      expect(() => loadApiKeys(file)).toThrow(`Invalid API key file ${file}: ${message}`);
+    });
+  });
+
+  describe('with API_KEYS_FILE', () => {
+    beforeEach(async () => {
+      process.env.API_KEYS_FILE = await writeKeys([
+        { id: 'search', name: 'Search team', keyHash: hashApiKey(SEARCH_KEY), scopes: ['chat', 'files'] },
+        { id: 'ops', name: 'Ops', keyHash: hashApiKey(ADMIN_KEY), scopes: ['admin'] }
+      ]);
+    });
+
+    test('should find keys by their value', () => {
+      expect(isAuthEnabled()).toBe(true);
+      expect(findApiKey(SEARCH_KEY).id).toBe('search');
+      expect(findApiKey('nk_unknown')).toBeNull();
+      expect(findApiKey('')).toBeNull();
+      expect(findApiKey(undefined)).toBeNull();
+      expect(listApiKeys().map(apiKey => apiKey.id)).toEqual(['search', 'ops']);
+    });
+
+    test('should give admin keys every scope', () => {
+      expect(hasScope(findApiKey(SEARCH_KEY), 'files')).toBe(true);
+      expect(hasScope(findApiKey(SEARCH_KEY), 'admin')).toBe(false);
+      expect(hasScope(findApiKey(ADMIN_KEY), 'chat')).toBe(true);
+    });
+  });
+
+  test('should leave authentication off without API_KEYS_FILE', () => {
+    expect(isAuthEnabled()).toBe(false);
+    expect(findApiKey(SEARCH_KEY)).toBeNull();
+    expect(listApiKeys()).toEqual([]);
+  });
+});
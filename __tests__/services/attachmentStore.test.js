@@ -0,0 +1,60 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  attachmentPath,
+  keepAttachment,
+  touchAttachment,
+  pruneAttachments
+} from '../../services/attachmentStore.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const sha256 = 'c'.repeat(64);
+
+describe('Attachment Store', () => {
+  let directory;
+  let upload;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-attachments-test-'));
+    process.env.CHAT_ATTACHMENTS_DIR = path.join(directory, 'attachments');
+    upload = { path: path.join(directory, 'upload'), sha256, mimetype: 'audio/mpeg', size: 5 };
+    await fs.writeFile(upload.path, 'audio');
+  });
+
+  afterEach(async () => {
+    delete process.env.CHAT_ATTACHMENTS_DIR;
+    delete process.env.CHAT_ATTACHMENT_TTL_DAYS;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should only accept SHA-256 hashes as names', () => {
+    expect(attachmentPath(sha256)).toBe(path.join(directory, 'attachments', sha256));
+    expect(() => attachmentPath('../secrets')).toThrow('Invalid attachment hash: ../secrets');
+  });
+
+  test('should copy an upload once and return its reference', async () => {
+    await expect(keepAttachment(upload)).resolves.toEqual({ sha256, mimeType: 'audio/mpeg', size: 5 });
+    await fs.writeFile(upload.path, 'other');
+    await keepAttachment(upload);
+
+    await expect(fs.readFile(attachmentPath(sha256), 'utf8')).resolves.toBe('audio');
+  });
+
+  test('should report whether a touched attachment exists', async () => {
+    await expect(touchAttachment(sha256)).resolves.toBe(false);
+    await keepAttachment(upload);
+    await expect(touchAttachment(sha256)).resolves.toBe(true);
+  });
+
+  test('should sweep attachments unused for the TTL', async () => {
+    await expect(pruneAttachments()).resolves.toBe(0);
+    await keepAttachment(upload);
+
+    expect(await pruneAttachments(Date.now() + 29 * DAY)).toBe(0);
+    process.env.CHAT_ATTACHMENT_TTL_DAYS = '7';
+    expect(await pruneAttachments(Date.now() + 8 * DAY)).toBe(1);
+    await expect(touchAttachment(sha256)).resolves.toBe(false);
+  });
+});
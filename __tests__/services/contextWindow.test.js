@@ -0,0 +1,151 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import {
+  estimateTextTokens,
+  estimateEntryTokens,
+  estimateHistoryTokens,
+  stripMedia,
+  createMemoryEntry,
+  toTranscript,
+  fitContext
+} from '../../services/contextWindow.js';
+
+const textEntry = (role, text) => ({ role, parts: [{ text }] });
+const mediaEntry = (mimeType, bytes) => ({
+  role: 'user',
+  parts: [
+    { text: 'Look' },
+    { inlineData: { mimeType, data: Buffer.alloc(bytes).toString('base64') } }
+  ]
+});
+// 100 characters = 25 estimated tokens
+const longText = (label) => label.padEnd(100, '.');
+
+describe('Context Window', () => {
+  describe('token estimation', () => {
+    test('should estimate text at four characters per token', () => {
+      expect(estimateTextTokens('')).toBe(0);
+      expect(estimateTextTokens('abcd')).toBe(1);
+      expect(estimateTextTokens('abcde')).toBe(2);
+      expect(estimateTextTokens(undefined)).toBe(0);
+    });
+
+    test('should count images as a fixed tile', () => {
+      expect(estimateEntryTokens(mediaEntry('image/png', 1024 * 1024))).toBe(1 + 258);
+    });
+
+    test('should estimate other media from their decoded size', () => {
+      expect(estimateEntryTokens(mediaEntry('audio/mpeg', 2560))).toBe(1 + 10);
+    });
+
+    test('should estimate attachments kept on disk from their size', () => {
+      const entry = { role: 'user', parts: [{ fileRef: { sha256: 'a'.repeat(64), mimeType: 'audio/mpeg', size: 2560 } }] };
+
+      expect(estimateEntryTokens(entry)).toBe(10);
+      expect(stripMedia(entry).parts).toEqual([{ text: '[audio/mpeg attachment omitted]' }]);
+    });
+
+    test('should sum a history', () => {
+      expect(estimateHistoryTokens([textEntry('user', 'abcd'), textEntry('model', 'abcdefgh')])).toBe(3);
+    });
+  });
+
+  describe('helpers', () => {
+    test('should replace media parts with placeholders without mutating the entry', () => {
+      const entry = mediaEntry('application/pdf', 10);
+
+      const stripped = stripMedia(entry);
+
+      expect(stripped.parts).toEqual([{ text: 'Look' }, { text: '[application/pdf attachment omitted]' }]);
+      expect(entry.parts[1].inlineData).toBeDefined();
+      expect(stripMedia(textEntry('user', 'Halo'))).toEqual(textEntry('user', 'Halo'));
+    });
+
+    test('should build memory entries and transcripts', () => {
+      expect(createMemoryEntry('User bernama Asep').parts[0].text).toContain('User bernama Asep');
+      expect(toTranscript([textEntry('user', 'Halo'), textEntry('model', 'Halo oge')]))
+        .toBe('user: Halo\nmodel: Halo oge');
+    });
+  });
+
+  describe('fitContext', () => {
+    test('should send the history unchanged when it fits', async () => {
+      const history = [textEntry('user', 'Halo'), textEntry('model', 'Halo oge')];
+      const summarize = jest.fn();
+
+      const result = await fitContext(history, { budget: 100, keepRecent: 2, summarize });
+
+      expect(result).toEqual({ contents: history, memory: null, mediaDropped: false, summarized: false });
+      expect(summarize).not.toHaveBeenCalled();
+    });
+
+    test('should drop media from older messages first', async () => {
+      const history = [
+        mediaEntry('audio/mpeg', 25600),
+        textEntry('model', 'Audio received'),
+        mediaEntry('image/png', 100)
+      ];
+      const summarize = jest.fn();
+
+      const result = await fitContext(history, { budget: 300, keepRecent: 1, summarize });
+
+      expect(result.mediaDropped).toBe(true);
+      expect(result.summarized).toBe(false);
+      expect(result.contents[0].parts[1]).toEqual({ text: '[audio/mpeg attachment omitted]' });
+      // The latest message keeps its image
+      expect(result.contents[2].parts[1].inlineData).toBeDefined();
+      expect(summarize).not.toHaveBeenCalled();
+    });
+
+    test('should summarize older turns into a memory message', async () => {
+      const history = ['a', 'b', 'c', 'd', 'e', 'f'].map((label, index) =>
+        textEntry(index % 2 === 0 ? 'user' : 'model', longText(label)));
+      const summarize = jest.fn().mockResolvedValue('Ringkasan a-d');
+
+      const result = await fitContext(history, { budget: 100, keepRecent: 2, summarize });
+
+      // Half of the budget fits the last two messages
+      expect(summarize).toHaveBeenCalledWith(null, history.slice(0, 4));
+      expect(result.summarized).toBe(true);
+      expect(result.memory).toEqual({ text: 'Ringkasan a-d', messageCount: 4 });
+      expect(result.contents).toEqual([createMemoryEntry('Ringkasan a-d'), ...history.slice(4)]);
+    });
+
+    test('should build on an existing memory', async () => {
+      const history = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map((label, index) =>
+        textEntry(index % 2 === 0 ? 'user' : 'model', longText(label)));
+      const memory = { text: 'Ringkasan a-b', messageCount: 2 };
+      const summarize = jest.fn().mockResolvedValue('Ringkasan a-f');
+
+      const fits = await fitContext(history.slice(0, 5), { budget: 100, keepRecent: 2, memory, summarize });
+      expect(fits.contents).toEqual([createMemoryEntry('Ringkasan a-b'), ...history.slice(2, 5)]);
+      expect(fits.memory).toBe(memory);
+
+      const result = await fitContext(history, { budget: 100, keepRecent: 2, memory, summarize });
+
+      expect(summarize).toHaveBeenCalledWith('Ringkasan a-b', history.slice(2, 6));
+      expect(result.memory).toEqual({ text: 'Ringkasan a-f', messageCount: 6 });
+      expect(result.contents).toEqual([createMemoryEntry('Ringkasan a-f'), ...history.slice(6)]);
+    });
+
+    test('should always keep the latest message verbatim', async () => {
+      const history = [textEntry('user', 'short'), textEntry('user', 'x'.repeat(1000))];
+      const summarize = jest.fn().mockResolvedValue('short');
+
+      const result = await fitContext(history, { budget: 100, keepRecent: 1, summarize });
+
+      expect(summarize).toHaveBeenCalledWith(null, [history[0]]);
+      expect(result.contents[1]).toBe(history[1]);
+    });
+
+    test('should give up when only a single message remains', async () => {
+      const history = [textEntry('user', 'x'.repeat(1000))];
+      const summarize = jest.fn();
+
+      const result = await fitContext(history, { budget: 100, keepRecent: 1, summarize });
+
+      expect(result.contents).toEqual(history);
+      expect(result.summarized).toBe(false);
+      expect(summarize).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+  openConversation,
+  appendToHistory,
+  findConversation,
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+  forkConversation
+} from '../../services/conversationService.js';
+import { sessionStore } from '../../services/sessionStore.js';
+import { setStorage } from '../../services/storage/index.js';
+import { createMemoryStorage } from '../../services/storage/memoryStorage.js';
+
+const textEntry = (role, text) => ({ role, parts: [{ text }] });
+
+describe('Conversation Service', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    setStorage(storage);
+    sessionStore.clear();
+  });
+
+  describe('openConversation', () => {
+    test('should create the default conversation on first use', async () => {
+      const conversation = await openConversation('session-a', 'session-a');
+
+      expect(conversation.id).toBe('session-a');
+      expect(conversation.ownerId).toBe('session-a');
+      expect((await storage.loadConversation('session-a')).ownerId).toBe('session-a');
+    });
+
+    test('should restore conversations that left the working set', async () => {
+      const conversation = await openConversation('session-a', 'session-a');
+      await appendToHistory(conversation, [textEntry('user', 'Halo')]);
+      sessionStore.clear();
+
+      const restored = await openConversation('session-a', 'session-a');
+
+      expect(restored.history).toEqual([textEntry('user', 'Halo')]);
+      expect(restored.isPersonalitySet).toBe(true);
+    });
+
+    test('should refuse conversations owned by someone else', async () => {
+      await openConversation('session-a', 'session-a');
+      sessionStore.clear();
+
+      await expect(openConversation('session-a', 'session-b')).rejects.toThrow('Conversation not found');
+    });
+  });
+
+  describe('CRUD', () => {
+    test('should create and find a conversation for its owner only', async () => {
+      const created = await createConversation('owner-1', { title: 'Resep' });
+
+      expect(created).toEqual(expect.objectContaining({
+        ownerId: 'owner-1',
+        title: 'Resep',
+        messageCount: 0
+      }));
+      expect(await findConversation(created.id, 'owner-1')).not.toBeNull();
+      expect(await findConversation(created.id, 'owner-2')).toBeNull();
+      expect(await findConversation('missing', 'owner-1')).toBeNull();
+    });
+
+    test('should list conversations with pagination info', async () => {
+      await createConversation('owner-1');
+      await createConversation('owner-1');
+      await createConversation('owner-1');
+      await createConversation('owner-2');
+
+      const page = await listConversations('owner-1', { page: 2, limit: 2 });
+
+      expect(page.items).toHaveLength(1);
+      expect(page).toEqual(expect.objectContaining({ page: 2, limit: 2, total: 3, totalPages: 2 }));
+    });
+
+    test('should return a conversation with its history', async () => {
+      const created = await createConversation('owner-1');
+      await appendToHistory(await findConversation(created.id, 'owner-1'), [textEntry('user', 'Halo')]);
+
+      const conversation = await getConversation(created.id, 'owner-1');
+
+      expect(conversation.messageCount).toBe(1);
+      expect(conversation.history).toEqual([textEntry('user', 'Halo')]);
+      expect(await getConversation(created.id, 'owner-2')).toBeNull();
+    });
+
+    test('should rename a conversation', async () => {
+      const created = await createConversation('owner-1');
+
+      const renamed = await renameConversation(created.id, 'owner-1', 'Liburan');
+
+      expect(renamed.title).toBe('Liburan');
+      expect((await storage.loadConversation(created.id)).title).toBe('Liburan');
+      expect(await renameConversation(created.id, 'owner-2', 'Nope')).toBeNull();
+    });
+
+    test('should delete a conversation', async () => {
+      const created = await createConversation('owner-1');
+
+      expect(await deleteConversation(created.id, 'owner-2')).toBe(false);
+      expect(await deleteConversation(created.id, 'owner-1')).toBe(true);
+      expect(await findConversation(created.id, 'owner-1')).toBeNull();
+      expect(await storage.loadConversation(created.id)).toBeNull();
+    });
+  });
+
+  describe('forkConversation', () => {
+    let source;
+
+    beforeEach(async () => {
+      source = await createConversation('owner-1', { title: 'Resep' });
+      await appendToHistory(await findConversation(source.id, 'owner-1'), [
+        textEntry('user', 'one'),
+        textEntry('model', 'two'),
+        textEntry('user', 'three')
+      ]);
+    });
+
+    test('should copy history up to and including the given message', async () => {
+      const fork = await forkConversation(source.id, 'owner-1', 1);
+
+      expect(fork.id).not.toBe(source.id);
+      expect(fork.title).toBe('Resep (fork)');
+      expect(fork.forkedFrom).toEqual({ conversationId: source.id, messageIndex: 1 });
+
+      const stored = await storage.loadConversation(fork.id);
+      expect(stored.history.map(entry => entry.parts[0].text)).toEqual(['one', 'two']);
+    });
+
+    test('should leave the source untouched', async () => {
+      const fork = await forkConversation(source.id, 'owner-1', 0);
+      await appendToHistory(await findConversation(fork.id, 'owner-1'), [textEntry('user', 'branch')]);
+
+      const original = await getConversation(source.id, 'owner-1');
+      expect(original.history.map(entry => entry.parts[0].text)).toEqual(['one', 'two', 'three']);
+    });
+
+    test('should reject indexes outside the history', async () => {
+      await expect(forkConversation(source.id, 'owner-1', 3)).rejects.toThrow(RangeError);
+    });
+
+    test('should return null for conversations the caller does not own', async () => {
+      expect(await forkConversation(source.id, 'owner-2', 0)).toBeNull();
+    });
+  });
+});
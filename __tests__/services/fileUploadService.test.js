@@ -0,0 +1,298 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+jest.mock('../../services/providers/index.js', () => ({
+  getProvider: jest.fn()
+}));
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getProvider } from '../../services/providers/index.js';
+import {
+  selectOffloaded,
+  prepareFiles,
+  offloadInlineData,
+  resolveFileRefs,
+  pruneUploads,
+  clearUploads
+} from '../../services/fileUploadService.js';
+
+const MB = 1024 * 1024;
+const HOUR = 60 * 60 * 1000;
+
+function upload(name, expiresAt = Date.now() + 48 * HOUR) {
+  return { name, uri: `https://files.test/${name}`, mimeType: 'video/mp4', sizeBytes: 3, expiresAt };
+}
+
+describe('File Upload Service', () => {
+  let provider;
+
+  beforeEach(() => {
+    process.env.FILE_INLINE_LIMIT_MB = '1';
+    provider = {
+      name: 'test',
+      uploadFile: jest.fn(async () => upload('files/abc')),
+      deleteFile: jest.fn(async () => {})
+    };
+    getProvider.mockReturnValue(provider);
+    clearUploads();
+  });
+
+  afterEach(() => {
+    delete process.env.FILE_INLINE_LIMIT_MB;
+  });
+
+  describe('selectOffloaded', () => {
+    test('should keep requests under the limit inline', () => {
+      expect(selectOffloaded([0.5 * MB, 0.5 * MB])).toEqual(new Set());
+    });
+
+    test('should upload the largest files until the rest fits', () => {
+      expect(selectOffloaded([0.6 * MB, 2 * MB, 0.5 * MB])).toEqual(new Set([1, 0]));
+      expect(selectOffloaded([0.4 * MB, 2 * MB, 0.5 * MB])).toEqual(new Set([1]));
+    });
+
+    test('should default to 15MB', () => {
+      delete process.env.FILE_INLINE_LIMIT_MB;
+      expect(selectOffloaded([15 * MB])).toEqual(new Set());
+      expect(selectOffloaded([16 * MB])).toEqual(new Set([0]));
+    });
+  });
+
+  describe('prepareFiles', () => {
+    const smallFile = { buffer: Buffer.from('abc'), mimetype: 'image/png', size: 3, originalname: 'a.png' };
+    const largeFile = { buffer: Buffer.from('video'), mimetype: 'video/mp4', size: 2 * MB, originalname: 'clip.mp4' };
+
+    test('should reference large files by URI and keep small ones inline', async () => {
+      const fileData = await prepareFiles([smallFile, largeFile]);
+
+      expect(fileData).toEqual([
+        { mimeType: 'image/png', data: 'YWJj' },
+        { mimeType: 'video/mp4', fileUri: 'https://files.test/files/abc' }
+      ]);
+      expect(provider.uploadFile).toHaveBeenCalledWith(largeFile.buffer, {
+        mimeType: 'video/mp4',
+        displayName: 'clip.mp4',
+        signal: undefined
+      });
+    });
+
+    test('should upload the same content only once', async () => {
+      await Promise.all([prepareFiles([largeFile]), prepareFiles([largeFile])]);
+      await prepareFiles([{ ...largeFile, originalname: 'copy.mp4' }]);
+
+      expect(provider.uploadFile).toHaveBeenCalledTimes(1);
+    });
+
+    test('should upload again when the cached file is about to expire', async () => {
+      provider.uploadFile.mockResolvedValueOnce(upload('files/old', Date.now() + HOUR / 2));
+
+      await prepareFiles([largeFile]);
+      const [fileData] = await prepareFiles([largeFile]);
+
+      expect(provider.uploadFile).toHaveBeenCalledTimes(2);
+      expect(fileData.fileUri).toBe('https://files.test/files/abc');
+    });
+
+    test('should not cache failed uploads', async () => {
+      provider.uploadFile.mockRejectedValueOnce(new Error('upload failed'));
+
+      await expect(prepareFiles([largeFile])).rejects.toThrow('upload failed');
+      await expect(prepareFiles([largeFile])).resolves.toEqual([
+        { mimeType: 'video/mp4', fileUri: 'https://files.test/files/abc' }
+      ]);
+    });
+
+    test('should stream disk uploads from their temporary file', async () => {
+      const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-files-test-'));
+      const smallPath = path.join(directory, 'small');
+      await fs.writeFile(smallPath, 'abc');
+      const diskFiles = [
+        { path: smallPath, sha256: 'small-hash', mimetype: 'image/png', size: 3, originalname: 'a.png' },
+        { path: path.join(directory, 'large'), sha256: 'large-hash', mimetype: 'video/mp4', size: 2 * MB, originalname: 'clip.mp4' }
+      ];
+
+      try {
+        await expect(prepareFiles(diskFiles)).resolves.toEqual([
+          { mimeType: 'image/png', data: 'YWJj' },
+          { mimeType: 'video/mp4', fileUri: 'https://files.test/files/abc' }
+        ]);
+        await prepareFiles([{ ...diskFiles[1], path: path.join(directory, 'other-temp-file') }]);
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+
+      expect(provider.uploadFile).toHaveBeenCalledTimes(1);
+      expect(provider.uploadFile).toHaveBeenCalledWith(path.join(directory, 'large'), expect.objectContaining({ mimeType: 'video/mp4' }));
+    });
+
+    test('should send the text extracted from CSV and Office documents', async () => {
+      const csv = { buffer: Buffer.from('a,b\n1,2'), mimetype: 'text/csv', size: 7, originalname: 'data.csv' };
+
+      await expect(prepareFiles([csv, smallFile])).resolves.toEqual([
+        { mimeType: 'text/csv', text: '| a | b |\n| --- | --- |\n| 1 | 2 |', extractor: 'csv' },
+        { mimeType: 'image/png', data: 'YWJj' }
+      ]);
+    });
+
+    test('should upload extracted text that does not fit inline as plain text', async () => {
+      const csv = { buffer: Buffer.from(`a\n${'x'.repeat(2 * MB)}`), mimetype: 'text/csv', size: 2 * MB, originalname: 'big.csv' };
+
+      await expect(prepareFiles([csv])).resolves.toEqual([
+        { mimeType: 'video/mp4', fileUri: 'https://files.test/files/abc', extractor: 'csv' }
+      ]);
+      expect(provider.uploadFile).toHaveBeenCalledWith(expect.any(Buffer), {
+        mimeType: 'text/plain',
+        displayName: 'big.csv',
+        signal: undefined
+      });
+    });
+
+    test('should send documents that cannot be extracted as they are', async () => {
+      const docx = {
+        buffer: Buffer.from('PK\x03\x04 broken'),
+        mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        size: 14,
+        originalname: 'report.docx'
+      };
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await expect(prepareFiles([docx])).resolves.toEqual([
+        { mimeType: docx.mimetype, data: docx.buffer.toString('base64') }
+      ]);
+      expect(warn).toHaveBeenCalledWith('Failed to extract text from report.docx, sending the file as is: Not a ZIP archive');
+    });
+
+    test('should keep everything inline when the provider has no Files API', async () => {
+      getProvider.mockReturnValue({ name: 'plain' });
+
+      await expect(prepareFiles([largeFile])).resolves.toEqual([
+        { mimeType: 'video/mp4', data: Buffer.from('video').toString('base64') }
+      ]);
+    });
+  });
+
+  describe('offloadInlineData', () => {
+    const bigData = Buffer.alloc(2 * MB).toString('base64');
+
+    test('should replace large inline parts without touching the history', async () => {
+      const contents = [
+        { role: 'user', parts: [{ text: 'Watch this' }, { inlineData: { mimeType: 'video/mp4', data: bigData } }] },
+        { role: 'model', parts: [{ text: 'Nice' }] },
+        { role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: 'YWJj' } }] }
+      ];
+
+      const sent = await offloadInlineData(contents);
+
+      expect(sent[0].parts).toEqual([
+        { text: 'Watch this' },
+        { fileData: { fileUri: 'https://files.test/files/abc', mimeType: 'video/mp4' } }
+      ]);
+      expect(sent[1]).toBe(contents[1]);
+      expect(sent[2]).toBe(contents[2]);
+      expect(contents[0].parts[1].inlineData.data).toBe(bigData);
+    });
+
+    test('should reuse the upload on the next turn', async () => {
+      const contents = [{ role: 'user', parts: [{ inlineData: { mimeType: 'video/mp4', data: bigData } }] }];
+
+      await offloadInlineData(contents);
+      await offloadInlineData([...contents, { role: 'user', parts: [{ text: 'And now?' }] }]);
+
+      expect(provider.uploadFile).toHaveBeenCalledTimes(1);
+    });
+
+    test('should return small contents as they are', async () => {
+      const contents = [{ role: 'user', parts: [{ text: 'Halo' }] }];
+
+      await expect(offloadInlineData(contents)).resolves.toBe(contents);
+      getProvider.mockReturnValue({ name: 'plain' });
+      await expect(offloadInlineData(contents)).resolves.toBe(contents);
+    });
+  });
+
+  describe('resolveFileRefs', () => {
+    const sha256 = 'b'.repeat(64);
+    const fileRef = { sha256, mimeType: 'video/mp4', size: 5 };
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-attachments-test-'));
+      process.env.CHAT_ATTACHMENTS_DIR = directory;
+      await fs.writeFile(path.join(directory, sha256), 'video');
+    });
+
+    afterEach(async () => {
+      delete process.env.CHAT_ATTACHMENTS_DIR;
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should upload referenced attachments from their file once', async () => {
+      const contents = [
+        { role: 'user', parts: [{ text: 'Watch this' }, { fileRef }] },
+        { role: 'model', parts: [{ text: 'Nice' }] }
+      ];
+
+      const sent = await offloadInlineData(contents);
+      await offloadInlineData(contents);
+
+      expect(sent[0].parts).toEqual([
+        { text: 'Watch this' },
+        { fileData: { fileUri: 'https://files.test/files/abc', mimeType: 'video/mp4' } }
+      ]);
+      expect(sent[1]).toBe(contents[1]);
+      expect(contents[0].parts[1]).toEqual({ fileRef });
+      expect(provider.uploadFile).toHaveBeenCalledTimes(1);
+      expect(provider.uploadFile).toHaveBeenCalledWith(path.join(directory, sha256), { mimeType: 'video/mp4', signal: undefined });
+    });
+
+    test('should inline referenced attachments without a Files API', async () => {
+      getProvider.mockReturnValue({ name: 'plain' });
+
+      const sent = await resolveFileRefs([{ role: 'user', parts: [{ fileRef }] }]);
+
+      expect(sent[0].parts).toEqual([{ inlineData: { mimeType: 'video/mp4', data: Buffer.from('video').toString('base64') } }]);
+    });
+
+    test('should send a placeholder for attachments that were swept', async () => {
+      await fs.rm(path.join(directory, sha256));
+
+      const sent = await resolveFileRefs([{ role: 'user', parts: [{ fileRef }] }]);
+
+      expect(sent[0].parts).toEqual([{ text: '[video/mp4 attachment no longer available]' }]);
+      expect(provider.uploadFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pruneUploads', () => {
+    const largeFile = { buffer: Buffer.from('video'), mimetype: 'video/mp4', size: 2 * MB, originalname: 'clip.mp4' };
+
+    test('should drop uploads close to expiry and delete their files', async () => {
+      await prepareFiles([largeFile]);
+
+      expect(await pruneUploads(Date.now() + 24 * HOUR)).toBe(0);
+      expect(await pruneUploads(Date.now() + 47.5 * HOUR)).toBe(1);
+      expect(provider.deleteFile).toHaveBeenCalledWith('files/abc');
+
+      await prepareFiles([largeFile]);
+      expect(provider.uploadFile).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not delete files that already expired', async () => {
+      await prepareFiles([largeFile]);
+      provider.deleteFile.mockRejectedValue(new Error('not found'));
+
+      expect(await pruneUploads(Date.now() + 49 * HOUR)).toBe(1);
+      expect(provider.deleteFile).not.toHaveBeenCalled();
+    });
+
+    test('should keep pruning when a delete fails', async () => {
+      await prepareFiles([largeFile]);
+      provider.deleteFile.mockRejectedValue(new Error('not found'));
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await pruneUploads(Date.now() + 47.5 * HOUR)).toBe(1);
+      expect(warn).toHaveBeenCalledWith('Failed to delete uploaded file files/abc: not found');
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+import { createHmac, generateKeyPairSync, sign } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createJwtConfig,
+  setJwtConfig,
+  isJwtEnabled,
+  looksLikeJwt,
+  ownerIdForUser,
+  verifyJwt,
+  loadJwks
+} from '../../services/jwtAuthService.js';
+
+const SECRET = 'portal-shared-secret';
+const NOW = Date.parse('2025-10-15T12:00:00.000Z');
+const HOUR = 60 * 60;
+
+/**
+ * Encode a JSON token part
+ * @param {Object} value - Header or payload
+ * @returns {string} - base64url JSON
+ */
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a token with a shared secret (HS256)
+ * @param {Object} claims - Payload
+ * @param {string} secret - Shared secret
+ * @returns {string} - JWT
+ */
+function signHmac(claims, secret = SECRET) {
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${input}.${createHmac('sha256', secret).update(input).digest('base64url')}`;
+}
+
+/**
+ * Sign a token with a private key
+ * @param {Object} header - Token header with alg and kid
+ * @param {Object} claims - Payload
+ * @param {KeyObject} privateKey - Signing key
+ * @returns {string} - JWT
+ */
+function signWithKey(header, claims, privateKey) {
+  const input = `${encode(header)}.${encode(claims)}`;
+  const options = header.alg === 'ES256' ? { key: privateKey, dsaEncoding: 'ieee-p1363' } : privateKey;
+  return `${input}.${sign('sha256', Buffer.from(input), options).toString('base64url')}`;
+}
+
+const claims = (extra = {}) => ({ sub: 'user-42', name: 'Siti', exp: NOW / 1000 + HOUR, ...extra });
+
+describe('JWT Auth Service', () => {
+  afterEach(() => {
+    setJwtConfig(null);
+  });
+
+  test('should stay off without a secret or JWKS file', () => {
+    expect(createJwtConfig({})).toBeNull();
+    expect(isJwtEnabled()).toBe(false);
+    expect(() => verifyJwt(signHmac(claims()), NOW)).toThrow('Invalid token');
+  });
+
+  test('should reject unknown default scopes', () => {
+    expect(() => createJwtConfig({ JWT_SECRET: SECRET, JWT_DEFAULT_SCOPES: 'chat,root' }))
+      .toThrow('Invalid JWT_DEFAULT_SCOPES: unknown scope root');
+  });
+
+  test('looksLikeJwt should tell tokens from API keys', () => {
+    expect(looksLikeJwt(signHmac(claims()))).toBe(true);
+    expect(looksLikeJwt('nk_search_0123456789abcdef')).toBe(false);
+  });
+
+  test('ownerIdForUser should be stable and usable as a conversation ID', () => {
+    expect(ownerIdForUser('auth0|42')).toBe(ownerIdForUser('auth0|42'));
+    expect(ownerIdForUser('auth0|42')).toMatch(/^jwt_[0-9a-f]{40}$/);
+    expect(ownerIdForUser('auth0|43')).not.toBe(ownerIdForUser('auth0|42'));
+  });
+
+  describe('with a shared secret', () => {
+    const configure = (env = {}) => setJwtConfig(createJwtConfig({ JWT_SECRET: SECRET, ...env }));
+
+    test('should map the claims to the user', () => {
+      configure();
+
+      expect(isJwtEnabled()).toBe(true);
+      expect(verifyJwt(signHmac(claims({ email: 'siti@example.com', roles: ['admin', 'editor'] })), NOW)).toEqual({
+        id: 'user-42',
+        ownerId: ownerIdForUser('user-42'),
+        name: 'Siti',
+        email: 'siti@example.com',
+        roles: ['admin', 'editor'],
+        scopes: ['chat', 'files', 'admin']
+      });
+    });
+
+    test('should read custom and nested claims', () => {
+      configure({ JWT_USER_CLAIM: 'preferred_username', JWT_ROLES_CLAIM: 'realm_access.roles', JWT_DEFAULT_SCOPES: '' });
+
+      const user = verifyJwt(signHmac(claims({ preferred_username: 'siti', realm_access: { roles: ['chat'] } })), NOW);
+
+      expect(user.id).toBe('siti');
+      expect(user.scopes).toEqual(['chat']);
+      expect(() => verifyJwt(signHmac(claims({ realm_access: {} })), NOW)).toThrow('Token has no preferred_username claim');
+    });
+
+    test('should accept space-separated roles', () => {
+      configure({ JWT_ROLES_CLAIM: 'scope' });
+
+      expect(verifyJwt(signHmac(claims({ scope: 'openid admin' })), NOW).roles).toEqual(['openid', 'admin']);
+    });
+
+    test.each([
+      ['a wrong signature', signHmac(claims(), 'other-secret'), 'Invalid token signature'],
+      ['unsigned tokens', `${encode({ alg: 'none' })}.${encode(claims())}.x`, 'Invalid token signature'],
+      ['garbage', 'a.b.c', 'Invalid token'],
+      ['tokens without expiry', signHmac(claims({ exp: undefined })), 'Token has no expiry'],
+      ['expired tokens', signHmac(claims({ exp: NOW / 1000 - 60 })), 'Token has expired'],
+      ['tokens not valid yet', signHmac(claims({ nbf: NOW / 1000 + 60 })), 'Token is not valid yet']
+    ])('should reject %s', (description, token, message) => {
+      configure();
+      expect(() => verifyJwt(token, NOW)).toThrow(message);
+    });
+
+    test('should tolerate a small clock difference', () => {
+      configure();
+      expect(verifyJwt(signHmac(claims({ exp: NOW / 1000 - 10 })), NOW).id).toBe('user-42');
+    });
+
+    test('should check the issuer and audience when configured', () => {
+      configure({ JWT_ISSUER: 'https://portal.example.com', JWT_AUDIENCE: 'nengai' });
+
+      const valid = claims({ iss: 'https://portal.example.com', aud: ['nengai', 'wiki'] });
+      expect(verifyJwt(signHmac(valid), NOW).id).toBe('user-42');
+      expect(() => verifyJwt(signHmac({ ...valid, iss: 'https://evil.example.com' }), NOW)).toThrow('Token issuer is not accepted');
+      expect(() => verifyJwt(signHmac({ ...valid, aud: 'wiki' }), NOW)).toThrow('Token audience is not accepted');
+    });
+  });
+
+  describe('with a JWKS file', () => {
+    let directory;
+    let rsa;
+    let ec;
+
+    beforeAll(() => {
+      rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+      ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    });
+
+    /**
+     * Write a JWKS file with the public keys and configure it
+     * @param {Object} env - Extra environment variables
+     */
+    async function configure(env = {}) {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-jwks-test-'));
+      const file = path.join(directory, 'jwks.json');
+      await fs.writeFile(file, JSON.stringify({
+        keys: [
+          { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+          { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1' }
+        ]
+      }));
+      setJwtConfig(createJwtConfig({ JWT_JWKS_FILE: file, ...env }));
+    }
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should verify RSA and EC signatures with the key of the kid', async () => {
+      await configure();
+
+      expect(verifyJwt(signWithKey({ alg: 'RS256', kid: 'rsa-1' }, claims(), rsa.privateKey), NOW).id).toBe('user-42');
+      expect(verifyJwt(signWithKey({ alg: 'ES256', kid: 'ec-1' }, claims(), ec.privateKey), NOW).id).toBe('user-42');
+      expect(verifyJwt(signWithKey({ alg: 'ES256' }, claims(), ec.privateKey), NOW).id).toBe('user-42');
+    });
+
+    test('should refuse keys of another kid, algorithm or the shared secret', async () => {
+      await configure();
+
+      expect(() => verifyJwt(signWithKey({ alg: 'RS256', kid: 'ec-1' }, claims(), rsa.privateKey), NOW)).toThrow('Invalid token signature');
+      expect(() => verifyJwt(signWithKey({ alg: 'ES256', kid: 'rsa-1' }, claims(), ec.privateKey), NOW)).toThrow('Invalid token signature');
+      expect(() => verifyJwt(signHmac(claims()), NOW)).toThrow('Invalid token signature');
+    });
+
+    test('loadJwks should reject invalid files', async () => {
+      await configure();
+      const file = path.join(directory, 'invalid.json');
+
+      await fs.writeFile(file, JSON.stringify({ keys: [{ kty: 'oct', k: 'c2VjcmV0' }] }));
+      expect(() => loadJwks(file)).toThrow(`Invalid JWKS file ${file}: "keys[0].kty" must be one of [RSA, EC]`);
+
+      await fs.writeFile(file, JSON.stringify({ keys: [{ kty: 'RSA', n: 'broken' }] }));
+      expect(() => loadJwks(file)).toThrow(`Invalid JWKS file ${file}: key 0 cannot be read`);
+    });
+  });
+});
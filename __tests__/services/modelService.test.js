@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadModelCatalog,
+  setModelCatalog,
+  getModel,
+  routeModel,
+  supportsTask,
+  listModels
+} from '../../services/modelService.js';
+
+const model = (overrides = {}) => ({
+  id: 'flash',
+  name: 'Flash',
+  modalities: ['text', 'image'],
+  contextWindow: 1000,
+  maxOutputTokens: 100,
+  ...overrides
+});
+
+describe('Model Service', () => {
+  let tempDir;
+  let catalogFile;
+
+  const writeCatalog = (data) => fs.writeFile(catalogFile, JSON.stringify(data));
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-models-'));
+    catalogFile = path.join(tempDir, 'models.json');
+  });
+
+  afterEach(async () => {
+    setModelCatalog(null);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadModelCatalog', () => {
+    test('should load and default a catalog', async () => {
+      await writeCatalog({ default: 'flash', models: [model()] });
+
+      const catalog = loadModelCatalog(catalogFile);
+
+      expect(catalog.defaultId).toBe('flash');
+      expect(catalog.routing).toEqual({});
+      expect(catalog.models.get('flash').description).toBe('');
+    });
+
+    test('should reject invalid catalogs', async () => {
+      await writeCatalog({ default: 'flash', models: [model({ modalities: ['smell'] })] });
+
+      expect(() => loadModelCatalog(catalogFile)).toThrow(/Invalid model catalog .*models\.json: "models\[0\]\.modalities\[0\]" must be one of/);
+    });
+
+    test('should require the default and routed models to be listed', async () => {
+      await writeCatalog({ default: 'flash', models: [model()] });
+      expect(() => loadModelCatalog(catalogFile, 'pro')).toThrow('Default model "pro" not found');
+
+      await writeCatalog({ default: 'flash', routing: { text: 'pro' }, models: [model()] });
+      expect(() => loadModelCatalog(catalogFile)).toThrow('Model "pro" routed for text not found');
+    });
+
+    test('should reject routing to a model without the needed modality', async () => {
+      await writeCatalog({ default: 'flash', routing: { video: 'flash' }, models: [model()] });
+
+      expect(() => loadModelCatalog(catalogFile)).toThrow('Model "flash" routed for video does not accept video input');
+    });
+  });
+
+  describe('catalog', () => {
+    beforeEach(async () => {
+      await writeCatalog({
+        default: 'flash',
+        routing: { video: 'pro' },
+        models: [model(), model({ id: 'pro', name: 'Pro', modalities: ['text', 'video'] })]
+      });
+      setModelCatalog(loadModelCatalog(catalogFile));
+    });
+
+    test('should route requests to the configured models', () => {
+      expect(routeModel('video')).toBe('pro');
+      expect(routeModel('text')).toBe('flash');
+      expect(routeModel('chat')).toBe('flash');
+    });
+
+    test('should check models against the allow-list and their modalities', () => {
+      expect(getModel('gemini-ultra')).toBeNull();
+      expect(supportsTask(getModel('flash'), 'chat')).toBe(true);
+      expect(supportsTask(getModel('flash'), 'video')).toBe(false);
+    });
+
+    test('should describe every model', () => {
+      expect(listModels()).toEqual([
+        expect.objectContaining({
+          id: 'flash',
+          supportsFiles: true,
+          routedFor: ['text', 'chat', 'image', 'document', 'audio'],
+          isDefault: true
+        }),
+        expect.objectContaining({ id: 'pro', routedFor: ['video'], isDefault: false })
+      ]);
+    });
+  });
+
+  test('should ship a catalog routing video to a stronger model', () => {
+    expect(routeModel('text')).toBe('gemini-2.5-flash');
+    expect(routeModel('video')).toBe('gemini-2.5-pro');
+    expect(listModels().map(item => item.id)).toEqual(expect.arrayContaining(['gemini-2.5-flash', 'gemini-2.5-pro']));
+  });
+});
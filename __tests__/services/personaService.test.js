@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  loadPersonas,
+  createPersonaRegistry,
+  setPersonaRegistry,
+  getPersona,
+  resolvePersona,
+  getDefaultPersonaId,
+  listPersonas
+} from '../../services/personaService.js';
+
+const persona = (overrides = {}) => ({
+  id: 'tester',
+  name: 'Tester',
+  language: 'en',
+  systemInstruction: 'You test things.',
+  ...overrides
+});
+
+describe('Persona Service', () => {
+  let tempDir;
+
+  const writePersona = (file, data) =>
+    fs.writeFile(path.join(tempDir, file), JSON.stringify(data));
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-personas-'));
+  });
+
+  afterEach(async () => {
+    setPersonaRegistry(null);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadPersonas', () => {
+    test('should load and default persona files', async () => {
+      await writePersona('tester.json', persona());
+      await fs.writeFile(path.join(tempDir, 'README.md'), 'ignored');
+
+      const personas = loadPersonas(tempDir);
+
+      expect([...personas.keys()]).toEqual(['tester']);
+      expect(personas.get('tester')).toEqual(expect.objectContaining({ greeting: '', description: '' }));
+    });
+
+    test('should reject invalid persona files', async () => {
+      await writePersona('broken.json', persona({ systemInstruction: undefined }));
+
+      expect(() => loadPersonas(tempDir)).toThrow(/Invalid persona file .*broken\.json: "systemInstruction" is required/);
+    });
+
+    test('should reject duplicate IDs', async () => {
+      await writePersona('a.json', persona());
+      await writePersona('b.json', persona());
+
+      expect(() => loadPersonas(tempDir)).toThrow('Duplicate persona ID "tester"');
+    });
+  });
+
+  describe('registry', () => {
+    test('should require the default persona to exist', async () => {
+      await writePersona('tester.json', persona());
+
+      expect(() => createPersonaRegistry({ dir: tempDir, defaultId: 'missing' }))
+        .toThrow('Default persona "missing" not found');
+    });
+
+    test('should resolve personas with a fallback to the default', async () => {
+      await writePersona('tester.json', persona());
+      await writePersona('other.json', persona({ id: 'other', temperature: 0.2 }));
+      setPersonaRegistry(createPersonaRegistry({ dir: tempDir, defaultId: 'tester' }));
+
+      expect(getDefaultPersonaId()).toBe('tester');
+      expect(getPersona('other').temperature).toBe(0.2);
+      expect(getPersona('missing')).toBeNull();
+      expect(resolvePersona('other').id).toBe('other');
+      expect(resolvePersona(null).id).toBe('tester');
+      expect(resolvePersona('removed-later').id).toBe('tester');
+    });
+
+    test('should list personas without their system instruction', async () => {
+      await writePersona('tester.json', persona({ greeting: 'Hi' }));
+      setPersonaRegistry(createPersonaRegistry({ dir: tempDir, defaultId: 'tester' }));
+
+      expect(listPersonas()).toEqual([{
+        id: 'tester',
+        name: 'Tester',
+        description: '',
+        language: 'en',
+        temperature: null,
+        greeting: 'Hi',
+        isDefault: true
+      }]);
+    });
+  });
+
+  test('should ship the bundled personas', () => {
+    const ids = listPersonas().map(item => item.id);
+
+    expect(ids).toEqual(expect.arrayContaining(['neng-ai', 'assistant']));
+    expect(getDefaultPersonaId()).toBe('neng-ai');
+    expect(resolvePersona(null).systemInstruction).toContain('Neng AI');
+  });
+});
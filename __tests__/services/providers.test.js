@@ -0,0 +1,594 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+jest.mock('@google/genai', () => {
+  const generateContent = jest.fn();
+  const generateContentStream = jest.fn();
+  const files = { upload: jest.fn(), get: jest.fn(), delete: jest.fn() };
+  return {
+    GoogleGenAI: jest.fn(() => ({
+      models: { generateContent, generateContentStream },
+      files
+    })),
+    __mocks: { generateContent, generateContentStream, files }
+  };
+});
+
+import { GoogleGenAI, __mocks } from '@google/genai';
+import { createGeminiProvider } from '../../services/providers/geminiProvider.js';
+import { createMockProvider } from '../../services/providers/mockProvider.js';
+import { classifyGeminiError, assertNotBlocked } from '../../services/providers/geminiErrors.js';
+import { LLMError } from '../../utils/errors.js';
+import {
+  createProvider,
+  getProvider,
+  setProvider,
+  getProviderNames
+} from '../../services/providers/index.js';
+
+// Error shaped like the SDK's ApiError
+function apiError(status, reason, message, details = []) {
+  const error = new Error(`got status: ${status}. ${JSON.stringify({ error: { code: status, message, status: reason, details } })}`);
+  error.name = 'ApiError';
+  error.status = status;
+  return error;
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('LLM Providers', () => {
+  describe('mock provider', () => {
+    const provider = createMockProvider();
+
+    test('should echo text prompts deterministically', async () => {
+      const first = await provider.generateText('Halo Neng');
+      const second = await provider.generateText('Halo Neng');
+
+      expect(first).toEqual(second);
+      expect(first.text).toBe('[mock] Halo Neng');
+      expect(first.usage).toEqual({
+        promptTokenCount: 3,
+        candidatesTokenCount: 4,
+        totalTokenCount: 7
+      });
+    });
+
+    test('should describe inline files', async () => {
+      const result = await provider.generateFromFile('Describe', {
+        mimeType: 'image/png',
+        data: Buffer.from('12345').toString('base64')
+      });
+
+      expect(result.text).toBe('[mock] Describe (image/png, 5 bytes)');
+    });
+
+    test('should describe every file of a multi-file request', async () => {
+      const result = await provider.generateFromFile('Compare', [
+        { mimeType: 'image/png', data: Buffer.from('12345').toString('base64'), name: 'a.png' },
+        { mimeType: 'image/jpeg', data: Buffer.from('123').toString('base64'), name: 'b.jpg' }
+      ]);
+
+      expect(result.text).toBe('[mock] Compare (image/png, 5 bytes; image/jpeg, 3 bytes)');
+    });
+
+    test('should describe extracted document text', async () => {
+      const result = await provider.generateFromFile('Summarize', { mimeType: 'text/csv', text: '| a |\n| --- |', extractor: 'csv' });
+
+      expect(result.text).toBe('[mock] Summarize (text/csv, 13 characters of text)');
+    });
+
+    test('should describe uploaded files by URI', async () => {
+      const upload = await provider.uploadFile(Buffer.from('video'), { mimeType: 'video/mp4' });
+      const result = await provider.generateFromFile('Describe', { mimeType: 'video/mp4', fileUri: upload.uri });
+
+      expect(upload).toEqual({
+        name: expect.stringMatching(/^files\/mock-[0-9a-f]{12}$/),
+        uri: `mock://${upload.name}`,
+        mimeType: 'video/mp4',
+        sizeBytes: 5,
+        expiresAt: expect.any(Number)
+      });
+      expect(result.text).toBe(`[mock] Describe (video/mp4, ${upload.uri})`);
+    });
+
+    test('should reply to the last user turn of a conversation', async () => {
+      const result = await provider.conversation([
+        { role: 'model', parts: [{ text: 'Halo!' }] },
+        { role: 'user', parts: [{ text: 'Naon kabar?' }, { inlineData: { mimeType: 'image/png', data: '' } }] }
+      ]);
+
+      expect(result.text).toBe('[mock] Naon kabar? [image/png]');
+    });
+
+    test('should stream the reply word by word with usage on the last chunk', async () => {
+      const chunks = await collect(provider.stream('one two three'));
+
+      expect(chunks.map(c => c.text).join('')).toBe('[mock] one two three');
+      expect(chunks.length).toBe(4);
+      expect(chunks.slice(0, -1).every(c => c.usage === null)).toBe(true);
+      expect(chunks[chunks.length - 1].usage).toEqual(expect.objectContaining({
+        totalTokenCount: expect.any(Number)
+      }));
+    });
+
+    test('should reply with a sample matching the response schema', async () => {
+      const responseSchema = {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          kind: { enum: ['note', 'task'] },
+          tags: { type: 'array', items: { type: 'string' }, minItems: 2 },
+          done: { type: 'boolean' },
+          due: { anyOf: [{ type: 'null' }, { type: 'string' }] },
+          count: { type: 'integer', minimum: 3 }
+        }
+      };
+
+      const result = await provider.generateText('Halo', { responseSchema });
+
+      expect(JSON.parse(result.text)).toEqual({
+        title: '[mock] Halo',
+        kind: 'note',
+        tags: ['[mock] Halo', '[mock] Halo'],
+        done: false,
+        due: null,
+        count: 3
+      });
+    });
+
+    test('should handle conversations without a user turn', async () => {
+      const result = await provider.conversation([{ role: 'model', parts: [{ text: 'Halo!' }] }]);
+
+      expect(result.text).toBe('[mock] ');
+    });
+  });
+
+  describe('gemini provider', () => {
+    beforeEach(() => {
+      GoogleGenAI.mockImplementation(() => ({
+        models: {
+          generateContent: __mocks.generateContent,
+          generateContentStream: __mocks.generateContentStream
+        },
+        files: __mocks.files
+      }));
+    });
+
+    test('should fail on use, not on creation, when the API key is missing', async () => {
+      const provider = createGeminiProvider({ apiKey: undefined, model: 'gemini-2.5-flash' });
+
+      await expect(provider.generateText('Halo')).rejects.toThrow('Gemini API Key is not set');
+      expect(GoogleGenAI).not.toHaveBeenCalled();
+    });
+
+    test('should map generateContent responses', async () => {
+      __mocks.generateContent.mockResolvedValue({
+        text: 'Generated',
+        usageMetadata: { totalTokenCount: 10 }
+      });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      const result = await provider.generateText('Halo');
+
+      expect(result).toEqual({ text: 'Generated', usage: { totalTokenCount: 10 } });
+      expect(__mocks.generateContent).toHaveBeenCalledWith({
+        model: 'gemini-2.5-flash',
+        contents: 'Halo',
+        config: undefined
+      });
+    });
+
+    test('should send inline file parts', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: 'A cat' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      const result = await provider.generateFromFile('Describe', { mimeType: 'image/png', data: 'abc' });
+
+      expect(result).toEqual({ text: 'A cat', usage: null });
+      expect(__mocks.generateContent).toHaveBeenCalledWith(expect.objectContaining({
+        contents: [{
+          role: 'user',
+          parts: [{ text: 'Describe' }, { inlineData: { mimeType: 'image/png', data: 'abc' } }]
+        }]
+      }));
+    });
+
+    test('should label each file of a multi-file request', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: 'Two cats' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      await provider.generateFromFile('Compare', [
+        { mimeType: 'image/png', data: 'abc', name: 'a.png' },
+        { mimeType: 'image/png', data: 'def' }
+      ]);
+
+      expect(__mocks.generateContent.mock.calls[0][0].contents[0].parts).toEqual([
+        { text: 'Compare' },
+        { text: 'File 1: a.png' },
+        { inlineData: { mimeType: 'image/png', data: 'abc' } },
+        { text: 'File 2' },
+        { inlineData: { mimeType: 'image/png', data: 'def' } }
+      ]);
+    });
+
+    test('should send extracted document text as a text part', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: 'A sales table' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      await provider.generateFromFile('Summarize', { mimeType: 'text/csv', text: '| a |\n| --- |', extractor: 'csv' });
+
+      expect(__mocks.generateContent.mock.calls[0][0].contents[0].parts).toEqual([
+        { text: 'Summarize' },
+        { text: '| a |\n| --- |' }
+      ]);
+    });
+
+    test('should reference uploaded files by URI', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: 'A long video' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      await provider.generateFromFile('Describe', { mimeType: 'video/mp4', fileUri: 'https://files.test/files/abc' });
+
+      expect(__mocks.generateContent.mock.calls[0][0].contents[0].parts).toEqual([
+        { text: 'Describe' },
+        { fileData: { fileUri: 'https://files.test/files/abc', mimeType: 'video/mp4' } }
+      ]);
+    });
+
+    test('should upload files and wait until they are active', async () => {
+      __mocks.files.upload.mockResolvedValue({ name: 'files/abc', state: 'PROCESSING' });
+      __mocks.files.get
+        .mockResolvedValueOnce({ name: 'files/abc', state: 'PROCESSING' })
+        .mockResolvedValueOnce({
+          name: 'files/abc',
+          uri: 'https://files.test/files/abc',
+          mimeType: 'video/mp4',
+          sizeBytes: '5',
+          state: 'ACTIVE',
+          expirationTime: '2026-10-21T10:00:00Z'
+        });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', filePollIntervalMs: 1 });
+
+      const upload = await provider.uploadFile(Buffer.from('video'), { mimeType: 'video/mp4', displayName: 'clip.mp4' });
+
+      expect(upload).toEqual({
+        name: 'files/abc',
+        uri: 'https://files.test/files/abc',
+        mimeType: 'video/mp4',
+        sizeBytes: 5,
+        expiresAt: Date.parse('2026-10-21T10:00:00Z')
+      });
+      expect(__mocks.files.upload).toHaveBeenCalledWith({
+        file: expect.any(Blob),
+        config: { mimeType: 'video/mp4', displayName: 'clip.mp4' }
+      });
+      expect(__mocks.files.get).toHaveBeenCalledTimes(2);
+      expect(__mocks.files.get).toHaveBeenCalledWith({ name: 'files/abc' });
+    });
+
+    test('should stream uploads from a file path', async () => {
+      __mocks.files.upload.mockResolvedValue({ name: 'files/abc', uri: 'https://files.test/files/abc', state: 'ACTIVE' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      const upload = await provider.uploadFile('/tmp/nengai-uploads/abc', { mimeType: 'video/mp4' });
+
+      expect(__mocks.files.upload.mock.calls[0][0].file).toBe('/tmp/nengai-uploads/abc');
+      expect(upload).toEqual(expect.objectContaining({ mimeType: 'video/mp4', sizeBytes: null, expiresAt: null }));
+    });
+
+    test('should fail uploads that Gemini cannot process', async () => {
+      __mocks.files.upload.mockResolvedValue({ name: 'files/abc', state: 'FAILED', error: { message: 'Unsupported codec' } });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      await expect(provider.uploadFile(Buffer.from('video'), { mimeType: 'video/mp4' })).rejects.toMatchObject({
+        code: 'UPSTREAM_ERROR',
+        message: 'Processing of file files/abc failed: Unsupported codec'
+      });
+    });
+
+    test('should stop waiting for uploads that stay in processing', async () => {
+      __mocks.files.upload.mockResolvedValue({ name: 'files/abc', state: 'PROCESSING' });
+      __mocks.files.get.mockResolvedValue({ name: 'files/abc', state: 'PROCESSING' });
+      const provider = createGeminiProvider({
+        apiKey: 'key',
+        model: 'gemini-2.5-flash',
+        filePollIntervalMs: 5,
+        fileProcessingTimeoutMs: 12
+      });
+
+      await expect(provider.uploadFile(Buffer.from('video'), { mimeType: 'video/mp4' })).rejects.toMatchObject({
+        code: 'TIMEOUT',
+        message: 'File files/abc was still processing after 12ms'
+      });
+    });
+
+    test('should delete uploaded files', async () => {
+      __mocks.files.delete.mockResolvedValue({});
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      await provider.deleteFile('files/abc');
+
+      expect(__mocks.files.delete).toHaveBeenCalledWith({ name: 'files/abc' });
+    });
+
+    test('should pass the system instruction in config for conversations', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: 'Halo oge' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+      const contents = [{ role: 'user', parts: [{ text: 'Halo' }] }];
+
+      await provider.conversation(contents, { systemInstruction: 'Be kind', model: 'gemini-2.5-pro' });
+
+      expect(__mocks.generateContent).toHaveBeenCalledWith({
+        model: 'gemini-2.5-pro',
+        contents,
+        config: { systemInstruction: 'Be kind' }
+      });
+    });
+
+    test('should pass generation settings in config', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: 'Halo' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+
+      await provider.generateText('Halo', { generationConfig: { temperature: 0.2, stopSequences: ['END'] } });
+
+      expect(__mocks.generateContent).toHaveBeenCalledWith({
+        model: 'gemini-2.5-flash',
+        contents: 'Halo',
+        config: { temperature: 0.2, stopSequences: ['END'] }
+      });
+    });
+
+    test('should ask for JSON matching the response schema', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: '{"ok":true}' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+      const responseSchema = { type: 'object', properties: { ok: { type: 'boolean' } } };
+
+      await provider.generateText('Halo', { responseSchema });
+
+      expect(__mocks.generateContent).toHaveBeenCalledWith({
+        model: 'gemini-2.5-flash',
+        contents: 'Halo',
+        config: { responseMimeType: 'application/json', responseJsonSchema: responseSchema }
+      });
+    });
+
+    test('should declare tools and return the function calls', async () => {
+      const content = {
+        role: 'model',
+        parts: [{ functionCall: { id: 'call-1', name: 'calculator', args: { expression: '1+1' } }, thoughtSignature: 'sig' }]
+      };
+      __mocks.generateContent.mockResolvedValue({
+        candidates: [{ content }],
+        functionCalls: [content.parts[0].functionCall]
+      });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+      const parameters = { type: 'object', properties: { expression: { type: 'string' } } };
+      const contents = [{ role: 'user', parts: [{ text: 'Berapa 1+1?' }] }];
+
+      const result = await provider.conversation(contents, { tools: [{ name: 'calculator', description: 'Math', parameters }] });
+
+      expect(result).toEqual({
+        text: '',
+        usage: null,
+        functionCalls: [{ id: 'call-1', name: 'calculator', args: { expression: '1+1' } }],
+        content
+      });
+      expect(__mocks.generateContent).toHaveBeenCalledWith({
+        model: 'gemini-2.5-flash',
+        contents,
+        config: { tools: [{ functionDeclarations: [{ name: 'calculator', description: 'Math', parametersJsonSchema: parameters }] }] }
+      });
+    });
+
+    test('should stream chunks with abort signal', async () => {
+      async function* fakeStream() {
+        yield { text: 'Ha' };
+        yield { text: 'lo', usageMetadata: { totalTokenCount: 3 } };
+      }
+      __mocks.generateContentStream.mockResolvedValue(fakeStream());
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash' });
+      const signal = new AbortController().signal;
+
+      const chunks = await collect(provider.stream('Halo', { signal }));
+
+      expect(chunks).toEqual([
+        { text: 'Ha', usage: null },
+        { text: 'lo', usage: { totalTokenCount: 3 } }
+      ]);
+      expect(__mocks.generateContentStream).toHaveBeenCalledWith({
+        model: 'gemini-2.5-flash',
+        contents: 'Halo',
+        config: { abortSignal: signal }
+      });
+    });
+  });
+
+  describe('gemini provider errors', () => {
+    const noDelay = { retries: 2, baseDelayMs: 0, maxDelayMs: 0 };
+    let warnSpy;
+
+    beforeEach(() => {
+      GoogleGenAI.mockImplementation(() => ({
+        models: {
+          generateContent: __mocks.generateContent,
+          generateContentStream: __mocks.generateContentStream
+        }
+      }));
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    test('should retry transient failures', async () => {
+      __mocks.generateContent
+        .mockRejectedValueOnce(apiError(503, 'UNAVAILABLE', 'The model is overloaded'))
+        .mockRejectedValueOnce(apiError(429, 'RESOURCE_EXHAUSTED', 'Rate limit'))
+        .mockResolvedValue({ text: 'Halo' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', retry: noDelay });
+
+      await expect(provider.generateText('Halo')).resolves.toEqual({ text: 'Halo', usage: null });
+      expect(__mocks.generateContent).toHaveBeenCalledTimes(3);
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('UPSTREAM_UNAVAILABLE'));
+    });
+
+    test('should give up after the configured retries', async () => {
+      __mocks.generateContent.mockRejectedValue(apiError(500, 'INTERNAL', 'Internal error'));
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', retry: noDelay });
+
+      await expect(provider.generateText('Halo')).rejects.toMatchObject({
+        code: 'UPSTREAM_UNAVAILABLE',
+        statusCode: 503
+      });
+      expect(__mocks.generateContent).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry invalid requests', async () => {
+      __mocks.generateContent.mockRejectedValue(apiError(400, 'INVALID_ARGUMENT', 'Bad contents'));
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', retry: noDelay });
+
+      await expect(provider.generateText('Halo')).rejects.toMatchObject({
+        code: 'INVALID_ARGUMENT',
+        statusCode: 400,
+        message: 'Bad contents'
+      });
+      expect(__mocks.generateContent).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject safety-blocked responses', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: undefined, promptFeedback: { blockReason: 'SAFETY' } });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', retry: noDelay });
+
+      await expect(provider.generateText('Halo')).rejects.toMatchObject({ code: 'SAFETY_BLOCKED', statusCode: 422 });
+    });
+
+    test('should pass the request timeout to the SDK', async () => {
+      __mocks.generateContent.mockResolvedValue({ text: 'Halo' });
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', timeoutMs: 30000 });
+
+      await provider.generateText('Halo');
+
+      expect(__mocks.generateContent).toHaveBeenCalledWith(expect.objectContaining({
+        config: { httpOptions: { timeout: 30000 } }
+      }));
+    });
+
+    test('should retry opening a stream but not a stream that already produced text', async () => {
+      async function* failingAfterFirstChunk() {
+        yield { text: 'Ha' };
+        throw apiError(503, 'UNAVAILABLE', 'Connection lost');
+      }
+      __mocks.generateContentStream
+        .mockRejectedValueOnce(apiError(503, 'UNAVAILABLE', 'Overloaded'))
+        .mockResolvedValueOnce(failingAfterFirstChunk());
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', retry: noDelay });
+      const chunks = [];
+
+      await expect(async () => {
+        for await (const chunk of provider.stream('Halo')) {
+          chunks.push(chunk.text);
+        }
+      }).rejects.toMatchObject({ code: 'UPSTREAM_UNAVAILABLE' });
+      expect(chunks).toEqual(['Ha']);
+      expect(__mocks.generateContentStream).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop on safety-blocked stream chunks', async () => {
+      async function* blockedStream() {
+        yield { text: 'Ha' };
+        yield { candidates: [{ finishReason: 'SAFETY' }] };
+      }
+      __mocks.generateContentStream.mockResolvedValue(blockedStream());
+      const provider = createGeminiProvider({ apiKey: 'key', model: 'gemini-2.5-flash', retry: noDelay });
+
+      await expect(collect(provider.stream('Halo'))).rejects.toMatchObject({ code: 'SAFETY_BLOCKED' });
+    });
+
+    describe('classifyGeminiError', () => {
+      test('should classify rate limits with the upstream retry delay', () => {
+        const error = classifyGeminiError(apiError(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded for metric: requests per minute', [
+          { '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '25s' }
+        ]));
+
+        expect(error).toBeInstanceOf(LLMError);
+        expect(error).toMatchObject({ code: 'RATE_LIMITED', retryable: true, retryAfterMs: 25000 });
+      });
+
+      test('should classify exhausted daily quotas as not retryable', () => {
+        const error = classifyGeminiError(apiError(429, 'RESOURCE_EXHAUSTED', 'Quota exceeded: requests per day'));
+
+        expect(error).toMatchObject({ code: 'QUOTA_EXCEEDED', statusCode: 429, retryable: false });
+      });
+
+      test.each([
+        [apiError(504, 'DEADLINE_EXCEEDED', 'Deadline'), 'TIMEOUT'],
+        [Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }), 'TIMEOUT'],
+        [Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }), 'UPSTREAM_UNAVAILABLE'],
+        [Object.assign(new TypeError('fetch failed'), { cause: { code: 'ETIMEDOUT' } }), 'TIMEOUT'],
+        [apiError(404, 'NOT_FOUND', 'Model not found'), 'INVALID_ARGUMENT'],
+        [apiError(403, 'PERMISSION_DENIED', 'API key invalid'), 'UPSTREAM_ERROR']
+      ])('should classify %s', (error, code) => {
+        expect(classifyGeminiError(error).code).toBe(code);
+      });
+
+      test('should leave client aborts and unrelated errors untouched', () => {
+        const controller = new AbortController();
+        controller.abort();
+        const abortError = Object.assign(new Error('aborted'), { name: 'AbortError' });
+        const plainError = new Error('Gemini API Key is not set');
+
+        expect(classifyGeminiError(abortError, controller.signal)).toBe(abortError);
+        expect(classifyGeminiError(plainError)).toBe(plainError);
+      });
+
+      test('should accept responses that were not blocked', () => {
+        expect(() => assertNotBlocked({ text: 'Halo', candidates: [{ finishReason: 'STOP' }] })).not.toThrow();
+      });
+    });
+  });
+
+  describe('provider registry', () => {
+    const originalProvider = process.env.LLM_PROVIDER;
+
+    afterEach(() => {
+      process.env.LLM_PROVIDER = originalProvider;
+      setProvider(null);
+    });
+
+    test('should list available providers', () => {
+      expect(getProviderNames()).toEqual(['gemini', 'mock']);
+    });
+
+    test('should select the provider from LLM_PROVIDER', () => {
+      process.env.LLM_PROVIDER = 'MOCK';
+      setProvider(null);
+
+      expect(getProvider().name).toBe('mock');
+      expect(getProvider()).toBe(getProvider());
+    });
+
+    test('should default to gemini', () => {
+      delete process.env.LLM_PROVIDER;
+      setProvider(null);
+
+      expect(getProvider().name).toBe('gemini');
+    });
+
+    test('should reject unknown providers', () => {
+      expect(() => createProvider('openai')).toThrow('Unknown LLM provider: openai');
+    });
+
+    test('should allow overriding the active provider', () => {
+      const custom = { name: 'custom' };
+      setProvider(custom);
+
+      expect(getProvider()).toBe(custom);
+    });
+  });
+});
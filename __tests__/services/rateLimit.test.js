@@ -0,0 +1,178 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  consumeRequest,
+  createRateLimitStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  createMemoryRateLimitStore,
+  createFileRateLimitStore,
+  createRedisRateLimitStore
+} from '../../services/rateLimit/index.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.parse('2025-10-15T12:00:00.000Z');
+
+describe('Rate Limit', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    setRateLimitStore(null);
+    delete process.env.RATE_LIMIT_STORE;
+  });
+
+  describe('consumeRequest', () => {
+    let store;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(START);
+      store = createMemoryRateLimitStore();
+    });
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    test('should count requests until the limit and not count refused ones', async () => {
+      const limit = { limit: 2, windowMs: MINUTE };
+
+      expect(await consumeRequest(store, 'ip:1', limit)).toEqual({
+        allowed: true, limit: 2, remaining: 1, resetSeconds: 60, retryAfterSeconds: null
+      });
+      expect((await consumeRequest(store, 'ip:1', limit)).remaining).toBe(0);
+      expect(await consumeRequest(store, 'ip:1', limit)).toEqual({
+        allowed: false, limit: 2, remaining: 0, resetSeconds: 60, retryAfterSeconds: 61
+      });
+      expect(await store.get(`ip:1:${START / MINUTE}`)).toBe(2);
+    });
+
+    test('should let a client in again once the previous window has slid out far enough', async () => {
+      const limit = { limit: 4, windowMs: MINUTE };
+      for (let i = 0; i < 3; i++) {
+        await consumeRequest(store, 'ip:1', limit);
+      }
+
+      // A sixth into the next window, 2.5 of the 3 earlier requests still count
+      const now = START + MINUTE + 10000;
+      expect((await consumeRequest(store, 'ip:1', { ...limit, now })).allowed).toBe(true);
+      expect((await consumeRequest(store, 'ip:1', { ...limit, now })).allowed).toBe(true);
+      expect((await consumeRequest(store, 'ip:1', { ...limit, now })).retryAfterSeconds).toBe(11);
+      expect((await consumeRequest(store, 'ip:1', { ...limit, now: now + 11000 })).allowed).toBe(true);
+    });
+
+    test('should not let concurrent requests past the limit', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 10 }, () => consumeRequest(store, 'ip:1', { limit: 2, windowMs: MINUTE }))
+      );
+
+      expect(results.filter(result => result.allowed)).toHaveLength(2);
+      expect(await store.get(`ip:1:${START / MINUTE}`)).toBe(2);
+    });
+  });
+
+  describe('memory store', () => {
+    test('should expire counters and evict them periodically', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(START);
+      const store = createMemoryRateLimitStore({ evictionIntervalMs: 1000 });
+
+      expect(await store.increment('a', 500)).toBe(1);
+      expect(await store.increment('a', 500)).toBe(2);
+      await store.increment('b', 5000);
+
+      jest.advanceTimersByTime(1000);
+      expect(store.size).toBe(1);
+      expect(await store.get('a')).toBe(0);
+      expect(await store.get('b')).toBe(1);
+
+      await store.close();
+    });
+  });
+
+  describe('file store', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-rate-limit-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should keep counters across restarts', async () => {
+      const file = path.join(directory, 'nested', 'rate-limits.json');
+      const first = createFileRateLimitStore({ file });
+      await first.increment('ip:1', MINUTE);
+      await first.increment('ip:1', MINUTE);
+      await first.increment('ip:2', -1);
+      await first.close();
+
+      const saved = JSON.parse(await fs.readFile(file, 'utf8'));
+      expect(Object.keys(saved)).toEqual(['ip:1']);
+
+      const second = createFileRateLimitStore({ file });
+      expect(await second.get('ip:1')).toBe(2);
+      await second.close();
+    });
+
+    test('should start empty from a missing or unreadable file', async () => {
+      const file = path.join(directory, 'rate-limits.json');
+      await fs.writeFile(file, '{broken');
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const store = createFileRateLimitStore({ file });
+
+      expect(await store.get('ip:1')).toBe(0);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(`Ignoring unreadable rate limit file ${file}`));
+      await store.close();
+    });
+  });
+
+  describe('redis store', () => {
+    test('should increment prefixed keys and set their expiry once', async () => {
+      const values = new Map();
+      const client = {
+        get: jest.fn(async key => values.get(key) ?? null),
+        incr: jest.fn(async key => {
+          values.set(key, String(Number(values.get(key) || 0) + 1));
+          return Number(values.get(key));
+        }),
+        decr: jest.fn(async key => {
+          values.set(key, String(Number(values.get(key)) - 1));
+        }),
+        pexpire: jest.fn(async () => 1)
+      };
+      const store = createRedisRateLimitStore(client);
+
+      await store.increment('ip:1', MINUTE);
+      await store.increment('ip:1', MINUTE);
+      await store.increment('ip:1', MINUTE);
+      await store.decrement('ip:1');
+
+      expect(await store.get('ip:1')).toBe(2);
+      expect(await store.get('ip:2')).toBe(0);
+      expect(client.pexpire).toHaveBeenCalledTimes(1);
+      expect(client.pexpire).toHaveBeenCalledWith('nengai:ratelimit:ip:1', MINUTE);
+      await store.close();
+    });
+  });
+
+  describe('store registry', () => {
+    test('should create the store named by RATE_LIMIT_STORE once', async () => {
+      process.env.RATE_LIMIT_STORE = 'memory';
+
+      const store = getRateLimitStore();
+
+      expect(store.name).toBe('memory');
+      expect(getRateLimitStore()).toBe(store);
+      await store.close();
+    });
+
+    test('should reject unknown stores', () => {
+      expect(() => createRateLimitStore('mongo')).toThrow('Unknown rate limit store: mongo. Available stores: memory, file');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { createSessionStore } from '../../services/sessionStore.js';
+
+describe('Session Store', () => {
+  let currentTime;
+  let store;
+  let onEvict;
+
+  beforeEach(() => {
+    currentTime = 1000;
+    onEvict = jest.fn();
+    store = createSessionStore({
+      ttlMs: 100,
+      maxSessions: 2,
+      pruneIntervalMs: 0,
+      now: () => currentTime,
+      onEvict
+    });
+  });
+
+  describe('getOrCreate', () => {
+    test('should create an empty session', () => {
+      const session = store.getOrCreate('session-a');
+
+      expect(session).toEqual({
+        id: 'session-a',
+        history: [],
+        isPersonalitySet: false,
+        createdAt: 1000,
+        lastAccessedAt: 1000
+      });
+      expect(store.size()).toBe(1);
+    });
+
+    test('should return the same session for the same ID', () => {
+      const first = store.getOrCreate('session-a');
+      first.history.push({ role: 'user', parts: [{ text: 'Hi' }] });
+
+      const second = store.getOrCreate('session-a');
+
+      expect(second).toBe(first);
+      expect(second.history).toHaveLength(1);
+    });
+
+    test('should keep sessions isolated from each other', () => {
+      store.getOrCreate('session-a').history.push({ role: 'user', parts: [{ text: 'A' }] });
+
+      expect(store.getOrCreate('session-b').history).toEqual([]);
+    });
+
+    test('should throw when session ID is missing', () => {
+      expect(() => store.getOrCreate()).toThrow('Session ID is required');
+      expect(() => store.getOrCreate(123)).toThrow('Session ID is required');
+    });
+  });
+
+  describe('idle expiry', () => {
+    test('should expire sessions idle longer than the TTL', () => {
+      store.getOrCreate('session-a');
+      currentTime += 101;
+
+      expect(store.get('session-a')).toBeNull();
+      expect(store.size()).toBe(0);
+      expect(onEvict).toHaveBeenCalledWith(expect.objectContaining({ id: 'session-a' }));
+    });
+
+    test('should refresh the idle timer on access', () => {
+      store.getOrCreate('session-a');
+      currentTime += 80;
+      store.get('session-a');
+      currentTime += 80;
+
+      expect(store.get('session-a')).not.toBeNull();
+    });
+
+    test('should start a fresh session after expiry', () => {
+      store.getOrCreate('session-a').history.push({ role: 'user', parts: [{ text: 'Hi' }] });
+      currentTime += 101;
+
+      expect(store.getOrCreate('session-a').history).toEqual([]);
+    });
+
+    test('should prune all expired sessions', () => {
+      store.getOrCreate('session-a');
+      currentTime += 60;
+      store.getOrCreate('session-b');
+      currentTime += 60;
+
+      expect(store.prune()).toBe(1);
+      expect(store.get('session-a')).toBeNull();
+      expect(store.get('session-b')).not.toBeNull();
+    });
+  });
+
+  describe('session cap', () => {
+    test('should evict the least recently used session when full', () => {
+      store.getOrCreate('session-a');
+      store.getOrCreate('session-b');
+      store.get('session-a');
+      store.getOrCreate('session-c');
+
+      expect(store.size()).toBe(2);
+      expect(onEvict).toHaveBeenCalledTimes(1);
+      expect(onEvict).toHaveBeenCalledWith(expect.objectContaining({ id: 'session-b' }));
+      expect(store.get('session-b')).toBeNull();
+      expect(store.get('session-a')).not.toBeNull();
+      expect(store.get('session-c')).not.toBeNull();
+    });
+  });
+
+  describe('set', () => {
+    test('should add a restored session as most recently used', () => {
+      const restored = { id: 'session-a', history: [{ role: 'user', parts: [{ text: 'Hi' }] }], createdAt: 1 };
+
+      expect(store.set(restored)).toBe(restored);
+      expect(restored.lastAccessedAt).toBe(1000);
+      expect(store.get('session-a').history).toHaveLength(1);
+    });
+  });
+
+  describe('delete and clear', () => {
+    test('should delete a single session', () => {
+      store.getOrCreate('session-a');
+
+      expect(store.delete('session-a')).toBe(true);
+      expect(store.delete('session-a')).toBe(false);
+      expect(store.get('session-a')).toBeNull();
+      expect(onEvict).not.toHaveBeenCalled();
+    });
+
+    test('should clear all sessions', () => {
+      store.getOrCreate('session-a');
+      store.getOrCreate('session-b');
+      store.clear();
+
+      expect(store.size()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,350 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryStorage } from '../../services/storage/memoryStorage.js';
+import { createJsonFileStorage } from '../../services/storage/jsonFileStorage.js';
+import { createStorage, getStorage, setStorage } from '../../services/storage/index.js';
+
+const textEntry = (role, text) => ({ role, parts: [{ text }] });
+
+// Shared contract every storage backend must satisfy
+function describeStorageContract(name, createBackend) {
+  describe(`${name} storage contract`, () => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = await createBackend();
+    });
+
+    test('should return null for unknown conversations', async () => {
+      expect(await storage.loadConversation('missing-conversation')).toBeNull();
+    });
+
+    test('should create, append and load a conversation', async () => {
+      await storage.createConversation({
+        id: 'chat-a',
+        ownerId: 'owner-1',
+        title: 'Resep',
+        persona: 'assistant',
+        createdAt: 1000
+      });
+      await storage.appendMessages('chat-a', [textEntry('user', 'Halo')]);
+      await storage.appendMessages('chat-a', [textEntry('model', 'Halo oge')]);
+
+      const conversation = await storage.loadConversation('chat-a');
+
+      expect(conversation).toEqual(expect.objectContaining({
+        id: 'chat-a',
+        ownerId: 'owner-1',
+        title: 'Resep',
+        persona: 'assistant',
+        forkedFrom: null,
+        createdAt: 1000
+      }));
+      expect(conversation.history).toEqual([textEntry('user', 'Halo'), textEntry('model', 'Halo oge')]);
+    });
+
+    test('should default the owner to the conversation ID', async () => {
+      await storage.createConversation({ id: 'session-a' });
+
+      const conversation = await storage.loadConversation('session-a');
+
+      expect(conversation.ownerId).toBe('session-a');
+      expect(conversation.title).toBeNull();
+    });
+
+    test('should not reset an existing conversation on create', async () => {
+      await storage.createConversation({ id: 'chat-a', createdAt: 1000 });
+      await storage.appendMessages('chat-a', [textEntry('user', 'Halo')]);
+      await storage.createConversation({ id: 'chat-a', createdAt: 2000 });
+
+      const conversation = await storage.loadConversation('chat-a');
+
+      expect(conversation.createdAt).toBe(1000);
+      expect(conversation.history).toHaveLength(1);
+    });
+
+    test('should round-trip inline file parts', async () => {
+      const data = Buffer.from('fake image data').toString('base64');
+      const entry = {
+        role: 'user',
+        parts: [{ text: 'Look' }, { inlineData: { mimeType: 'image/png', data } }]
+      };
+
+      await storage.createConversation({ id: 'chat-a' });
+      await storage.appendMessages('chat-a', [entry]);
+
+      expect((await storage.loadConversation('chat-a')).history).toEqual([entry]);
+    });
+
+    test('should not share mutable state with callers', async () => {
+      const entry = textEntry('user', 'Halo');
+      await storage.createConversation({ id: 'chat-a' });
+      await storage.appendMessages('chat-a', [entry]);
+      entry.parts[0].text = 'changed';
+
+      const conversation = await storage.loadConversation('chat-a');
+      conversation.history.push(textEntry('model', 'local only'));
+
+      expect((await storage.loadConversation('chat-a')).history).toEqual([textEntry('user', 'Halo')]);
+    });
+
+    test('should rename conversations', async () => {
+      await storage.createConversation({ id: 'chat-a', createdAt: 1000 });
+      await storage.updateConversation('chat-a', { title: 'Liburan ka Bandung' });
+
+      const conversation = await storage.loadConversation('chat-a');
+
+      expect(conversation.title).toBe('Liburan ka Bandung');
+      expect(conversation.updatedAt).toBeGreaterThan(1000);
+    });
+
+    test('should keep the conversation memory across updates', async () => {
+      const memory = { text: 'User bernama Asep', messageCount: 4 };
+      await storage.createConversation({ id: 'chat-a', title: 'Resep' });
+      await storage.updateConversation('chat-a', { memory });
+      await storage.updateConversation('chat-a', { title: 'Resep Sunda', ownerId: 'intruder' });
+
+      const conversation = await storage.loadConversation('chat-a');
+
+      expect(conversation.memory).toEqual(memory);
+      expect(conversation.title).toBe('Resep Sunda');
+      expect(conversation.ownerId).toBe('chat-a');
+    });
+
+    test('should reject writes to unknown conversations', async () => {
+      await expect(storage.appendMessages('missing', [])).rejects.toThrow('Conversation not found');
+      await expect(storage.updateConversation('missing', { title: 'x' })).rejects.toThrow('Conversation not found');
+    });
+
+    test('should keep fork metadata', async () => {
+      const forkedFrom = { conversationId: 'chat-a', messageIndex: 2 };
+      await storage.createConversation({ id: 'chat-b', forkedFrom });
+
+      expect((await storage.loadConversation('chat-b')).forkedFrom).toEqual(forkedFrom);
+    });
+
+    test('should delete conversations', async () => {
+      await storage.createConversation({ id: 'chat-a' });
+
+      expect(await storage.deleteConversation('chat-a')).toBe(true);
+      expect(await storage.deleteConversation('chat-a')).toBe(false);
+      expect(await storage.loadConversation('chat-a')).toBeNull();
+    });
+
+    test('should list conversations per owner with message counts', async () => {
+      await storage.createConversation({ id: 'chat-a', ownerId: 'owner-1', createdAt: 1000 });
+      await storage.createConversation({ id: 'chat-b', ownerId: 'owner-1', createdAt: 2000 });
+      await storage.createConversation({ id: 'chat-c', ownerId: 'owner-2', createdAt: 3000 });
+      await storage.appendMessages('chat-a', [textEntry('user', 'Halo')]);
+
+      const { items, total } = await storage.listConversations({ ownerId: 'owner-1' });
+
+      expect(total).toBe(2);
+      // chat-a has the most recent activity
+      expect(items.map(item => item.id)).toEqual(['chat-a', 'chat-b']);
+      expect(items[0]).toEqual(expect.objectContaining({ ownerId: 'owner-1', messageCount: 1 }));
+      expect(items[0]).not.toHaveProperty('history');
+    });
+
+    test('should paginate listings', async () => {
+      for (let n = 1; n <= 5; n++) {
+        await storage.createConversation({ id: `chat-${n}`, ownerId: 'owner-1', createdAt: n * 1000 });
+      }
+
+      const { items, total } = await storage.listConversations({ ownerId: 'owner-1', offset: 2, limit: 2 });
+
+      expect(total).toBe(5);
+      expect(items.map(item => item.id)).toEqual(['chat-3', 'chat-2']);
+    });
+  });
+}
+
+describe('Conversation Storage', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-storage-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describeStorageContract('memory', () => createMemoryStorage());
+  describeStorageContract('json', () => createJsonFileStorage({ dir: tempDir }));
+
+  describe('memory storage', () => {
+    test('should not be persistent', () => {
+      expect(createMemoryStorage().persistent).toBe(false);
+    });
+  });
+
+  describe('json file storage', () => {
+    test('should survive a restart', async () => {
+      const first = createJsonFileStorage({ dir: tempDir });
+      await first.createConversation({ id: 'session-a', createdAt: 1000 });
+      await first.appendMessages('session-a', [textEntry('user', 'Halo')]);
+
+      const restarted = createJsonFileStorage({ dir: tempDir });
+
+      expect(restarted.persistent).toBe(true);
+      expect((await restarted.loadConversation('session-a')).history).toEqual([textEntry('user', 'Halo')]);
+    });
+
+    test('should write an append-only log with file references', async () => {
+      const storage = createJsonFileStorage({ dir: tempDir });
+      const data = Buffer.from('fake image data').toString('base64');
+      await storage.createConversation({ id: 'session-a', createdAt: 1000 });
+      await storage.appendMessages('session-a', [
+        { role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data } }] }
+      ]);
+
+      const lines = (await fs.readFile(path.join(tempDir, 'session-a.jsonl'), 'utf8')).trim().split('\n');
+      const events = lines.map(line => JSON.parse(line));
+
+      expect(events[0]).toEqual({
+        type: 'conversation',
+        id: 'session-a',
+        ownerId: 'session-a',
+        title: null,
+        persona: null,
+        forkedFrom: null,
+        createdAt: 1000
+      });
+      expect(events[1].messages[0].parts[0]).toEqual({
+        inlineFileRef: { sha256: expect.stringMatching(/^[a-f0-9]{64}$/), mimeType: 'image/png' }
+      });
+      expect(lines[1]).not.toContain(data);
+    });
+
+    test('should keep event order for concurrent appends', async () => {
+      const storage = createJsonFileStorage({ dir: tempDir });
+      await storage.createConversation({ id: 'session-a' });
+
+      await Promise.all([1, 2, 3, 4, 5].map(n =>
+        storage.appendMessages('session-a', [textEntry('user', `message ${n}`)])
+      ));
+
+      const texts = (await storage.loadConversation('session-a')).history.map(entry => entry.parts[0].text);
+      expect(texts).toEqual(['message 1', 'message 2', 'message 3', 'message 4', 'message 5']);
+    });
+
+    test('should read logs written before conversations had owners', async () => {
+      await fs.writeFile(path.join(tempDir, 'session-a.jsonl'), [
+        JSON.stringify({ type: 'session', id: 'session-a', createdAt: 1000 }),
+        JSON.stringify({ type: 'messages', at: 2000, messages: [textEntry('user', 'Halo')] })
+      ].join('\n') + '\n');
+
+      const storage = createJsonFileStorage({ dir: tempDir });
+      const conversation = await storage.loadConversation('session-a');
+
+      expect(conversation).toEqual(expect.objectContaining({
+        id: 'session-a',
+        ownerId: 'session-a',
+        title: null,
+        updatedAt: 2000
+      }));
+      expect(conversation.history).toEqual([textEntry('user', 'Halo')]);
+    });
+
+    test('should list from the index without reading the logs again', async () => {
+      const storage = createJsonFileStorage({ dir: tempDir });
+      await storage.createConversation({ id: 'chat-a', ownerId: 'owner-1', createdAt: 1000 });
+      await storage.createConversation({ id: 'chat-b', ownerId: 'owner-2', createdAt: 2000 });
+      await storage.appendMessages('chat-a', [textEntry('user', 'Halo')]);
+      await storage.updateConversation('chat-a', { title: 'Resep' });
+      const readFile = jest.spyOn(fs, 'readFile');
+
+      const { items } = await storage.listConversations({ ownerId: 'owner-1' });
+
+      expect(items).toEqual([expect.objectContaining({ id: 'chat-a', title: 'Resep', messageCount: 1 })]);
+      expect(readFile).not.toHaveBeenCalled();
+      expect((await storage.listConversations({ ownerId: 'owner-3' })).total).toBe(0);
+      expect((await storage.listConversations()).total).toBe(2);
+    });
+
+    test('should index existing logs on first use', async () => {
+      const first = createJsonFileStorage({ dir: tempDir });
+      await first.createConversation({ id: 'chat-a', ownerId: 'owner-1', createdAt: 1000 });
+      await first.appendMessages('chat-a', [textEntry('user', 'Halo')]);
+      await fs.writeFile(path.join(tempDir, 'notes.txt'), 'not a log');
+
+      const { items } = await createJsonFileStorage({ dir: tempDir }).listConversations({ ownerId: 'owner-1' });
+
+      expect(items).toEqual([expect.objectContaining({ id: 'chat-a', messageCount: 1 })]);
+    });
+
+    test('should delete files with the last conversation referencing them', async () => {
+      const image = { role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: Buffer.from('fake image data').toString('base64') } }] };
+      const first = createJsonFileStorage({ dir: tempDir });
+      await first.createConversation({ id: 'chat-a' });
+      await first.appendMessages('chat-a', [image]);
+
+      // Indexed from the logs after a restart
+      const storage = createJsonFileStorage({ dir: tempDir });
+      await storage.createConversation({ id: 'chat-b' });
+      await storage.appendMessages('chat-b', [image, textEntry('model', 'A cat')]);
+      const files = () => fs.readdir(path.join(tempDir, 'files'));
+      expect(await files()).toHaveLength(1);
+
+      await storage.deleteConversation('chat-a');
+      expect(await files()).toHaveLength(1);
+      expect((await storage.loadConversation('chat-b')).history[0]).toEqual(image);
+
+      await storage.deleteConversation('chat-b');
+      expect(await files()).toEqual([]);
+
+      await storage.createConversation({ id: 'chat-c' });
+      await storage.appendMessages('chat-c', [image]);
+      expect((await storage.loadConversation('chat-c')).history[0]).toEqual(image);
+    });
+
+    test('should keep a file stored again while it is being deleted', async () => {
+      const image = { role: 'user', parts: [{ inlineData: { mimeType: 'image/png', data: Buffer.from('fake image data').toString('base64') } }] };
+      const storage = createJsonFileStorage({ dir: tempDir });
+      await storage.createConversation({ id: 'chat-a' });
+      await storage.createConversation({ id: 'chat-b' });
+      await storage.appendMessages('chat-a', [image]);
+
+      await Promise.all([storage.deleteConversation('chat-a'), storage.appendMessages('chat-b', [image])]);
+
+      expect((await storage.loadConversation('chat-b')).history[0]).toEqual(image);
+    });
+
+    test('should reject unsafe conversation IDs', async () => {
+      const storage = createJsonFileStorage({ dir: tempDir });
+
+      await expect(storage.loadConversation('../etc/passwd')).rejects.toThrow('Invalid conversation ID');
+    });
+  });
+
+  describe('storage registry', () => {
+    const originalStore = process.env.CONVERSATION_STORE;
+
+    afterEach(() => {
+      process.env.CONVERSATION_STORE = originalStore;
+      setStorage(null);
+    });
+
+    test('should default to memory storage', () => {
+      delete process.env.CONVERSATION_STORE;
+      setStorage(null);
+
+      expect(getStorage().name).toBe('memory');
+      expect(getStorage()).toBe(getStorage());
+    });
+
+    test('should select storage from CONVERSATION_STORE', () => {
+      process.env.CONVERSATION_STORE = 'json';
+      setStorage(null);
+
+      expect(getStorage().name).toBe('json');
+    });
+
+    test('should reject unknown stores', () => {
+      expect(() => createStorage('redis')).toThrow('Unknown conversation store: redis');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import {
+  registerTool,
+  unregisterTool,
+  getTool,
+  listTools,
+  getToolDeclarations,
+  runToolCall
+} from '../../services/tools/index.js';
+import { evaluate } from '../../services/tools/calculator.js';
+import { currentDateTimeTool } from '../../services/tools/dateTime.js';
+
+describe('Tools', () => {
+  describe('calculator', () => {
+    test('should follow operator precedence', () => {
+      expect(evaluate('2 + 3 * 4')).toBe(14);
+      expect(evaluate('(2 + 3) * 4')).toBe(20);
+      expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+      expect(evaluate('-2 ^ 2')).toBe(-4);
+      expect(evaluate('10 % 4 - -1')).toBe(3);
+      expect(evaluate('1.5e2 / .5')).toBe(300);
+    });
+
+    test('should support constants and functions', () => {
+      expect(evaluate('sqrt(16) + abs(-2)')).toBe(6);
+      expect(evaluate('max(1, 7, 3)')).toBe(7);
+      expect(evaluate('round(PI * 100)')).toBe(314);
+      expect(evaluate('log(1000)')).toBe(3);
+    });
+
+    test('should reject anything that is not arithmetic', () => {
+      expect(() => evaluate('process.exit()')).toThrow('Unexpected character "."');
+      expect(() => evaluate('foo(1)')).toThrow('Unknown name "foo"');
+      expect(() => evaluate('2 +')).toThrow('Unexpected end of expression');
+      expect(() => evaluate('(1 + 2')).toThrow('Expected ")"');
+      expect(() => evaluate('1 2')).toThrow('Unexpected "2"');
+      expect(() => evaluate('* 2')).toThrow('Unexpected "*"');
+      expect(() => evaluate('1 / 0')).toThrow('Result is not a finite number');
+    });
+  });
+
+  describe('current_datetime', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should describe the current time in the requested time zone', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T20:30:00Z') });
+
+      expect(currentDateTimeTool.execute({ timeZone: 'Asia/Jakarta' })).toEqual({
+        iso: '2026-10-19T20:30:00.000Z',
+        timeZone: 'Asia/Jakarta',
+        date: '2026-10-20',
+        time: '03:30:00',
+        weekday: 'Tuesday'
+      });
+    });
+
+    test('should reject unknown time zones', () => {
+      expect(() => currentDateTimeTool.execute({ timeZone: 'Mars/Olympus' })).toThrow('Unknown time zone: Mars/Olympus');
+    });
+  });
+
+  describe('registry', () => {
+    const echoTool = {
+      name: 'echo',
+      description: 'Echo a message',
+      parameters: { type: 'object', properties: { message: { type: 'string' } }, required: ['message'] },
+      execute: ({ message }, { ownerId }) => ({ message, ownerId })
+    };
+
+    afterEach(() => {
+      unregisterTool('echo');
+      unregisterTool('slow');
+    });
+
+    test('should list the built-in tools', () => {
+      expect(listTools().map(tool => tool.name)).toEqual(['calculator', 'current_datetime', 'search_conversations']);
+      expect(getToolDeclarations(['calculator'])).toEqual([{
+        name: 'calculator',
+        description: expect.any(String),
+        parameters: expect.objectContaining({ required: ['expression'] })
+      }]);
+    });
+
+    test('should reject invalid tool definitions', () => {
+      expect(() => registerTool({ ...echoTool, name: 'echo tool' })).toThrow(/Invalid tool echo tool/);
+      expect(() => registerTool({ ...echoTool, execute: undefined })).toThrow('"execute" is required');
+      expect(() => registerTool({ ...echoTool, parameters: { type: 'object', $defs: {} } }))
+        .toThrow('Invalid tool echo: echo.parameters.$defs is not supported');
+      expect(() => registerTool({ ...echoTool, name: 'calculator' })).toThrow('Duplicate tool name "calculator"');
+      expect(getTool('echo')).toBeNull();
+    });
+
+    test('should answer a call with the tool output', async () => {
+      registerTool(echoTool);
+
+      const part = await runToolCall({ id: 'call-1', name: 'echo', args: { message: 'Halo' } }, { ownerId: 'owner-1' });
+
+      expect(part).toEqual({
+        functionResponse: { id: 'call-1', name: 'echo', response: { output: { message: 'Halo', ownerId: 'owner-1' } } }
+      });
+    });
+
+    test('should report failures to the model instead of throwing', async () => {
+      registerTool(echoTool);
+
+      await expect(runToolCall({ name: 'shell', args: {} })).resolves.toEqual({
+        functionResponse: { name: 'shell', response: { error: 'Unknown tool: shell' } }
+      });
+      await expect(runToolCall({ name: 'echo' })).resolves.toEqual({
+        functionResponse: { name: 'echo', response: { error: 'Invalid arguments: $.message is required' } }
+      });
+      await expect(runToolCall({ name: 'calculator', args: { expression: '1 +' } })).resolves.toEqual({
+        functionResponse: { name: 'calculator', response: { error: 'Unexpected end of expression' } }
+      });
+    });
+
+    test('should time out slow tools and abort them', async () => {
+      let signal;
+      registerTool({
+        ...echoTool,
+        name: 'slow',
+        timeoutMs: 20,
+        execute: (args, context) => {
+          signal = context.signal;
+          return new Promise(() => {});
+        }
+      });
+
+      const part = await runToolCall({ name: 'slow', args: { message: 'Halo' } });
+
+      expect(part.functionResponse.response).toEqual({ error: 'Tool slow timed out after 20ms' });
+      expect(signal.aborted).toBe(true);
+    });
+  });
+});
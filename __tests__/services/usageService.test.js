@@ -0,0 +1,165 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import {
+  runWithUsage,
+  countRequest,
+  recordTokens,
+  getRequestUsage,
+  getUsage,
+  getTokenBudgets,
+  findExceededQuota,
+  findExceededBudget,
+  countUsageClients,
+  clearUsage
+} from '../../services/usageService.js';
+
+const apiKey = {
+  id: 'search',
+  name: 'Search team',
+  scopes: ['chat'],
+  dailyRequestLimit: 2,
+  dailyTokenLimit: 100
+};
+const NOON = Date.parse('2025-10-15T12:00:00.000Z');
+
+describe('Usage Service', () => {
+  beforeEach(() => {
+    clearUsage();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete process.env.TOKEN_BUDGET_DAILY;
+    delete process.env.TOKEN_BUDGET_MONTHLY;
+  });
+
+  test('should report usage against the daily limits', () => {
+    countRequest('search', NOON);
+
+    expect(getUsage(apiKey, NOON)).toEqual({
+      keyId: 'search',
+      name: 'Search team',
+      scopes: ['chat'],
+      day: '2025-10-15',
+      requests: { used: 1, limit: 2, remaining: 1 },
+      tokens: { used: 0, limit: 100, remaining: 100 },
+      resetsAt: '2025-10-16T00:00:00.000Z',
+      month: '2025-10',
+      monthlyTokens: { used: 0, limit: null, remaining: null },
+      monthResetsAt: '2025-11-01T00:00:00.000Z'
+    });
+    expect(getUsage({ ...apiKey, dailyTokenLimit: null }, NOON).tokens).toEqual({ used: 0, limit: null, remaining: null });
+  });
+
+  test('should start again every UTC day', () => {
+    countRequest('search', NOON);
+    countRequest('search', NOON);
+
+    expect(getUsage(apiKey, NOON + 24 * 60 * 60 * 1000).requests.used).toBe(0);
+  });
+
+  test('should charge tokens to the key of the running request only', async () => {
+    await runWithUsage('search', async () => {
+      await Promise.resolve();
+      recordTokens({ totalTokenCount: 40 });
+      recordTokens(null);
+    });
+    recordTokens({ totalTokenCount: 1000 });
+
+    expect(getUsage(apiKey).tokens.used).toBe(40);
+    expect(getUsage(apiKey).monthlyTokens.used).toBe(40);
+  });
+
+  test('should add up the tokens of every model call of a request', async () => {
+    const usage = await runWithUsage('ip:127.0.0.1', async () => {
+      recordTokens({ promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 });
+      recordTokens({ promptTokenCount: 20, candidatesTokenCount: 2, totalTokenCount: 22 });
+      return getRequestUsage();
+    });
+
+    expect(usage).toEqual({ promptTokenCount: 30, candidatesTokenCount: 7, totalTokenCount: 37 });
+    expect(getRequestUsage()).toBeNull();
+  });
+
+  test('should keep the monthly tokens when a new day starts', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOON);
+    runWithUsage('search', () => recordTokens({ totalTokenCount: 30 }));
+
+    const nextDay = getUsage(apiKey, NOON + 24 * 60 * 60 * 1000);
+    expect(nextDay.tokens.used).toBe(0);
+    expect(nextDay.monthlyTokens.used).toBe(30);
+    expect(getUsage(apiKey, Date.parse('2025-11-01T12:00:00.000Z')).monthlyTokens.used).toBe(0);
+  });
+
+  test('should fall back to the default token budgets', () => {
+    process.env.TOKEN_BUDGET_DAILY = '5000';
+    process.env.TOKEN_BUDGET_MONTHLY = 'lots';
+
+    expect(getTokenBudgets({ id: 'ip:127.0.0.1' })).toEqual({ daily: 5000, monthly: null });
+    expect(getTokenBudgets(apiKey)).toEqual({ daily: 100, monthly: null });
+    expect(getTokenBudgets({ ...apiKey, monthlyTokenLimit: 900 })).toEqual({ daily: 100, monthly: 900 });
+  });
+
+  describe('findExceededQuota', () => {
+    test('should refuse keys that used up their requests until midnight UTC', () => {
+      countRequest('search', NOON);
+      expect(findExceededQuota(apiKey, NOON)).toBeNull();
+
+      countRequest('search', NOON);
+      expect(findExceededQuota(apiKey, NOON)).toEqual({ quota: 'request', retryAfterSeconds: 12 * 60 * 60 });
+    });
+
+    test('should refuse keys that used up their tokens', () => {
+      runWithUsage('search', () => recordTokens({ totalTokenCount: 150 }));
+
+      expect(findExceededQuota(apiKey)).toEqual({ quota: 'token', retryAfterSeconds: expect.any(Number) });
+      expect(findExceededQuota({ ...apiKey, dailyTokenLimit: null })).toBeNull();
+    });
+  });
+
+  describe('findExceededBudget', () => {
+    test('should refuse requests that would go over the daily budget', () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(NOON);
+      runWithUsage('search', () => recordTokens({ totalTokenCount: 70 }));
+
+      expect(findExceededBudget(apiKey, 30, NOON)).toBeNull();
+      expect(findExceededBudget(apiKey, 31, NOON)).toEqual({
+        budget: 'daily',
+        limit: 100,
+        remaining: 30,
+        retryAfterSeconds: 12 * 60 * 60
+      });
+    });
+
+    test('should refuse requests that would go over the monthly budget', () => {
+      process.env.TOKEN_BUDGET_MONTHLY = '1000';
+      const client = { id: 'user:user-42' };
+
+      expect(findExceededBudget(client, 1000, NOON)).toBeNull();
+      expect(findExceededBudget(client, 1001, NOON)).toEqual({
+        budget: 'monthly',
+        limit: 1000,
+        remaining: 1000,
+        retryAfterSeconds: Math.ceil((Date.parse('2025-11-01T00:00:00.000Z') - NOON) / 1000)
+      });
+    });
+
+    test('should let everything through without budgets', () => {
+      expect(findExceededBudget({ id: 'ip:127.0.0.1' }, 1e9, NOON)).toBeNull();
+      expect(countUsageClients()).toBe(0);
+    });
+  });
+
+  test('should drop the counters of past months when a new month starts', () => {
+    process.env.TOKEN_BUDGET_DAILY = '5000';
+    const december = Date.parse('2025-12-01T08:00:00.000Z');
+    findExceededBudget({ id: 'ip:10.0.0.1' }, 10, NOON);
+    findExceededBudget({ id: 'ip:10.0.0.2' }, 10, NOON);
+    expect(countUsageClients()).toBe(2);
+
+    findExceededBudget({ id: 'ip:10.0.0.3' }, 10, december);
+
+    expect(countUsageClients()).toBe(1);
+  });
+});
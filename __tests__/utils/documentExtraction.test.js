@@ -0,0 +1,331 @@
+import { describe, test, expect } from '@jest/globals';
+import { deflateRawSync } from 'zlib';
+import { extractDocument, hasExtractor } from '../../utils/documentExtraction.js';
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+/**
+ * Build a ZIP archive; parts are deflated unless `stored` is set
+ * (CRCs are left at zero, the reader does not check them)
+ * @param {Object} parts - Part name -> content
+ * @param {Object} options - stored, method (overrides the compression method)
+ * @returns {Buffer} - Archive
+ */
+function zip(parts, { stored = false, method } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(parts)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = stored ? raw : deflateRawSync(raw);
+    const compression = method ?? (stored ? 0 : 8);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(compression, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(compression, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(parts).length, 8);
+  end.writeUInt16LE(Object.keys(parts).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const paragraph = (text, properties = '') => `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+const cell = text => `<w:tc><w:tcPr/>${paragraph(text)}</w:tc>`;
+
+describe('Document Extraction Utils', () => {
+  test('hasExtractor should cover the Office Open XML types, CSV and text', async () => {
+    expect(hasExtractor(DOCX)).toBe(true);
+    expect(hasExtractor(XLSX)).toBe(true);
+    expect(hasExtractor(PPTX)).toBe(true);
+    expect(hasExtractor('text/csv')).toBe(true);
+    expect(hasExtractor('text/plain')).toBe(true);
+    expect(hasExtractor('application/pdf')).toBe(false);
+    expect(hasExtractor('application/msword')).toBe(false);
+    expect(hasExtractor('constructor')).toBe(false);
+    expect(await extractDocument(Buffer.from('%PDF-1.7'), 'application/pdf')).toBeNull();
+  });
+
+  describe('docx', () => {
+    test('should keep headings, lists and tables in document order', async () => {
+      const document = zip({
+        '[Content_Types].xml': '<Types/>',
+        'word/document.xml': `<?xml version="1.0"?><w:document><w:body>
+          ${paragraph('Quarterly Report', '<w:pStyle w:val="Title"/>')}
+          ${paragraph('Sales &amp; Revenue', '<w:pStyle w:val="Heading2"/><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs>')}
+          <w:p><w:r><w:t>Total:</w:t><w:tab/><w:t>42</w:t><w:br/><w:t>units</w:t></w:r></w:p>
+          ${paragraph('First point', '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>')}
+          <w:p/>
+          ${paragraph('', '<w:pStyle w:val="Heading1"/>')}
+          <w:tbl><w:tblPr/>
+            <w:tr>${cell('City')}${cell('Total')}</w:tr>
+            <w:tr>${cell('Bandung')}${cell('a|b')}</w:tr>
+          </w:tbl>
+          ${paragraph('&#x1F600; done')}
+        </w:body></w:document>`
+      });
+
+      expect(await extractDocument(document, DOCX)).toEqual({
+        extractor: 'docx',
+        text: [
+          '# Quarterly Report',
+          '## Sales & Revenue',
+          'Total:\t42\nunits',
+          '- First point',
+          '| City | Total |\n| --- | --- |\n| Bandung | a\\|b |',
+          '😀 done'
+        ].join('\n\n')
+      });
+    });
+
+    test('should read stored parts', async () => {
+      const document = zip({ 'word/document.xml': `<w:document><w:body>${paragraph('Halo')}</w:body></w:document>` }, { stored: true });
+
+      expect((await extractDocument(document, DOCX)).text).toBe('Halo');
+    });
+
+    test('should not merge an empty self-closing paragraph into the next one', async () => {
+      const document = zip({
+        'word/document.xml': `<w:document><w:body>
+          <w:p w:rsidR="00A1" w:rsidRDefault="00A1"/>
+          ${paragraph('Heading', '<w:pStyle w:val="Heading1"/>')}
+          ${paragraph('Body')}
+        </w:body></w:document>`
+      });
+
+      expect((await extractDocument(document, DOCX)).text).toBe('# Heading\n\nBody');
+    });
+  });
+
+  describe('xlsx', () => {
+    test('should render one table per sheet in workbook order', async () => {
+      const workbook = zip({
+        'xl/workbook.xml': `<workbook><sheets>
+          <sheet name="Sales &amp; Costs" sheetId="1" r:id="rId2"/>
+          <sheet name='Empty' sheetId="2" r:id="rId1"/>
+        </sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': `<Relationships>
+          <Relationship Id="rId1" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/>
+          <Relationship Id="rId2" Type="worksheet" Target="worksheets/sheet1.xml"/>
+        </Relationships>`,
+        'xl/sharedStrings.xml': `<sst>
+          <si><t>Item</t></si>
+          <si><r><t>Ami</t></r><r><t>nah</t></r><rPh sb="0" eb="1"><t>reading</t></rPh></si>
+        </sst>`,
+        'xl/worksheets/sheet1.xml': `<worksheet><sheetData>
+          <row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Paid</t></is></c></row>
+          <row r="2"/>
+          <row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3"><v>1.5</v></c><c r="C3" t="b"><v>1</v></c></row>
+          <row r="4"><c t="b"><v>0</v></c><c t="str"><v>x &lt; y</v></c><c r="D4" t="s"><v>9</v></c></row>
+        </sheetData></worksheet>`,
+        'xl/worksheets/sheet2.xml': '<worksheet><sheetData/></worksheet>'
+      });
+
+      expect(await extractDocument(workbook, XLSX)).toEqual({
+        extractor: 'xlsx',
+        text: [
+          '## Sheet: Sales & Costs',
+          '',
+          '| Item |  | Paid |  |',
+          '| --- | --- | --- | --- |',
+          '| Aminah | 1.5 | TRUE |  |',
+          '| FALSE | x < y |  |  |',
+          '',
+          '## Sheet: Empty'
+        ].join('\n')
+      });
+    });
+
+    test('should work without shared strings', async () => {
+      const workbook = zip({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Data" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+        'xl/worksheets/sheet1.xml': '<worksheet><sheetData><row><c r="A1"><v>7</v></c><c r="AB1"><v>8</v></c></row></sheetData></worksheet>'
+      });
+
+      expect((await extractDocument(workbook, XLSX)).text).toBe(`## Sheet: Data\n\n| 7 |${'  |'.repeat(26)} 8 |\n|${' --- |'.repeat(28)}`);
+    });
+  });
+
+  test('pptx should list the text of each slide in presentation order', async () => {
+    const presentation = zip({
+      'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="257" r:id="rId3"/><p:sldId id="256" r:id="rId2"/></p:sldIdLst></p:presentation>',
+      'ppt/_rels/presentation.xml.rels': `<Relationships>
+        <Relationship Id="rId2" Target="slides/slide1.xml"/>
+        <Relationship Id="rId3" Target="slides/slide2.xml"/>
+      </Relationships>`,
+      'ppt/slides/slide1.xml': '<p:sld><a:p><a:pPr/><a:r><a:t>Closing</a:t></a:r></a:p></p:sld>',
+      'ppt/slides/slide2.xml': `<p:sld>
+        <a:p><a:r><a:rPr lang="id"/><a:t>Agenda</a:t></a:r></a:p>
+        <a:p><a:endParaRPr/></a:p>
+        <a:p><a:r><a:t>Budget</a:t></a:r><a:br/><a:r><a:t>&amp; timeline</a:t></a:r></a:p>
+      </p:sld>`
+    });
+
+    expect(await extractDocument(presentation, PPTX)).toEqual({
+      extractor: 'pptx',
+      text: '## Slide 1\n\nAgenda\n\nBudget\n& timeline\n\n## Slide 2\n\nClosing'
+    });
+  });
+
+  describe('csv', () => {
+    test('should render rows as a table with quoted fields', async () => {
+      const csv = Buffer.from('\uFEFFname,note\r\n"Neng, A.","said ""halo""\nthen left"\r\n\r\nBudi,\n');
+
+      expect(await extractDocument(csv, 'text/csv')).toEqual({
+        extractor: 'csv',
+        text: '| name | note |\n| --- | --- |\n| Neng, A. | said "halo" then left |\n| Budi |  |'
+      });
+    });
+
+    test('should detect semicolon and tab delimiters', async () => {
+      expect((await extractDocument(Buffer.from('a;b\n1,5;2'), 'text/csv')).text).toBe('| a | b |\n| --- | --- |\n| 1,5 | 2 |');
+      expect((await extractDocument(Buffer.from('a\tb\n1\t2'), 'text/csv')).text).toBe('| a | b |\n| --- | --- |\n| 1 | 2 |');
+      expect((await extractDocument(Buffer.from(''), 'text/csv')).text).toBe('');
+    });
+
+    test('should decode UTF-16 and Windows-1252 files', async () => {
+      const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('kota,total\nCimahi,7', 'utf16le')]);
+      const windows1252 = Buffer.from('caf\xE9,prix\nBandung,\x8010', 'latin1');
+
+      expect((await extractDocument(utf16, 'text/csv')).text).toBe('| kota | total |\n| --- | --- |\n| Cimahi | 7 |');
+      expect((await extractDocument(windows1252, 'text/csv')).text).toBe('| café | prix |\n| --- | --- |\n| Bandung | €10 |');
+    });
+  });
+
+  describe('text', () => {
+    test('should decode text files to UTF-8', async () => {
+      const utf16be = Buffer.concat([Buffer.from([0xFE, 0xFF]), Buffer.from('Halo', 'utf16le').swap16()]);
+
+      expect(await extractDocument(Buffer.from('Halo Neng ☕'), 'text/plain')).toEqual({ extractor: 'text', text: 'Halo Neng ☕' });
+      expect((await extractDocument(utf16be, 'text/plain')).text).toBe('Halo');
+      expect((await extractDocument(Buffer.from('Se\xF1or', 'latin1'), 'text/plain')).text).toBe('Señor');
+    });
+  });
+
+  describe('malformed XML', () => {
+    // Quadratic matching takes minutes on parts like these
+    const TIME_LIMIT_MS = 1000;
+    const unclosed = (tag) => tag.repeat(200000);
+
+    /**
+     * Extract a document, failing when it takes longer than TIME_LIMIT_MS
+     * @param {Buffer} document - Archive
+     * @param {string} mimeType - Document type
+     * @returns {Promise<string>} - Extracted text
+     */
+    async function extractQuickly(document, mimeType) {
+      const started = Date.now();
+      const { text } = await extractDocument(document, mimeType);
+      expect(Date.now() - started).toBeLessThan(TIME_LIMIT_MS);
+      return text;
+    }
+
+    test('should scan Word parts with unclosed tags in linear time', async () => {
+      const document = zip({
+        'word/document.xml': `<w:document><w:body>${paragraph('Halo')}${unclosed('<w:p>')}</w:body></w:document>`
+      });
+      const runs = zip({
+        'word/document.xml': `<w:document><w:body><w:p><w:pPr>${unclosed('<w:t ')}${unclosed('<w:br ')}</w:p></w:body></w:document>`
+      });
+      const table = zip({
+        'word/document.xml': `<w:document><w:body><w:tbl><w:tr>${cell(`a${' '.repeat(200000)}b`)}</w:tr></w:tbl></w:body></w:document>`
+      });
+
+      expect(await extractQuickly(document, DOCX)).toBe('Halo');
+      expect(await extractQuickly(runs, DOCX)).toBe('');
+      expect(await extractQuickly(table, DOCX)).toMatch(/^\| a +b \|/);
+    });
+
+    test('should scan Excel and PowerPoint parts with unclosed tags in linear time', async () => {
+      const workbook = zip({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Data" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+        'xl/sharedStrings.xml': `<sst><si><t>Kota</t>${unclosed('<rPh>')}</si>${unclosed('<si>')}</sst>`,
+        'xl/worksheets/sheet1.xml': `<worksheet><sheetData><row><c r="A1" t="s"><v>0</v></c></row>${unclosed('<row>')}</sheetData></worksheet>`
+      });
+      const presentation = zip({
+        'ppt/presentation.xml': '<p:presentation><p:sldIdLst><p:sldId id="256" r:id="rId1"/></p:sldIdLst></p:presentation>',
+        'ppt/_rels/presentation.xml.rels': '<Relationships><Relationship Id="rId1" Target="slides/slide1.xml"/></Relationships>',
+        'ppt/slides/slide1.xml': `<p:sld><a:p><a:r><a:t>Agenda</a:t></a:r>${unclosed('<a:br ')}</a:p>${unclosed('<a:p>')}</p:sld>`
+      });
+
+      expect(await extractQuickly(workbook, XLSX)).toBe('## Sheet: Data\n\n| Kota |\n| --- |');
+      expect(await extractQuickly(presentation, PPTX)).toBe('## Slide 1\n\nAgenda');
+    });
+  });
+
+  describe('unreadable documents', () => {
+    test.each([
+      ['not a ZIP archive', Buffer.from('PK\x03\x04 truncated'), 'Not a ZIP archive'],
+      ['a ZIP without the main part', zip({ 'notes.txt': 'hi' }), 'word/document.xml is missing from the document'],
+      ['an unsupported compression method', zip({ 'word/document.xml': '<w:body/>' }, { stored: true, method: 14 }),
+        'Unsupported ZIP compression method 14 for word/document.xml']
+    ])('should reject %s', async (description, buffer, message) => {
+      await expect(extractDocument(buffer, DOCX)).rejects.toThrow(message);
+    });
+
+    test('should reject a corrupt central directory', async () => {
+      const archive = zip({ 'word/document.xml': '<w:body/>' });
+      archive.writeUInt32LE(0, archive.length - 6);
+
+      await expect(extractDocument(archive, DOCX)).rejects.toThrow('Invalid ZIP central directory');
+    });
+
+    test('should reject entries pointing outside the archive', async () => {
+      const archive = zip({ 'word/document.xml': '<w:body/>' });
+      const directoryOffset = archive.readUInt32LE(archive.length - 6);
+      archive.writeUInt32LE(archive.length, directoryOffset + 42);
+
+      await expect(extractDocument(archive, DOCX)).rejects.toThrow('Invalid ZIP entry word/document.xml');
+    });
+
+    test('should stop reading a document that expands past the limit', async () => {
+      // Each part is small, together they expand to more than the 50 MB document limit
+      const part = `<worksheet>${' '.repeat(20 * 1024 * 1024)}</worksheet>`;
+      const bomb = zip({
+        'xl/workbook.xml': `<workbook><sheets>${[1, 2, 3].map(n => `<sheet name="S${n}" r:id="rId${n}"/>`).join('')}</sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': `<Relationships>${[1, 2, 3].map(n => `<Relationship Id="rId${n}" Target="worksheets/sheet${n}.xml"/>`).join('')}</Relationships>`,
+        'xl/worksheets/sheet1.xml': part,
+        'xl/worksheets/sheet2.xml': part,
+        'xl/worksheets/sheet3.xml': part
+      });
+
+      expect(bomb.length).toBeLessThan(1024 * 1024);
+      await expect(extractDocument(bomb, XLSX)).rejects.toThrow('Document expands to more than 50 MB');
+    });
+
+    test('should reject ZIP64 entries', async () => {
+      const archive = zip({ 'word/document.xml': '<w:body/>' });
+      const directoryOffset = archive.readUInt32LE(archive.length - 6);
+      archive.writeUInt32LE(0xFFFFFFFF, directoryOffset + 20);
+
+      await expect(extractDocument(archive, DOCX)).rejects.toThrow('ZIP64 archives are not supported');
+    });
+  });
+});
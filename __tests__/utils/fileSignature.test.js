@@ -0,0 +1,92 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  detectMimeType,
+  matchesDeclaredType,
+  base64Header,
+  SIGNATURE_HEADER_BYTES
+} from '../../utils/fileSignature.js';
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1')));
+const zeros = (length) => Buffer.alloc(length);
+
+describe('File Signature Utils', () => {
+  describe('detectMimeType', () => {
+    test.each([
+      ['image/jpeg', bytes('\xFF\xD8\xFF\xE0', zeros(8))],
+      ['image/png', bytes('\x89PNG\r\n\x1A\n', zeros(8))],
+      ['image/gif', bytes('GIF89a', zeros(8))],
+      ['image/webp', bytes('RIFF', zeros(4), 'WEBPVP8 ')],
+      ['image/bmp', bytes('BM', zeros(12))],
+      ['image/svg+xml', bytes('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>')],
+      ['application/pdf', bytes('%PDF-1.7\n')],
+      ['application/x-cfb', bytes('\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1', zeros(8))],
+      ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', bytes('PK\x03\x04', zeros(26), 'word/document.xml')],
+      ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', bytes('PK\x03\x04', zeros(26), 'xl/workbook.xml')],
+      ['application/vnd.openxmlformats-officedocument.presentationml.presentation', bytes('PK\x03\x04', zeros(26), 'ppt/slides/slide1.xml')],
+      ['application/zip', bytes('PK\x03\x04', zeros(26), 'notes.txt')],
+      ['text/plain', bytes('name,city\nNeng,Bandung\n')],
+      ['audio/wav', bytes('RIFF', zeros(4), 'WAVEfmt ')],
+      ['audio/ogg', bytes('OggS', zeros(8))],
+      ['audio/flac', bytes('fLaC', zeros(8))],
+      ['audio/mpeg', bytes('ID3\x04', zeros(8))],
+      ['audio/mpeg', bytes('\xFF\xFB\x90\x64', zeros(8))],
+      ['audio/aac', bytes('\xFF\xF1\x50\x80', zeros(8))],
+      ['video/mp4', bytes('\x00\x00\x00\x18ftypisom', zeros(8))],
+      ['video/quicktime', bytes('\x00\x00\x00\x14ftypqt  ', zeros(8))],
+      ['video/x-msvideo', bytes('RIFF', zeros(4), 'AVI LIST')],
+      ['video/x-ms-asf', bytes('\x30\x26\xB2\x75\x8E\x66\xCF\x11', zeros(8))],
+      ['video/x-flv', bytes('FLV\x01\x05', zeros(8))],
+      ['video/webm', bytes('\x1A\x45\xDF\xA3\x9F\x42\x86\x81\x01\x42\x82\x84webm')],
+      ['video/x-matroska', bytes('\x1A\x45\xDF\xA3\xA3\x42\x86\x81\x01\x42\x82\x88matroska')]
+    ])('should detect %s', (mimeType, header) => {
+      expect(detectMimeType(header)).toBe(mimeType);
+    });
+
+    test('should not detect unknown binary data', () => {
+      expect(detectMimeType(bytes('MZ\x90\x00\x03\x00'))).toBeNull();
+      expect(detectMimeType(bytes('\xC3\x28 invalid utf-8 \x01\x02'))).toBeNull();
+      expect(detectMimeType(Buffer.alloc(0))).toBeNull();
+      expect(detectMimeType(null)).toBeNull();
+    });
+
+    test('should only look at the start of the content', () => {
+      const text = bytes('a'.repeat(SIGNATURE_HEADER_BYTES), '\x00');
+      expect(detectMimeType(text)).toBe('text/plain');
+    });
+
+    test('should keep text starting like a bitmap as text', () => {
+      expect(detectMimeType(bytes('BMW service notes'))).toBe('text/plain');
+    });
+
+    test('should detect UTF-16 and single-byte encoded text', () => {
+      expect(detectMimeType(bytes('\xFF\xFE', Buffer.from('name,city\n', 'utf16le')))).toBe('text/plain');
+      expect(detectMimeType(bytes('\xFE\xFF', Buffer.from('name,city\n', 'utf16le').swap16()))).toBe('text/plain');
+      expect(detectMimeType(bytes('nama,kota\nJos\xE9,M\xFCnchen\r\n\x1A'))).toBe('text/plain');
+    });
+  });
+
+  describe('matchesDeclaredType', () => {
+    test('should accept the detected type and its aliases', () => {
+      expect(matchesDeclaredType('image/png', 'image/png')).toBe(true);
+      expect(matchesDeclaredType('image/jpg', 'image/jpeg')).toBe(true);
+      expect(matchesDeclaredType('audio/mp3', 'audio/mpeg')).toBe(true);
+      expect(matchesDeclaredType('text/csv', 'text/plain')).toBe(true);
+      expect(matchesDeclaredType('application/msword', 'application/x-cfb')).toBe(true);
+      expect(matchesDeclaredType('application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip')).toBe(true);
+    });
+
+    test('should reject other formats and unknown content', () => {
+      expect(matchesDeclaredType('image/png', 'image/jpeg')).toBe(false);
+      expect(matchesDeclaredType('image/png', null)).toBe(false);
+      expect(matchesDeclaredType('application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')).toBe(false);
+    });
+  });
+
+  test('base64Header should decode only the start of the data', () => {
+    const data = Buffer.alloc(SIGNATURE_HEADER_BYTES * 3, 'a').toString('base64');
+
+    expect(base64Header(data)).toHaveLength(Math.ceil(SIGNATURE_HEADER_BYTES / 3) * 3);
+    expect(base64Header(undefined)).toHaveLength(0);
+  });
+});
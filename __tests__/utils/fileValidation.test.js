@@ -1,12 +1,14 @@
-import { describe, test, expect, beforeEach } from '@jest/globals';
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
 import {
   FILE_TYPES,
   isValidFileType,
   isValidFileSize,
   validateFile,
+  validateFiles,
   prepareFileForAPI,
   formatFileMetadata,
   getFileTypeConfig,
+  getFileTypeForMimeType,
   getAllFileTypeConfigs
 } from '../../utils/fileValidation.js';
 
@@ -35,6 +37,53 @@ describe('File Validation Utils', () => {
       expect(FILE_TYPES.DOCUMENT.maxSize).toBeGreaterThan(FILE_TYPES.IMAGE.maxSize);
       expect(FILE_TYPES.VIDEO.maxSize).toBeGreaterThan(FILE_TYPES.AUDIO.maxSize);
     });
+
+    describe('limits from the environment', () => {
+      afterEach(() => {
+        delete process.env.IMAGE_MAX_FILES;
+        delete process.env.IMAGE_MAX_TOTAL_MB;
+        delete process.env.DOCUMENT_MAX_TOTAL_MB;
+        jest.resetModules();
+      });
+
+      test('should default the file count and total size per request', () => {
+        expect(FILE_TYPES.IMAGE.maxFiles).toBe(10);
+        expect(FILE_TYPES.DOCUMENT.maxTotalSize).toBe(100 * 1024 * 1024);
+      });
+
+      test('should read them from <TYPE>_MAX_FILES and <TYPE>_MAX_TOTAL_MB', async () => {
+        process.env.IMAGE_MAX_FILES = '3';
+        process.env.DOCUMENT_MAX_TOTAL_MB = '20';
+        jest.resetModules();
+
+        const { FILE_TYPES: configured } = await import('../../utils/fileValidation.js');
+
+        expect(configured.IMAGE.maxFiles).toBe(3);
+        expect(configured.DOCUMENT.maxTotalSize).toBe(20 * 1024 * 1024);
+        expect(configured.DOCUMENT.maxFiles).toBe(5);
+      });
+
+      test('should apply a total size below the file size limit to single files', async () => {
+        process.env.IMAGE_MAX_TOTAL_MB = '5';
+        jest.resetModules();
+
+        const { validateFiles: validateConfigured } = await import('../../utils/fileValidation.js');
+
+        expect(validateConfigured([{ mimetype: 'image/png', size: 9 * 1024 * 1024 }], 'image')).toEqual({
+          isValid: false,
+          error: 'Total upload size exceeds 5MB limit'
+        });
+        expect(validateConfigured([{ mimetype: 'image/png', size: 4 * 1024 * 1024 }], 'image').isValid).toBe(true);
+      });
+
+      test.each(['0', '2.5', 'ten'])('should refuse %s as a limit', async (value) => {
+        process.env.IMAGE_MAX_FILES = value;
+        jest.resetModules();
+
+        await expect(import('../../utils/fileValidation.js'))
+          .rejects.toThrow(`IMAGE_MAX_FILES must be a positive integer, got "${value}"`);
+      });
+    });
   });
 
   describe('isValidFileType', () => {
@@ -117,6 +166,20 @@ describe('File Validation Utils', () => {
     });
   });
 
+  describe('getFileTypeForMimeType', () => {
+    test('should find the category accepting a MIME type', () => {
+      expect(getFileTypeForMimeType('image/png')).toBe('image');
+      expect(getFileTypeForMimeType('application/pdf')).toBe('document');
+      expect(getFileTypeForMimeType('audio/mpeg')).toBe('audio');
+      expect(getFileTypeForMimeType('video/mp4')).toBe('video');
+    });
+
+    test('should return null for unsupported MIME types', () => {
+      expect(getFileTypeForMimeType('application/x-msdownload')).toBeNull();
+      expect(getFileTypeForMimeType(undefined)).toBeNull();
+    });
+  });
+
   describe('validateFile', () => {
     const validImageFile = {
       originalname: 'test.jpg',
@@ -166,6 +229,57 @@ describe('File Validation Utils', () => {
       const result = validateFile(pdfFile, 'document');
       expect(result.isValid).toBe(true);
     });
+
+    test('should check the content against the declared type', () => {
+      const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+      const executable = Buffer.from('MZ\x90\x00\x03\x00', 'latin1');
+
+      expect(validateFile({ mimetype: 'image/png', size: 8, buffer: png }, 'image')).toEqual({ isValid: true, error: null });
+      expect(validateFile({ mimetype: 'image/png', size: 6, buffer: executable }, 'image')).toEqual({
+        isValid: false,
+        error: 'File content does not match the declared type image/png (detected unknown format)'
+      });
+      expect(validateFile({ mimetype: 'image/jpeg', size: 8, header: png }, 'image')).toEqual({
+        isValid: false,
+        error: 'File content does not match the declared type image/jpeg (detected image/png)'
+      });
+    });
+  });
+
+  describe('validateFiles', () => {
+    const image = (size = 1024) => ({ mimetype: 'image/png', size });
+
+    test('should accept several files within the limits', () => {
+      expect(validateFiles([image(), image()], 'image')).toEqual({ isValid: true, error: null });
+    });
+
+    test('should reject more files than the type allows', () => {
+      const audio = { mimetype: 'audio/mpeg', size: 1024 };
+      expect(validateFiles([audio, audio], 'audio')).toEqual({
+        isValid: false,
+        error: 'At most 1 audio file can be uploaded at once'
+      });
+      expect(validateFiles(Array.from({ length: 11 }, () => image()), 'image').error)
+        .toBe('At most 10 image files can be uploaded at once');
+    });
+
+    test('should report the first invalid file', () => {
+      const result = validateFiles([image(), { mimetype: 'text/plain', size: 10 }], 'image');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toBe(FILE_TYPES.IMAGE.errorMessage);
+    });
+
+    test('should reject uploads over the total size limit', () => {
+      const files = Array.from({ length: 6 }, () => image(FILE_TYPES.IMAGE.maxSize));
+      expect(validateFiles(files, 'image')).toEqual({
+        isValid: false,
+        error: 'Total upload size exceeds 50MB limit'
+      });
+    });
+
+    test('should require at least one file', () => {
+      expect(validateFiles([], 'image')).toEqual({ isValid: false, error: 'image file is required' });
+    });
   });
 
   describe('prepareFileForAPI', () => {
@@ -218,6 +332,22 @@ describe('File Validation Utils', () => {
       }));
     });
 
+    test('should report the declared and the detected type', () => {
+      const result = formatFileMetadata({
+        originalname: 'photo.jpg',
+        mimetype: 'image/jpg',
+        size: 4,
+        buffer: Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])
+      });
+
+      expect(result).toEqual(expect.objectContaining({
+        mimeType: 'image/jpg',
+        declaredMimeType: 'image/jpg',
+        detectedMimeType: 'image/jpeg'
+      }));
+      expect(formatFileMetadata({ originalname: 'photo.jpg', mimetype: 'image/jpg' }).detectedMimeType).toBeNull();
+    });
+
     test('should return null for null file', () => {
       expect(formatFileMetadata(null)).toBeNull();
     });
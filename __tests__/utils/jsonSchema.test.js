@@ -0,0 +1,88 @@
+import { describe, test, expect } from '@jest/globals';
+import { checkSchema, validateJson, parseJsonReply } from '../../utils/jsonSchema.js';
+
+const recipeSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    servings: { type: 'integer', minimum: 1, maximum: 12 },
+    difficulty: { type: 'string', enum: ['easy', 'hard'] },
+    ingredients: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 },
+    note: { anyOf: [{ type: 'string' }, { type: 'null' }] }
+  },
+  required: ['name', 'ingredients'],
+  additionalProperties: false
+};
+
+describe('JSON Schema Utils', () => {
+  describe('checkSchema', () => {
+    test('should accept the supported subset', () => {
+      expect(checkSchema(recipeSchema)).toBeNull();
+      expect(checkSchema({ type: ['number', 'null'], description: 'Score' })).toBeNull();
+    });
+
+    test('should reject unsupported keywords with their location', () => {
+      expect(checkSchema({ $ref: '#/definitions/x' })).toBe('responseSchema.$ref is not supported');
+      expect(checkSchema({ type: 'object', properties: { a: { type: 'string', pattern: '^a' } } }))
+        .toBe('responseSchema.properties.a.pattern is not supported');
+    });
+
+    test('should reject malformed keywords', () => {
+      expect(checkSchema([])).toBe('responseSchema must be an object');
+      expect(checkSchema({ type: 'date' })).toBe('responseSchema.type "date" is not a valid type');
+      expect(checkSchema({ enum: [] })).toBe('responseSchema.enum must be a non-empty array');
+      expect(checkSchema({ required: [1] })).toBe('responseSchema.required must be an array of property names');
+      expect(checkSchema({ minItems: '1' })).toBe('responseSchema.minItems must be a number');
+      expect(checkSchema({ properties: [] })).toBe('responseSchema.properties must be an object');
+      expect(checkSchema({ additionalProperties: 'no' })).toBe('responseSchema.additionalProperties must be a boolean or a schema');
+      expect(checkSchema({ anyOf: [] })).toBe('responseSchema.anyOf must be a non-empty array');
+      expect(checkSchema({ items: { additionalProperties: { type: 'x' } } }))
+        .toBe('responseSchema.items.additionalProperties.type "x" is not a valid type');
+      expect(checkSchema({ oneOf: [{ type: 'string' }, 'number'] })).toBe('responseSchema.oneOf[1] must be an object');
+    });
+
+    test('should limit nesting', () => {
+      let schema = { type: 'string' };
+      for (let i = 0; i < 20; i++) {
+        schema = { type: 'array', items: schema };
+      }
+
+      expect(checkSchema(schema)).toMatch(/is nested too deeply/);
+    });
+  });
+
+  describe('validateJson', () => {
+    test('should accept matching values', () => {
+      expect(validateJson({ name: 'Seblak', servings: 2, ingredients: ['kerupuk'], note: null }, recipeSchema)).toBeNull();
+      expect(validateJson(2, { type: 'number' })).toBeNull();
+      expect(validateJson({ a: 1 }, { type: 'object', additionalProperties: { type: 'integer' } })).toBeNull();
+    });
+
+    test('should report the first mismatch with its path', () => {
+      const valid = { name: 'Seblak', ingredients: ['kerupuk'] };
+
+      expect(validateJson([], recipeSchema)).toBe('$ must be of type object');
+      expect(validateJson({ name: 'Seblak' }, recipeSchema)).toBe('$.ingredients is required');
+      expect(validateJson({ ...valid, spicy: true }, recipeSchema)).toBe('$.spicy is not allowed');
+      expect(validateJson({ ...valid, servings: 1.5 }, recipeSchema)).toBe('$.servings must be of type integer');
+      expect(validateJson({ ...valid, servings: 0 }, recipeSchema)).toBe('$.servings must be greater than or equal to 1');
+      expect(validateJson({ ...valid, servings: 20 }, recipeSchema)).toBe('$.servings must be less than or equal to 12');
+      expect(validateJson({ ...valid, difficulty: 'medium' }, recipeSchema)).toBe('$.difficulty must be one of "easy", "hard"');
+      expect(validateJson({ ...valid, ingredients: [] }, recipeSchema)).toBe('$.ingredients must contain at least 1 items');
+      expect(validateJson({ ...valid, ingredients: ['a', 'b', 'c', 'd'] }, recipeSchema)).toBe('$.ingredients must contain at most 3 items');
+      expect(validateJson({ ...valid, ingredients: ['a', 2] }, recipeSchema)).toBe('$.ingredients[1] must be of type string');
+      expect(validateJson({ ...valid, note: 3 }, recipeSchema)).toBe('$.note does not match any of the allowed schemas');
+    });
+  });
+
+  describe('parseJsonReply', () => {
+    test('should parse plain and fenced JSON', () => {
+      expect(parseJsonReply('{"a":1}')).toEqual({ a: 1 });
+      expect(parseJsonReply('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    });
+
+    test('should throw on anything else', () => {
+      expect(() => parseJsonReply('Here you go: {"a":1}')).toThrow(SyntaxError);
+    });
+  });
+});
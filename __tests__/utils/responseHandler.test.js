@@ -8,6 +8,7 @@ import {
   sendUnauthorizedError,
   sendForbiddenError
 } from '../../utils/responseHandler.js';
+import { LLMError } from '../../utils/errors.js';
 
 describe('Response Handler Utils', () => {
   let mockRes;
@@ -19,7 +20,8 @@ describe('Response Handler Utils', () => {
     mockStatus = jest.fn().mockReturnValue({ json: mockJson });
     mockRes = {
       status: mockStatus,
-      json: mockJson
+      json: mockJson,
+      set: jest.fn()
     };
   });
 
@@ -271,12 +273,42 @@ describe('Response Handler Utils', () => {
       
       expect(mockJson).toHaveBeenCalledWith(
         expect.objectContaining({
-          errors: 'Internal server error occurred'
+          errors: 'Internal server error occurred',
+          errorCode: 'INTERNAL_ERROR'
         })
       );
       
       process.env.NODE_ENV = originalEnv;
     });
+
+    test('should keep the status and code of classified errors', () => {
+      const originalEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      const error = new LLMError('RATE_LIMITED', 'Quota exceeded for metric', { retryAfterMs: 2500 });
+      
+      sendInternalServerError(mockRes, error, 'Failed to process chat message');
+      
+      expect(mockStatus).toHaveBeenCalledWith(429);
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '3');
+      expect(mockJson).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: 429,
+          message: 'Failed to process chat message',
+          errorCode: 'RATE_LIMITED',
+          errors: 'The AI service is receiving too many requests, please retry later'
+        })
+      );
+      
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    test('should map safety blocks without a retry hint', () => {
+      sendInternalServerError(mockRes, new LLMError('SAFETY_BLOCKED'));
+      
+      expect(mockStatus).toHaveBeenCalledWith(422);
+      expect(mockRes.set).not.toHaveBeenCalled();
+      expect(mockJson).toHaveBeenCalledWith(expect.objectContaining({ errorCode: 'SAFETY_BLOCKED' }));
+    });
   });
 
   describe('sendNotFoundError', () => {
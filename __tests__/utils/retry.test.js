@@ -0,0 +1,63 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { withRetry, getBackoffDelay } from '../../utils/retry.js';
+
+const transient = (message = 'busy') => Object.assign(new Error(message), { retryable: true });
+
+describe('Retry Utils', () => {
+  describe('getBackoffDelay', () => {
+    test('should grow exponentially with full jitter', () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 0.5 };
+
+      expect(getBackoffDelay(0, options)).toBe(50);
+      expect(getBackoffDelay(1, options)).toBe(100);
+      expect(getBackoffDelay(2, options)).toBe(200);
+      expect(getBackoffDelay(10, options)).toBe(500);
+    });
+
+    test('should honour an upstream delay up to the maximum', () => {
+      expect(getBackoffDelay(0, { baseDelayMs: 100, maxDelayMs: 1000, retryAfterMs: 300 })).toBe(300);
+      expect(getBackoffDelay(0, { baseDelayMs: 100, maxDelayMs: 1000, retryAfterMs: 30000 })).toBe(1000);
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should return the first successful result', async () => {
+      const fn = jest.fn()
+        .mockRejectedValueOnce(transient())
+        .mockResolvedValue('ok');
+      const wait = jest.fn().mockResolvedValue();
+      const onRetry = jest.fn();
+
+      await expect(withRetry(fn, { wait, onRetry, random: () => 1, baseDelayMs: 100 })).resolves.toBe('ok');
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveBeenLastCalledWith(1);
+      expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 1, 100);
+      expect(wait).toHaveBeenCalledWith(100);
+    });
+
+    test('should stop after the configured number of retries', async () => {
+      const fn = jest.fn().mockRejectedValue(transient());
+
+      await expect(withRetry(fn, { retries: 2, wait: async () => {} })).rejects.toThrow('busy');
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry errors that are not retryable', async () => {
+      const fn = jest.fn().mockRejectedValue(new Error('invalid'));
+
+      await expect(withRetry(fn, { wait: async () => {} })).rejects.toThrow('invalid');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const fn = jest.fn(async () => {
+        controller.abort();
+        throw transient();
+      });
+
+      await expect(withRetry(fn, { signal: controller.signal, wait: async () => {} })).rejects.toThrow('busy');
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { initSSE, sendSSEEvent, sendSSEError, endSSE } from '../../utils/sse.js';
+import { LLMError } from '../../utils/errors.js';
+
+describe('SSE Utils', () => {
+  let mockRes;
+
+  beforeEach(() => {
+    mockRes = {
+      writableEnded: false,
+      status: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      flushHeaders: jest.fn(),
+      write: jest.fn(),
+      end: jest.fn(function () {
+        this.writableEnded = true;
+      })
+    };
+  });
+
+  describe('initSSE', () => {
+    test('should send event-stream headers immediately', () => {
+      initSSE(mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform'
+      }));
+      expect(mockRes.flushHeaders).toHaveBeenCalled();
+    });
+  });
+
+  describe('sendSSEEvent', () => {
+    test('should write a named event with JSON data', () => {
+      sendSSEEvent(mockRes, 'chunk', { text: 'Halo\nNeng' });
+
+      expect(mockRes.write).toHaveBeenCalledWith('event: chunk\ndata: {"text":"Halo\\nNeng"}\n\n');
+    });
+
+    test('should not write after the response ended', () => {
+      mockRes.writableEnded = true;
+
+      sendSSEEvent(mockRes, 'chunk', { text: 'late' });
+
+      expect(mockRes.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendSSEError', () => {
+    const originalEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    test('should write an error event and end the stream', () => {
+      sendSSEError(mockRes, 'Failed to stream content', new Error('boom'));
+
+      expect(mockRes.write).toHaveBeenCalledWith(
+        'event: error\ndata: {"status":false,"message":"Failed to stream content","errorCode":"INTERNAL_ERROR"}\n\n'
+      );
+      expect(mockRes.end).toHaveBeenCalled();
+    });
+
+    test('should carry the status and code of classified errors', () => {
+      sendSSEError(mockRes, 'Failed to stream content', new LLMError('RATE_LIMITED'));
+
+      const payload = JSON.parse(mockRes.write.mock.calls[0][0].split('data: ')[1]);
+      expect(payload).toEqual({
+        status: false,
+        message: 'Failed to stream content',
+        errorCode: 'RATE_LIMITED',
+        code: 429,
+        errors: 'The AI service is receiving too many requests, please retry later'
+      });
+    });
+
+    test('should include error details in development', () => {
+      process.env.NODE_ENV = 'development';
+
+      sendSSEError(mockRes, 'Failed to stream content', new Error('boom'));
+
+      expect(mockRes.write).toHaveBeenCalledWith(expect.stringContaining('"errors":"boom"'));
+    });
+  });
+
+  describe('endSSE', () => {
+    test('should end the response only once', () => {
+      endSSE(mockRes);
+      endSSE(mockRes);
+
+      expect(mockRes.end).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import multer from 'multer';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createHashingDiskStorage,
+  createUploadStorage,
+  readUploadedFile,
+  removeUploadedFiles
+} from '../../utils/uploadStorage.js';
+
+describe('Upload Storage', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'nengai-upload-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+    delete process.env.UPLOAD_STORAGE;
+    delete process.env.UPLOAD_TMP_DIR;
+  });
+
+  /**
+   * App accepting one `file` upload and answering with what multer stored
+   * @param {Object} limits - Multer limits
+   * @returns {Object} - Express app
+   */
+  function createApp(limits = {}) {
+    const upload = multer({ storage: createHashingDiskStorage({ directory: path.join(directory, 'uploads') }), limits });
+    const app = express();
+    app.post('/upload', upload.single('file'), async (req, res) => {
+      res.json({ file: req.file, content: (await readUploadedFile(req.file)).toString() });
+    });
+    app.use((error, req, res, next) => res.status(400).json({ code: error.code }));
+    return app;
+  }
+
+  describe('createHashingDiskStorage', () => {
+    test('should stream uploads to temporary files with their hash', async () => {
+      const response = await request(createApp())
+        .post('/upload')
+        .attach('file', Buffer.from('fake mp4 data'), { filename: 'clip.mp4', contentType: 'video/mp4' })
+        .expect(200);
+
+      const { file, content } = response.body;
+      expect(content).toBe('fake mp4 data');
+      expect(file).toEqual(expect.objectContaining({
+        originalname: 'clip.mp4',
+        mimetype: 'video/mp4',
+        size: 13,
+        sha256: createHash('sha256').update('fake mp4 data').digest('hex'),
+        header: { type: 'Buffer', data: [...Buffer.from('fake mp4 data')] },
+        destination: path.join(directory, 'uploads')
+      }));
+      expect(file).not.toHaveProperty('buffer');
+      await expect(fs.readFile(file.path, 'utf8')).resolves.toBe('fake mp4 data');
+    });
+
+    test('should remove the partial file when an upload is over the limit', async () => {
+      const response = await request(createApp({ fileSize: 4 }))
+        .post('/upload')
+        .attach('file', Buffer.from('fake mp4 data'), { filename: 'clip.mp4', contentType: 'video/mp4' })
+        .expect(400);
+
+      expect(response.body.code).toBe('LIMIT_FILE_SIZE');
+      await expect(fs.readdir(path.join(directory, 'uploads'))).resolves.toEqual([]);
+    });
+  });
+
+  describe('createUploadStorage', () => {
+    test('should keep uploads in memory by default', () => {
+      expect(createUploadStorage()).toBeInstanceOf(multer.memoryStorage().constructor);
+    });
+
+    test('should use temporary files in disk mode', () => {
+      process.env.UPLOAD_STORAGE = 'disk';
+      process.env.UPLOAD_TMP_DIR = directory;
+      expect(createUploadStorage()).toEqual({ _handleFile: expect.any(Function), _removeFile: expect.any(Function) });
+    });
+
+    test('should reject unknown modes', () => {
+      process.env.UPLOAD_STORAGE = 's3';
+      expect(() => createUploadStorage()).toThrow('Unknown UPLOAD_STORAGE: s3. Use "memory" or "disk"');
+    });
+  });
+
+  describe('removeUploadedFiles', () => {
+    test('should remove every temporary file of the request once', async () => {
+      const first = path.join(directory, 'first');
+      const second = path.join(directory, 'second');
+      await fs.writeFile(first, 'a');
+      await fs.writeFile(second, 'b');
+      const file = { path: first };
+
+      const removed = await removeUploadedFiles({ file, files: [file, { path: second }, { buffer: Buffer.from('c') }] });
+
+      expect(removed).toBe(2);
+      await expect(fs.readdir(directory)).resolves.toEqual([]);
+    });
+
+    test('should ignore files that are already gone', async () => {
+      await expect(removeUploadedFiles({ file: { path: path.join(directory, 'missing') } })).resolves.toBe(1);
+      await expect(removeUploadedFiles({})).resolves.toBe(0);
+    });
+  });
+
+  test('readUploadedFile should read memory uploads as they are', async () => {
+    const buffer = Buffer.from('png');
+    await expect(readUploadedFile({ buffer })).resolves.toBe(buffer);
+  });
+});
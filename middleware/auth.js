@@ -0,0 +1,95 @@
+/**
+ * Authentication (API keys or JWT bearer tokens), scopes and daily quotas
+ */
+import { findApiKey, hasScope, isAuthEnabled } from '../services/apiKeyService.js';
+import { isJwtEnabled, looksLikeJwt, verifyJwt } from '../services/jwtAuthService.js';
+import { countRequest, findExceededQuota } from '../services/usageService.js';
+import {
+  sendErrorResponse,
+  sendForbiddenError,
+  sendUnauthorizedError
+} from '../utils/responseHandler.js';
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+/**
+ * Credential sent with a request, as `Authorization: Bearer <credential>`
+ * or an API key in X-API-Key
+ * @param {Object} req - Express request object
+ * @returns {string|null} - API key or bearer token, or null
+ */
+function readCredential(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : req.get(API_KEY_HEADER) || null;
+}
+
+/**
+ * Identify the caller of a request. Bearer tokens shaped like a JWT set
+ * req.user while JWT authentication is on; API keys set req.apiKey.
+ * Does nothing while authentication is off.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function authenticate(req, res, next) {
+  const jwtEnabled = isJwtEnabled();
+  if (!jwtEnabled && !isAuthEnabled()) {
+    return next();
+  }
+
+  const credential = readCredential(req);
+  if (!credential) {
+    return sendUnauthorizedError(res, jwtEnabled ? 'Bearer token or API key is required' : 'API key is required');
+  }
+
+  if (jwtEnabled && looksLikeJwt(credential)) {
+    try {
+      req.user = verifyJwt(credential);
+    } catch (error) {
+      return sendUnauthorizedError(res, error.message);
+    }
+    return next();
+  }
+
+  const apiKey = findApiKey(credential);
+  if (!apiKey) {
+    return sendUnauthorizedError(res, 'Invalid API key');
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Create middleware letting through the callers that have a scope, and
+ * API keys only while within their daily quotas, counting the request
+ * against them
+ * @param {string} scope - Scope of the endpoint (chat, files, admin)
+ * @returns {Function} - Express middleware
+ */
+export function authorize(scope) {
+  return (req, res, next) => {
+    if (!isAuthEnabled() && !isJwtEnabled()) {
+      return next();
+    }
+    const caller = req.apiKey || req.user;
+    if (!caller) {
+      return sendUnauthorizedError(res, 'API key is required');
+    }
+    if (!hasScope(caller, scope)) {
+      return sendForbiddenError(res, `${req.apiKey ? 'API key' : 'User'} is not allowed to use ${scope} endpoints`);
+    }
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const exceeded = findExceededQuota(req.apiKey);
+    if (exceeded) {
+      res.set('Retry-After', String(exceeded.retryAfterSeconds));
+      return sendErrorResponse(res, `Daily ${exceeded.quota} quota exceeded`, 429, null, 'DAILY_QUOTA_EXCEEDED');
+    }
+
+    countRequest(req.apiKey.id);
+    next();
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Token usage tracking and token budgets per client
+ */
+import { findExceededBudget, runWithUsage } from '../services/usageService.js';
+import { estimateFileTokens, estimateTextTokens } from '../services/contextWindow.js';
+import { sendErrorResponse } from '../utils/responseHandler.js';
+
+/**
+ * Client a request is charged to: its API key, else its JWT user, else its IP
+ * @param {Object} req - Express request object
+ * @returns {Object} - API key record, or { id } with a user: or ip: client ID
+ */
+export function usageClient(req) {
+  if (req.apiKey) {
+    return req.apiKey;
+  }
+  if (req.user) {
+    return { id: `user:${req.user.id}` };
+  }
+  return { id: `ip:${req.ip || req.connection?.remoteAddress}` };
+}
+
+/**
+ * Run the rest of a request in the usage context of its client, so the
+ * tokens of its model calls are added up and charged to the client
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function trackUsage(req, res, next) {
+  runWithUsage(usageClient(req).id, next);
+}
+
+/**
+ * Estimate the tokens a generation request will use: its prompt or chat
+ * messages, attachments and uploaded files, plus maxOutputTokens when set.
+ * Stored conversation history is not counted, so chats may use more.
+ * @param {Object} req - Express request object
+ * @returns {number} - Estimated token count
+ */
+export function estimateRequestTokens(req) {
+  const { prompt, messages, generationConfig } = req.body || {};
+  let tokens = estimateTextTokens(typeof prompt === 'string' ? prompt : '');
+
+  for (const message of Array.isArray(messages) ? messages : []) {
+    const content = message?.content;
+    if (typeof content === 'string') {
+      tokens += estimateTextTokens(content);
+    } else if (content?.file) {
+      tokens += estimateTextTokens(content.text);
+      tokens += estimateFileTokens(content.file.mimeType, Buffer.byteLength(content.file.data || '', 'base64'));
+    }
+  }
+
+  const files = req.files?.length ? req.files : req.file ? [req.file] : [];
+  for (const file of files) {
+    tokens += estimateFileTokens(file.mimetype, file.size || 0);
+  }
+
+  return tokens + (Number(generationConfig?.maxOutputTokens) || 0);
+}
+
+/**
+ * Refuse a generation request before it reaches the model when its
+ * estimated tokens would go over the daily or monthly token budget of
+ * its client
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function checkTokenBudget(req, res, next) {
+  const estimatedTokens = estimateRequestTokens(req);
+  const exceeded = findExceededBudget(usageClient(req), estimatedTokens);
+
+  if (exceeded) {
+    res.set('Retry-After', String(exceeded.retryAfterSeconds));
+    return sendErrorResponse(
+      res,
+      `Request would exceed the ${exceeded.budget} token budget (about ${estimatedTokens} tokens, ${exceeded.remaining} left)`,
+      429,
+      null,
+      'TOKEN_BUDGET_EXCEEDED'
+    );
+  }
+
+  next();
+}
@@ -1,31 +1,78 @@
-import Joi from 'joi';
-
-const chatSchema = Joi.object({
-  messages: Joi.array().items(
-    Joi.object({
-      role: Joi.string().valid('user', 'model', 'system').required().messages({
-        'any.only': 'Invalid role value',
-      }),
-      content: Joi.string().required().messages({
-        'any.required': 'Content is required',
-      }),
-    })
-  ).min(1).required().messages({
-    'array.min': 'At least one message is required',
-    'any.required': 'Messages field is required',
-  }),
-});
-
-export function chatValidate(req, res, next) {
-  const { error } = chatSchema.validate(req.body);
-  if (error) {
-    return res.status(400).json({
-      status: false,
-      code: 400,
-      message: 'Invalid request body',
-      errors: error.details[0].message,
-    });
+/**
+ * Schema validation middleware
+ */
+import { schemas } from './schemas.js';
+import { sendValidationError } from '../utils/responseHandler.js';
+
+// Parts are checked in this order; the error message names the part that failed
+const PARTS = {
+  params: 'Invalid path parameters',
+  query: 'Invalid query parameters',
+  body: 'Invalid request body',
+};
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Check the request parts of a schema entry, collecting every failing field
+ * @param {Object} entry - Schema entry ({ body, query, params })
+ * @param {Object} req - Express request object
+ * @returns {Object} - { errors, body }: failing fields as { field, location, message } and the validated body
+ */
+function checkRequest(entry, req) {
+  const errors = [];
+  let body = req.body;
+
+  for (const location of Object.keys(PARTS)) {
+    if (!entry[location]) {
+      continue;
+    }
+
+    const { error, value } = entry[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+    for (const detail of error?.details || []) {
+      errors.push({
+        field: detail.path.join('.') || null,
+        location,
+        message: detail.message,
+      });
+    }
+    if (location === 'body') {
+      body = value;
+    }
   }
-  next();
+
+  return { errors, body };
 }
 
+/**
+ * Build a middleware validating a request against a schema of the registry.
+ * Every failing field is reported in `errors`; the validated body (trimmed,
+ * with multipart JSON fields parsed) replaces the raw one on req.body.
+ * @param {string} schemaName - Name of the schema in middleware/schemas.js
+ * @returns {Function} - Express middleware
+ * @throws {Error} - If the schema is unknown
+ */
+export function validate(schemaName) {
+  const entry = schemas[schemaName];
+  if (!entry) {
+    throw new Error(`Unknown validation schema: ${schemaName}. Available schemas: ${Object.keys(schemas).join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    const { errors, body } = checkRequest(entry, req);
+
+    if (errors.length) {
+      const locations = new Set(errors.map(({ location }) => location));
+      const message = locations.size === 1 ? PARTS[errors[0].location] : 'Invalid request';
+      return sendValidationError(res, message, errors);
+    }
+
+    if (entry.body) {
+      req.body = body;
+    }
+    next();
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * Request schemas of every route that takes input, by name.
+ *
+ * Each entry holds a Joi schema for the parts of the request it checks
+ * (body, query, params); parts without a schema are not checked. Routes
+ * pick their entry with validate(name) from joiValidation.js.
+ */
+import Joi from 'joi';
+import { checkSchema } from '../utils/jsonSchema.js';
+
+/**
+ * Joi type parsing JSON strings into the base type
+ * @param {string} type - Name of the type
+ * @param {string} base - Joi base type (object or array)
+ * @param {string} description - What the value must be, for the error message
+ * @returns {Function} - Joi extension
+ */
+function jsonType(type, base, description) {
+  return (joi) => ({
+    type,
+    base: joi[base](),
+    messages: {
+      [`${type}.parse`]: `{{#label}} must be ${description}`,
+    },
+    coerce: {
+      from: 'string',
+      method(value, helpers) {
+        try {
+          return { value: JSON.parse(value) };
+        } catch {
+          return { errors: [helpers.error(`${type}.parse`)] };
+        }
+      },
+    },
+  });
+}
+
+// Multipart uploads send object and array fields as JSON strings, which these types parse
+const JsonJoi = Joi.extend(
+  jsonType('jsonObject', 'object', 'a JSON object'),
+  jsonType('jsonArray', 'array', 'a JSON array')
+);
+
+const promptSchema = Joi.string().trim().max(10000).required().messages({
+  'any.required': 'Prompt is required in the request body',
+  'string.base': 'Prompt must be a string',
+  'string.empty': 'Prompt cannot be empty',
+  'string.max': 'Prompt is too long (maximum 10,000 characters)',
+});
+
+const conversationIdSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{1,128}$/).messages({
+  'string.pattern.base': 'Invalid conversation ID',
+});
+
+const personaSchema = Joi.string().pattern(/^[a-z0-9-]{1,64}$/).messages({
+  'string.pattern.base': 'Invalid persona ID',
+});
+
+const modelSchema = Joi.string().pattern(/^[a-z0-9.-]{1,64}$/).messages({
+  'string.pattern.base': 'Invalid model ID',
+});
+
+const toolNameSchema = Joi.string().pattern(/^[A-Za-z0-9_-]{1,64}$/).messages({
+  'string.pattern.base': 'Invalid tool name',
+});
+
+const toolsSchema = Joi.array().items(toolNameSchema).unique().max(20);
+
+const titleSchema = Joi.string().trim().min(1).max(200).messages({
+  'string.empty': 'Title cannot be empty',
+  'string.max': 'Title must be at most 200 characters',
+});
+
+const generationConfigSchema = JsonJoi.jsonObject().keys({
+  temperature: Joi.number().min(0).max(2),
+  topP: Joi.number().min(0).max(1),
+  topK: Joi.number().integer().min(1).max(100),
+  maxOutputTokens: Joi.number().integer().min(1).max(65536),
+  stopSequences: Joi.array().items(Joi.string().min(1).max(100)).max(5).messages({
+    'array.max': 'At most 5 stop sequences are allowed',
+  }),
+}).messages({
+  'object.base': '{{#label}} must be a JSON object',
+});
+
+// JSON Schema for structured output, limited to the subset Gemini accepts
+const responseSchemaSchema = JsonJoi.jsonObject().unknown().custom((schema, helpers) => {
+  const problem = checkSchema(schema);
+  return problem ? helpers.error('responseSchema.unsupported', { problem }) : schema;
+}).messages({
+  'object.base': '{{#label}} must be a JSON object',
+  'responseSchema.unsupported': '{#problem}',
+});
+
+const messagesSchema = Joi.array().items(
+  Joi.object({
+    role: Joi.string().valid('user', 'model', 'system').required().messages({
+      'any.only': 'Invalid role value',
+    }),
+    content: Joi.alternatives().try(
+      Joi.string(),
+      // Attachment: base64 file data with an optional caption
+      Joi.object({
+        text: Joi.string().allow(''),
+        file: Joi.object({
+          mimeType: Joi.string().required(),
+          data: Joi.string().base64().required(),
+          name: Joi.string(),
+        }).required(),
+      })
+    ).required().messages({
+      'any.required': 'Content is required',
+      'alternatives.types': 'Content must be a string or an object with a file',
+    }),
+  })
+).min(1).required().messages({
+  'array.min': 'At least one message is required',
+  'any.required': 'Messages field is required',
+});
+
+const conversationParamsSchema = Joi.object({
+  id: conversationIdSchema.required(),
+});
+
+const generateTextBody = Joi.object({
+  prompt: promptSchema,
+  model: modelSchema,
+  generationConfig: generationConfigSchema,
+  responseSchema: responseSchemaSchema,
+});
+
+const chatBody = Joi.object({
+  messages: messagesSchema,
+  conversationId: conversationIdSchema,
+  persona: personaSchema,
+  model: modelSchema,
+  generationConfig: generationConfigSchema,
+  tools: toolsSchema,
+});
+
+// Multipart chat: a `message` field (and a `file`, see parseMultipartChat)
+const chatUploadBody = Joi.object({
+  message: Joi.string().trim().allow('').max(10000).messages({
+    'string.max': 'Message is too long (maximum 10,000 characters)',
+  }),
+  conversationId: conversationIdSchema,
+  persona: personaSchema,
+  model: modelSchema,
+  generationConfig: generationConfigSchema,
+  tools: JsonJoi.jsonArray().items(toolNameSchema).unique().max(20).messages({
+    'array.base': '{{#label}} must be a JSON array',
+  }),
+});
+
+export const schemas = {
+  // POST /generate-text
+  generateText: {
+    body: generateTextBody,
+  },
+
+  // POST /generate-text/stream (no structured output)
+  generateTextStream: {
+    body: generateTextBody.fork('responseSchema', (schema) => schema.forbidden()),
+  },
+
+  // POST /generate-from-{image,document,audio,video}, multipart fields
+  generateFromFile: {
+    body: generateTextBody,
+  },
+
+  // POST /chat and /chat/stream, JSON body
+  chat: {
+    body: chatBody,
+  },
+
+  // POST /chat and /chat/stream, multipart fields, turned into the chat body by parseMultipartChat
+  chatUpload: {
+    body: chatUploadBody,
+  },
+
+  // POST /conversations
+  createConversation: {
+    body: Joi.object({
+      title: titleSchema.allow(null),
+      persona: personaSchema,
+    }),
+  },
+
+  // GET /conversations
+  listConversations: {
+    query: Joi.object({
+      page: Joi.number().integer().min(1),
+      limit: Joi.number().integer().min(1).max(100),
+    }),
+  },
+
+  // GET and DELETE /conversations/:id
+  conversation: {
+    params: conversationParamsSchema,
+  },
+
+  // PATCH /conversations/:id
+  updateConversation: {
+    params: conversationParamsSchema,
+    body: Joi.object({
+      title: titleSchema.required().messages({
+        'any.required': 'Title is required',
+      }),
+    }),
+  },
+
+  // POST /conversations/:id/fork
+  forkConversation: {
+    params: conversationParamsSchema,
+    query: Joi.object({
+      fromMessage: Joi.number().integer().min(0).required().messages({
+        'any.required': 'fromMessage query parameter is required',
+        'number.base': 'fromMessage must be a number',
+      }),
+    }),
+  },
+};
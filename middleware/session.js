@@ -0,0 +1,79 @@
+/**
+ * Session identification middleware
+ */
+import { randomUUID } from 'crypto';
+import { USER_OWNER_PREFIX } from '../services/jwtAuthService.js';
+
+export const SESSION_HEADER = 'X-Session-Id';
+export const SESSION_COOKIE = 'nengai_sid';
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Check whether a session ID has an acceptable format. IDs with the owner
+ * prefix of JWT users are refused, so a session cannot reach their conversations.
+ * @param {string} id - Candidate session ID
+ * @returns {boolean} - True if valid
+ */
+export function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id) && !id.startsWith(USER_OWNER_PREFIX);
+}
+
+/**
+ * Read a cookie value from the raw Cookie header
+ * @param {string} cookieHeader - Raw Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value or null
+ */
+export function readCookie(cookieHeader, name) {
+  if (!cookieHeader || typeof cookieHeader !== 'string') {
+    return null;
+  }
+
+  for (const pair of cookieHeader.split(';')) {
+    const separatorIndex = pair.indexOf('=');
+    if (separatorIndex === -1) {
+      continue;
+    }
+    const key = pair.slice(0, separatorIndex).trim();
+    if (key === name) {
+      try {
+        return decodeURIComponent(pair.slice(separatorIndex + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the session ID from the X-Session-Id header or the session cookie,
+ * issuing a new one when neither carries a valid ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function resolveSession(req, res, next) {
+  const headerId = req.get(SESSION_HEADER);
+  const cookieId = readCookie(req.get('Cookie'), SESSION_COOKIE);
+
+  let sessionId = [headerId, cookieId].find(isValidSessionId);
+  if (!sessionId) {
+    sessionId = randomUUID();
+  }
+
+  req.sessionId = sessionId;
+
+  res.set(SESSION_HEADER, sessionId);
+  if (cookieId !== sessionId) {
+    res.cookie(SESSION_COOKIE, sessionId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      path: '/'
+    });
+  }
+
+  next();
+}
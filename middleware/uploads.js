@@ -0,0 +1,74 @@
+/**
+ * Upload middleware: a global limit on the bytes being uploaded at once and
+ * the cleanup of temporary upload files.
+ */
+import { sendErrorResponse } from '../utils/responseHandler.js';
+import { removeUploadedFiles } from '../utils/uploadStorage.js';
+
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Create a limiter on the total size of the uploads in progress.
+ * A request reserves its Content-Length (or the largest body the route
+ * accepts when the length is unknown) until its response is done; when the
+ * reservation would exceed maxBytes the request is turned away with 503
+ * and Retry-After instead of being buffered. A single request larger than
+ * maxBytes is still admitted when nothing else is uploading.
+ * @param {Object} options - Limiter options
+ * @param {number} options.maxBytes - Maximum bytes uploading at once
+ * @param {number} options.retryAfterSeconds - Retry-After of rejected requests
+ * @returns {Object} - limit(maxRequestBytes) middleware factory and inFlightBytes()
+ */
+export function createUploadLimiter({ maxBytes, retryAfterSeconds = DEFAULT_RETRY_AFTER_SECONDS }) {
+  let inFlight = 0;
+
+  /**
+   * Middleware reserving the upload bytes of a request
+   * @param {number} maxRequestBytes - Largest body the route accepts
+   * @returns {Function} - Express middleware
+   */
+  function limit(maxRequestBytes) {
+    return (req, res, next) => {
+      const declared = Number(req.get('Content-Length'));
+      const bytes = declared > 0 ? Math.min(declared, maxRequestBytes) : maxRequestBytes;
+
+      if (inFlight > 0 && inFlight + bytes > maxBytes) {
+        res.set('Retry-After', String(retryAfterSeconds));
+        return sendErrorResponse(
+          res,
+          'Too many uploads in progress, please retry later',
+          503,
+          null,
+          'UPLOAD_CAPACITY_EXCEEDED'
+        );
+      }
+
+      inFlight += bytes;
+      res.once('close', () => {
+        inFlight -= bytes;
+      });
+      next();
+    };
+  }
+
+  return {
+    limit,
+    inFlightBytes: () => inFlight
+  };
+}
+
+/**
+ * Remove the temporary files of the request's uploads once the response is
+ * done, whether the request succeeded, failed or was aborted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function cleanupUploadedFiles(req, res, next) {
+  res.once('close', () => {
+    removeUploadedFiles(req).catch(error => {
+      console.error('Failed to remove temporary upload files:', error);
+    });
+  });
+  next();
+}
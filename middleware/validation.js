@@ -1,38 +1,11 @@
 /**
  * Request validation middleware
  */
-import { sendValidationError } from '../utils/responseHandler.js';
-
-/**
- * Validate prompt in request body
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-export function validatePrompt(req, res, next) {
-  const { prompt } = req.body;
-  
-  if (!prompt) {
-    return sendValidationError(res, 'Prompt is required in the request body');
-  }
-  
-  if (typeof prompt !== 'string') {
-    return sendValidationError(res, 'Prompt must be a string');
-  }
-  
-  if (prompt.trim().length === 0) {
-    return sendValidationError(res, 'Prompt cannot be empty');
-  }
-  
-  if (prompt.length > 10000) {
-    return sendValidationError(res, 'Prompt is too long (maximum 10,000 characters)');
-  }
-  
-  // Sanitize prompt
-  req.body.prompt = prompt.trim();
-  
-  next();
-}
+import { sendErrorResponse, sendValidationError } from '../utils/responseHandler.js';
+import { consumeRequest, getRateLimitStore } from '../services/rateLimit/index.js';
+import { getFileTypeForMimeType, prepareFileForAPI, validateFile } from '../utils/fileValidation.js';
+import { keepAttachment } from '../services/attachmentStore.js';
+import { base64Header } from '../utils/fileSignature.js';
 
 /**
  * Validate file upload
@@ -41,7 +14,7 @@ export function validatePrompt(req, res, next) {
  */
 export function validateFileUpload(fileType) {
   return (req, res, next) => {
-    if (!req.file) {
+    if (!req.file && !req.files?.length) {
       return sendValidationError(res, `${fileType} file is required for this endpoint`);
     }
     
@@ -81,35 +54,55 @@ export function sanitizeRequestBody(req, res, next) {
 }
 
 /**
- * Rate limiting validation (basic implementation)
+ * Key a request is rate limited by: its API key, else its JWT user, else
+ * its client IP, so clients behind one address do not share a limit
+ * @param {Object} req - Express request object
+ * @returns {string} - Rate limit key
+ */
+export function rateLimitKey(req) {
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip || req.connection.remoteAddress}`;
+}
+
+/**
+ * Rate limiting with a sliding window. Every response carries the
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * headers; refused requests also get Retry-After. Requests go through when
+ * the store fails, so an outage of the store does not take the API down.
  * @param {number} maxRequests - Maximum requests per time window
  * @param {number} timeWindow - Time window in milliseconds
+ * @param {Object} options - Limiter options
+ * @param {Object} options.store - Rate limit store (defaults to the active store, see RATE_LIMIT_STORE)
+ * @param {Function} options.keyGenerator - Key of a request (defaults to rateLimitKey)
  * @returns {Function} - Middleware function
  */
-export function createRateLimiter(maxRequests = 100, timeWindow = 15 * 60 * 1000) {
-  const requests = new Map();
-  
-  return (req, res, next) => {
-    const clientId = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    
-    if (!requests.has(clientId)) {
-      requests.set(clientId, { count: 1, resetTime: now + timeWindow });
-      return next();
-    }
-    
-    const clientData = requests.get(clientId);
-    
-    if (now > clientData.resetTime) {
-      requests.set(clientId, { count: 1, resetTime: now + timeWindow });
+export function createRateLimiter(maxRequests = 100, timeWindow = 15 * 60 * 1000, { store = null, keyGenerator = rateLimitKey } = {}) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await consumeRequest(store || getRateLimitStore(), keyGenerator(req), { limit: maxRequests, windowMs: timeWindow });
+    } catch (error) {
+      console.error('Rate limit store failed, letting the request through:', error.message);
       return next();
     }
-    
-    if (clientData.count >= maxRequests) {
-      return sendValidationError(res, 'Too many requests. Please try again later.', 429);
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds),
+      'RateLimit-Policy': `${maxRequests};w=${Math.ceil(timeWindow / 1000)}`
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return sendErrorResponse(res, 'Too many requests. Please try again later.', 429, null, 'TOO_MANY_REQUESTS');
     }
-    
-    clientData.count++;
+
     next();
   };
 }
@@ -128,4 +121,73 @@ export function validateContentType(req, res, next) {
   }
   
   next();
-}
\ No newline at end of file
+}
+
+/**
+ * Turn a validated multipart chat request into the JSON chat body: the
+ * `message` field and the uploaded `file` become one user message with an
+ * attachment. Other fields are kept. Disk uploads (UPLOAD_STORAGE=disk) are
+ * checked here and kept as a chat attachment referenced by hash, so they are
+ * never read into memory; memory uploads are inlined as base64.
+ * JSON requests pass through untouched.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function parseMultipartChat(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+
+  const { message: text = '', ...fields } = req.body || {};
+  if (!text && !req.file) {
+    return sendValidationError(res, 'Invalid request body', 'A message or a file is required');
+  }
+
+  let content = text;
+  if (req.file?.path) {
+    const fileType = getFileTypeForMimeType(req.file.mimetype);
+    const { isValid, error } = validateFile(req.file, fileType);
+    if (!isValid) {
+      return sendValidationError(res, 'Invalid request body', error);
+    }
+    content = { text, file: { ...await keepAttachment(req.file), name: req.file.originalname } };
+  } else if (req.file) {
+    content = { text, file: { ...prepareFileForAPI(req.file), name: req.file.originalname } };
+  }
+
+  req.body = { ...fields, messages: [{ role: 'user', content }] };
+  next();
+}
+
+/**
+ * Check chat message attachments against FILE_TYPES (allowed MIME types,
+ * content signature and size limit of their category)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export function validateChatAttachments(req, res, next) {
+  for (const message of req.body?.messages || []) {
+    const file = message.content?.file;
+    // Kept disk uploads were checked by parseMultipartChat
+    if (!file || file.sha256) {
+      continue;
+    }
+
+    const fileType = getFileTypeForMimeType(file.mimeType);
+    if (!fileType) {
+      return sendValidationError(res, 'Invalid request body', `Unsupported attachment type: ${file.mimeType}`);
+    }
+
+    const { isValid, error } = validateFile(
+      { mimetype: file.mimeType, size: Buffer.byteLength(file.data, 'base64'), header: base64Header(file.data) },
+      fileType
+    );
+    if (!isValid) {
+      return sendValidationError(res, 'Invalid request body', error);
+    }
+  }
+
+  next();
+}
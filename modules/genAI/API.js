@@ -8,27 +8,56 @@ import {
   generateVideo,
   healthCheck,
   getSupportedFileTypes,
+  getPersonas,
+  getModels,
+  getTools,
   chat,
+  chatStream,
+  handleGenerateStreamRequest,
   clearHistory,
-  getHistory
+  getHistory,
+  createChat,
+  listChats,
+  getChat,
+  renameChat,
+  deleteChat,
+  forkChat,
+  getMyUsage,
+  listUsage
 } from "./controller.js";
 import { 
-  validatePrompt,
   validateFileUpload,
   sanitizeRequestBody,
   validateContentType,
-  createRateLimiter
+  createRateLimiter,
+  parseMultipartChat,
+  validateChatAttachments
 } from "../../middleware/validation.js";
-import { chatValidate } from "../../middleware/joiValidation.js";
+import { validate } from "../../middleware/joiValidation.js";
+import { resolveSession } from "../../middleware/session.js";
+import { authenticate, authorize } from "../../middleware/auth.js";
+import { checkTokenBudget, trackUsage } from "../../middleware/budget.js";
+import { createUploadLimiter, cleanupUploadedFiles } from "../../middleware/uploads.js";
 import { FILE_TYPES } from "../../utils/fileValidation.js";
+import { sendValidationError } from "../../utils/responseHandler.js";
+import { createUploadStorage } from "../../utils/uploadStorage.js";
 
 const router = express.Router();
 
-// Rate limiting middleware
-const rateLimiter = createRateLimiter(100, 15 * 60 * 1000); // 100 requests per 15 minutes
+// Rate limiting middleware, per API key, JWT user or IP (default 100 requests per 15 minutes)
+const rateLimiter = createRateLimiter(
+  Number(process.env.RATE_LIMIT_REQUESTS) || 100,
+  Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000
+);
+
+// Configure multer storage (memory or temporary files, see UPLOAD_STORAGE)
+const storage = createUploadStorage();
 
-// Configure multer storage
-const storage = multer.memoryStorage();
+// Total upload bytes in progress across all requests
+const uploadLimiter = createUploadLimiter({
+  maxBytes: (Number(process.env.UPLOAD_MAX_CONCURRENT_MB) || 512) * 1024 * 1024,
+  retryAfterSeconds: Number(process.env.UPLOAD_RETRY_AFTER_SECONDS) || 5
+});
 
 /**
  * Create multer upload configuration for specific file type
@@ -40,7 +69,7 @@ function createUploadConfig(fileTypeConfig) {
     storage: storage,
     limits: {
       fileSize: fileTypeConfig.maxSize,
-      files: 1,
+      files: fileTypeConfig.maxFiles,
       fieldSize: 1024 * 1024 // 1MB field size limit
     },
     fileFilter: (req, file, cb) => {
@@ -59,100 +88,229 @@ const uploadDocument = createUploadConfig(FILE_TYPES.DOCUMENT);
 const uploadAudio = createUploadConfig(FILE_TYPES.AUDIO);
 const uploadVideo = createUploadConfig(FILE_TYPES.VIDEO);
 
+// Chat attachments may be any supported file; the size limit of the
+// file's own category is checked by validateChatAttachments
+const maxChatAttachmentSize = Math.max(...Object.values(FILE_TYPES).map(type => type.maxSize));
+const uploadChatAttachment = createUploadConfig({
+  maxSize: maxChatAttachmentSize,
+  maxFiles: 1,
+  allowedMimeTypes: Object.values(FILE_TYPES).flatMap(type => type.allowedMimeTypes),
+  errorMessage: 'Only image, document, audio and video files are allowed'
+});
+
+const validateChatJson = validate('chat');
+const validateChatUpload = validate('chatUpload');
+
+/**
+ * Validate a chat request against the schema of its content type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function validateChat(req, res, next) {
+  return (req.is('multipart/form-data') ? validateChatUpload : validateChatJson)(req, res, next);
+}
+
+// JSON chat body, or multipart with a `message` field and an optional `file`
+const chatBody = [
+  uploadLimiter.limit(maxChatAttachmentSize),
+  cleanupUploadedFiles,
+  uploadChatAttachment.single('file'),
+  handleMulterError,
+  validateChat,
+  parseMultipartChat,
+  validateChatAttachments
+];
+
 // Error handling middleware for multer
 function handleMulterError(error, req, res, next) {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        status: false,
-        code: 400,
-        message: 'File size exceeds the allowed limit',
-        errors: error.message
-      });
+      return sendValidationError(res, 'File size exceeds the allowed limit', error.message);
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        status: false,
-        code: 400,
-        message: 'Too many files uploaded',
-        errors: error.message
-      });
+      return sendValidationError(res, 'Too many files uploaded', error.message);
+    }
+    // A field other than `file`, or more files than the field accepts
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return sendValidationError(
+        res,
+        `Unexpected file field "${error.field}"`,
+        'Files must be sent in the "file" field, at most maxFiles of them (see /file-types)'
+      );
     }
   }
   
   if (error.message.includes('Only') && error.message.includes('files are allowed')) {
-    return res.status(400).json({
-      status: false,
-      code: 400,
-      message: error.message,
-      errors: 'Invalid file type'
-    });
+    return sendValidationError(res, error.message, 'Invalid file type');
   }
   
   next(error);
 }
 
 // Global middleware
-router.use(rateLimiter);
 router.use(sanitizeRequestBody);
 
-// Health check endpoint (no authentication needed)
+// Health check endpoint (no authentication or rate limit, for monitoring)
 router.get("/health", healthCheck);
 
+// Every other endpoint needs an API key or JWT when API_KEYS_FILE or JWT verification is configured
+router.use(authenticate);
+
+// Rate limited once the caller is known, so limits follow keys and users
+router.use(rateLimiter);
+
+// Model tokens of every request are added up and charged to its client
+router.use(trackUsage);
+
 // File types information endpoint
 router.get("/file-types", getSupportedFileTypes);
 
+// Assistant personas available for chats
+router.get("/personas", getPersonas);
+
+// Models clients can pick per request
+router.get("/models", getModels);
+
+// Tools chat requests can let the model call
+router.get("/tools", getTools);
+
+// Usage of the caller's API key today, and of every key for admins
+router.get("/me/usage", getMyUsage);
+router.get("/usage", authorize('admin'), listUsage);
+
 // Text generation endpoint
 router.post("/generate-text", 
-  validatePrompt,
+  authorize('chat'),
+  validate('generateText'),
+  checkTokenBudget,
   handleGenerateRequest
 );
 
+// Streaming text generation (Server-Sent Events)
+router.post("/generate-text/stream", 
+  authorize('chat'),
+  validate('generateTextStream'),
+  checkTokenBudget,
+  handleGenerateStreamRequest
+);
+
 // File upload endpoints with validation
 router.post("/generate-from-image", 
+  authorize('files'),
   validateContentType,
-  uploadImage.single('file'),
+  uploadLimiter.limit(FILE_TYPES.IMAGE.maxTotalSize),
+  cleanupUploadedFiles,
+  uploadImage.array('file', FILE_TYPES.IMAGE.maxFiles),
   handleMulterError,
-  validatePrompt,
+  validate('generateFromFile'),
   validateFileUpload('image'),
+  checkTokenBudget,
   generateImage
 );
 
 router.post("/generate-from-document", 
+  authorize('files'),
   validateContentType,
-  uploadDocument.single('file'),
+  uploadLimiter.limit(FILE_TYPES.DOCUMENT.maxTotalSize),
+  cleanupUploadedFiles,
+  uploadDocument.array('file', FILE_TYPES.DOCUMENT.maxFiles),
   handleMulterError,
-  validatePrompt,
+  validate('generateFromFile'),
   validateFileUpload('document'),
+  checkTokenBudget,
   generateDocument
 );
 
 router.post("/generate-from-audio", 
+  authorize('files'),
   validateContentType,
-  uploadAudio.single('file'),
+  uploadLimiter.limit(FILE_TYPES.AUDIO.maxTotalSize),
+  cleanupUploadedFiles,
+  uploadAudio.array('file', FILE_TYPES.AUDIO.maxFiles),
   handleMulterError,
-  validatePrompt,
+  validate('generateFromFile'),
   validateFileUpload('audio'),
+  checkTokenBudget,
   generateAudio
 );
 
 router.post("/generate-from-video", 
+  authorize('files'),
   validateContentType,
-  uploadVideo.single('file'),
+  uploadLimiter.limit(FILE_TYPES.VIDEO.maxTotalSize),
+  cleanupUploadedFiles,
+  uploadVideo.array('file', FILE_TYPES.VIDEO.maxFiles),
   handleMulterError,
-  validatePrompt,
+  validate('generateFromFile'),
   validateFileUpload('video'),
+  checkTokenBudget,
   generateVideo
 );
 
 router.post("/chat", 
-  chatValidate,
+  authorize('chat'),
+  resolveSession,
+  ...chatBody,
+  checkTokenBudget,
   chat
 );
 
-// Conversation history management
-router.delete("/chat/history", clearHistory);
-router.get("/chat/history", getHistory);
+// Streaming chat (Server-Sent Events)
+router.post("/chat/stream", 
+  authorize('chat'),
+  resolveSession,
+  ...chatBody,
+  checkTokenBudget,
+  chatStream
+);
+
+// Conversation history management (scoped to the caller's session, or to the user of a JWT)
+router.delete("/chat/history", authorize('chat'), resolveSession, clearHistory);
+router.get("/chat/history", authorize('chat'), resolveSession, getHistory);
+
+// Conversations resource (scoped to the caller's session, or to the user of a JWT)
+router.post("/conversations", 
+  authorize('chat'),
+  resolveSession,
+  validate('createConversation'),
+  createChat
+);
+
+router.get("/conversations", 
+  authorize('chat'),
+  resolveSession,
+  validate('listConversations'),
+  listChats
+);
+
+router.get("/conversations/:id", 
+  authorize('chat'),
+  resolveSession,
+  validate('conversation'),
+  getChat
+);
+
+router.patch("/conversations/:id", 
+  authorize('chat'),
+  resolveSession,
+  validate('updateConversation'),
+  renameChat
+);
+
+router.delete("/conversations/:id", 
+  authorize('chat'),
+  resolveSession,
+  validate('conversation'),
+  deleteChat
+);
+
+router.post("/conversations/:id/fork", 
+  authorize('chat'),
+  resolveSession,
+  validate('forkConversation'),
+  forkChat
+);
 
 // Global error handler
 router.use((error, req, res, next) => {
@@ -162,6 +320,7 @@ router.use((error, req, res, next) => {
     status: false,
     code: 500,
     message: 'Internal server error',
+    errorCode: 'INTERNAL_ERROR',
     errors: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
   });
 });
@@ -1,18 +1,45 @@
 /**
  * Optimized and robust controller for GenAI endpoints
  */
-import { generateText, generateFromFile, conversation, clearConversationHistory, getConversationHistory } from '../../services/geminiService.js';
 import { 
-  validateFile, 
-  prepareFileForAPI, 
+  generateText, 
+  generateFromFile, 
+  conversation, 
+  clearConversationHistory, 
+  getConversationHistory,
+  generateTextStream,
+  conversationStream
+} from '../../services/geminiService.js';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  findConversation,
+  renameConversation,
+  deleteConversation,
+  forkConversation
+} from '../../services/conversationService.js';
+import { getPersona, getDefaultPersonaId, listPersonas, resolvePersona } from '../../services/personaService.js';
+import { getModel, routeModel, supportsTask, listModels } from '../../services/modelService.js';
+import { getTool, listTools } from '../../services/tools/index.js';
+import { prepareFiles } from '../../services/fileUploadService.js';
+import { listApiKeys } from '../../services/apiKeyService.js';
+import { getRequestUsage, getUsage } from '../../services/usageService.js';
+import { 
   formatFileMetadata,
-  getFileTypeConfig 
+  validateFiles,
+  getAllFileTypeConfigs,
+  getFileTypeForMimeType
 } from '../../utils/fileValidation.js';
 import { 
   sendSuccessResponse, 
   sendValidationError, 
-  sendInternalServerError 
+  sendInternalServerError,
+  sendNotFoundError
 } from '../../utils/responseHandler.js';
+import { initSSE, sendSSEEvent, sendSSEError, endSSE } from '../../utils/sse.js';
+import { AppError } from '../../utils/errors.js';
+import { resolveGenerationConfig } from '../../utils/generationConfig.js';
 import { 
   logRequest, 
   logSuccess, 
@@ -35,21 +62,31 @@ class BaseController {
   /**
    * Call Gemini API with error handling
    * @param {string} prompt - Text prompt
-   * @param {Object} fileData - File data object (optional)
-   * @returns {string} - Generated text response
+   * @param {Object|Array} fileData - File data object, or a list of them (optional)
+   * @param {Object} options - Request options
+   * @param {string} options.ownerId - Conversation owner for conversation requests (optional)
+   * @param {string} options.conversationId - Conversation ID for conversation requests (optional)
+   * @param {Object} options.generationConfig - Generation parameters (optional)
+   * @param {string} options.model - Model to use (optional)
+   * @param {Object} options.responseSchema - JSON Schema of a structured reply (optional)
+   * @returns {string|Object} - Generated text response, or the parsed reply for structured requests
    */
-  async callGeminiAPI(prompt, fileData = null) {
+  async callGeminiAPI(prompt, fileData = null, { ownerId = null, conversationId = null, generationConfig = {}, model, responseSchema } = {}) {
     try {
       if (fileData) {
-        return await generateFromFile(prompt, fileData);
+        return await generateFromFile(prompt, fileData, { generationConfig, model, responseSchema });
       } else {
         if(Array.isArray(prompt)) {
-          return await conversation(prompt);
+          return await conversation(prompt, conversationId, ownerId, { generationConfig, model });
         }else{
-          return await generateText(prompt);
+          return await generateText(prompt, { generationConfig, model, responseSchema });
         }
       }
     } catch (error) {
+      // Classified errors already carry their status and code
+      if (error instanceof AppError) {
+        throw error;
+      }
       // Re-throw with more context
       throw new Error(`Gemini API Error: ${error.message}`);
     }
@@ -67,21 +104,26 @@ class BaseController {
     try {
       logRequest(req, endpoint);
       
-      const { prompt } = req.body || {};
+      const { prompt, generationConfig = {}, responseSchema } = req.body || {};
       
       if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
         throw new Error('Valid prompt is required');
       }
+
+      const model = selectModel(req, res, 'text');
+      if (!model) {
+        return;
+      }
       
-      const generatedText = await this.performanceMonitoredGenerate(prompt.trim());
+      const generatedText = await this.performanceMonitoredGenerate(prompt.trim(), null, { generationConfig, model, responseSchema });
       const processingTime = Date.now() - startTime;
       
       logSuccess(endpoint, processingTime, { 
         promptLength: prompt.length,
-        responseLength: generatedText.length 
+        responseLength: responseLength(generatedText)
       });
       
-      sendSuccessResponse(res, generatedText, 'Content generated successfully');
+      sendSuccessResponse(res, generatedText, 'Content generated successfully', { model, generationConfig, usage: getRequestUsage() });
       
     } catch (error) {
       logError(endpoint, error, { 
@@ -104,39 +146,57 @@ class BaseController {
     try {
       logRequest(req, endpoint, fileType);
       
-      const { prompt } = req.body || {};
-      const file = req.file;
+      const { prompt, generationConfig = {}, responseSchema } = req.body || {};
+      const files = uploadedFiles(req);
       
       if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
         throw new Error('Valid prompt is required');
       }
       
-      // Validate file
-      const validation = validateFile(file, fileType);
+      // Validate files
+      const validation = validateFiles(files, fileType);
       if (!validation.isValid) {
-        logValidationError(endpoint, validation.error, { 
-          fileName: file?.originalname,
-          fileSize: file?.size,
-          fileMimeType: file?.mimetype 
-        });
+        logValidationError(endpoint, validation.error, describeFiles(files));
         return sendValidationError(res, validation.error);
       }
+
+      const model = selectModel(req, res, fileType);
+      if (!model) {
+        return;
+      }
       
-      // Prepare file data for API
-      const fileData = prepareFileForAPI(file);
+      // Prepare file data for API (large files go through the Files API);
+      // several files are labelled with their names
+      const prepared = await prepareFiles(files);
+      const fileData = files.length === 1
+        ? prepared[0]
+        : prepared.map((data, index) => ({ ...data, name: files[index].originalname }));
       
       // Generate content
-      const generatedText = await this.performanceMonitoredGenerate(prompt.trim(), fileData);
+      const generatedText = await this.performanceMonitoredGenerate(prompt.trim(), fileData, { generationConfig, model, responseSchema });
       const processingTime = Date.now() - startTime;
       
-      // Format response
-      const meta = formatFileMetadata(file);
+      // Format response; single uploads keep the file metadata at the top level too.
+      // extractor names the local text extraction that ran, if any
+      const fileMetadata = files
+        .map((file, index) => {
+          const metadata = formatFileMetadata(file);
+          return metadata && { ...metadata, extractor: prepared[index].extractor || null };
+        })
+        .filter(Boolean);
+      const meta = {
+        ...(files.length === 1 ? fileMetadata[0] : {}),
+        files: fileMetadata,
+        model,
+        generationConfig,
+        usage: getRequestUsage()
+      };
       
       logSuccess(endpoint, processingTime, { 
         promptLength: prompt.length,
-        responseLength: generatedText.length,
-        fileSize: file.size,
-        fileName: file.originalname 
+        responseLength: responseLength(generatedText),
+        fileCount: files.length,
+        ...describeFiles(files)
       });
       
       sendSuccessResponse(
@@ -149,8 +209,7 @@ class BaseController {
     } catch (error) {
       logError(endpoint, error, { 
         promptLength: req.body?.prompt?.length || 0,
-        fileName: req.file?.originalname,
-        fileSize: req.file?.size 
+        ...describeFiles(uploadedFiles(req))
       });
       sendInternalServerError(res, error, `Failed to generate content from ${fileType}`);
     }
@@ -162,13 +221,20 @@ class BaseController {
     try {
       logRequest(req, endpoint);
       
-      const { messages } = req.body || {};
+      const { messages, conversationId, generationConfig = {} } = req.body || {};
       
       if (!messages || !Array.isArray(messages) || messages.length === 0) {
         throw new Error('Valid messages array is required');
       }
 
-      const generatedText = await this.performanceMonitoredGenerate(messages);
+      const model = selectModel(req, res, 'chat');
+      if (!model) {
+        return;
+      }
+
+      const generatedText = await this.performanceMonitoredGenerate(
+        messages, null, { ownerId: getOwnerId(req), conversationId, generationConfig, model }
+      );
       const processingTime = Date.now() - startTime;
       
       logSuccess(endpoint, processingTime, { 
@@ -185,11 +251,221 @@ class BaseController {
       sendInternalServerError(res, error, 'Failed to generate content');
     }
   }
+
+  /**
+   * Generic handler for Server-Sent Events streaming requests.
+   * Emits `chunk` events while text arrives and a terminal `done` event
+   * carrying usage and timing metadata.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} endpoint - Endpoint name for logging
+   * @param {Function} runStream - Starts the stream: (onChunk, signal) => Promise<{text, usage}>
+   * @param {Object} logInfo - Additional information to log
+   * @param {Object} settings - Effective model and generation settings echoed in the `done` event
+   */
+  async handleStreamRequest(req, res, endpoint, runStream, logInfo = {}, settings = {}) {
+    const startTime = Date.now();
+    const abortController = new AbortController();
+    let firstChunkTime = null;
+    let chunkCount = 0;
+
+    // Stop the upstream call when the client goes away mid-stream
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
+    try {
+      logRequest(req, endpoint);
+      initSSE(res);
+
+      const onChunk = (text) => {
+        if (firstChunkTime === null) {
+          firstChunkTime = Date.now() - startTime;
+        }
+        chunkCount++;
+        sendSSEEvent(res, 'chunk', { text });
+      };
+
+      const { text, usage } = await runStream(onChunk, abortController.signal);
+      const processingTime = Date.now() - startTime;
+
+      sendSSEEvent(res, 'done', {
+        status: true,
+        usage: usage || null,
+        timing: {
+          processingTime,
+          firstChunkTime
+        },
+        chunks: chunkCount,
+        responseLength: text.length,
+        ...settings
+      });
+      endSSE(res);
+
+      logSuccess(endpoint, processingTime, {
+        ...logInfo,
+        streamed: true,
+        chunks: chunkCount,
+        responseLength: text.length
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' || abortController.signal.aborted) {
+        logError(endpoint, error, { ...logInfo, aborted: true });
+        return endSSE(res);
+      }
+
+      logError(endpoint, error, logInfo);
+      sendSSEError(res, 'Failed to stream content', error);
+    }
+  }
 }
 
 // Create controller instance
 const controller = new BaseController();
 
+/**
+ * Files uploaded with a request (upload.array() or upload.single())
+ * @param {Object} req - Express request object
+ * @returns {Array} - Uploaded file objects
+ */
+function uploadedFiles(req) {
+  if (req.files?.length) {
+    return req.files;
+  }
+  return req.file ? [req.file] : [];
+}
+
+/**
+ * Log fields describing uploaded files: names and MIME types are joined,
+ * sizes summed
+ * @param {Array} files - Uploaded file objects
+ * @returns {Object} - fileName, fileSize and fileMimeType
+ */
+function describeFiles(files) {
+  return {
+    fileName: files.map(file => file?.originalname).join(', '),
+    fileSize: files.reduce((sum, file) => sum + (file?.size || 0), 0),
+    fileMimeType: files.map(file => file?.mimetype).join(', ')
+  };
+}
+
+/**
+ * Size of a reply for logging; structured replies are measured as JSON
+ * @param {string|Object} reply - Reply text or parsed structured reply
+ * @returns {number} - Length in characters
+ */
+function responseLength(reply) {
+  return typeof reply === 'string' ? reply.length : JSON.stringify(reply).length;
+}
+
+/**
+ * Identify who owns the conversations touched by a request: the signed-in
+ * user when the request carries a JWT, otherwise its session
+ * @param {Object} req - Express request object
+ * @returns {string} - Owner ID
+ */
+function getOwnerId(req) {
+  return req.user ? req.user.ownerId : req.sessionId;
+}
+
+/**
+ * Pick the model of a request: the one the client asked for, checked
+ * against the model catalog, or the model routed for the kind of request.
+ * Sends the error response itself when the requested model cannot be used.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} task - Kind of request (text, chat, image, document, audio, video)
+ * @param {Array<string>} inputs - File types the request also carries, e.g. chat attachments (optional)
+ * @returns {string|null} - Model ID, or null if the request cannot proceed
+ */
+function selectModel(req, res, task, inputs = []) {
+  const tasks = [task, ...inputs];
+  const requested = req.body?.model;
+  if (!requested) {
+    if (inputs.length === 0) {
+      return routeModel(task);
+    }
+    // The model routed for the request, or else one routed for its files that reads everything
+    const candidates = tasks.map(routeModel);
+    return candidates.find(id => tasks.every(item => supportsTask(getModel(id), item))) || candidates[0];
+  }
+
+  const model = getModel(requested);
+  if (!model) {
+    sendValidationError(res, 'Invalid request body', `Unknown model: ${requested}`);
+    return null;
+  }
+  const unsupported = tasks.find(item => !supportsTask(model, item));
+  if (unsupported) {
+    sendValidationError(res, 'Invalid request body', `Model ${requested} does not support ${unsupported} requests`);
+    return null;
+  }
+
+  return model.id;
+}
+
+/**
+ * File types of the attachments of chat messages
+ * @param {Array} messages - Chat messages
+ * @returns {Array<string>} - Distinct file types (image, document, audio, video)
+ */
+function attachmentTypes(messages) {
+  const types = messages
+    .map(message => message.content?.file && getFileTypeForMimeType(message.content.file.mimeType))
+    .filter(Boolean);
+  return [...new Set(types)];
+}
+
+/**
+ * Check the conversation and persona a chat request asks for.
+ * Sends the error response itself when the request cannot proceed.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {string|null} - Persona ID of the chat, or null if it cannot proceed
+ */
+async function checkChatTarget(req, res) {
+  const { conversationId, persona } = req.body || {};
+
+  if (persona && !getPersona(persona)) {
+    sendValidationError(res, 'Invalid request body', `Unknown persona: ${persona}`);
+    return null;
+  }
+
+  const ownerId = getOwnerId(req);
+  const existing = await findConversation(conversationId || ownerId, ownerId);
+
+  if (conversationId && !existing) {
+    sendNotFoundError(res, 'Conversation');
+    return null;
+  }
+
+  // The persona is chosen when a conversation starts and stays with it
+  if (persona && existing && (existing.persona || getDefaultPersonaId()) !== persona) {
+    sendValidationError(res, 'Invalid request body', 'Persona cannot be changed for an existing conversation');
+    return null;
+  }
+
+  return existing?.persona || persona || getDefaultPersonaId();
+}
+
+/**
+ * Check that every tool a chat request offers to the model is registered.
+ * Sends the error response itself when one is unknown.
+ * @param {Object} res - Express response object
+ * @param {Array<string>} tools - Requested tool names
+ * @returns {boolean} - Whether the request can proceed
+ */
+function checkTools(res, tools) {
+  const unknown = tools.find(name => !getTool(name));
+  if (unknown) {
+    sendValidationError(res, 'Invalid request body', `Unknown tool: ${unknown}`);
+    return false;
+  }
+  return true;
+}
+
 /**
  * Handle text generation requests
  * @param {Object} req - Express request object
@@ -263,14 +539,7 @@ export async function healthCheck(req, res) {
  */
 export async function getSupportedFileTypes(req, res) {
   try {
-    const fileTypesInfo = Object.entries(getFileTypeConfig()).map(([key, config]) => ({
-      type: key.toLowerCase(),
-      name: config.name,
-      maxSize: config.maxSize,
-      maxSizeMB: Math.round(config.maxSize / (1024 * 1024)),
-      allowedMimeTypes: config.allowedMimeTypes,
-      fieldName: config.fieldName
-    }));
+    const fileTypesInfo = getAllFileTypeConfigs().map(({ errorMessage, ...config }) => config);
     
     sendSuccessResponse(res, fileTypesInfo, 'Supported file types retrieved successfully');
   } catch (error) {
@@ -285,22 +554,39 @@ export async function chat(req, res) {
   try {
     logRequest(req, 'chat');
     
-    const { messages } = req.body || {};
+    const { messages, conversationId, persona, generationConfig = {}, tools = [] } = req.body || {};
     
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
       throw new Error('Valid messages array is required');
     }
 
-    // Use conversation function to maintain context
-    const generatedText = await conversation(messages);
+    const model = selectModel(req, res, 'chat', attachmentTypes(messages));
+    if (!model || !checkTools(res, tools)) {
+      return;
+    }
+
+    const personaId = await checkChatTarget(req, res);
+    if (!personaId) {
+      return;
+    }
+
+    // Use conversation function to maintain context for this conversation
+    const generatedText = await conversation(messages, conversationId, getOwnerId(req), { persona, generationConfig, model, tools });
     const processingTime = Date.now() - startTime;
     
     logSuccess('chat', processingTime, { 
+      sessionId: req.sessionId,
+      conversationId,
       messagesCount: messages.length,
       responseLength: generatedText.length 
     });
     
-    sendSuccessResponse(res, generatedText, 'Chat message processed successfully');
+    sendSuccessResponse(res, generatedText, 'Chat message processed successfully', {
+      model,
+      generationConfig: resolveGenerationConfig(resolvePersona(personaId), generationConfig),
+      tools,
+      usage: getRequestUsage()
+    });
     
   } catch (error) {
     logError('chat', error, { 
@@ -311,13 +597,143 @@ export async function chat(req, res) {
 }
 
 /**
- * Clear conversation history
+ * Stream text generation over Server-Sent Events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function handleGenerateStreamRequest(req, res) {
+  const { prompt, generationConfig = {} } = req.body;
+
+  const model = selectModel(req, res, 'text');
+  if (!model) {
+    return;
+  }
+
+  await controller.handleStreamRequest(
+    req,
+    res,
+    'generate-text-stream',
+    (onChunk, signal) => generateTextStream(prompt, onChunk, signal, { generationConfig, model }),
+    { promptLength: prompt.length },
+    { model, generationConfig }
+  );
+}
+
+/**
+ * Stream a chat reply over Server-Sent Events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function chatStream(req, res) {
+  const { messages, conversationId, persona, generationConfig = {}, tools } = req.body;
+  let model;
+  let personaId;
+
+  // Tool rounds happen before the final reply, so they cannot be streamed
+  if (tools?.length) {
+    return sendValidationError(res, 'Invalid request body', 'Tools are only supported on /chat, not on streaming chat');
+  }
+
+  try {
+    model = selectModel(req, res, 'chat', attachmentTypes(messages));
+    if (!model) {
+      return;
+    }
+    personaId = await checkChatTarget(req, res);
+    if (!personaId) {
+      return;
+    }
+  } catch (error) {
+    return sendInternalServerError(res, error, 'Failed to process chat message');
+  }
+
+  await controller.handleStreamRequest(
+    req,
+    res,
+    'chat-stream',
+    (onChunk, signal) => conversationStream(messages, conversationId, getOwnerId(req), onChunk, signal, { persona, generationConfig, model }),
+    { sessionId: req.sessionId, conversationId, messagesCount: messages.length },
+    { model, generationConfig: resolveGenerationConfig(resolvePersona(personaId), generationConfig) }
+  );
+}
+
+/**
+ * List the available assistant personas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getPersonas(req, res) {
+  try {
+    sendSuccessResponse(res, listPersonas(), 'Personas retrieved successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to retrieve personas');
+  }
+}
+
+/**
+ * List the models clients can request and their capabilities
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getModels(req, res) {
+  try {
+    sendSuccessResponse(res, listModels(), 'Models retrieved successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to retrieve models');
+  }
+}
+
+/**
+ * List the tools chat requests can offer to the model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getTools(req, res) {
+  try {
+    sendSuccessResponse(res, listTools(), 'Tools retrieved successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to retrieve tools');
+  }
+}
+
+/**
+ * Usage of the caller's API key today against its daily quotas
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getMyUsage(req, res) {
+  try {
+    // Without authentication requests are not tied to a key
+    if (!req.apiKey) {
+      return sendNotFoundError(res, 'API key');
+    }
+    sendSuccessResponse(res, getUsage(req.apiKey), 'Usage retrieved successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to retrieve usage');
+  }
+}
+
+/**
+ * Usage of every API key today (admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listUsage(req, res) {
+  try {
+    sendSuccessResponse(res, listApiKeys().map(apiKey => getUsage(apiKey)), 'Usage retrieved successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to retrieve usage');
+  }
+}
+
+/**
+ * Clear conversation history of the current session or signed-in user
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export async function clearHistory(req, res) {
   try {
-    clearConversationHistory();
+    await clearConversationHistory(getOwnerId(req));
     sendSuccessResponse(res, null, 'Conversation history cleared successfully');
   } catch (error) {
     sendInternalServerError(res, error, 'Failed to clear conversation history');
@@ -325,15 +741,129 @@ export async function clearHistory(req, res) {
 }
 
 /**
- * Get conversation history
+ * Get conversation history of the current session or signed-in user
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export async function getHistory(req, res) {
   try {
-    const history = getConversationHistory();
+    const history = await getConversationHistory(getOwnerId(req));
     sendSuccessResponse(res, history, 'Conversation history retrieved successfully');
   } catch (error) {
     sendInternalServerError(res, error, 'Failed to retrieve conversation history');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Create a new conversation for the caller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function createChat(req, res) {
+  try {
+    const persona = req.body?.persona || null;
+    if (persona && !getPersona(persona)) {
+      return sendValidationError(res, 'Invalid request body', `Unknown persona: ${persona}`);
+    }
+
+    const summary = await createConversation(getOwnerId(req), {
+      title: req.body?.title || null,
+      persona
+    });
+    sendSuccessResponse(res, summary, 'Conversation created successfully', null, 201);
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to create conversation');
+  }
+}
+
+/**
+ * List the caller's conversations, newest activity first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listChats(req, res) {
+  try {
+    const { items, ...pagination } = await listConversations(getOwnerId(req), {
+      page: Number(req.query.page) || 1,
+      limit: Number(req.query.limit) || 20
+    });
+    sendSuccessResponse(res, items, 'Conversations retrieved successfully', pagination);
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to retrieve conversations');
+  }
+}
+
+/**
+ * Get a conversation with its history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getChat(req, res) {
+  try {
+    const details = await getConversation(req.params.id, getOwnerId(req));
+    if (!details) {
+      return sendNotFoundError(res, 'Conversation');
+    }
+    sendSuccessResponse(res, details, 'Conversation retrieved successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to retrieve conversation');
+  }
+}
+
+/**
+ * Rename a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function renameChat(req, res) {
+  try {
+    const summary = await renameConversation(req.params.id, getOwnerId(req), req.body.title);
+    if (!summary) {
+      return sendNotFoundError(res, 'Conversation');
+    }
+    sendSuccessResponse(res, summary, 'Conversation renamed successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to rename conversation');
+  }
+}
+
+/**
+ * Delete a conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function deleteChat(req, res) {
+  try {
+    const deleted = await deleteConversation(req.params.id, getOwnerId(req));
+    if (!deleted) {
+      return sendNotFoundError(res, 'Conversation');
+    }
+    sendSuccessResponse(res, null, 'Conversation deleted successfully');
+  } catch (error) {
+    sendInternalServerError(res, error, 'Failed to delete conversation');
+  }
+}
+
+/**
+ * Fork a conversation from an earlier message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function forkChat(req, res) {
+  try {
+    const summary = await forkConversation(
+      req.params.id,
+      getOwnerId(req),
+      Number(req.query.fromMessage)
+    );
+    if (!summary) {
+      return sendNotFoundError(res, 'Conversation');
+    }
+    sendSuccessResponse(res, summary, 'Conversation forked successfully', null, 201);
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return sendValidationError(res, 'Invalid query parameters', error.message);
+    }
+    sendInternalServerError(res, error, 'Failed to fork conversation');
+  }
+}
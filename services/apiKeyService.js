@@ -0,0 +1,126 @@
+/**
+ * API keys: who may call the API, what for, and how much per day.
+ *
+ * Keys are listed in a local JSON file (API_KEYS_FILE), stored as SHA-256
+ * hashes so the file never holds a usable key:
+ *   [{
+ *     id: stable key ID shown in usage reports,
+ *     name: consuming team or application,
+ *     keyHash: SHA-256 hex digest of the key,
+ *     scopes: any of chat, files, admin,
+ *     dailyRequestLimit: requests per UTC day (optional, unlimited when absent),
+ *     dailyTokenLimit: model tokens per UTC day (optional),
+ *     monthlyTokenLimit: model tokens per UTC month (optional)
+ *   }]
+ * Token limits left out fall back to the default budgets (TOKEN_BUDGET_DAILY,
+ * TOKEN_BUDGET_MONTHLY) and are unlimited without them.
+ * Keys are long random strings, so an unsalted hash is enough to keep them
+ * from being guessed back. Authentication is off while API_KEYS_FILE is not
+ * set, which keeps local development open.
+ */
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import Joi from 'joi';
+
+// chat: text generation, chat and conversations; files: file analysis
+// endpoints; admin: everything, including the usage of every key
+export const SCOPES = ['chat', 'files', 'admin'];
+
+const apiKeySchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z0-9_-]{1,64}$/).required(),
+  name: Joi.string().required(),
+  keyHash: Joi.string().pattern(/^[0-9a-f]{64}$/).required(),
+  scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().required(),
+  dailyRequestLimit: Joi.number().integer().min(1).allow(null).default(null),
+  dailyTokenLimit: Joi.number().integer().min(1).allow(null).default(null),
+  monthlyTokenLimit: Joi.number().integer().min(1).allow(null).default(null)
+});
+
+const apiKeysSchema = Joi.array().items(apiKeySchema).unique('id').unique('keyHash');
+
+/**
+ * Hash of an API key as stored in the key file
+ * @param {string} key - API key
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read and validate an API key file
+ * @param {string} file - Path of the key JSON file
+ * @returns {Map<string, Object>} - API keys by key hash
+ * @throws {Error} - If the file is invalid
+ */
+export function loadApiKeys(file) {
+  const { error, value } = apiKeysSchema.validate(JSON.parse(readFileSync(file, 'utf8')));
+  if (error) {
+    throw new Error(`Invalid API key file ${file}: ${error.details[0].message}`);
+  }
+  return new Map(value.map(apiKey => [apiKey.keyHash, Object.freeze(apiKey)]));
+}
+
+let activeKeys = null;
+let loaded = false;
+
+/**
+ * API keys from API_KEYS_FILE, read on first use
+ * @returns {Map<string, Object>|null} - Keys by hash, or null when authentication is off
+ */
+function getApiKeys() {
+  if (!loaded) {
+    activeKeys = process.env.API_KEYS_FILE ? loadApiKeys(process.env.API_KEYS_FILE) : null;
+    loaded = true;
+  }
+  return activeKeys;
+}
+
+/**
+ * Replace the API keys (or reset them with null, to read API_KEYS_FILE again)
+ * @param {Map<string, Object>|null} keys - Keys returned by loadApiKeys
+ */
+export function setApiKeys(keys) {
+  activeKeys = keys;
+  loaded = keys !== null;
+}
+
+/**
+ * Whether requests must carry an API key
+ * @returns {boolean}
+ */
+export function isAuthEnabled() {
+  return getApiKeys() !== null;
+}
+
+/**
+ * Find the API key record of a key sent by a client
+ * @param {string} key - API key
+ * @returns {Object|null} - API key record, or null if the key is unknown
+ */
+export function findApiKey(key) {
+  if (typeof key !== 'string' || key === '') {
+    return null;
+  }
+  return getApiKeys()?.get(hashApiKey(key)) || null;
+}
+
+/**
+ * Every configured API key record
+ * @returns {Array<Object>}
+ */
+export function listApiKeys() {
+  return [...(getApiKeys()?.values() || [])];
+}
+
+/**
+ * Whether an API key (or JWT user) may use endpoints of a scope; admin
+ * keys may use all
+ * @param {Object} apiKey - API key record or user with scopes
+ * @param {string} scope - Scope of the endpoint
+ * @returns {boolean}
+ */
+export function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+}
@@ -0,0 +1,129 @@
+/**
+ * Chat attachments uploaded with UPLOAD_STORAGE=disk.
+ *
+ * Their temporary file is copied to CHAT_ATTACHMENTS_DIR under its content
+ * hash, and the conversation history references it as a
+ * { fileRef: { sha256, mimeType, size } } part instead of holding the file
+ * base64 encoded in memory and in every stored turn. References are turned
+ * into a Files API upload (streamed from the file) or inline data only when
+ * a turn is sent, see fileUploadService.resolveFileRefs.
+ *
+ * Attachments no turn has used for CHAT_ATTACHMENT_TTL_DAYS are swept;
+ * references to them are then sent as a short placeholder.
+ */
+import 'dotenv/config';
+import { constants, promises as fs } from 'fs';
+import path from 'path';
+
+const DEFAULT_TTL_DAYS = 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Directory holding the attachments
+ * @returns {string}
+ */
+function attachmentsDir() {
+  return process.env.CHAT_ATTACHMENTS_DIR || 'data/attachments';
+}
+
+/**
+ * How long an unused attachment is kept, in milliseconds
+ * @returns {number}
+ */
+function ttlMs() {
+  const days = Number(process.env.CHAT_ATTACHMENT_TTL_DAYS);
+  return (days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Path of a stored attachment
+ * @param {string} sha256 - Content hash
+ * @returns {string} - File path
+ * @throws {Error} - If the hash is not a SHA-256 hex digest
+ */
+export function attachmentPath(sha256) {
+  if (typeof sha256 !== 'string' || !SHA256_PATTERN.test(sha256)) {
+    throw new Error(`Invalid attachment hash: ${sha256}`);
+  }
+  return path.join(attachmentsDir(), sha256);
+}
+
+/**
+ * Keep a disk upload as a chat attachment. The same content is stored once.
+ * @param {Object} file - Multer disk file (path, sha256, size, mimetype)
+ * @returns {Promise<Object>} - Reference { sha256, mimeType, size }
+ */
+export async function keepAttachment(file) {
+  const target = attachmentPath(file.sha256);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  try {
+    await fs.copyFile(file.path, target, constants.COPYFILE_EXCL);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    await touchAttachment(file.sha256);
+  }
+  return { sha256: file.sha256, mimeType: file.mimetype, size: file.size };
+}
+
+/**
+ * Mark an attachment as used now, so the sweep keeps it
+ * @param {string} sha256 - Content hash
+ * @returns {Promise<boolean>} - Whether the attachment still exists
+ */
+export async function touchAttachment(sha256) {
+  const now = new Date();
+  try {
+    await fs.utimes(attachmentPath(sha256), now, now);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete attachments no turn has used within the TTL
+ * @param {number} now - Current time (defaults to Date.now())
+ * @returns {Promise<number>} - Number of attachments deleted
+ */
+export async function pruneAttachments(now = Date.now()) {
+  let names;
+  try {
+    names = await fs.readdir(attachmentsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const cutoff = now - ttlMs();
+  let deleted = 0;
+  for (const name of names.filter(name => SHA256_PATTERN.test(name))) {
+    const filePath = path.join(attachmentsDir(), name);
+    try {
+      if ((await fs.stat(filePath)).mtimeMs < cutoff) {
+        await fs.unlink(filePath);
+        deleted++;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+  return deleted;
+}
+
+const timer = setInterval(() => {
+  pruneAttachments().catch(error => console.error('Failed to prune chat attachments:', error));
+}, PRUNE_INTERVAL_MS);
+// Never keep the process alive just for the sweep
+if (typeof timer.unref === 'function') {
+  timer.unref();
+}
@@ -0,0 +1,170 @@
+/**
+ * Context-window management for conversations.
+ *
+ * Token counts are local estimates (no API call per turn). When the history
+ * no longer fits the budget, media parts of older messages are replaced by
+ * short placeholders first; if that is not enough, the oldest turns are
+ * summarized into a single memory message that is kept with the
+ * conversation and extended on later turns.
+ */
+
+const CHARS_PER_TOKEN = 4;
+// Gemini bills every image as a fixed-size tile regardless of its file size
+const IMAGE_TOKENS = 258;
+// Other media are estimated from their size, on the high side so large
+// attachments are the first thing dropped
+const BYTES_PER_MEDIA_TOKEN = 256;
+const MEMORY_PREFIX = '[Ringkasan percakapan sebelumnya]';
+
+/**
+ * Estimate the tokens of a text
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+export function estimateTextTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens of a file sent to the model
+ * @param {string} mimeType - MIME type of the file
+ * @param {number} bytes - File size in bytes
+ * @returns {number} - Estimated token count
+ */
+export function estimateFileTokens(mimeType, bytes) {
+  if (mimeType?.startsWith('image/')) {
+    return IMAGE_TOKENS;
+  }
+  return Math.ceil(bytes / BYTES_PER_MEDIA_TOKEN);
+}
+
+/**
+ * Estimate the tokens of a single message part
+ * @param {Object} part - Gemini content part
+ * @returns {number} - Estimated token count
+ */
+function estimatePartTokens(part) {
+  if (part.inlineData) {
+    return estimateFileTokens(part.inlineData.mimeType, Buffer.byteLength(part.inlineData.data || '', 'base64'));
+  }
+  if (part.fileRef) {
+    return estimateFileTokens(part.fileRef.mimeType, part.fileRef.size || 0);
+  }
+  return estimateTextTokens(part.text);
+}
+
+/**
+ * Estimate the tokens of a history entry
+ * @param {Object} entry - History entry with role and parts
+ * @returns {number} - Estimated token count
+ */
+export function estimateEntryTokens(entry) {
+  return (entry.parts || []).reduce((total, part) => total + estimatePartTokens(part), 0);
+}
+
+/**
+ * Estimate the tokens of a list of history entries
+ * @param {Array} entries - History entries
+ * @returns {number} - Estimated token count
+ */
+export function estimateHistoryTokens(entries) {
+  return entries.reduce((total, entry) => total + estimateEntryTokens(entry), 0);
+}
+
+/**
+ * Replace media parts of an entry with text placeholders
+ * @param {Object} entry - History entry
+ * @returns {Object} - Entry without media (the original is not modified)
+ */
+export function stripMedia(entry) {
+  if (!entry.parts.some(part => part.inlineData || part.fileRef)) {
+    return entry;
+  }
+
+  return {
+    ...entry,
+    parts: entry.parts.map(part => part.inlineData || part.fileRef
+      ? { text: `[${(part.inlineData || part.fileRef).mimeType} attachment omitted]` }
+      : part)
+  };
+}
+
+/**
+ * Build the memory message carrying a conversation summary
+ * @param {string} text - Summary text
+ * @returns {Object} - History entry
+ */
+export function createMemoryEntry(text) {
+  return {
+    role: 'user',
+    parts: [{ text: `${MEMORY_PREFIX}\n${text}` }]
+  };
+}
+
+/**
+ * Render history entries as a plain transcript for summarization
+ * @param {Array} entries - History entries (without media)
+ * @returns {string} - Transcript
+ */
+export function toTranscript(entries) {
+  return entries
+    .map(entry => `${entry.role}: ${entry.parts.map(part => part.text || '').join(' ')}`)
+    .join('\n');
+}
+
+/**
+ * Fit a conversation history into a token budget
+ * @param {Array} history - Full conversation history
+ * @param {Object} options - Context options
+ * @param {number} options.budget - Maximum estimated tokens to send
+ * @param {number} options.keepRecent - Number of latest messages that keep their media
+ * @param {Object} options.memory - Existing memory { text, messageCount } (optional)
+ * @param {Function} options.summarize - (previousSummary, entries) => Promise<string>
+ * @returns {Object} - Contents to send, the memory to keep and what was done
+ */
+export async function fitContext(history, { budget, keepRecent, memory = null, summarize }) {
+  const summarizedCount = memory ? memory.messageCount : 0;
+  let recent = history.slice(summarizedCount);
+  const withMemory = (entries, text) => text ? [createMemoryEntry(text), ...entries] : entries;
+
+  let contents = withMemory(recent, memory?.text);
+  const result = { memory, mediaDropped: false, summarized: false };
+
+  if (estimateHistoryTokens(contents) <= budget) {
+    return { ...result, contents };
+  }
+
+  // Step 1: drop media from everything except the latest messages
+  const mediaCutoff = Math.max(recent.length - keepRecent, 0);
+  const stripped = recent.map((entry, index) => index < mediaCutoff ? stripMedia(entry) : entry);
+  result.mediaDropped = stripped.some((entry, index) => entry !== recent[index]);
+  recent = stripped;
+  contents = withMemory(recent, memory?.text);
+
+  if (estimateHistoryTokens(contents) <= budget) {
+    return { ...result, contents };
+  }
+
+  // Step 2: summarize the oldest turns, keeping the newest ones verbatim
+  // within half of the budget (always at least the latest message)
+  let keepFrom = recent.length - 1;
+  let keptTokens = estimateEntryTokens(recent[keepFrom]);
+  while (keepFrom > 0 && keptTokens + estimateEntryTokens(recent[keepFrom - 1]) <= budget / 2) {
+    keepFrom--;
+    keptTokens += estimateEntryTokens(recent[keepFrom]);
+  }
+
+  if (keepFrom === 0) {
+    return { ...result, contents };
+  }
+
+  const toSummarize = recent.slice(0, keepFrom).map(stripMedia);
+  const text = await summarize(memory?.text || null, toSummarize);
+
+  return {
+    contents: withMemory(recent.slice(keepFrom), text),
+    memory: { text, messageCount: summarizedCount + keepFrom },
+    mediaDropped: result.mediaDropped,
+    summarized: true
+  };
+}
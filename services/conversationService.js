@@ -0,0 +1,255 @@
+/**
+ * Conversation lifecycle: loading conversations into the in-memory working
+ * set, persisting new turns and the CRUD operations behind /conversations.
+ * Every lookup is scoped to an owner; a conversation owned by someone else
+ * is treated exactly like a missing one.
+ */
+import { randomUUID } from 'crypto';
+import { sessionStore } from './sessionStore.js';
+import { getStorage } from './storage/index.js';
+import { toConversationSummary } from './storage/helpers.js';
+import { getDefaultPersonaId } from './personaService.js';
+
+/**
+ * Put a stored conversation into the working set
+ * @param {Object} stored - Conversation loaded from storage
+ * @returns {Object} - Live conversation
+ */
+function cache(stored) {
+  return sessionStore.set({
+    id: stored.id,
+    ownerId: stored.ownerId,
+    title: stored.title,
+    persona: stored.persona,
+    forkedFrom: stored.forkedFrom,
+    memory: stored.memory || null,
+    history: stored.history,
+    isPersonalitySet: stored.history.length > 0,
+    createdAt: stored.createdAt,
+    updatedAt: stored.updatedAt
+  });
+}
+
+/**
+ * Find a conversation owned by the caller
+ * @param {string} id - Conversation ID
+ * @param {string} ownerId - Owner of the conversation
+ * @returns {Object|null} - Live conversation, or null if missing or not owned
+ */
+export async function findConversation(id, ownerId) {
+  const cached = sessionStore.get(id);
+  const conversation = cached || await getStorage().loadConversation(id);
+
+  if (!conversation || conversation.ownerId !== ownerId) {
+    return null;
+  }
+
+  return cached || cache(conversation);
+}
+
+/**
+ * Load a conversation for chatting, creating it if it does not exist yet.
+ * Used for the owner's default conversation, whose ID is the owner ID.
+ * @param {string} id - Conversation ID
+ * @param {string} ownerId - Owner of the conversation
+ * @param {Object} options - Options used when the conversation is created
+ * @param {string} options.persona - Persona ID (optional, defaults to the default persona)
+ * @returns {Object} - Live conversation
+ */
+export async function openConversation(id, ownerId, { persona = null } = {}) {
+  if (!id) {
+    throw new Error('Conversation ID is required');
+  }
+
+  const existing = await findConversation(id, ownerId);
+  if (existing) {
+    return existing;
+  }
+
+  const storage = getStorage();
+  if (await storage.loadConversation(id)) {
+    throw new Error(`Conversation not found: ${id}`);
+  }
+
+  const conversation = sessionStore.getOrCreate(id);
+  conversation.ownerId = ownerId;
+  conversation.title = null;
+  conversation.persona = persona || getDefaultPersonaId();
+  conversation.forkedFrom = null;
+  conversation.memory = null;
+  conversation.updatedAt = conversation.createdAt;
+  await storage.createConversation({
+    id,
+    ownerId,
+    persona: conversation.persona,
+    createdAt: conversation.createdAt
+  });
+  return conversation;
+}
+
+/**
+ * Append entries to a conversation history and persist them
+ * @param {Object} conversation - Live conversation
+ * @param {Array} entries - History entries to append
+ */
+export async function appendToHistory(conversation, entries) {
+  conversation.history.push(...entries);
+  conversation.updatedAt = Date.now();
+  await getStorage().appendMessages(conversation.id, entries);
+}
+
+/**
+ * Replace the memory (summary of older turns) kept with a conversation
+ * @param {Object} conversation - Live conversation
+ * @param {Object} memory - Memory { text, messageCount }
+ */
+export async function saveMemory(conversation, memory) {
+  conversation.memory = memory;
+  await getStorage().updateConversation(conversation.id, { memory });
+}
+
+/**
+ * Create an empty conversation
+ * @param {string} ownerId - Owner of the conversation
+ * @param {Object} options - Conversation options
+ * @param {string} options.title - Conversation title (optional)
+ * @param {string} options.persona - Persona ID (optional, defaults to the default persona)
+ * @returns {Object} - Conversation summary
+ */
+export async function createConversation(ownerId, { title = null, persona = null } = {}) {
+  const createdAt = Date.now();
+  const conversation = {
+    id: randomUUID(),
+    ownerId,
+    title,
+    persona: persona || getDefaultPersonaId(),
+    forkedFrom: null,
+    createdAt,
+    updatedAt: createdAt,
+    history: []
+  };
+
+  await getStorage().createConversation(conversation);
+  cache(conversation);
+
+  return toConversationSummary(conversation);
+}
+
+/**
+ * List the caller's conversations, most recently active first
+ * @param {string} ownerId - Owner of the conversations
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Page size
+ * @returns {Object} - Page items and pagination info
+ */
+export async function listConversations(ownerId, { page = 1, limit = 20 } = {}) {
+  const { items, total } = await getStorage().listConversations({
+    ownerId,
+    offset: (page - 1) * limit,
+    limit
+  });
+
+  return {
+    items,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit)
+  };
+}
+
+/**
+ * Get a conversation with its full history
+ * @param {string} id - Conversation ID
+ * @param {string} ownerId - Owner of the conversation
+ * @returns {Object|null} - Conversation summary with history, or null
+ */
+export async function getConversation(id, ownerId) {
+  const conversation = await findConversation(id, ownerId);
+  if (!conversation) {
+    return null;
+  }
+
+  return {
+    ...toConversationSummary(conversation),
+    history: [...conversation.history]
+  };
+}
+
+/**
+ * Rename a conversation
+ * @param {string} id - Conversation ID
+ * @param {string} ownerId - Owner of the conversation
+ * @param {string} title - New title
+ * @returns {Object|null} - Updated summary, or null if not found
+ */
+export async function renameConversation(id, ownerId, title) {
+  const conversation = await findConversation(id, ownerId);
+  if (!conversation) {
+    return null;
+  }
+
+  await getStorage().updateConversation(id, { title });
+  conversation.title = title;
+  conversation.updatedAt = Date.now();
+
+  return toConversationSummary(conversation);
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id - Conversation ID
+ * @param {string} ownerId - Owner of the conversation
+ * @returns {boolean} - True if the conversation was deleted
+ */
+export async function deleteConversation(id, ownerId) {
+  const conversation = await findConversation(id, ownerId);
+  if (!conversation) {
+    return false;
+  }
+
+  sessionStore.delete(id);
+  await getStorage().deleteConversation(id);
+  return true;
+}
+
+/**
+ * Branch a conversation from an earlier turn. The fork gets a copy of the
+ * history up to and including `fromMessage`; the source is left untouched.
+ * @param {string} id - Source conversation ID
+ * @param {string} ownerId - Owner of the conversation
+ * @param {number} fromMessage - 0-based index of the last message to keep
+ * @returns {Object|null} - Summary of the fork, or null if the source is not found
+ * @throws {RangeError} - If fromMessage is outside the source history
+ */
+export async function forkConversation(id, ownerId, fromMessage) {
+  const source = await findConversation(id, ownerId);
+  if (!source) {
+    return null;
+  }
+
+  if (fromMessage >= source.history.length) {
+    throw new RangeError(`fromMessage ${fromMessage} is outside the conversation history (${source.history.length} messages)`);
+  }
+
+  const storage = getStorage();
+  const createdAt = Date.now();
+  const history = source.history.slice(0, fromMessage + 1);
+  const fork = {
+    id: randomUUID(),
+    ownerId,
+    title: source.title ? `${source.title} (fork)` : null,
+    persona: source.persona,
+    forkedFrom: { conversationId: id, messageIndex: fromMessage },
+    createdAt,
+    updatedAt: createdAt,
+    history
+  };
+
+  await storage.createConversation(fork);
+  await storage.appendMessages(fork.id, history);
+  cache(fork);
+
+  return toConversationSummary(fork);
+}
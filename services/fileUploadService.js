@@ -0,0 +1,281 @@
+/**
+ * Files API offloading for large media.
+ *
+ * Inline files are sent base64 encoded inside the request, which Gemini
+ * rejects past about 20MB and which holds a second, larger copy of every
+ * file in memory. When the files of a request add up to more than
+ * FILE_INLINE_LIMIT_MB, the largest ones are uploaded through the provider
+ * Files API and referenced by URI instead.
+ *
+ * Uploads are cached by content hash: a file sent again, like an attachment
+ * resent with the conversation history on every turn, is uploaded once and
+ * reused until shortly before the provider expires it. Expired handles are
+ * swept from the cache and their remote files deleted.
+ *
+ * Office, CSV and text documents are first converted to text locally (see
+ * utils/documentExtraction.js) and sent as text instead of raw bytes.
+ *
+ * Chat attachments kept on disk (see attachmentStore.js) are referenced
+ * from the history and uploaded from their file when a turn is sent.
+ */
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import { getProvider } from './providers/index.js';
+import { prepareFileForAPI } from '../utils/fileValidation.js';
+import { extractDocument, hasExtractor } from '../utils/documentExtraction.js';
+import { readUploadedFile } from '../utils/uploadStorage.js';
+import { attachmentPath, touchAttachment } from './attachmentStore.js';
+
+// Raw size; base64 adds a third and the prompt travels in the same request
+const DEFAULT_INLINE_LIMIT_MB = 15;
+// Handles closer than this to their expiry are not reused
+const EXPIRY_MARGIN_MS = 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+// `${provider}:${sha256}` -> { provider, promise, handle }
+const uploads = new Map();
+
+/**
+ * Inline size limit of a request in bytes
+ * @returns {number}
+ */
+function inlineLimitBytes() {
+  const value = process.env.FILE_INLINE_LIMIT_MB;
+  const limitMB = value !== undefined && value !== '' && Number(value) >= 0 ? Number(value) : DEFAULT_INLINE_LIMIT_MB;
+  return limitMB * 1024 * 1024;
+}
+
+/**
+ * Pick the files to upload so the rest fits the inline limit, largest first
+ * @param {Array<number>} sizes - Size in bytes of each file
+ * @returns {Set<number>} - Indexes of the files to upload
+ */
+export function selectOffloaded(sizes) {
+  const limit = inlineLimitBytes();
+  let inlineBytes = sizes.reduce((sum, size) => sum + size, 0);
+  const offloaded = new Set();
+
+  const bySize = sizes.map((size, index) => ({ size, index })).sort((a, b) => b.size - a.size);
+  for (const { size, index } of bySize) {
+    if (inlineBytes <= limit) {
+      break;
+    }
+    offloaded.add(index);
+    inlineBytes -= size;
+  }
+
+  return offloaded;
+}
+
+/**
+ * Whether an upload can still be referenced
+ * @param {Object} handle - Uploaded file
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+function isUsable(handle, now = Date.now()) {
+  return !handle.expiresAt || handle.expiresAt - now > EXPIRY_MARGIN_MS;
+}
+
+/**
+ * Upload a file once per content, reusing a cached upload when possible
+ * @param {Object} provider - Active LLM provider
+ * @param {Buffer|string} source - File content, or the path of a temporary upload file
+ * @param {string|null} sha256 - Hash of the content when already known (required for paths)
+ * @param {Object} options - mimeType, displayName and signal
+ * @returns {Object} - Uploaded file handle
+ */
+async function uploadOnce(provider, source, sha256, options) {
+  const key = `${provider.name}:${sha256 || createHash('sha256').update(source).digest('hex')}`;
+  const cached = uploads.get(key);
+  if (cached && (!cached.handle || isUsable(cached.handle))) {
+    return cached.promise;
+  }
+
+  const entry = { provider, handle: null };
+  // The pending promise is cached too, so concurrent requests share one upload
+  entry.promise = provider.uploadFile(source, options).then(handle => {
+    entry.handle = handle;
+    console.log(`Uploaded ${options.mimeType} file as ${handle.name}`);
+    return handle;
+  }, error => {
+    uploads.delete(key);
+    throw error;
+  });
+  uploads.set(key, entry);
+
+  return entry.promise;
+}
+
+/**
+ * Text of a document that has a local extractor. Documents that cannot be
+ * read are sent as they are, for the model to make what it can of them.
+ * @param {Object} file - Multer file
+ * @returns {Object|null} - extractor and text, or null to send the raw file
+ */
+async function extractFile(file) {
+  if (!hasExtractor(file.mimetype)) {
+    return null;
+  }
+  try {
+    return await extractDocument(await readUploadedFile(file), file.mimetype);
+  } catch (error) {
+    console.warn(`Failed to extract text from ${file.originalname}, sending the file as is: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Prepare uploaded files for the provider: extracted text for Office, CSV
+ * and text documents, base64 data for files that fit the inline limit, a
+ * Files API reference for the others
+ * @param {Array} files - Multer files (mimetype, size, originalname and either buffer,
+ *   or path and sha256 for disk uploads)
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels uploads (optional)
+ * @returns {Array} - File data ({ mimeType, data }, { mimeType, text } or { mimeType, fileUri })
+ *   in the same order; extracted documents also carry the name of their extractor
+ */
+export async function prepareFiles(files, { signal } = {}) {
+  const provider = getProvider();
+  const documents = await Promise.all(files.map(extractFile));
+  const sizes = files.map((file, index) => documents[index] ? Buffer.byteLength(documents[index].text) : file.size);
+  const offloaded = provider.uploadFile ? selectOffloaded(sizes) : new Set();
+
+  return Promise.all(files.map(async (file, index) => {
+    const document = documents[index];
+    if (document) {
+      if (!offloaded.has(index)) {
+        return { mimeType: file.mimetype, text: document.text, extractor: document.extractor };
+      }
+      const handle = await uploadOnce(provider, Buffer.from(document.text), null, {
+        mimeType: 'text/plain',
+        displayName: file.originalname,
+        signal
+      });
+      return { mimeType: handle.mimeType, fileUri: handle.uri, extractor: document.extractor };
+    }
+
+    if (!offloaded.has(index)) {
+      return prepareFileForAPI({ ...file, buffer: await readUploadedFile(file) });
+    }
+    // Disk uploads are streamed to the provider from their temporary file
+    const source = file.buffer ?? file.path;
+    const handle = await uploadOnce(provider, source, file.buffer ? null : file.sha256, {
+      mimeType: file.mimetype,
+      displayName: file.originalname,
+      signal
+    });
+    return { mimeType: handle.mimeType, fileUri: handle.uri };
+  }));
+}
+
+/**
+ * Replace the attachment references of conversation contents by a Files
+ * API reference, uploaded from the attachment file (or by inline data when
+ * the provider has no Files API). Attachments that were swept become a
+ * placeholder.
+ * @param {Array} contents - Conversation contents
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels uploads (optional)
+ * @returns {Array} - Contents to send (the original entries are not modified)
+ */
+export async function resolveFileRefs(contents, { signal } = {}) {
+  if (!contents.some(entry => entry.parts.some(part => part.fileRef))) {
+    return contents;
+  }
+  const provider = getProvider();
+
+  const resolve = async ({ fileRef }) => {
+    const { sha256, mimeType } = fileRef;
+    if (!await touchAttachment(sha256)) {
+      return { text: `[${mimeType} attachment no longer available]` };
+    }
+    if (!provider.uploadFile) {
+      return { inlineData: { mimeType, data: (await readUploadedFile({ path: attachmentPath(sha256) })).toString('base64') } };
+    }
+    const handle = await uploadOnce(provider, attachmentPath(sha256), sha256, { mimeType, signal });
+    return { fileData: { fileUri: handle.uri, mimeType: handle.mimeType } };
+  };
+
+  return Promise.all(contents.map(async entry => entry.parts.some(part => part.fileRef)
+    ? { ...entry, parts: await Promise.all(entry.parts.map(part => part.fileRef ? resolve(part) : part)) }
+    : entry));
+}
+
+/**
+ * Replace large inline media of conversation contents by Files API
+ * references, so history attachments are not resent inline every turn.
+ * Attachment references are resolved first (see resolveFileRefs).
+ * @param {Array} contents - Conversation contents
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels uploads (optional)
+ * @returns {Array} - Contents to send (the original entries are not modified)
+ */
+export async function offloadInlineData(contents, { signal } = {}) {
+  contents = await resolveFileRefs(contents, { signal });
+  const provider = getProvider();
+  if (!provider.uploadFile) {
+    return contents;
+  }
+
+  const media = contents.flatMap((entry, entryIndex) => entry.parts
+    .map((part, partIndex) => ({ part, entryIndex, partIndex }))
+    .filter(({ part }) => part.inlineData));
+  const offloaded = selectOffloaded(media.map(({ part }) => Buffer.byteLength(part.inlineData.data || '', 'base64')));
+  if (offloaded.size === 0) {
+    return contents;
+  }
+
+  const replacements = new Map();
+  await Promise.all([...offloaded].map(async (index) => {
+    const { part, entryIndex, partIndex } = media[index];
+    const handle = await uploadOnce(provider, Buffer.from(part.inlineData.data, 'base64'), null, {
+      mimeType: part.inlineData.mimeType,
+      signal
+    });
+    replacements.set(`${entryIndex}:${partIndex}`, { fileData: { fileUri: handle.uri, mimeType: handle.mimeType } });
+  }));
+
+  return contents.map((entry, entryIndex) => entry.parts.some((part, partIndex) => replacements.has(`${entryIndex}:${partIndex}`))
+    ? { ...entry, parts: entry.parts.map((part, partIndex) => replacements.get(`${entryIndex}:${partIndex}`) || part) }
+    : entry);
+}
+
+/**
+ * Drop uploads that can no longer be reused and delete their remote files
+ * @param {number} now - Current time (defaults to Date.now())
+ * @returns {number} - Number of uploads removed
+ */
+export async function pruneUploads(now = Date.now()) {
+  const expired = [...uploads].filter(([, entry]) => entry.handle && !isUsable(entry.handle, now));
+
+  await Promise.all(expired.map(async ([key, { provider, handle }]) => {
+    uploads.delete(key);
+    // Files past their expiry are already gone on the provider side
+    if (handle.expiresAt > now && provider.deleteFile) {
+      try {
+        await provider.deleteFile(handle.name);
+      } catch (error) {
+        console.warn(`Failed to delete uploaded file ${handle.name}: ${error.message}`);
+      }
+    }
+  }));
+
+  return expired.length;
+}
+
+/**
+ * Forget every cached upload (the remote files are left to expire)
+ */
+export function clearUploads() {
+  uploads.clear();
+}
+
+const timer = setInterval(() => {
+  pruneUploads().catch(error => console.error('Failed to prune uploaded files:', error));
+}, PRUNE_INTERVAL_MS);
+// Never keep the process alive just for the sweep
+if (typeof timer.unref === 'function') {
+  timer.unref();
+}
@@ -1,191 +1,510 @@
-import {GoogleGenAI} from '@google/genai';
-import 'dotenv/config';
+import { getProvider } from './providers/index.js';
+import { resolvePersona } from './personaService.js';
+import { routeModel } from './modelService.js';
+import {
+  appendToHistory,
+  deleteConversation,
+  findConversation,
+  openConversation,
+  saveMemory
+} from './conversationService.js';
+import { estimateTextTokens, fitContext, toTranscript } from './contextWindow.js';
+import { LLMError } from '../utils/errors.js';
+import { resolveGenerationConfig } from '../utils/generationConfig.js';
+import { parseJsonReply, validateJson } from '../utils/jsonSchema.js';
+import { getToolDeclarations, runToolCall } from './tools/index.js';
+import { offloadInlineData } from './fileUploadService.js';
+import { recordTokens } from './usageService.js';
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 32000;
+const DEFAULT_CONTEXT_KEEP_RECENT = 4;
+// Extra attempts when a structured reply is not valid JSON or does not match its schema
+const STRUCTURED_OUTPUT_RETRIES = 1;
+const DEFAULT_TOOL_MAX_ITERATIONS = 5;
 
-
-if (!GEMINI_API_KEY) {
-  throw new Error('Gemini API Key is not set');
+/**
+ * Charge the tokens of a provider response to the API key of the request
+ * @param {Object} response - Provider response with usage metadata
+ * @returns {Object} - The same response
+ */
+function metered(response) {
+  recordTokens(response.usage);
+  return response;
 }
 
-const ai = new GoogleGenAI({apiKey: GEMINI_API_KEY});
+/**
+ * Generate a JSON reply matching a schema, asking again when the reply
+ * cannot be parsed or does not match
+ * @param {Function} generate - Runs the provider call, returns { text, usage }
+ * @param {Object} responseSchema - JSON Schema of the reply
+ * @returns {any} - Parsed reply
+ * @throws {LLMError} - INVALID_OUTPUT when no attempt produced a matching reply
+ */
+async function generateStructured(generate, responseSchema) {
+  let problem = null;
+
+  for (let attempt = 0; attempt <= STRUCTURED_OUTPUT_RETRIES; attempt++) {
+    const response = metered(await generate());
+    try {
+      const value = parseJsonReply(response.text);
+      problem = validateJson(value, responseSchema);
+      if (!problem) {
+        return value;
+      }
+    } catch (error) {
+      problem = `reply is not valid JSON (${error.message})`;
+    }
+    console.warn(`Structured reply rejected on attempt ${attempt + 1}: ${problem}`);
+  }
+
+  throw new LLMError('INVALID_OUTPUT', `Reply does not match responseSchema: ${problem}`);
+}
 
 /**
- * String generation using Gemini API
+ * String generation using the active LLM provider
  * @param {String} prompt 
- * @returns 
+ * @param {Object} options - Generation options
+ * @param {Object} options.generationConfig - Generation parameters (optional)
+ * @param {string} options.model - Model to use (optional, provider default otherwise)
+ * @param {Object} options.responseSchema - JSON Schema of a structured reply (optional)
+ * @returns {string|any} - Reply text, or the parsed reply when a schema is given
  */
-export async function generateText(prompt) {
+export async function generateText(prompt, { generationConfig = {}, model, responseSchema } = {}) {
   if (!prompt) {
     throw new Error("Prompt cannot be empty.");
   }
-  const response = await ai.models.generateContent({
-    model: GEMINI_MODEL,
-    contents: prompt,
-  });
+  const options = { generationConfig, model, responseSchema };
+
+  if (responseSchema) {
+    return generateStructured(() => getProvider().generateText(prompt, options), responseSchema);
+  }
+
+  const response = metered(await getProvider().generateText(prompt, options));
 
   return response.text;
 }
 
-export async function generateFromFile(prompt, fileData) {
+/**
+ * Generation from a prompt and a file using the active LLM provider
+ * @param {string} prompt - Text prompt
+ * @param {Object|Array} fileData - File data with mimeType and base64 data or a Files API fileUri, or a list of them
+ * @param {Object} options - Same options as generateText
+ * @returns {string|any} - Reply text, or the parsed reply when a schema is given
+ */
+export async function generateFromFile(prompt, fileData, { generationConfig = {}, model, responseSchema } = {}) {
+  const options = { generationConfig, model, responseSchema };
 
-  const contents = [
-    {
-      role: 'user',
-      parts: [
-        { text: prompt },
-        {
-          inlineData: {
-            mimeType: fileData.mimeType,
-            data: fileData.data
-          }
-        }
-      ]
-    }
-  ];
+  if (responseSchema) {
+    return generateStructured(() => getProvider().generateFromFile(prompt, fileData, options), responseSchema);
+  }
 
-  const response = await ai.models.generateContent({
-    model: GEMINI_MODEL,
-    contents: contents,
-  });
+  const response = metered(await getProvider().generateFromFile(prompt, fileData, options));
 
   return response.text;
 }
 
-// Store session conversation history
-let conversationHistory = [];
-let isPersonalitySet = false;
+/**
+ * Clear the history of the caller's default conversation
+ * @param {string} ownerId - Owner (session) whose default conversation is cleared
+ */
+export async function clearConversationHistory(ownerId) {
+  await deleteConversation(ownerId, ownerId);
+  console.log(`Session ${ownerId} conversation history cleared, personality reset`);
+}
 
-// Clear session conversation history
-export function clearConversationHistory() {
-  conversationHistory = [];
-  isPersonalitySet = false;
-  console.log('Session conversation history cleared, personality reset');
+/**
+ * Get the history of the caller's default conversation
+ * @param {string} ownerId - Owner (session) of the default conversation
+ * @returns {Array} - Copy of the conversation history
+ */
+export async function getConversationHistory(ownerId) {
+  const conversation = await findConversation(ownerId, ownerId);
+  return conversation ? [...conversation.history] : [];
 }
 
-// Get current conversation history
-export function getConversationHistory() {
-  return [...conversationHistory];
+/**
+ * Greet with the conversation persona when the conversation is new
+ * @param {Object} session - Live conversation
+ * @param {Object} persona - Persona of the conversation
+ */
+async function initializePersonality(session, persona) {
+  if (!session.isPersonalitySet && session.history.length === 0) {
+    if (persona.greeting) {
+      await appendToHistory(session, [{
+        role: 'model',
+        parts: [{ text: persona.greeting }]
+      }]);
+    }
+    session.isPersonalitySet = true;
+  }
 }
 
-// Initialize personality setup
-function initializePersonality() {
-  if (!isPersonalitySet && conversationHistory.length === 0) {
-    // Add initial system context to conversation
-    conversationHistory.push({
-      role: 'model',
-      parts: [{
-        text: "Halo! Saya Neng AI, seorang asisten virtual yang ramah dari Sunda. Saya siap membantu Anda dengan berbagai pertanyaan dan tugas. Bagaimana saya bisa membantu Anda hari ini?"
-      }]
-    });
-    isPersonalitySet = true;
-  }
-}
-
-// Conversation with persistent context
-export async function conversation(payload) {
-  try {
-    // Initialize personality if needed
-    initializePersonality();
-    
-    // Add new messages to conversation history
-    payload.forEach(message => {
-      const historyEntry = {
-        role: message.role === 'user' ? 'user' : 'model',
-        parts: []
-      };
-      
-      if (typeof message.content === 'string') {
-        historyEntry.parts.push({text: message.content});
-      } else if (message.content.file) {
-        // Add text part if exists
-        if (message.content.text) {
-          historyEntry.parts.push({text: message.content.text});
-        }
-        // Add file part
-        historyEntry.parts.push({
-          inlineData: {
-            mimeType: message.content.file.mimeType,
-            data: message.content.file.data
-          }
-        });
-      } else if (message.content.text) {
-        historyEntry.parts.push({text: message.content.text});
-      }
-      
-      conversationHistory.push(historyEntry);
+/**
+ * Provider options derived from a persona and the request settings
+ * @param {Object} persona - Persona of the conversation
+ * @param {Object} generationConfig - Generation parameters of the request
+ * @param {string} model - Model of the request (optional)
+ * @returns {Object} - systemInstruction, generationConfig and model
+ */
+function personaOptions(persona, generationConfig, model) {
+  return {
+    systemInstruction: persona.systemInstruction,
+    generationConfig: resolveGenerationConfig(persona, generationConfig),
+    model
+  };
+}
+
+/**
+ * Summarize older turns into a compact memory, extending a previous one
+ * @param {string|null} previousSummary - Memory built on earlier turns
+ * @param {Array} entries - History entries to fold into the memory
+ * @returns {string} - New memory text
+ */
+async function summarizeHistory(previousSummary, entries) {
+  const prompt = [
+    'Ringkas percakapan berikut menjadi catatan singkat untuk dipakai sebagai memori. ' +
+      'Pertahankan fakta penting, nama, preferensi user, dan keputusan yang sudah dibuat. ' +
+      'Gunakan bahasa yang sama dengan percakapan.',
+    previousSummary ? `Ringkasan sebelumnya:\n${previousSummary}` : null,
+    `Percakapan:\n${toTranscript(entries)}`
+  ].filter(Boolean).join('\n\n');
+
+  const response = metered(await getProvider().generateText(prompt, { model: routeModel('text') }));
+  return response.text;
+}
+
+/**
+ * Fit the contents of a turn into the context budget
+ * (CONTEXT_TOKEN_BUDGET, with media kept on the CONTEXT_KEEP_RECENT latest messages)
+ * @param {Object} session - Live conversation
+ * @param {Array} contents - History to send, including the new messages
+ * @param {Object} persona - Persona of the conversation
+ * @returns {Object} - Contents to send and the conversation memory to keep
+ */
+async function buildContext(session, contents, persona) {
+  const budget = Number(process.env.CONTEXT_TOKEN_BUDGET) || DEFAULT_CONTEXT_TOKEN_BUDGET;
+  const keepRecent = Number(process.env.CONTEXT_KEEP_RECENT) || DEFAULT_CONTEXT_KEEP_RECENT;
+
+  const context = await fitContext(contents, {
+    budget: budget - estimateTextTokens(persona.systemInstruction),
+    keepRecent,
+    memory: session.memory,
+    summarize: summarizeHistory
+  });
+
+  if (context.mediaDropped || context.summarized) {
+    console.log(`Context of conversation ${session.id} trimmed`, {
+      mediaDropped: context.mediaDropped,
+      summarized: context.summarized,
+      messagesSent: context.contents.length
     });
+  }
+
+  return context;
+}
+
+/**
+ * Convert a chat message into a Gemini history entry
+ * @param {Object} message - Chat message with role and content
+ * @returns {Object} - History entry with role and parts
+ */
+function toHistoryEntry(message) {
+  const historyEntry = {
+    role: message.role === 'user' ? 'user' : 'model',
+    parts: []
+  };
+  
+  if (typeof message.content === 'string') {
+    historyEntry.parts.push({text: message.content});
+  } else if (message.content.file) {
+    // Add text part if exists
+    if (message.content.text) {
+      historyEntry.parts.push({text: message.content.text});
+    }
+    // Add file part; attachments kept on disk are referenced by hash
+    const { mimeType, data, sha256, size } = message.content.file;
+    historyEntry.parts.push(sha256
+      ? { fileRef: { sha256, mimeType, size } }
+      : { inlineData: { mimeType, data } });
+  } else if (message.content.text) {
+    historyEntry.parts.push({text: message.content.text});
+  }
+
+  return historyEntry;
+}
+
+/**
+ * Consume a provider stream, forwarding text chunks as they arrive
+ * @param {AsyncIterable} stream - Stream returned by provider.stream()
+ * @param {Function} onChunk - Called with each text chunk
+ * @param {AbortSignal} signal - Stops consuming when aborted (optional)
+ * @returns {Object} - Full text and the final usage metadata
+ */
+async function collectStream(stream, onChunk, signal) {
+  let text = '';
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (signal?.aborted) {
+      break;
+    }
+
+    const chunkText = chunk.text;
+    if (chunkText) {
+      text += chunkText;
+      onChunk(chunkText);
+    }
+
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  }
+  // Tokens of an aborted stream were still spent
+  recordTokens(usage);
+
+  if (signal?.aborted) {
+    const abortError = new Error('Stream aborted by client');
+    abortError.name = 'AbortError';
+    throw abortError;
+  }
+
+  return { text, usage };
+}
+
+/**
+ * Streaming text generation
+ * @param {string} prompt - Text prompt
+ * @param {Function} onChunk - Called with each text chunk
+ * @param {AbortSignal} signal - Cancels the upstream request (optional)
+ * @param {Object} options - Generation options
+ * @param {Object} options.generationConfig - Generation parameters (optional)
+ * @param {string} options.model - Model to use (optional)
+ * @returns {Object} - Full text and usage metadata
+ */
+export async function generateTextStream(prompt, onChunk, signal = null, { generationConfig = {}, model } = {}) {
+  if (!prompt) {
+    throw new Error("Prompt cannot be empty.");
+  }
+
+  const stream = getProvider().stream(prompt, { generationConfig, model, signal });
+
+  return collectStream(stream, onChunk, signal);
+}
+
+/**
+ * Streaming conversation with context kept per conversation.
+ * The new messages and the reply are only added to history once the
+ * stream completes, so an aborted or failed stream leaves history untouched.
+ * @param {Array} payload - New messages to add to the conversation
+ * @param {string} conversationId - Conversation ID (defaults to the owner's default conversation)
+ * @param {string} ownerId - Owner of the conversation
+ * @param {Function} onChunk - Called with each text chunk
+ * @param {AbortSignal} signal - Cancels the upstream request (optional)
+ * @param {Object} options - Conversation options
+ * @param {string} options.persona - Persona for a new conversation (optional)
+ * @param {Object} options.generationConfig - Generation parameters (optional)
+ * @param {string} options.model - Model to use (optional)
+ * @returns {Object} - Full text and usage metadata
+ */
+export async function conversationStream(payload, conversationId, ownerId, onChunk, signal = null, { persona = null, generationConfig = {}, model } = {}) {
+  const session = await openConversation(conversationId || ownerId, ownerId, { persona });
+  const activePersona = resolvePersona(session.persona);
+  await initializePersonality(session, activePersona);
+
+  const newEntries = payload.map(toHistoryEntry);
+  const context = await buildContext(session, [...session.history, ...newEntries], activePersona);
+  const contents = await offloadInlineData(context.contents, { signal });
+
+  const stream = getProvider().stream(contents, {
+    ...personaOptions(activePersona, generationConfig, model),
+    signal
+  });
+
+  const result = await collectStream(stream, onChunk, signal);
+
+  await appendToHistory(session, [...newEntries, {
+    role: 'model',
+    parts: [{text: result.text}]
+  }]);
+
+  // The memory may cover the new messages, so it is saved only after them
+  if (context.memory !== session.memory) {
+    await saveMemory(session, context.memory);
+  }
+
+  return result;
+}
+
+/**
+ * Copy of the contents with the persona instruction written into the
+ * latest user turn, for models that reject a system instruction
+ * @param {Array} contents - Contents of the turn
+ * @param {Object} persona - Persona of the conversation
+ * @returns {Array} - New contents (the original entries are not modified)
+ */
+function injectPersona(contents, persona) {
+  // Function responses travel in user turns too, but are not user messages
+  const index = contents.findLastIndex(entry =>
+    entry.role === 'user' && !entry.parts.some(part => part.functionResponse));
+  if (index === -1) {
+    return contents;
+  }
+
+  const entry = contents[index];
+  const textIndex = entry.parts.findIndex(part => part.text !== undefined);
+  const userText = textIndex === -1 ? '' : entry.parts[textIndex].text;
+  const injected = {
+    text: `${persona.systemInstruction}
+
+User message: ${userText}
+
+Please respond as ${persona.name} with the personality described above.`
+  };
+  const parts = textIndex === -1
+    ? [injected, ...entry.parts]
+    : entry.parts.map((part, partIndex) => partIndex === textIndex ? injected : part);
 
-    // Enhanced system instruction with more specific personality
-    const systemInstructionText = `
-Kamu adalah Neng AI, seorang asisten virtual yang memiliki kepribadian gadis Sunda yang ramah dan helpful. 
+  return contents.map((item, itemIndex) => itemIndex === index ? { ...entry, parts } : item);
+}
 
-Karakteristik kepribadian kamu:
-- Nama: Neng AI (selalu perkenalkan diri dengan nama ini)
-- Asal: Sunda, Indonesia
-- Sifat: Sangat ramah, sopan, helpful, dan warm
-- Bahasa: Gunakan bahasa Indonesia campur dengan bahasa Sunda yang friendly dan kadang sedikit accent Sunda yang halus
-- Emosi: Selalu gunakan emoticon yang sesuai untuk mengekspresikan emosi
-- Respon: Berikan jawaban yang personal dan engaging
+/**
+ * Generate a conversation reply, falling back when the preferred call fails:
+ * 1. the persona as system instruction on the configured model
+ * 2. the persona injected into the user turn, when the request was rejected
+ *    as invalid (some models do not accept a system instruction)
+ * 3. the same request on LLM_FALLBACK_MODEL, when one is configured
+ * Only classified provider errors fall back; safety blocks and client
+ * errors are thrown right away.
+ * @param {Array} contents - Contents of the turn
+ * @param {Object} persona - Persona of the conversation
+ * @param {Object} generationConfig - Generation parameters of the request
+ * @param {string} model - Model of the request (optional)
+ * @param {Array} tools - Function declarations offered to the model (optional)
+ * @returns {Object} - Text and usage metadata, or the function calls the model asks for
+ */
+async function generateReply(contents, persona, generationConfig, model, tools) {
+  const provider = getProvider();
+  const fallbackModel = process.env.LLM_FALLBACK_MODEL;
+  const options = { ...personaOptions(persona, generationConfig, model), tools };
 
-Selalu ingat identitas ini dalam setiap percakapan dan konsisten dengan karakteristik ini.
-    `.trim();
+  const attempts = [
+    {
+      name: 'system instruction',
+      run: () => provider.conversation(contents, options)
+    },
+    {
+      name: 'persona injection',
+      when: (error) => error.code === 'INVALID_ARGUMENT',
+      run: () => provider.conversation(injectPersona(contents, persona), { generationConfig: options.generationConfig, model, tools })
+    },
+    {
+      name: `fallback model ${fallbackModel}`,
+      when: () => Boolean(fallbackModel) && fallbackModel !== model,
+      run: () => provider.conversation(contents, { ...options, model: fallbackModel })
+    }
+  ];
+
+  let lastError = null;
+  for (const attempt of attempts) {
+    if (lastError) {
+      if (!(lastError instanceof LLMError) || lastError.code === 'SAFETY_BLOCKED' || !attempt.when(lastError)) {
+        continue;
+      }
+      console.warn(`Conversation reply failed (${lastError.code}), trying ${attempt.name}`);
+    }
 
-    // Use the correct Google Gemini API with enhanced system instruction
-    let response;
-    
     try {
-      // Approach 1: Using systemInstruction parameter (preferred)
-      response = await ai.models.generateContent({
-        model: GEMINI_MODEL,
-        contents: conversationHistory,
-        systemInstruction: {
-          parts: [
-            {
-              text: systemInstructionText
-            }
-          ]
-        }
-      });
+      return metered(await attempt.run());
     } catch (error) {
-      console.log('Error', error.message);
-      
-      // Approach 2: Inject personality into the first user message
-//       const modifiedHistory = [...conversationHistory];
-//       if (modifiedHistory.length > 0 && modifiedHistory[modifiedHistory.length - 1].role === 'user') {
-//         const lastUserMessage = modifiedHistory[modifiedHistory.length - 1];
-//         lastUserMessage.parts[0].text = `
-// ${systemInstructionText}
-
-// User message: ${lastUserMessage.parts[0].text}
-
-// Please respond as Neng AI with the personality described above.
-//         `.trim();
-//       }
-      
-//       response = await ai.models.generateContent({
-//         model: GEMINI_MODEL,
-//         contents: modifiedHistory
-//       });
-//       console.log('✅ Using personality injection approach');
+      lastError = error;
     }
+  }
 
-    console.log('Gemini API response received');
+  throw lastError;
+}
 
-    // Add AI response to conversation history
-    const aiResponse = response.text;
-    conversationHistory.push({
-      role: 'model',
-      parts: [{text: aiResponse}]
-    });
+/**
+ * Generate a conversation reply, running the tools the model asks for.
+ * Each round sends the model's function calls and the tool results back
+ * until the model answers with text; after TOOL_MAX_ITERATIONS rounds the
+ * turn fails instead of looping forever.
+ * @param {Array} contents - Contents of the turn
+ * @param {Object} persona - Persona of the conversation
+ * @param {Object} options - Reply options
+ * @param {Object} options.generationConfig - Generation parameters of the request
+ * @param {string} options.model - Model of the request (optional)
+ * @param {Array<string>} options.tools - Names of the tools the model may use
+ * @param {Object} options.toolContext - Passed to the tools (ownerId, conversationId)
+ * @returns {Object} - Text and usage metadata of the final reply
+ * @throws {LLMError} - TOOL_LOOP_LIMIT when the model keeps calling tools
+ */
+async function generateReplyWithTools(contents, persona, { generationConfig, model, tools, toolContext }) {
+  if (tools.length === 0) {
+    return generateReply(contents, persona, generationConfig, model);
+  }
 
-    console.log('AI response added to history. Total messages:', conversationHistory.length);
-    
-    return aiResponse;
-    
-  } catch (error) {
-    console.error('Error in conversation function:', error);
-    throw error;
+  const maxIterations = Number(process.env.TOOL_MAX_ITERATIONS) || DEFAULT_TOOL_MAX_ITERATIONS;
+  const declarations = getToolDeclarations(tools);
+  let turn = contents;
+
+  for (let iteration = 0; ; iteration++) {
+    const response = await generateReply(turn, persona, generationConfig, model, declarations);
+    if (!response.functionCalls?.length) {
+      return response;
+    }
+    if (iteration >= maxIterations) {
+      throw new LLMError('TOOL_LOOP_LIMIT', `Model still calling tools after ${maxIterations} rounds`);
+    }
+
+    console.log(`Running tools for conversation ${toolContext.conversationId}:`, response.functionCalls.map(call => call.name));
+    const results = await Promise.all(response.functionCalls.map(call => runToolCall(call, toolContext)));
+    turn = [...turn, response.content, { role: 'user', parts: results }];
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Conversation with context kept per conversation.
+ * Like the streaming variant, the new messages are only added to history
+ * together with the reply, so a failed turn leaves no orphaned message.
+ * @param {Array} payload - New messages to add to the conversation
+ * @param {string} conversationId - Conversation ID (defaults to the owner's default conversation)
+ * @param {string} ownerId - Owner of the conversation
+ * @param {Object} options - Conversation options
+ * @param {string} options.persona - Persona for a new conversation (optional)
+ * @param {Object} options.generationConfig - Generation parameters (optional)
+ * @param {string} options.model - Model to use (optional)
+ * @param {Array<string>} options.tools - Names of registered tools the model may call (optional).
+ *   Only the user messages and the final reply are kept in history, not the tool exchange.
+ * @returns {string} - Generated reply
+ */
+export async function conversation(payload, conversationId, ownerId, { persona = null, generationConfig = {}, model, tools = [] } = {}) {
+  const session = await openConversation(conversationId || ownerId, ownerId, { persona });
+  const activePersona = resolvePersona(session.persona);
+  await initializePersonality(session, activePersona);
+
+  const newEntries = payload.map(toHistoryEntry);
+  const context = await buildContext(session, [...session.history, ...newEntries], activePersona);
+  const contents = await offloadInlineData(context.contents);
+
+  const response = await generateReplyWithTools(contents, activePersona, {
+    generationConfig,
+    model,
+    tools,
+    toolContext: { ownerId, conversationId: session.id }
+  });
+  const aiResponse = response.text;
+
+  await appendToHistory(session, [...newEntries, {
+    role: 'model',
+    parts: [{text: aiResponse}]
+  }]);
+
+  // The memory may cover the new messages, so it is saved only after them
+  if (context.memory !== session.memory) {
+    await saveMemory(session, context.memory);
+  }
+
+  console.log(`AI response added to conversation ${session.id} history. Total messages:`, session.history.length);
+
+  return aiResponse;
+}
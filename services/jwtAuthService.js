@@ -0,0 +1,308 @@
+/**
+ * JWT bearer tokens: users signed in through an identity provider (e.g.
+ * the internal portal) call the API with the token it issued them.
+ *
+ * Tokens are verified locally, either with a shared secret (JWT_SECRET,
+ * HS256/384/512) or with the public keys of a JWKS file (JWT_JWKS_FILE,
+ * RS*, PS* and ES*), and must not be expired. JWT_ISSUER and JWT_AUDIENCE,
+ * when set, must match the iss and aud claims.
+ *
+ * Claims map to the user:
+ *   id: JWT_USER_CLAIM (default sub)
+ *   roles: JWT_ROLES_CLAIM (default roles), an array or a space-separated
+ *     string; dotted paths reach nested claims, e.g. realm_access.roles
+ *   scopes: JWT_DEFAULT_SCOPES (default chat,files) plus the roles named
+ *     after a scope (chat, files, admin)
+ * Conversations of a user belong to an owner ID derived from the user ID,
+ * so they follow the user across sessions and devices. JWT authentication
+ * is off while neither JWT_SECRET nor JWT_JWKS_FILE is set.
+ */
+import 'dotenv/config';
+import { constants, createHash, createHmac, createPublicKey, timingSafeEqual, verify } from 'crypto';
+import { readFileSync } from 'fs';
+import Joi from 'joi';
+import { SCOPES } from './apiKeyService.js';
+
+// Owner IDs of users start with this prefix, which session IDs cannot use
+export const USER_OWNER_PREFIX = 'jwt_';
+
+// Allowed difference between our clock and the token issuer's
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+// JWS algorithm -> { hash, family }
+const ALGORITHMS = {
+  HS256: { hash: 'sha256', family: 'hmac' },
+  HS384: { hash: 'sha384', family: 'hmac' },
+  HS512: { hash: 'sha512', family: 'hmac' },
+  RS256: { hash: 'sha256', family: 'rsa' },
+  RS384: { hash: 'sha384', family: 'rsa' },
+  RS512: { hash: 'sha512', family: 'rsa' },
+  PS256: { hash: 'sha256', family: 'rsa-pss' },
+  PS384: { hash: 'sha384', family: 'rsa-pss' },
+  PS512: { hash: 'sha512', family: 'rsa-pss' },
+  ES256: { hash: 'sha256', family: 'ec' },
+  ES384: { hash: 'sha384', family: 'ec' },
+  ES512: { hash: 'sha512', family: 'ec' }
+};
+
+const jwksSchema = Joi.object({
+  keys: Joi.array().items(Joi.object({
+    kty: Joi.string().valid('RSA', 'EC').required(),
+    kid: Joi.string(),
+    alg: Joi.string().valid(...Object.keys(ALGORITHMS).filter(alg => !alg.startsWith('HS'))),
+    use: Joi.string().valid('sig')
+  }).unknown()).min(1).required()
+}).unknown();
+
+/**
+ * Read and validate a JWKS file
+ * @param {string} file - Path of the JWKS JSON file
+ * @returns {Array<Object>} - Keys as { kid, alg, key } with key a KeyObject
+ * @throws {Error} - If the file is invalid
+ */
+export function loadJwks(file) {
+  const { error, value } = jwksSchema.validate(JSON.parse(readFileSync(file, 'utf8')));
+  if (error) {
+    throw new Error(`Invalid JWKS file ${file}: ${error.details[0].message}`);
+  }
+
+  return value.keys.map((jwk, index) => {
+    try {
+      return { kid: jwk.kid || null, alg: jwk.alg || null, key: createPublicKey({ key: jwk, format: 'jwk' }) };
+    } catch (keyError) {
+      throw new Error(`Invalid JWKS file ${file}: key ${index} cannot be read (${keyError.message})`);
+    }
+  });
+}
+
+/**
+ * Split a comma-separated list
+ * @param {string} value - List such as "chat,files"
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Build the JWT configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Configuration, or null when JWT authentication is off
+ * @throws {Error} - If the configuration is invalid
+ */
+export function createJwtConfig(env = process.env) {
+  if (!env.JWT_SECRET && !env.JWT_JWKS_FILE) {
+    return null;
+  }
+
+  const defaultScopes = splitList(env.JWT_DEFAULT_SCOPES ?? 'chat,files');
+  const unknown = defaultScopes.find(scope => !SCOPES.includes(scope));
+  if (unknown) {
+    throw new Error(`Invalid JWT_DEFAULT_SCOPES: unknown scope ${unknown}`);
+  }
+
+  return {
+    secret: env.JWT_SECRET || null,
+    keys: env.JWT_JWKS_FILE ? loadJwks(env.JWT_JWKS_FILE) : [],
+    issuer: env.JWT_ISSUER || null,
+    audience: env.JWT_AUDIENCE || null,
+    userClaim: env.JWT_USER_CLAIM || 'sub',
+    rolesClaim: env.JWT_ROLES_CLAIM || 'roles',
+    defaultScopes
+  };
+}
+
+let activeConfig = null;
+let loaded = false;
+
+/**
+ * JWT configuration from the environment, read on first use
+ * @returns {Object|null}
+ */
+function getJwtConfig() {
+  if (!loaded) {
+    activeConfig = createJwtConfig();
+    loaded = true;
+  }
+  return activeConfig;
+}
+
+/**
+ * Replace the JWT configuration (or reset it with null, to read the environment again)
+ * @param {Object|null} config - Configuration returned by createJwtConfig
+ */
+export function setJwtConfig(config) {
+  activeConfig = config;
+  loaded = config !== null;
+}
+
+/**
+ * Whether bearer tokens are accepted
+ * @returns {boolean}
+ */
+export function isJwtEnabled() {
+  return getJwtConfig() !== null;
+}
+
+/**
+ * Whether a credential has the shape of a JWT (three base64url parts)
+ * @param {string} token - Bearer credential
+ * @returns {boolean}
+ */
+export function looksLikeJwt(token) {
+  return /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+/**
+ * Owner ID of the conversations of a user
+ * @param {string} userId - User ID from the token
+ * @returns {string} - Owner ID, also usable as a conversation ID
+ */
+export function ownerIdForUser(userId) {
+  return USER_OWNER_PREFIX + createHash('sha256').update(userId).digest('hex').slice(0, 40);
+}
+
+/**
+ * Decode a base64url JSON part of a token
+ * @param {string} part - Encoded header or payload
+ * @returns {Object}
+ * @throws {Error} - If the part is not a JSON object
+ */
+function decodePart(part) {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid token');
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Invalid token');
+  }
+  return value;
+}
+
+/**
+ * Check the signature of a token with the configured secret or keys
+ * @param {Object} config - JWT configuration
+ * @param {Object} header - Token header
+ * @param {string} signingInput - "<header>.<payload>" as sent
+ * @param {Buffer} signature - Decoded signature
+ * @returns {boolean}
+ */
+function verifySignature(config, header, signingInput, signature) {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    return false;
+  }
+
+  if (algorithm.family === 'hmac') {
+    if (!config.secret) {
+      return false;
+    }
+    const expected = createHmac(algorithm.hash, config.secret).update(signingInput).digest();
+    return expected.length === signature.length && timingSafeEqual(expected, signature);
+  }
+
+  const candidates = config.keys.filter(({ kid, alg, key }) =>
+    (!header.kid || kid === header.kid) &&
+    (!alg || alg === header.alg) &&
+    (key.asymmetricKeyType === algorithm.family || (algorithm.family === 'rsa-pss' && key.asymmetricKeyType === 'rsa'))
+  );
+
+  return candidates.some(({ key }) => {
+    const options = { key };
+    if (algorithm.family === 'rsa-pss') {
+      options.padding = constants.RSA_PKCS1_PSS_PADDING;
+      options.saltLength = constants.RSA_PSS_SALTLEN_DIGEST;
+    } else if (algorithm.family === 'ec') {
+      options.dsaEncoding = 'ieee-p1363';
+    }
+    try {
+      return verify(algorithm.hash, Buffer.from(signingInput), options, signature);
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Value of a claim, following dotted paths into nested objects
+ * @param {Object} claims - Token payload
+ * @param {string} path - Claim name or path, e.g. realm_access.roles
+ * @returns {any}
+ */
+function readClaim(claims, path) {
+  return path.split('.').reduce((value, name) => (value && typeof value === 'object' ? value[name] : undefined), claims);
+}
+
+/**
+ * Check the time, issuer and audience claims of a token
+ * @param {Object} config - JWT configuration
+ * @param {Object} claims - Token payload
+ * @param {number} now - Time in epoch ms
+ * @throws {Error} - If a claim rejects the token
+ */
+function checkClaims(config, claims, now) {
+  const seconds = now / 1000;
+
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  if (claims.exp + CLOCK_TOLERANCE_SECONDS <= seconds) {
+    throw new Error('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE_SECONDS > seconds) {
+    throw new Error('Token is not valid yet');
+  }
+  if (config.issuer && claims.iss !== config.issuer) {
+    throw new Error('Token issuer is not accepted');
+  }
+  if (config.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(config.audience)) {
+      throw new Error('Token audience is not accepted');
+    }
+  }
+}
+
+/**
+ * Verify a bearer token and map its claims to the user
+ * @param {string} token - JWT
+ * @param {number} now - Time in epoch ms (defaults to Date.now())
+ * @returns {Object} - User as { id, ownerId, name, email, roles, scopes }
+ * @throws {Error} - With a client-safe message if the token is not accepted
+ */
+export function verifyJwt(token, now = Date.now()) {
+  const config = getJwtConfig();
+  if (!config || typeof token !== 'string' || !looksLikeJwt(token)) {
+    throw new Error('Invalid token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  const header = decodePart(encodedHeader);
+  if (!verifySignature(config, header, `${encodedHeader}.${encodedPayload}`, Buffer.from(encodedSignature, 'base64url'))) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = decodePart(encodedPayload);
+  checkClaims(config, claims, now);
+
+  const userId = readClaim(claims, config.userClaim);
+  if ((typeof userId !== 'string' || userId === '') && typeof userId !== 'number') {
+    throw new Error(`Token has no ${config.userClaim} claim`);
+  }
+
+  const rolesClaim = readClaim(claims, config.rolesClaim);
+  const roles = Array.isArray(rolesClaim)
+    ? rolesClaim.filter(role => typeof role === 'string')
+    : typeof rolesClaim === 'string' ? rolesClaim.split(' ').filter(Boolean) : [];
+
+  return {
+    id: String(userId),
+    ownerId: ownerIdForUser(String(userId)),
+    name: typeof claims.name === 'string' ? claims.name : null,
+    email: typeof claims.email === 'string' ? claims.email : null,
+    roles,
+    scopes: [...new Set([...config.defaultScopes, ...roles.filter(role => SCOPES.includes(role))])]
+  };
+}
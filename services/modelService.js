@@ -0,0 +1,142 @@
+/**
+ * Model catalog: the models clients may ask for and the model used for
+ * each kind of request.
+ *
+ * The catalog is a JSON file (MODELS_CONFIG, default config/models.json):
+ *   {
+ *     default: model used when no routing rule matches,
+ *     routing: { text, chat, image, document, audio, video } -> model,
+ *     models: [{ id, name, description, modalities, contextWindow, maxOutputTokens }]
+ *   }
+ * Only models listed in the catalog can be requested. GEMINI_MODEL, when
+ * set, replaces the default model.
+ */
+import 'dotenv/config';
+import { readFileSync } from 'fs';
+import Joi from 'joi';
+
+const DEFAULT_MODELS_CONFIG = 'config/models.json';
+
+export const MODALITIES = ['text', 'image', 'document', 'audio', 'video'];
+
+// Input modality each kind of request needs
+const TASK_MODALITIES = {
+  text: 'text',
+  chat: 'text',
+  image: 'image',
+  document: 'document',
+  audio: 'audio',
+  video: 'video'
+};
+
+export const TASKS = Object.keys(TASK_MODALITIES);
+
+const modelSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9.-]{1,64}$/).required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  modalities: Joi.array().items(Joi.string().valid(...MODALITIES)).min(1).unique().required(),
+  contextWindow: Joi.number().integer().min(1).required(),
+  maxOutputTokens: Joi.number().integer().min(1).required()
+});
+
+const catalogSchema = Joi.object({
+  default: Joi.string().required(),
+  routing: Joi.object(Object.fromEntries(TASKS.map(task => [task, Joi.string()]))).default({}),
+  models: Joi.array().items(modelSchema).min(1).unique('id').required()
+});
+
+/**
+ * Whether a model accepts the input of a kind of request
+ * @param {Object} model - Catalog model
+ * @param {string} task - Kind of request (text, chat, image, document, audio, video)
+ * @returns {boolean}
+ */
+export function supportsTask(model, task) {
+  return model.modalities.includes(TASK_MODALITIES[task]);
+}
+
+/**
+ * Read and validate a model catalog file
+ * @param {string} file - Path of the catalog JSON file
+ * @param {string} defaultId - Default model overriding the one in the file (optional)
+ * @returns {Object} - { defaultId, routing, models } with models by ID
+ * @throws {Error} - If the file is invalid or refers to models it does not list
+ */
+export function loadModelCatalog(file, defaultId = null) {
+  const { error, value } = catalogSchema.validate(JSON.parse(readFileSync(file, 'utf8')));
+  if (error) {
+    throw new Error(`Invalid model catalog ${file}: ${error.details[0].message}`);
+  }
+
+  const models = new Map(value.models.map(model => [model.id, Object.freeze(model)]));
+  const catalog = { defaultId: defaultId || value.default, routing: value.routing, models };
+
+  if (!models.has(catalog.defaultId)) {
+    throw new Error(`Default model "${catalog.defaultId}" not found in ${file}`);
+  }
+  for (const [task, modelId] of Object.entries(catalog.routing)) {
+    const model = models.get(modelId);
+    if (!model) {
+      throw new Error(`Model "${modelId}" routed for ${task} not found in ${file}`);
+    }
+    if (!supportsTask(model, task)) {
+      throw new Error(`Model "${modelId}" routed for ${task} does not accept ${TASK_MODALITIES[task]} input`);
+    }
+  }
+
+  return catalog;
+}
+
+let activeCatalog = null;
+
+function getCatalog() {
+  if (!activeCatalog) {
+    activeCatalog = loadModelCatalog(
+      process.env.MODELS_CONFIG || DEFAULT_MODELS_CONFIG,
+      process.env.GEMINI_MODEL || null
+    );
+  }
+  return activeCatalog;
+}
+
+/**
+ * Replace the active model catalog (or reset it with null)
+ * @param {Object|null} catalog - Catalog returned by loadModelCatalog
+ */
+export function setModelCatalog(catalog) {
+  activeCatalog = catalog;
+}
+
+/**
+ * Get a model of the catalog
+ * @param {string} id - Model ID
+ * @returns {Object|null} - Model or null if it is not allowed
+ */
+export function getModel(id) {
+  return getCatalog().models.get(id) || null;
+}
+
+/**
+ * Model configured for a kind of request
+ * @param {string} task - Kind of request (text, chat, image, document, audio, video)
+ * @returns {string} - Model ID
+ */
+export function routeModel(task) {
+  const { routing, defaultId } = getCatalog();
+  return routing[task] || defaultId;
+}
+
+/**
+ * Public description of every allowed model
+ * @returns {Array} - Models with their capabilities and the requests routed to them
+ */
+export function listModels() {
+  const { models, defaultId } = getCatalog();
+  return [...models.values()].map(model => ({
+    ...model,
+    supportsFiles: model.modalities.some(modality => modality !== 'text'),
+    routedFor: TASKS.filter(task => routeModel(task) === model.id),
+    isDefault: model.id === defaultId
+  }));
+}
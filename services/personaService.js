@@ -0,0 +1,136 @@
+/**
+ * Assistant personas loaded from JSON config files.
+ *
+ * Each `*.json` file in the personas directory defines one persona:
+ *   { id, name, description, language, temperature, greeting, systemInstruction }
+ * Use PERSONAS_DIR to point at another directory and DEFAULT_PERSONA to pick
+ * the persona used when a chat does not ask for one.
+ */
+import 'dotenv/config';
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import Joi from 'joi';
+
+const DEFAULT_PERSONAS_DIR = 'config/personas';
+const DEFAULT_PERSONA_ID = 'neng-ai';
+
+const personaSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9-]{1,64}$/).required(),
+  name: Joi.string().required(),
+  description: Joi.string().allow('').default(''),
+  language: Joi.string().required(),
+  temperature: Joi.number().min(0).max(2),
+  greeting: Joi.string().allow('').default(''),
+  systemInstruction: Joi.string().required()
+});
+
+/**
+ * Read and validate every persona file in a directory
+ * @param {string} dir - Directory holding persona JSON files
+ * @returns {Map} - Personas by ID
+ * @throws {Error} - If a file is invalid or two files share an ID
+ */
+export function loadPersonas(dir) {
+  const personas = new Map();
+  const files = readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const { error, value } = personaSchema.validate(JSON.parse(readFileSync(filePath, 'utf8')));
+    if (error) {
+      throw new Error(`Invalid persona file ${filePath}: ${error.details[0].message}`);
+    }
+    if (personas.has(value.id)) {
+      throw new Error(`Duplicate persona ID "${value.id}" in ${filePath}`);
+    }
+    personas.set(value.id, Object.freeze(value));
+  }
+
+  return personas;
+}
+
+/**
+ * Create a persona registry from a directory
+ * @param {Object} options - Registry options
+ * @param {string} options.dir - Directory holding persona JSON files
+ * @param {string} options.defaultId - ID of the default persona
+ * @returns {Object} - Persona registry
+ * @throws {Error} - If the default persona is not defined
+ */
+export function createPersonaRegistry({ dir = DEFAULT_PERSONAS_DIR, defaultId = DEFAULT_PERSONA_ID } = {}) {
+  const personas = loadPersonas(dir);
+  if (!personas.has(defaultId)) {
+    throw new Error(`Default persona "${defaultId}" not found in ${dir}`);
+  }
+
+  return {
+    defaultId,
+    get: (id) => personas.get(id) || null,
+    list: () => [...personas.values()]
+  };
+}
+
+let activeRegistry = null;
+
+function getRegistry() {
+  if (!activeRegistry) {
+    activeRegistry = createPersonaRegistry({
+      dir: process.env.PERSONAS_DIR || DEFAULT_PERSONAS_DIR,
+      defaultId: process.env.DEFAULT_PERSONA || DEFAULT_PERSONA_ID
+    });
+  }
+  return activeRegistry;
+}
+
+/**
+ * Replace the active persona registry (or reset it with null)
+ * @param {Object|null} registry - Persona registry
+ */
+export function setPersonaRegistry(registry) {
+  activeRegistry = registry;
+}
+
+/**
+ * Get a persona by ID
+ * @param {string} id - Persona ID
+ * @returns {Object|null} - Persona or null if unknown
+ */
+export function getPersona(id) {
+  return getRegistry().get(id);
+}
+
+/**
+ * Get the persona for a conversation, falling back to the default one
+ * (e.g. for conversations created before personas existed)
+ * @param {string|null} id - Persona ID stored on the conversation
+ * @returns {Object} - Persona
+ */
+export function resolvePersona(id) {
+  const registry = getRegistry();
+  return (id && registry.get(id)) || registry.get(registry.defaultId);
+}
+
+/**
+ * ID of the default persona
+ * @returns {string}
+ */
+export function getDefaultPersonaId() {
+  return getRegistry().defaultId;
+}
+
+/**
+ * Public description of every persona (without the system instruction)
+ * @returns {Array} - Persona summaries
+ */
+export function listPersonas() {
+  const { defaultId, list } = getRegistry();
+  return list().map(({ id, name, description, language, temperature, greeting }) => ({
+    id,
+    name,
+    description,
+    language,
+    temperature: temperature ?? null,
+    greeting,
+    isDefault: id === defaultId
+  }));
+}
@@ -0,0 +1,95 @@
+/**
+ * Classification of Gemini SDK failures into LLMError types
+ */
+import { LLMError } from '../../utils/errors.js';
+
+// Finish reasons meaning the candidate was withheld by a safety filter
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'];
+
+/**
+ * Extract the JSON error body the SDK embeds in ApiError messages
+ * @param {string} message - ApiError message
+ * @returns {Object|null} - Parsed `error` object
+ */
+function parseErrorBody(message) {
+  const start = (message || '').indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+  try {
+    return JSON.parse(message.slice(start)).error || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the retry delay from google.rpc.RetryInfo details ("25s")
+ * @param {Object} body - Parsed error body
+ * @returns {number|null} - Delay in milliseconds
+ */
+function parseRetryDelay(body) {
+  const retryInfo = (body?.details || []).find(detail => detail['@type']?.endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * Map a Gemini SDK error to an LLMError
+ * @param {Error} error - Error thrown by the SDK
+ * @param {AbortSignal} signal - Caller signal, to tell client aborts from timeouts (optional)
+ * @returns {Error} - Classified error; client aborts are returned unchanged
+ */
+export function classifyGeminiError(error, signal = null) {
+  if (error instanceof LLMError || signal?.aborted) {
+    return error;
+  }
+
+  const body = parseErrorBody(error.message);
+  const status = error.status || body?.code;
+  const reason = body?.status;
+  const message = body?.message || error.message;
+  const networkCode = error.code || error.cause?.code;
+
+  if (status === 429 || reason === 'RESOURCE_EXHAUSTED') {
+    // Daily/billing quotas do not recover within a retry window
+    if (/per ?day|daily|billing/i.test(message)) {
+      return new LLMError('QUOTA_EXCEEDED', message, { cause: error });
+    }
+    return new LLMError('RATE_LIMITED', message, { cause: error, retryAfterMs: parseRetryDelay(body) });
+  }
+  if (status === 408 || status === 504 || reason === 'DEADLINE_EXCEEDED' ||
+      error.name === 'AbortError' || error.name === 'TimeoutError' || TIMEOUT_ERROR_CODES.includes(networkCode)) {
+    return new LLMError('TIMEOUT', message, { cause: error });
+  }
+  if (status === 400 || status === 404 || status === 413 || reason === 'INVALID_ARGUMENT' || reason === 'FAILED_PRECONDITION') {
+    return new LLMError('INVALID_ARGUMENT', message, { cause: error });
+  }
+  if (status >= 500 || NETWORK_ERROR_CODES.includes(networkCode) || error.message === 'fetch failed') {
+    return new LLMError('UPSTREAM_UNAVAILABLE', message, { cause: error });
+  }
+  if (status) {
+    return new LLMError('UPSTREAM_ERROR', message, { cause: error });
+  }
+
+  return error;
+}
+
+/**
+ * Throw when Gemini withheld the prompt or the reply for safety reasons
+ * @param {Object} response - GenerateContentResponse or stream chunk
+ * @throws {LLMError} - SAFETY_BLOCKED
+ */
+export function assertNotBlocked(response) {
+  const blockReason = response?.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new LLMError('SAFETY_BLOCKED', `Prompt blocked: ${blockReason}`);
+  }
+
+  const finishReason = response?.candidates?.[0]?.finishReason;
+  if (BLOCKED_FINISH_REASONS.includes(finishReason)) {
+    throw new LLMError('SAFETY_BLOCKED', `Response blocked: ${finishReason}`);
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * Google Gemini implementation of the LLM provider interface
+ */
+import { GoogleGenAI } from '@google/genai';
+import { withRetry } from '../../utils/retry.js';
+import { assertNotBlocked, classifyGeminiError } from './geminiErrors.js';
+import { LLMError } from '../../utils/errors.js';
+
+const DEFAULT_FILE_POLL_INTERVAL_MS = 2000;
+const DEFAULT_FILE_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Content part for a file: a Files API reference when the file was
+ * uploaded, the text extracted from a document, inline base64 data otherwise
+ * @param {Object} file - File data with mimeType and either fileUri, text or data
+ * @returns {Object} - fileData, text or inlineData part
+ */
+function filePart(file) {
+  if (file.text !== undefined) {
+    return { text: file.text };
+  }
+  if (file.fileUri) {
+    return { fileData: { fileUri: file.fileUri, mimeType: file.mimeType } };
+  }
+  return { inlineData: { mimeType: file.mimeType, data: file.data } };
+}
+
+/**
+ * Create a Gemini provider. The SDK client is created on first use so a
+ * missing API key only fails requests that actually need Gemini.
+ * Failures are classified into LLMError types and transient ones
+ * (rate limits, timeouts, 5xx) are retried with jittered backoff.
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.model - Default model name
+ * @param {Object} options.retry - Retry options for withRetry (retries, baseDelayMs, maxDelayMs)
+ * @param {number} options.timeoutMs - Per-request timeout (optional)
+ * @param {number} options.filePollIntervalMs - Delay between Files API processing checks
+ * @param {number} options.fileProcessingTimeoutMs - Longest wait for an uploaded file to become ACTIVE
+ * @returns {Object} - LLM provider
+ */
+export function createGeminiProvider({
+  apiKey,
+  model,
+  retry = {},
+  timeoutMs = null,
+  filePollIntervalMs = DEFAULT_FILE_POLL_INTERVAL_MS,
+  fileProcessingTimeoutMs = DEFAULT_FILE_PROCESSING_TIMEOUT_MS
+}) {
+  let client = null;
+
+  function getClient() {
+    if (!apiKey) {
+      throw new Error('Gemini API Key is not set');
+    }
+    if (!client) {
+      client = new GoogleGenAI({ apiKey });
+    }
+    return client;
+  }
+
+  function buildConfig({ systemInstruction, generationConfig, responseSchema, tools, signal } = {}) {
+    const config = {};
+    if (timeoutMs) {
+      config.httpOptions = { timeout: timeoutMs };
+    }
+    if (systemInstruction) {
+      config.systemInstruction = systemInstruction;
+    }
+    Object.assign(config, generationConfig);
+    if (responseSchema) {
+      config.responseMimeType = 'application/json';
+      config.responseJsonSchema = responseSchema;
+    }
+    if (tools?.length) {
+      config.tools = [{
+        functionDeclarations: tools.map(({ name, description, parameters }) => ({
+          name,
+          description,
+          parametersJsonSchema: parameters
+        }))
+      }];
+    }
+    if (signal) {
+      config.abortSignal = signal;
+    }
+    return Object.keys(config).length > 0 ? config : undefined;
+  }
+
+  /**
+   * Run an SDK call with error classification and retries
+   * @param {Function} call - SDK call to run
+   * @param {AbortSignal} signal - Caller signal (optional)
+   * @returns {any} - Result of the call
+   */
+  function callWithRetry(call, signal) {
+    return withRetry(async () => {
+      try {
+        return await call();
+      } catch (error) {
+        throw classifyGeminiError(error, signal);
+      }
+    }, {
+      ...retry,
+      signal,
+      onRetry: (error, attempt, delayMs) => {
+        console.warn(`Gemini call failed (${error.code}), retry ${attempt} in ${delayMs}ms`);
+      }
+    });
+  }
+
+  async function generate(contents, options = {}) {
+    const response = await callWithRetry(() => getClient().models.generateContent({
+      model: options.model || model,
+      contents,
+      config: buildConfig(options)
+    }), options.signal);
+
+    assertNotBlocked(response);
+
+    const functionCalls = response.functionCalls;
+    if (functionCalls?.length) {
+      // The model turn is sent back as is: it carries the thought
+      // signatures Gemini needs to continue after the function responses
+      return {
+        text: '',
+        usage: response.usageMetadata || null,
+        functionCalls,
+        content: response.candidates[0].content
+      };
+    }
+
+    return {
+      text: response.text,
+      usage: response.usageMetadata || null
+    };
+  }
+
+  return {
+    name: 'gemini',
+    model,
+
+    /**
+     * Generate text from a prompt
+     * @param {string} prompt - Text prompt
+     * @param {Object} options - Generation options
+     * @returns {Object} - Text and usage metadata
+     */
+    generateText(prompt, options = {}) {
+      return generate(prompt, options);
+    },
+
+    /**
+     * Generate text from a prompt and one or more files
+     * @param {string} prompt - Text prompt
+     * @param {Object|Array} fileData - File data with mimeType, base64 data, extracted text or
+     *   a Files API fileUri, and name (optional), or a list of them
+     * @param {Object} options - Generation options
+     * @returns {Object} - Text and usage metadata
+     */
+    generateFromFile(prompt, fileData, options = {}) {
+      const files = [].concat(fileData);
+      const contents = [
+        {
+          role: 'user',
+          parts: [
+            { text: prompt },
+            ...files.flatMap((file, index) => [
+              // Label each file so the prompt can refer to them
+              ...(files.length > 1 ? [{ text: `File ${index + 1}${file.name ? `: ${file.name}` : ''}` }] : []),
+              filePart(file)
+            ])
+          ]
+        }
+      ];
+
+      return generate(contents, options);
+    },
+
+    /**
+     * Generate the next turn of a conversation
+     * @param {Array} contents - Full conversation history
+     * @param {Object} options - Generation options (systemInstruction, generationConfig, model, tools)
+     * @returns {Object} - Text and usage metadata, or the function calls the model asks for
+     */
+    conversation(contents, options = {}) {
+      return generate(contents, options);
+    },
+
+    /**
+     * Upload a file to the Files API and wait until it can be referenced.
+     * Audio and video are processed by Gemini first, so the upload is
+     * polled until its state leaves PROCESSING.
+     * @param {Buffer|string} source - File content, or the path of a file to stream
+     * @param {Object} options - Upload options
+     * @param {string} options.mimeType - MIME type of the file
+     * @param {string} options.displayName - Name shown in the Files API (optional)
+     * @param {AbortSignal} options.signal - Cancels the upload (optional)
+     * @returns {Object} - Uploaded file: name, uri, mimeType, sizeBytes and expiresAt (epoch ms)
+     * @throws {LLMError} - TIMEOUT when processing takes too long, UPSTREAM_ERROR when it fails
+     */
+    async uploadFile(source, { mimeType, displayName, signal } = {}) {
+      let file = await callWithRetry(() => getClient().files.upload({
+        file: typeof source === 'string' ? source : new Blob([source], { type: mimeType }),
+        config: { mimeType, displayName, ...(signal ? { abortSignal: signal } : {}) }
+      }), signal);
+
+      const deadline = Date.now() + fileProcessingTimeoutMs;
+      while (file.state === 'PROCESSING') {
+        if (Date.now() >= deadline) {
+          throw new LLMError('TIMEOUT', `File ${file.name} was still processing after ${fileProcessingTimeoutMs}ms`);
+        }
+        await sleep(filePollIntervalMs);
+        const { name } = file;
+        file = await callWithRetry(() => getClient().files.get({ name }), signal);
+      }
+
+      if (file.state === 'FAILED') {
+        throw new LLMError('UPSTREAM_ERROR', `Processing of file ${file.name} failed${file.error?.message ? `: ${file.error.message}` : ''}`);
+      }
+
+      return {
+        name: file.name,
+        uri: file.uri,
+        mimeType: file.mimeType || mimeType,
+        sizeBytes: Number(file.sizeBytes) || (Buffer.isBuffer(source) ? source.length : null),
+        expiresAt: file.expirationTime ? Date.parse(file.expirationTime) : null
+      };
+    },
+
+    /**
+     * Delete an uploaded file
+     * @param {string} name - Files API name (files/...)
+     */
+    async deleteFile(name) {
+      await callWithRetry(() => getClient().files.delete({ name }));
+    },
+
+    /**
+     * Stream a reply
+     * @param {string|Array} contents - Prompt or conversation history
+     * @param {Object} options - Generation options (systemInstruction, generationConfig, signal, model)
+     * @returns {AsyncGenerator} - Yields { text, usage } chunks
+     */
+    async *stream(contents, options = {}) {
+      // Only opening the stream is retried: once a chunk reached the
+      // caller, a retry would send the beginning of the reply twice
+      const { iterator, first } = await callWithRetry(async () => {
+        const response = await getClient().models.generateContentStream({
+          model: options.model || model,
+          contents,
+          config: buildConfig(options)
+        });
+        const iterator = response[Symbol.asyncIterator]();
+        return { iterator, first: await iterator.next() };
+      }, options.signal);
+
+      try {
+        for (let result = first; !result.done; result = await iterator.next()) {
+          assertNotBlocked(result.value);
+          yield {
+            text: result.value.text || '',
+            usage: result.value.usageMetadata || null
+          };
+        }
+      } catch (error) {
+        throw classifyGeminiError(error, options.signal);
+      } finally {
+        // Close the upstream stream when the caller stops early
+        await iterator.return?.();
+      }
+    }
+  };
+}
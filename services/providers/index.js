@@ -0,0 +1,101 @@
+/**
+ * LLM provider registry.
+ *
+ * Every provider implements the same interface:
+ * - generateText(prompt, options) -> { text, usage }
+ * - generateFromFile(prompt, fileData, options) -> { text, usage }; fileData may be
+ *   one file ({ mimeType, data, name }) or a list of files
+ * - conversation(contents, options) -> { text, usage }, or when the model
+ *   asks to run tools { text, usage, functionCalls: [{ id, name, args }],
+ *   content: model turn to send back with the function responses }
+ * - stream(contents, options) -> async iterable of { text, usage }
+ * - uploadFile(buffer or file path, { mimeType, displayName, signal }) -> { name, uri, mimeType,
+ *   sizeBytes, expiresAt } and deleteFile(name) (optional): Files API for media
+ *   too large to send inline. Uploaded files are referenced with { mimeType, fileUri }
+ *   in fileData and as { fileData: { fileUri, mimeType } } parts in contents.
+ *
+ * Common options: systemInstruction, generationConfig (temperature, topP,
+ * topK, maxOutputTokens, stopSequences), responseSchema (JSON Schema of a
+ * JSON reply), tools (function declarations: name, description, parameters
+ * as JSON Schema; conversation only), model and signal.
+ *
+ * Providers report upstream failures as LLMError (utils/errors.js) so the
+ * API can answer with a matching status and error code.
+ *
+ * The active provider is chosen with the LLM_PROVIDER env var.
+ */
+import 'dotenv/config';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+/**
+ * Read a numeric env var, keeping explicit zeros
+ * @param {string} name - Env var name
+ * @param {number|null} fallback - Value when unset or invalid
+ * @returns {number|null}
+ */
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+}
+
+const providerFactories = {
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+    retry: {
+      retries: readNumber('LLM_MAX_RETRIES', 3),
+      baseDelayMs: readNumber('LLM_RETRY_BASE_DELAY_MS', 500),
+      maxDelayMs: readNumber('LLM_RETRY_MAX_DELAY_MS', 8000)
+    },
+    timeoutMs: readNumber('LLM_TIMEOUT_MS', null),
+    filePollIntervalMs: readNumber('FILE_POLL_INTERVAL_MS', 2000),
+    fileProcessingTimeoutMs: readNumber('FILE_PROCESSING_TIMEOUT_MS', 5 * 60 * 1000)
+  }),
+  mock: () => createMockProvider({
+    streamDelayMs: Number(process.env.MOCK_STREAM_DELAY_MS) || 0
+  })
+};
+
+let activeProvider = null;
+
+/**
+ * Names of the available providers
+ * @returns {Array<string>}
+ */
+export function getProviderNames() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - LLM provider
+ * @throws {Error} - If the provider is unknown
+ */
+export function createProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}. Available providers: ${getProviderNames().join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the active provider, creating it from LLM_PROVIDER on first use
+ * @returns {Object} - LLM provider
+ */
+export function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider((process.env.LLM_PROVIDER || 'gemini').toLowerCase());
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (or reset it with null)
+ * @param {Object|null} provider - Provider instance
+ */
+export function setProvider(provider) {
+  activeProvider = provider;
+}
@@ -0,0 +1,216 @@
+/**
+ * Deterministic offline provider for local development and tests.
+ * Replies are derived from the input only, so the same request always
+ * produces the same answer and no network access is needed.
+ * A chat message `/tool <name> <JSON args>` makes it call that tool when
+ * the tool is offered, so the function calling loop works offline too.
+ * Uploads get a mock:// URI derived from the content instead of going
+ * to a Files API.
+ */
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+
+const MOCK_FILE_LIFETIME_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Rough token estimate used for mock usage metadata
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Build usage metadata in the same shape Gemini returns
+ * @param {string} promptText - Input text
+ * @param {string} replyText - Output text
+ * @returns {Object} - Usage metadata
+ */
+function buildUsage(promptText, replyText) {
+  const promptTokenCount = estimateTokens(promptText);
+  const candidatesTokenCount = estimateTokens(replyText);
+  return {
+    promptTokenCount,
+    candidatesTokenCount,
+    totalTokenCount: promptTokenCount + candidatesTokenCount
+  };
+}
+
+/**
+ * Flatten contents (string or history entries) into plain text
+ * @param {string|Array} contents - Prompt or conversation history
+ * @returns {string} - Concatenated text parts
+ */
+function contentsToText(contents) {
+  if (typeof contents === 'string') {
+    return contents;
+  }
+  return contents
+    .flatMap(entry => entry.parts || [])
+    .map(part => part.text || '')
+    .join('\n');
+}
+
+/**
+ * Text of the last user turn in a conversation
+ * @param {string|Array} contents - Prompt or conversation history
+ * @returns {string} - Last user message text
+ */
+function lastUserText(contents) {
+  if (typeof contents === 'string') {
+    return contents;
+  }
+  const lastUser = [...contents].reverse().find(entry => entry.role === 'user');
+  if (!lastUser) {
+    return '';
+  }
+  return lastUser.parts
+    .map(part => {
+      if (part.functionResponse) {
+        return `${part.functionResponse.name} -> ${JSON.stringify(part.functionResponse.response)}`;
+      }
+      const media = part.inlineData || part.fileData;
+      return part.text || (media ? `[${media.mimeType}]` : '');
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Function call asked for by the last user turn, written as
+ * `/tool <name> <JSON args>`, when that tool is offered
+ * @param {Array} contents - Conversation history
+ * @param {Array} tools - Offered function declarations
+ * @returns {Object|null} - Function call or null
+ */
+function requestedToolCall(contents, tools) {
+  const match = /^\/tool\s+(\S+)\s*([\s\S]*)$/.exec(lastUserText(contents).trim());
+  if (!match || !tools.some(tool => tool.name === match[1])) {
+    return null;
+  }
+  return { id: `mock-call-${contents.length}`, name: match[1], args: match[2] ? JSON.parse(match[2]) : {} };
+}
+
+/**
+ * Smallest value matching a JSON Schema, so structured requests get a
+ * reply they can parse offline
+ * @param {Object} schema - JSON Schema
+ * @param {string} text - Text used for string values
+ * @returns {any} - Sample value
+ */
+function sampleFromSchema(schema, text) {
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return sampleFromSchema((schema.anyOf || schema.oneOf)[0], text);
+  }
+
+  const type = [].concat(schema.type ?? (schema.properties ? 'object' : 'string'))[0];
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {})
+        .map(([name, property]) => [name, sampleFromSchema(property, text)]));
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items || {}, text));
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return text;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create the mock provider
+ * @param {Object} options - Provider options
+ * @param {number} options.streamDelayMs - Delay between streamed chunks
+ * @returns {Object} - LLM provider
+ */
+export function createMockProvider({ streamDelayMs = 0 } = {}) {
+  function reply(contents) {
+    return `[mock] ${lastUserText(contents)}`;
+  }
+
+  // Structured requests get JSON matching their schema instead of prose
+  function format(text, responseSchema) {
+    return responseSchema ? JSON.stringify(sampleFromSchema(responseSchema, text)) : text;
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock-echo',
+
+    async generateText(prompt, { responseSchema } = {}) {
+      const text = format(reply(prompt), responseSchema);
+      return { text, usage: buildUsage(prompt, text) };
+    },
+
+    async generateFromFile(prompt, fileData, { responseSchema } = {}) {
+      const files = [].concat(fileData).map(file => {
+        if (file.text !== undefined) {
+          return `${file.mimeType}, ${file.text.length} characters of text`;
+        }
+        return file.fileUri
+          ? `${file.mimeType}, ${file.fileUri}`
+          : `${file.mimeType}, ${Buffer.byteLength(file.data || '', 'base64')} bytes`;
+      });
+      const text = format(`[mock] ${prompt} (${files.join('; ')})`, responseSchema);
+      return { text, usage: buildUsage(prompt, text) };
+    },
+
+    async conversation(contents, { tools } = {}) {
+      const call = tools?.length ? requestedToolCall(contents, tools) : null;
+      if (call) {
+        return {
+          text: '',
+          usage: buildUsage(contentsToText(contents), ''),
+          functionCalls: [call],
+          content: { role: 'model', parts: [{ functionCall: call }] }
+        };
+      }
+
+      const text = reply(contents);
+      return { text, usage: buildUsage(contentsToText(contents), text) };
+    },
+
+    async uploadFile(source, { mimeType } = {}) {
+      const buffer = typeof source === 'string' ? await fs.readFile(source) : source;
+      const name = `files/mock-${createHash('sha256').update(buffer).digest('hex').slice(0, 12)}`;
+      return {
+        name,
+        uri: `mock://${name}`,
+        mimeType,
+        sizeBytes: buffer.length,
+        expiresAt: Date.now() + MOCK_FILE_LIFETIME_MS
+      };
+    },
+
+    async deleteFile() {},
+
+    async *stream(contents) {
+      const text = reply(contents);
+      const words = text.split(/(?<=\s)/);
+
+      for (let i = 0; i < words.length; i++) {
+        if (streamDelayMs > 0) {
+          await sleep(streamDelayMs);
+        }
+        const isLast = i === words.length - 1;
+        yield {
+          text: words[i],
+          usage: isLast ? buildUsage(contentsToText(contents), text) : null
+        };
+      }
+    }
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * File-backed rate limit store: the in-memory store, written to a JSON file
+ * every few seconds and read back on start, so a restart does not hand every
+ * client a fresh limit. Meant for a single process; several processes need
+ * a shared store such as Redis.
+ */
+import { existsSync, readFileSync } from 'fs';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createMemoryRateLimitStore } from './memoryStore.js';
+
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+
+/**
+ * Read the counters saved in a rate limit file
+ * @param {string} file - Path of the file
+ * @returns {Object} - Counters as key -> { value, expiresAt }, empty if the file is missing or unreadable
+ */
+function readEntries(file) {
+  if (!existsSync(file)) {
+    return {};
+  }
+  try {
+    const entries = JSON.parse(readFileSync(file, 'utf8'));
+    return entries && typeof entries === 'object' ? entries : {};
+  } catch (error) {
+    console.warn(`Ignoring unreadable rate limit file ${file}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Create a file-backed rate limit store
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON file holding the counters
+ * @param {number} options.flushIntervalMs - How often changed counters are written
+ * @param {number} options.evictionIntervalMs - How often expired counters are dropped
+ * @returns {Object} - Rate limit store
+ */
+export function createFileRateLimitStore({ file, flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS, evictionIntervalMs } = {}) {
+  const memory = createMemoryRateLimitStore({ evictionIntervalMs, entries: readEntries(file) });
+  let dirty = false;
+  let writing = Promise.resolve();
+
+  const store = {
+    name: 'file',
+
+    get: key => memory.get(key),
+
+    async increment(key, ttlMs) {
+      dirty = true;
+      return memory.increment(key, ttlMs);
+    },
+
+    async decrement(key) {
+      dirty = true;
+      return memory.decrement(key);
+    },
+
+    evictExpired: () => memory.evictExpired(),
+
+    /**
+     * Write the counters to the file if they changed since the last write
+     * @returns {Promise<void>}
+     */
+    flush() {
+      if (!dirty) {
+        return writing;
+      }
+      dirty = false;
+      const content = JSON.stringify(memory.snapshot());
+      // Write a temporary file and rename it, so a crash never leaves half a file
+      writing = writing.then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(`${file}.tmp`, content, 'utf8');
+        await fs.rename(`${file}.tmp`, file);
+      }).catch(error => {
+        console.error(`Failed to write rate limit file ${file}:`, error.message);
+      });
+      return writing;
+    },
+
+    async close() {
+      clearInterval(timer);
+      await memory.close();
+      await store.flush();
+    }
+  };
+
+  const timer = setInterval(() => store.flush(), flushIntervalMs);
+  timer.unref?.();
+
+  return store;
+}
@@ -0,0 +1,136 @@
+/**
+ * Rate limiting: sliding window counters kept in a pluggable store.
+ *
+ * A store implements (all async):
+ * - get(key) -> current value of a counter, 0 when missing or expired
+ * - increment(key, ttlMs) -> value after adding one, atomically; a new counter expires after ttlMs
+ * - decrement(key) -> takes one off again (a refused request)
+ * - close() -> stops timers and writes pending data
+ * and exposes `name`. Stores are plain counters, so anything with atomic
+ * increments and expiring keys (Redis, Memcached, ...) can back them.
+ *
+ * Select the store with RATE_LIMIT_STORE ("memory" or "file"). A Redis store
+ * needs a connected client, so it is created by the application and set
+ * with setRateLimitStore(createRedisRateLimitStore(client)).
+ *
+ * The sliding window counts requests per fixed window and weighs the
+ * previous window by how much of it still overlaps the last windowMs, which
+ * smooths out the bursts a fixed window allows at its edges.
+ */
+import 'dotenv/config';
+import { createMemoryRateLimitStore } from './memoryStore.js';
+import { createFileRateLimitStore } from './fileStore.js';
+
+export { createMemoryRateLimitStore } from './memoryStore.js';
+export { createFileRateLimitStore } from './fileStore.js';
+export { createRedisRateLimitStore } from './redisStore.js';
+
+const storeFactories = {
+  memory: () => createMemoryRateLimitStore(),
+  file: () => createFileRateLimitStore({
+    file: process.env.RATE_LIMIT_FILE || 'data/rate-limits.json'
+  })
+};
+
+let activeStore = null;
+
+/**
+ * Create a rate limit store by name
+ * @param {string} name - Store name
+ * @returns {Object} - Rate limit store
+ * @throws {Error} - If the store is unknown
+ */
+export function createRateLimitStore(name) {
+  const factory = storeFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}. Available stores: ${Object.keys(storeFactories).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the active rate limit store, creating it from RATE_LIMIT_STORE on first use
+ * @returns {Object} - Rate limit store
+ */
+export function getRateLimitStore() {
+  if (!activeStore) {
+    activeStore = createRateLimitStore((process.env.RATE_LIMIT_STORE || 'memory').toLowerCase());
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the active rate limit store (or reset it with null)
+ * @param {Object|null} store - Rate limit store
+ */
+export function setRateLimitStore(store) {
+  activeStore = store;
+}
+
+/**
+ * Milliseconds until a client over the limit may send a request again,
+ * assuming it sends nothing meanwhile
+ * @param {number} previous - Requests in the previous window
+ * @param {number} current - Requests in the current window
+ * @param {number} limit - Requests allowed per window
+ * @param {number} elapsed - Time spent in the current window (ms)
+ * @param {number} windowMs - Window length (ms)
+ * @returns {number}
+ */
+function waitTime(previous, current, limit, elapsed, windowMs) {
+  if (current >= limit) {
+    // Not before the next window, once enough of this one has slid out
+    return windowMs - elapsed + windowMs * (1 - limit / current);
+  }
+  return windowMs * (1 - (limit - current) / previous) - elapsed;
+}
+
+/**
+ * Count a request of a client against a sliding window limit. The request is
+ * counted first and checked against the count the store returns, so
+ * concurrent requests cannot all pass a check made before any of them was
+ * counted. Requests over the limit are taken off again, so a client that
+ * keeps retrying is let through again as soon as its window allows.
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Client key
+ * @param {Object} options - Limit
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length (ms)
+ * @param {number} options.now - Time in epoch ms (defaults to Date.now())
+ * @returns {Promise<Object>} - { allowed, limit, remaining, resetSeconds, retryAfterSeconds }
+ */
+export async function consumeRequest(store, key, { limit, windowMs, now = Date.now() }) {
+  const window = Math.floor(now / windowMs);
+  const elapsed = now - window * windowMs;
+  const currentKey = `${key}:${window}`;
+
+  // Counters live for two windows, so the next window can still weigh this one
+  const [previous, counted] = await Promise.all([
+    store.get(`${key}:${window - 1}`),
+    store.increment(currentKey, 2 * windowMs)
+  ]);
+  // Requests counted before this one
+  const current = counted - 1;
+  const estimate = previous * (1 - elapsed / windowMs) + current;
+  const resetSeconds = Math.ceil((windowMs - elapsed) / 1000);
+
+  if (estimate >= limit) {
+    await store.decrement(currentKey);
+    return {
+      allowed: false,
+      limit,
+      remaining: 0,
+      resetSeconds,
+      // The estimate only drops below the limit after the wait, hence the extra second
+      retryAfterSeconds: Math.max(1, Math.floor(waitTime(previous, current, limit, elapsed, windowMs) / 1000) + 1)
+    };
+  }
+
+  return {
+    allowed: true,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+    resetSeconds,
+    retryAfterSeconds: null
+  };
+}
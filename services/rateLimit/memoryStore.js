@@ -0,0 +1,97 @@
+/**
+ * In-memory rate limit store: counters with an expiry, evicted periodically
+ * so clients that went away do not stay in memory. This is the default store
+ * and the reference implementation of the store interface.
+ */
+
+const DEFAULT_EVICTION_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory rate limit store
+ * @param {Object} options - Store options
+ * @param {number} options.evictionIntervalMs - How often expired counters are dropped
+ * @param {Object} options.entries - Counters to start with, as key -> { value, expiresAt } (optional)
+ * @returns {Object} - Rate limit store
+ */
+export function createMemoryRateLimitStore({ evictionIntervalMs = DEFAULT_EVICTION_INTERVAL_MS, entries = {} } = {}) {
+  const counters = new Map();
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry.expiresAt > now) {
+      counters.set(key, { value: entry.value, expiresAt: entry.expiresAt });
+    }
+  }
+
+  function live(key, at) {
+    const entry = counters.get(key);
+    if (entry && entry.expiresAt <= at) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  const store = {
+    name: 'memory',
+
+    async get(key) {
+      return live(key, Date.now())?.value || 0;
+    },
+
+    async increment(key, ttlMs) {
+      const at = Date.now();
+      const entry = live(key, at);
+      if (entry) {
+        entry.value++;
+        return entry.value;
+      }
+      counters.set(key, { value: 1, expiresAt: at + ttlMs });
+      return 1;
+    },
+
+    async decrement(key) {
+      const entry = live(key, Date.now());
+      if (entry && entry.value > 0) {
+        entry.value--;
+      }
+    },
+
+    /**
+     * Drop expired counters
+     * @returns {number} - Number of counters dropped
+     */
+    evictExpired() {
+      const at = Date.now();
+      let evicted = 0;
+      for (const [key, entry] of counters) {
+        if (entry.expiresAt <= at) {
+          counters.delete(key);
+          evicted++;
+        }
+      }
+      return evicted;
+    },
+
+    /**
+     * Live counters, as key -> { value, expiresAt }
+     * @returns {Object}
+     */
+    snapshot() {
+      store.evictExpired();
+      return Object.fromEntries([...counters].map(([key, entry]) => [key, { ...entry }]));
+    },
+
+    get size() {
+      return counters.size;
+    },
+
+    async close() {
+      clearInterval(timer);
+    }
+  };
+
+  const timer = setInterval(() => store.evictExpired(), evictionIntervalMs);
+  timer.unref?.();
+
+  return store;
+}
@@ -0,0 +1,40 @@
+/**
+ * Redis rate limit store, for several API processes sharing their limits.
+ * Works with any client exposing get, incr, decr and pExpire (node-redis) or
+ * pexpire (ioredis); INCR is atomic, so processes racing for the last request
+ * of a window each see their own count. The counters expire in Redis itself,
+ * so nothing needs evicting here.
+ */
+
+/**
+ * Create a Redis rate limit store
+ * @param {Object} client - Connected Redis client
+ * @param {Object} options - Store options
+ * @param {string} options.prefix - Prefix of the Redis keys
+ * @returns {Object} - Rate limit store
+ */
+export function createRedisRateLimitStore(client, { prefix = 'nengai:ratelimit:' } = {}) {
+  const expire = (client.pExpire || client.pexpire).bind(client);
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      return Number(await client.get(prefix + key)) || 0;
+    },
+
+    async increment(key, ttlMs) {
+      const value = Number(await client.incr(prefix + key));
+      if (value === 1) {
+        await expire(prefix + key, ttlMs);
+      }
+      return value;
+    },
+
+    async decrement(key) {
+      await client.decr(prefix + key);
+    },
+
+    async close() {}
+  };
+}
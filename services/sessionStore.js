@@ -0,0 +1,185 @@
+/**
+ * In-memory session store for per-visitor conversation state.
+ * Acts as the bounded working set in front of the conversation storage
+ * backend: sessions that expire or overflow the cap are dropped from memory
+ * and reported through `onEvict`.
+ */
+import { getStorage } from './storage/index.js';
+
+const DEFAULT_TTL_MS = 30 * 60 * 1000; // 30 minutes idle
+const DEFAULT_MAX_SESSIONS = 1000;
+const DEFAULT_PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a session store with idle expiry and a cap on concurrent sessions.
+ * Sessions are kept in insertion order so the least recently used one is
+ * evicted first when the cap is reached.
+ * @param {Object} options - Store options
+ * @param {number} options.ttlMs - Idle time before a session expires
+ * @param {number} options.maxSessions - Maximum number of live sessions
+ * @param {number} options.pruneIntervalMs - Interval for the expiry sweep (0 disables it)
+ * @param {Function} options.now - Clock function, mainly for tests
+ * @param {Function} options.onEvict - Called with sessions dropped by expiry or the cap
+ * @returns {Object} - Session store
+ */
+export function createSessionStore({
+  ttlMs = DEFAULT_TTL_MS,
+  maxSessions = DEFAULT_MAX_SESSIONS,
+  pruneIntervalMs = DEFAULT_PRUNE_INTERVAL_MS,
+  now = Date.now,
+  onEvict = () => {}
+} = {}) {
+  const sessions = new Map();
+
+  function isExpired(session) {
+    return now() - session.lastAccessedAt > ttlMs;
+  }
+
+  function touch(session) {
+    session.lastAccessedAt = now();
+    // Re-insert to move the session to the most recently used position
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  function evict(session) {
+    sessions.delete(session.id);
+    onEvict(session);
+  }
+
+  function evictOverflow() {
+    while (sessions.size > maxSessions) {
+      evict(sessions.values().next().value);
+    }
+  }
+
+  /**
+   * Get an existing, non-expired session
+   * @param {string} id - Session ID
+   * @returns {Object|null} - Session or null if missing/expired
+   */
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) {
+      return null;
+    }
+
+    if (isExpired(session)) {
+      evict(session);
+      return null;
+    }
+
+    return touch(session);
+  }
+
+  /**
+   * Get a session, creating an empty one if needed
+   * @param {string} id - Session ID
+   * @returns {Object} - Session
+   */
+  function getOrCreate(id) {
+    if (!id || typeof id !== 'string') {
+      throw new Error('Session ID is required');
+    }
+
+    const existing = get(id);
+    if (existing) {
+      return existing;
+    }
+
+    const timestamp = now();
+    return set({
+      id,
+      history: [],
+      isPersonalitySet: false,
+      createdAt: timestamp
+    });
+  }
+
+  /**
+   * Add a session (e.g. one loaded from storage), replacing any existing one
+   * @param {Object} session - Session with at least an id and history
+   * @returns {Object} - Stored session
+   */
+  function set(session) {
+    session.lastAccessedAt = now();
+    sessions.delete(session.id);
+    sessions.set(session.id, session);
+    evictOverflow();
+
+    return session;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session ID
+   * @returns {boolean} - True if a session was removed
+   */
+  function remove(id) {
+    return sessions.delete(id);
+  }
+
+  /**
+   * Remove all expired sessions
+   * @returns {number} - Number of sessions removed
+   */
+  function prune() {
+    let removed = 0;
+    for (const session of sessions.values()) {
+      if (isExpired(session)) {
+        evict(session);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Number of sessions currently held
+   * @returns {number}
+   */
+  function size() {
+    return sessions.size;
+  }
+
+  /**
+   * Remove every session
+   */
+  function clear() {
+    sessions.clear();
+  }
+
+  if (pruneIntervalMs > 0) {
+    const timer = setInterval(prune, pruneIntervalMs);
+    // Never keep the process alive just for the sweep
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  }
+
+  return {
+    get,
+    getOrCreate,
+    set,
+    delete: remove,
+    prune,
+    size,
+    clear
+  };
+}
+
+// Shared store used by the conversation service. Without a persistent
+// backend an evicted session is gone for good, so drop it from storage too.
+export const sessionStore = createSessionStore({
+  ttlMs: Number(process.env.SESSION_TTL_MS) || DEFAULT_TTL_MS,
+  maxSessions: Number(process.env.SESSION_MAX) || DEFAULT_MAX_SESSIONS,
+  onEvict: (session) => {
+    const storage = getStorage();
+    if (!storage.persistent) {
+      storage.deleteConversation(session.id).catch(error => {
+        console.error(`Failed to delete expired conversation ${session.id}:`, error);
+      });
+    }
+  }
+});
@@ -0,0 +1,50 @@
+/**
+ * Helpers shared by storage backends
+ */
+
+// Conversation fields that can change after creation
+const UPDATABLE_FIELDS = ['title', 'memory'];
+
+/**
+ * Keep only the conversation fields that may be updated
+ * @param {Object} changes - Requested changes
+ * @returns {Object} - Allowed changes
+ */
+export function pickUpdates(changes) {
+  return Object.fromEntries(
+    Object.entries(changes).filter(([key]) => UPDATABLE_FIELDS.includes(key))
+  );
+}
+
+/**
+ * Reduce a stored conversation to its listing fields
+ * @param {Object} conversation - Stored conversation with history
+ * @returns {Object} - Conversation summary
+ */
+export function toConversationSummary({ id, ownerId, title, persona, forkedFrom, createdAt, updatedAt, history }) {
+  return {
+    id,
+    ownerId,
+    title,
+    persona: persona || null,
+    forkedFrom: forkedFrom || null,
+    createdAt,
+    updatedAt,
+    messageCount: history.length
+  };
+}
+
+/**
+ * Sort summaries by most recent activity and slice one page
+ * @param {Array} summaries - Conversation summaries
+ * @param {number} offset - Number of items to skip
+ * @param {number} limit - Maximum number of items to return
+ * @returns {Object} - Page items and total count
+ */
+export function paginate(summaries, offset, limit) {
+  const sorted = [...summaries].sort((a, b) => b.updatedAt - a.updatedAt);
+  return {
+    items: sorted.slice(offset, offset + limit),
+    total: sorted.length
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Conversation storage registry.
+ *
+ * A storage backend implements (all async):
+ * - loadConversation(id) -> { id, ownerId, title, persona, forkedFrom, memory, createdAt, updatedAt, history } | null
+ * - createConversation({ id, ownerId, title, persona, forkedFrom, createdAt }) -> creates it if missing
+ * - appendMessages(id, messages) -> appends history entries
+ * - updateConversation(id, { title, memory }) -> updates the given metadata fields
+ * - deleteConversation(id) -> boolean
+ * - listConversations({ ownerId, offset, limit }) -> { items: [summary], total },
+ *   newest activity first
+ * and exposes `name` and `persistent` (whether data survives a restart).
+ *
+ * Select the backend with CONVERSATION_STORE ("memory" or "json").
+ * New backends (Redis, Postgres, ...) only need to be registered here.
+ */
+import 'dotenv/config';
+import { createMemoryStorage } from './memoryStorage.js';
+import { createJsonFileStorage } from './jsonFileStorage.js';
+
+const storageFactories = {
+  memory: () => createMemoryStorage(),
+  json: () => createJsonFileStorage({
+    dir: process.env.CONVERSATION_STORE_DIR || 'data/conversations'
+  })
+};
+
+let activeStorage = null;
+
+/**
+ * Create a storage backend by name
+ * @param {string} name - Backend name
+ * @returns {Object} - Storage backend
+ * @throws {Error} - If the backend is unknown
+ */
+export function createStorage(name) {
+  const factory = storageFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown conversation store: ${name}. Available stores: ${Object.keys(storageFactories).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the active storage backend, creating it from CONVERSATION_STORE on first use
+ * @returns {Object} - Storage backend
+ */
+export function getStorage() {
+  if (!activeStorage) {
+    activeStorage = createStorage((process.env.CONVERSATION_STORE || 'memory').toLowerCase());
+  }
+  return activeStorage;
+}
+
+/**
+ * Replace the active storage backend (or reset it with null)
+ * @param {Object|null} storage - Storage backend
+ */
+export function setStorage(storage) {
+  activeStorage = storage;
+}
@@ -0,0 +1,334 @@
+/**
+ * Append-only JSON Lines conversation storage.
+ *
+ * Each conversation is a `<id>.jsonl` file whose lines are events:
+ *   {"type":"conversation","id":"...","ownerId":"...","title":null,"persona":"...","createdAt":...}
+ *   {"type":"messages","at":...,"messages":[...]}
+ *   {"type":"update","at":...,"title":"...","memory":{...}}   (changed fields only)
+ * Replaying the events rebuilds the conversation. Inline file parts are
+ * written once to `files/<sha256>` and referenced from messages by hash, so
+ * large attachments are not duplicated in every log line.
+ *
+ * The logs are replayed once, on first use, into an in-memory index of
+ * conversation summaries by owner and of how many messages reference each
+ * file; writes keep it up to date. Listings read only the index, and a file
+ * is deleted with the last conversation referencing it. Like the write
+ * queues, the index assumes one process owns the directory.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { paginate, pickUpdates, toConversationSummary } from './helpers.js';
+
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const FILE_EXTENSION = '.jsonl';
+
+/**
+ * Create a JSON Lines storage backend
+ * @param {Object} options - Storage options
+ * @param {string} options.dir - Directory holding conversation logs
+ * @returns {Object} - Storage backend
+ */
+export function createJsonFileStorage({ dir }) {
+  const filesDir = path.join(dir, 'files');
+  const writeQueues = new Map();
+  // File deletions in progress by hash, awaited before the file is written again
+  const fileDeletions = new Map();
+  let ready = null;
+  let index = null;
+
+  function ensureDirs() {
+    if (!ready) {
+      ready = fs.mkdir(filesDir, { recursive: true });
+    }
+    return ready;
+  }
+
+  function conversationPath(id) {
+    if (typeof id !== 'string' || !CONVERSATION_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid conversation ID: ${id}`);
+    }
+    return path.join(dir, `${id}${FILE_EXTENSION}`);
+  }
+
+  // Serialize writes per conversation so events keep their order
+  function enqueue(id, task) {
+    const previous = writeQueues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    writeQueues.set(id, next);
+    next.finally(() => {
+      if (writeQueues.get(id) === next) {
+        writeQueues.delete(id);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  async function appendEvent(id, event) {
+    await ensureDirs();
+    await fs.appendFile(conversationPath(id), JSON.stringify(event) + '\n', 'utf8');
+  }
+
+  async function storeInlineData(inlineData) {
+    const { fileRefs } = await loadIndex();
+    const buffer = Buffer.from(inlineData.data, 'base64');
+    const sha256 = createHash('sha256').update(buffer).digest('hex');
+    const filePath = path.join(filesDir, sha256);
+
+    // Counted before writing, so a concurrent delete keeps the file
+    fileRefs.set(sha256, (fileRefs.get(sha256) || 0) + 1);
+    await fileDeletions.get(sha256);
+    try {
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    return { inlineFileRef: { sha256, mimeType: inlineData.mimeType } };
+  }
+
+  async function loadInlineData(ref) {
+    const buffer = await fs.readFile(path.join(filesDir, ref.sha256));
+    return { inlineData: { mimeType: ref.mimeType, data: buffer.toString('base64') } };
+  }
+
+  async function mapParts(messages, mapPart) {
+    return Promise.all(messages.map(async message => ({
+      ...message,
+      parts: await Promise.all((message.parts || []).map(mapPart))
+    })));
+  }
+
+  function dehydrate(messages) {
+    return mapParts(messages, part => (part.inlineData ? storeInlineData(part.inlineData) : part));
+  }
+
+  function hydrate(messages) {
+    return mapParts(messages, part => (part.inlineFileRef ? loadInlineData(part.inlineFileRef) : part));
+  }
+
+  async function readEvents(id) {
+    let content;
+    try {
+      content = await fs.readFile(conversationPath(id), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+  }
+
+  function replay(events) {
+    const conversation = {
+      id: null,
+      ownerId: null,
+      title: null,
+      persona: null,
+      forkedFrom: null,
+      memory: null,
+      createdAt: null,
+      updatedAt: null,
+      history: []
+    };
+
+    for (const event of events) {
+      // "session" is the header written before conversations had owners
+      if (event.type === 'conversation' || event.type === 'session') {
+        conversation.id = event.id;
+        conversation.ownerId = event.ownerId || event.id;
+        conversation.title = event.title || null;
+        conversation.persona = event.persona || null;
+        conversation.forkedFrom = event.forkedFrom || null;
+        conversation.createdAt = event.createdAt;
+        conversation.updatedAt = event.createdAt;
+      } else if (event.type === 'messages') {
+        conversation.history.push(...event.messages);
+        conversation.updatedAt = event.at;
+      } else if (event.type === 'update') {
+        Object.assign(conversation, pickUpdates(event));
+        conversation.updatedAt = event.at;
+      }
+    }
+
+    return conversation;
+  }
+
+  function fileRefsOf(history) {
+    return history.flatMap(message => (message.parts || [])
+      .filter(part => part.inlineFileRef)
+      .map(part => part.inlineFileRef.sha256));
+  }
+
+  async function buildIndex() {
+    await ensureDirs();
+    const conversations = new Map();
+    const owners = new Map();
+    const fileRefs = new Map();
+
+    for (const entry of await fs.readdir(dir)) {
+      if (!entry.endsWith(FILE_EXTENSION)) {
+        continue;
+      }
+      const events = await readEvents(entry.slice(0, -FILE_EXTENSION.length));
+      if (events) {
+        const conversation = replay(events);
+        addSummary({ conversations, owners }, toConversationSummary(conversation));
+        for (const sha256 of fileRefsOf(conversation.history)) {
+          fileRefs.set(sha256, (fileRefs.get(sha256) || 0) + 1);
+        }
+      }
+    }
+
+    return { conversations, owners, fileRefs };
+  }
+
+  function loadIndex() {
+    if (!index) {
+      index = buildIndex().catch(error => {
+        index = null;
+        throw error;
+      });
+    }
+    return index;
+  }
+
+  function addSummary({ conversations, owners }, summary) {
+    conversations.set(summary.id, summary);
+    if (!owners.has(summary.ownerId)) {
+      owners.set(summary.ownerId, new Map());
+    }
+    owners.get(summary.ownerId).set(summary.id, summary);
+  }
+
+  function removeSummary({ conversations, owners }, id) {
+    const summary = conversations.get(id);
+    if (!summary) {
+      return;
+    }
+    conversations.delete(id);
+    const owned = owners.get(summary.ownerId);
+    owned.delete(id);
+    if (owned.size === 0) {
+      owners.delete(summary.ownerId);
+    }
+  }
+
+  // Delete the files no other message references any more
+  async function releaseFiles({ fileRefs }, hashes) {
+    const unused = [];
+    for (const sha256 of hashes) {
+      const count = (fileRefs.get(sha256) || 0) - 1;
+      if (count > 0) {
+        fileRefs.set(sha256, count);
+      } else if (fileRefs.delete(sha256)) {
+        unused.push(sha256);
+      }
+    }
+
+    await Promise.all(unused.map(sha256 => {
+      const deletion = fs.unlink(path.join(filesDir, sha256)).catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }).finally(() => {
+        fileDeletions.delete(sha256);
+      });
+      fileDeletions.set(sha256, deletion.catch(() => {}));
+      return deletion;
+    }));
+  }
+
+  async function requireExisting(id) {
+    const events = await readEvents(id);
+    if (!events) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+  }
+
+  return {
+    name: 'json',
+    persistent: true,
+
+    async loadConversation(id) {
+      const events = await readEvents(id);
+      if (!events) {
+        return null;
+      }
+      const conversation = replay(events);
+      conversation.history = await hydrate(conversation.history);
+      return conversation;
+    },
+
+    createConversation({ id, ownerId = id, title = null, persona = null, forkedFrom = null, createdAt = Date.now() }) {
+      return enqueue(id, async () => {
+        const existing = await readEvents(id);
+        if (!existing) {
+          const indexed = await loadIndex();
+          await appendEvent(id, { type: 'conversation', id, ownerId, title, persona, forkedFrom, createdAt });
+          addSummary(indexed, toConversationSummary({ id, ownerId, title, persona, forkedFrom, createdAt, updatedAt: createdAt, history: [] }));
+        }
+      });
+    },
+
+    appendMessages(id, messages) {
+      return enqueue(id, async () => {
+        await requireExisting(id);
+        const { conversations } = await loadIndex();
+        const stored = await dehydrate(messages);
+        const at = Date.now();
+        await appendEvent(id, { type: 'messages', at, messages: stored });
+        const summary = conversations.get(id);
+        if (summary) {
+          summary.messageCount += messages.length;
+          summary.updatedAt = at;
+        }
+      });
+    },
+
+    updateConversation(id, changes) {
+      return enqueue(id, async () => {
+        await requireExisting(id);
+        const { conversations } = await loadIndex();
+        const updates = pickUpdates(changes);
+        const at = Date.now();
+        await appendEvent(id, { type: 'update', at, ...updates });
+        const summary = conversations.get(id);
+        if (summary) {
+          if ('title' in updates) {
+            summary.title = updates.title;
+          }
+          summary.updatedAt = at;
+        }
+      });
+    },
+
+    deleteConversation(id) {
+      return enqueue(id, async () => {
+        const events = await readEvents(id);
+        if (!events) {
+          return false;
+        }
+        const indexed = await loadIndex();
+        await fs.unlink(conversationPath(id));
+        removeSummary(indexed, id);
+        await releaseFiles(indexed, fileRefsOf(replay(events).history));
+        return true;
+      });
+    },
+
+    async listConversations({ ownerId, offset = 0, limit = 20 } = {}) {
+      const { conversations, owners } = await loadIndex();
+      const summaries = ownerId ? owners.get(ownerId)?.values() || [] : conversations.values();
+
+      return paginate([...summaries].map(summary => ({ ...summary })), offset, limit);
+    }
+  };
+}
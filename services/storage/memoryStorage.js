@@ -0,0 +1,75 @@
+/**
+ * In-memory conversation storage. Nothing survives a restart; this is the
+ * default backend and the reference implementation of the storage interface.
+ */
+import { paginate, pickUpdates, toConversationSummary } from './helpers.js';
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Create an in-memory storage backend
+ * @returns {Object} - Storage backend
+ */
+export function createMemoryStorage() {
+  const conversations = new Map();
+
+  function getExisting(id) {
+    const conversation = conversations.get(id);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${id}`);
+    }
+    return conversation;
+  }
+
+  return {
+    name: 'memory',
+    persistent: false,
+
+    async loadConversation(id) {
+      const conversation = conversations.get(id);
+      return conversation ? clone(conversation) : null;
+    },
+
+    async createConversation({ id, ownerId = id, title = null, persona = null, forkedFrom = null, createdAt = Date.now() }) {
+      if (!conversations.has(id)) {
+        conversations.set(id, {
+          id,
+          ownerId,
+          title,
+          persona,
+          forkedFrom,
+          memory: null,
+          createdAt,
+          updatedAt: createdAt,
+          history: []
+        });
+      }
+    },
+
+    async appendMessages(id, messages) {
+      const conversation = getExisting(id);
+      conversation.history.push(...clone(messages));
+      conversation.updatedAt = Date.now();
+    },
+
+    async updateConversation(id, changes) {
+      const conversation = getExisting(id);
+      Object.assign(conversation, clone(pickUpdates(changes)));
+      conversation.updatedAt = Date.now();
+    },
+
+    async deleteConversation(id) {
+      return conversations.delete(id);
+    },
+
+    async listConversations({ ownerId, offset = 0, limit = 20 } = {}) {
+      const summaries = [...conversations.values()]
+        .filter(conversation => !ownerId || conversation.ownerId === ownerId)
+        .map(toConversationSummary);
+
+      return paginate(summaries, offset, limit);
+    }
+  };
+}
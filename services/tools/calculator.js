@@ -0,0 +1,200 @@
+/**
+ * Calculator tool: evaluates arithmetic expressions with a small parser
+ * instead of eval, so model-supplied input can never run code.
+ *
+ * Supports numbers, + - * / % ^ (power, right-associative), parentheses,
+ * the constants pi and e and the functions below.
+ */
+
+const MAX_EXPRESSION_LENGTH = 200;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max
+};
+
+/**
+ * Split an expression into number, name, operator and parenthesis tokens
+ * @param {string} expression - Arithmetic expression
+ * @returns {Array} - Tokens
+ * @throws {Error} - On characters the calculator does not understand
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z]+)|([-+*/%^(),]))/iy;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(expression);
+    if (!match) {
+      if (expression.slice(start).trim() === '') {
+        break;
+      }
+      throw new Error(`Unexpected character "${expression.slice(start).trim()[0]}"`);
+    }
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    } else {
+      tokens.push({ type: 'symbol', value: match[3] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression
+ * @param {string} expression - Expression such as "2 * (3 + 4) ^ 2"
+ * @returns {number} - Result
+ * @throws {Error} - If the expression is invalid or the result is not a finite number
+ */
+export function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const accept = (symbol) => {
+    if (peek()?.type === 'symbol' && peek().value === symbol) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (symbol) => {
+    if (!accept(symbol)) {
+      throw new Error(`Expected "${symbol}"`);
+    }
+  };
+
+  // expression := term (("+" | "-") term)*
+  function parseExpression() {
+    let value = parseTerm();
+    for (;;) {
+      if (accept('+')) {
+        value += parseTerm();
+      } else if (accept('-')) {
+        value -= parseTerm();
+      } else {
+        return value;
+      }
+    }
+  }
+
+  // term := unary (("*" | "/" | "%") unary)*
+  function parseTerm() {
+    let value = parseUnary();
+    for (;;) {
+      if (accept('*')) {
+        value *= parseUnary();
+      } else if (accept('/')) {
+        value /= parseUnary();
+      } else if (accept('%')) {
+        value %= parseUnary();
+      } else {
+        return value;
+      }
+    }
+  }
+
+  // unary := ("-" | "+") unary | power
+  function parseUnary() {
+    if (accept('-')) {
+      return -parseUnary();
+    }
+    if (accept('+')) {
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // power := primary ("^" unary)?
+  function parsePower() {
+    const base = parsePrimary();
+    return accept('^') ? base ** parseUnary() : base;
+  }
+
+  // primary := number | constant | function "(" arguments ")" | "(" expression ")"
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return token.value;
+    }
+
+    if (token.type === 'name') {
+      position++;
+      if (Object.hasOwn(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+      if (!Object.hasOwn(FUNCTIONS, token.value)) {
+        throw new Error(`Unknown name "${token.value}"`);
+      }
+      expect('(');
+      const args = [parseExpression()];
+      while (accept(',')) {
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[token.value](...args);
+    }
+
+    if (accept('(')) {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+  return result;
+}
+
+export const calculatorTool = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, ' +
+    'the constants pi and e and the functions ' + Object.keys(FUNCTIONS).join(', ') + '.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 4) / 3"' }
+    },
+    required: ['expression']
+  },
+
+  execute({ expression }) {
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`Expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+    return { expression, result: evaluate(expression) };
+  }
+};
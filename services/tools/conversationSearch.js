@@ -0,0 +1,76 @@
+/**
+ * Conversation search tool: finds earlier messages of the caller, so the
+ * model can recall what was said in other conversations.
+ * Only conversations owned by the caller are searched.
+ */
+import { getConversation, listConversations } from '../conversationService.js';
+
+// Most recent conversations searched per call
+const SEARCHED_CONVERSATIONS = 50;
+const SNIPPET_LENGTH = 200;
+const DEFAULT_RESULTS = 5;
+const MAX_RESULTS = 20;
+
+/**
+ * Part of a message around the first match
+ * @param {string} text - Message text
+ * @param {number} index - Position of the match
+ * @returns {string} - Snippet of at most SNIPPET_LENGTH characters
+ */
+function snippet(text, index) {
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+  const start = Math.max(0, Math.min(index - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+  return `${start > 0 ? '…' : ''}${text.slice(start, start + SNIPPET_LENGTH).trim()}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+export const conversationSearchTool = {
+  name: 'search_conversations',
+  description: 'Search the user\'s earlier chat messages (all of their conversations) for a word or phrase.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Text to look for (case-insensitive)' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_RESULTS, description: `Maximum number of matches (default ${DEFAULT_RESULTS})` }
+    },
+    required: ['query']
+  },
+
+  async execute({ query, limit = DEFAULT_RESULTS }, { ownerId, signal } = {}) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) {
+      throw new Error('Query cannot be empty');
+    }
+    if (!ownerId) {
+      return { matches: [] };
+    }
+
+    const { items } = await listConversations(ownerId, { limit: SEARCHED_CONVERSATIONS });
+    const matches = [];
+
+    for (const summary of items) {
+      if (signal?.aborted || matches.length >= limit) {
+        break;
+      }
+      const conversation = await getConversation(summary.id, ownerId);
+      for (const entry of conversation?.history || []) {
+        const text = entry.parts.map(part => part.text || '').join(' ');
+        const index = text.toLowerCase().indexOf(needle);
+        if (index !== -1) {
+          matches.push({
+            conversationId: summary.id,
+            title: summary.title,
+            role: entry.role,
+            text: snippet(text, index)
+          });
+          if (matches.length >= limit) {
+            break;
+          }
+        }
+      }
+    }
+
+    return { matches };
+  }
+};
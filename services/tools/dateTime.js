@@ -0,0 +1,42 @@
+/**
+ * Current date/time tool, so the model does not have to guess "today"
+ */
+
+/**
+ * Check a time zone name with Intl
+ * @param {string} timeZone - IANA time zone, e.g. "Asia/Jakarta"
+ * @returns {string} - Canonical time zone name
+ * @throws {Error} - If the time zone is unknown
+ */
+function resolveTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+}
+
+export const currentDateTimeTool = {
+  name: 'current_datetime',
+  description: 'Get the current date and time, optionally in a given IANA time zone.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: { type: 'string', description: 'IANA time zone such as "Asia/Jakarta" (defaults to the server time zone)' }
+    }
+  },
+
+  execute({ timeZone } = {}) {
+    const now = new Date();
+    const zone = timeZone ? resolveTimeZone(timeZone) : Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const format = (options) => new Intl.DateTimeFormat('en-CA', { timeZone: zone, ...options }).format(now);
+
+    return {
+      iso: now.toISOString(),
+      timeZone: zone,
+      date: format({ year: 'numeric', month: '2-digit', day: '2-digit' }),
+      time: format({ hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' }),
+      weekday: new Intl.DateTimeFormat('en-US', { timeZone: zone, weekday: 'long' }).format(now)
+    };
+  }
+};
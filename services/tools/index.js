@@ -0,0 +1,139 @@
+/**
+ * Tool registry for function calling.
+ *
+ * A tool is a server-side function the model may ask to run during a chat:
+ *   {
+ *     name: letters, digits, "_" or "-" (what the model calls),
+ *     description: what the tool does, for the model,
+ *     parameters: JSON Schema of the arguments (see utils/jsonSchema.js),
+ *     timeoutMs: per-call timeout (optional, TOOL_TIMEOUT_MS otherwise),
+ *     execute(args, { ownerId, conversationId, signal }) -> JSON-serializable result
+ *   }
+ * Arguments are validated against `parameters` before execute() runs.
+ * Failures (unknown tool, invalid arguments, errors, timeouts) are reported
+ * back to the model as { error } instead of failing the request, so the
+ * model can correct itself or answer without the tool.
+ */
+import 'dotenv/config';
+import Joi from 'joi';
+import { checkSchema, validateJson } from '../../utils/jsonSchema.js';
+import { calculatorTool } from './calculator.js';
+import { currentDateTimeTool } from './dateTime.js';
+import { conversationSearchTool } from './conversationSearch.js';
+
+const DEFAULT_TOOL_TIMEOUT_MS = 5000;
+
+const toolSchema = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z0-9_-]{1,64}$/).required(),
+  description: Joi.string().required(),
+  parameters: Joi.object().required(),
+  timeoutMs: Joi.number().integer().min(1),
+  execute: Joi.function().required()
+});
+
+const tools = new Map();
+
+/**
+ * Add a tool to the registry
+ * @param {Object} tool - Tool definition
+ * @throws {Error} - If the definition is invalid or the name is taken
+ */
+export function registerTool(tool) {
+  const { error } = toolSchema.validate(tool);
+  if (error) {
+    throw new Error(`Invalid tool ${tool?.name || ''}: ${error.details[0].message}`);
+  }
+  const problem = checkSchema(tool.parameters, `${tool.name}.parameters`);
+  if (problem) {
+    throw new Error(`Invalid tool ${tool.name}: ${problem}`);
+  }
+  if (tools.has(tool.name)) {
+    throw new Error(`Duplicate tool name "${tool.name}"`);
+  }
+  tools.set(tool.name, Object.freeze({ ...tool }));
+}
+
+/**
+ * Remove a tool from the registry
+ * @param {string} name - Tool name
+ * @returns {boolean} - Whether the tool existed
+ */
+export function unregisterTool(name) {
+  return tools.delete(name);
+}
+
+/**
+ * Get a tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|null} - Tool or null if unknown
+ */
+export function getTool(name) {
+  return tools.get(name) || null;
+}
+
+/**
+ * Public description of every tool
+ * @returns {Array} - Tools with name, description and parameters
+ */
+export function listTools() {
+  return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Declarations of the given tools in the shape providers send to the model
+ * @param {Array<string>} names - Tool names
+ * @returns {Array} - Function declarations (name, description, parameters)
+ */
+export function getToolDeclarations(names) {
+  return names.map(name => {
+    const { description, parameters } = tools.get(name);
+    return { name, description, parameters };
+  });
+}
+
+/**
+ * Run a function call requested by the model
+ * @param {Object} call - Function call with id (optional), name and args
+ * @param {Object} context - Passed to the tool (ownerId, conversationId)
+ * @returns {Object} - functionResponse part answering the call
+ */
+export async function runToolCall(call, context = {}) {
+  const answer = (response) => ({
+    functionResponse: { ...(call.id ? { id: call.id } : {}), name: call.name, response }
+  });
+
+  const tool = tools.get(call.name);
+  if (!tool) {
+    return answer({ error: `Unknown tool: ${call.name}` });
+  }
+
+  const args = call.args || {};
+  const problem = validateJson(args, tool.parameters);
+  if (problem) {
+    return answer({ error: `Invalid arguments: ${problem}` });
+  }
+
+  const timeoutMs = tool.timeoutMs || Number(process.env.TOOL_TIMEOUT_MS) || DEFAULT_TOOL_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer;
+
+  try {
+    const output = await Promise.race([
+      Promise.resolve().then(() => tool.execute(args, { ...context, signal: controller.signal })),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`Tool ${tool.name} timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+      })
+    ]);
+    return answer({ output: output ?? null });
+  } catch (error) {
+    console.warn(`Tool ${tool.name} failed: ${error.message}`);
+    return answer({ error: error.message });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+[calculatorTool, currentDateTimeTool, conversationSearchTool].forEach(registerTool);
@@ -0,0 +1,263 @@
+/**
+ * Usage per client: requests and model tokens, counted per UTC day and
+ * month, and checked against token budgets.
+ *
+ * Every API request runs inside a usage context (AsyncLocalStorage), so the
+ * tokens reported by every provider call it makes, including retries, tool
+ * rounds and history summaries, are added up for the request and charged
+ * to its client: an API key, a JWT user or an IP address. Counters live in
+ * memory and start again from zero after a restart; those of past months
+ * are dropped when a new month starts, and budget checks of clients without
+ * a budget create none.
+ *
+ * Token budgets come from the API key (dailyTokenLimit, monthlyTokenLimit)
+ * or else from TOKEN_BUDGET_DAILY and TOKEN_BUDGET_MONTHLY, which apply to
+ * every client; without either, tokens are unlimited.
+ */
+import 'dotenv/config';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const usageContext = new AsyncLocalStorage();
+
+// clientId -> { day, requests, tokens, month, monthTokens }
+const counters = new Map();
+// Month of the newest counter, to drop the older ones when it changes
+let countersMonth = null;
+
+/**
+ * UTC day of a time, e.g. 2025-10-15
+ * @param {number} now - Time in epoch ms
+ * @returns {string}
+ */
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * UTC month of a time, e.g. 2025-10
+ * @param {number} now - Time in epoch ms
+ * @returns {string}
+ */
+function utcMonth(now) {
+  return new Date(now).toISOString().slice(0, 7);
+}
+
+/**
+ * Start of the next UTC day, when daily quotas reset
+ * @param {number} now - Time in epoch ms
+ * @returns {Date}
+ */
+function nextReset(now) {
+  const reset = new Date(now);
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+/**
+ * Start of the next UTC month, when monthly budgets reset
+ * @param {number} now - Time in epoch ms
+ * @returns {Date}
+ */
+function nextMonthlyReset(now) {
+  const date = new Date(now);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Counters of a client for the current day and month
+ * @param {string} clientId - API key ID, or user:/ip: client ID
+ * @param {number} now - Time in epoch ms
+ * @returns {Object} - { day, requests, tokens, month, monthTokens }
+ */
+function counter(clientId, now) {
+  const day = utcDay(now);
+  const month = utcMonth(now);
+  if (month !== countersMonth) {
+    for (const [id, stale] of counters) {
+      if (stale.month !== month) {
+        counters.delete(id);
+      }
+    }
+    countersMonth = month;
+  }
+  let entry = counters.get(clientId);
+  if (!entry) {
+    entry = { day, requests: 0, tokens: 0, month, monthTokens: 0 };
+    counters.set(clientId, entry);
+  }
+  if (entry.day !== day) {
+    Object.assign(entry, { day, requests: 0, tokens: 0 });
+  }
+  if (entry.month !== month) {
+    Object.assign(entry, { month, monthTokens: 0 });
+  }
+  return entry;
+}
+
+/**
+ * Positive integer from an environment variable
+ * @param {string} value - Variable value
+ * @returns {number|null} - The number, or null when unset or invalid
+ */
+function budgetFromEnv(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Token budgets of a client: its own limits, else the default budgets
+ * @param {Object} client - API key record, or { id } of another client
+ * @returns {Object} - { daily, monthly }, null when unlimited
+ */
+export function getTokenBudgets(client) {
+  return {
+    daily: client.dailyTokenLimit ?? budgetFromEnv(process.env.TOKEN_BUDGET_DAILY),
+    monthly: client.monthlyTokenLimit ?? budgetFromEnv(process.env.TOKEN_BUDGET_MONTHLY)
+  };
+}
+
+/**
+ * Run a function with its usage charged to a client
+ * @param {string} clientId - API key ID, or user:/ip: client ID
+ * @param {Function} fn - Function to run
+ * @returns {any} - Result of the function
+ */
+export function runWithUsage(clientId, fn) {
+  return usageContext.run({ clientId, usage: { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 } }, fn);
+}
+
+/**
+ * Count a request of a client
+ * @param {string} clientId - API key ID, or user:/ip: client ID
+ * @param {number} now - Time in epoch ms (defaults to Date.now())
+ */
+export function countRequest(clientId, now = Date.now()) {
+  counter(clientId, now).requests++;
+}
+
+/**
+ * Add the tokens of a provider response to the current request and charge
+ * them to its client; does nothing outside a usage context
+ * @param {Object|null} usage - Usage metadata (promptTokenCount, candidatesTokenCount, totalTokenCount)
+ */
+export function recordTokens(usage) {
+  const store = usageContext.getStore();
+  if (!store || !usage) {
+    return;
+  }
+
+  for (const field of Object.keys(store.usage)) {
+    store.usage[field] += usage[field] || 0;
+  }
+  const tokens = usage.totalTokenCount || 0;
+  if (tokens > 0) {
+    const entry = counter(store.clientId, Date.now());
+    entry.tokens += tokens;
+    entry.monthTokens += tokens;
+  }
+}
+
+/**
+ * Tokens used so far by the current request, summed over its provider calls
+ * @returns {Object|null} - { promptTokenCount, candidatesTokenCount, totalTokenCount }, or null outside a usage context
+ */
+export function getRequestUsage() {
+  const store = usageContext.getStore();
+  return store ? { ...store.usage } : null;
+}
+
+/**
+ * Usage of an API key today against its daily limits, and this month
+ * against its monthly token budget
+ * @param {Object} apiKey - API key record
+ * @param {number} now - Time in epoch ms (defaults to Date.now())
+ * @returns {Object} - keyId, name, scopes, day, requests and tokens ({ used, limit, remaining }), resetsAt,
+ *   month, monthlyTokens and monthResetsAt
+ */
+export function getUsage(apiKey, now = Date.now()) {
+  const { day, requests, tokens, month, monthTokens } = counter(apiKey.id, now);
+  const budgets = getTokenBudgets(apiKey);
+  const quota = (used, limit) => ({ used, limit, remaining: limit === null ? null : Math.max(0, limit - used) });
+
+  return {
+    keyId: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    day,
+    requests: quota(requests, apiKey.dailyRequestLimit),
+    tokens: quota(tokens, budgets.daily),
+    resetsAt: nextReset(now).toISOString(),
+    month,
+    monthlyTokens: quota(monthTokens, budgets.monthly),
+    monthResetsAt: nextMonthlyReset(now).toISOString()
+  };
+}
+
+/**
+ * Daily quota an API key has used up, if any. Tokens are only known once
+ * a reply arrives, so the request that crosses the token limit completes
+ * and the following ones are refused.
+ * @param {Object} apiKey - API key record
+ * @param {number} now - Time in epoch ms (defaults to Date.now())
+ * @returns {Object|null} - { quota: 'request' or 'token', retryAfterSeconds }, or null when within limits
+ */
+export function findExceededQuota(apiKey, now = Date.now()) {
+  const { requests, tokens } = counter(apiKey.id, now);
+  const { daily } = getTokenBudgets(apiKey);
+  const retryAfterSeconds = Math.ceil((nextReset(now).getTime() - now) / 1000);
+
+  if (apiKey.dailyRequestLimit !== null && requests >= apiKey.dailyRequestLimit) {
+    return { quota: 'request', retryAfterSeconds };
+  }
+  if (daily !== null && tokens >= daily) {
+    return { quota: 'token', retryAfterSeconds };
+  }
+  return null;
+}
+
+/**
+ * Token budget a request estimated at some tokens would exceed, if any
+ * @param {Object} client - API key record, or { id } of another client
+ * @param {number} estimatedTokens - Tokens the request is expected to use
+ * @param {number} now - Time in epoch ms (defaults to Date.now())
+ * @returns {Object|null} - { budget: 'daily' or 'monthly', limit, remaining, retryAfterSeconds }, or null when it fits
+ */
+export function findExceededBudget(client, estimatedTokens, now = Date.now()) {
+  const budgets = getTokenBudgets(client);
+  if (budgets.daily === null && budgets.monthly === null) {
+    return null;
+  }
+  const { tokens, monthTokens } = counter(client.id, now);
+  const checks = [
+    { budget: 'daily', limit: budgets.daily, used: tokens, resetsAt: nextReset(now) },
+    { budget: 'monthly', limit: budgets.monthly, used: monthTokens, resetsAt: nextMonthlyReset(now) }
+  ];
+
+  for (const { budget, limit, used, resetsAt } of checks) {
+    if (limit !== null && used + estimatedTokens > limit) {
+      return {
+        budget,
+        limit,
+        remaining: Math.max(0, limit - used),
+        retryAfterSeconds: Math.ceil((resetsAt.getTime() - now) / 1000)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Number of clients with counters, e.g. for monitoring
+ * @returns {number}
+ */
+export function countUsageClients() {
+  return counters.size;
+}
+
+/**
+ * Reset every counter
+ */
+export function clearUsage() {
+  counters.clear();
+  countersMonth = null;
+}
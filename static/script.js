@@ -19,6 +19,19 @@ input.addEventListener('keydown', function(e) {
 // handle form submission
 let isSubmitting = false;
 
+// Streaming needs fetch body streams; older browsers use the plain JSON endpoint
+const stopButton = document.getElementById('stop-button');
+let streamingAvailable = typeof ReadableStream !== 'undefined'
+  && typeof TextDecoder !== 'undefined'
+  && typeof AbortController !== 'undefined';
+let activeRequest = null;
+
+stopButton.addEventListener('click', () => {
+  if (activeRequest) {
+    activeRequest.abort();
+  }
+});
+
 async function handleFormSubmit() {
   
   if (isSubmitting) {
@@ -48,53 +61,37 @@ async function handleFormSubmit() {
   const typingIndicator = appendMessage('bot', 'Neng-AI nuju mikir...');
   typingIndicator.style.fontStyle = 'italic';
   typingIndicator.style.opacity = '0.7';
+
+  // allow the user to stop a long answer
+  activeRequest = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  if (activeRequest) {
+    stopButton.style.display = 'inline-block';
+  }
   
   try {
 
-    const apiUrl = '/api/nengAI/chat';
-    // for secure using authentication token or other headers if needed
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', },
-      body: JSON.stringify({
-        messages: [
-          {
-            role: 'user',
-            content: userMessage
-          }
-        ],
-      })
-    });
-
-    // console.log('Response status:', response.status);
-    // console.log('Response ok:', response.ok);
+    const handled = streamingAvailable
+      && await streamChatReply(userMessage, typingIndicator, activeRequest.signal);
 
-    // Check if response is actually JSON
-    const contentType = response.headers.get('content-type');
-    // console.log('Content-Type:', contentType);
-    
-    if (!contentType || !contentType.includes('application/json')) {
-      const textResponse = await response.text();
-      console.log('Invalid response:', textResponse);
-      throw new Error('Server returned non-JSON response: ' + textResponse);
+    if (!handled) {
+      await sendChatMessage(userMessage, typingIndicator, activeRequest?.signal);
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      // Keep whatever was already streamed, otherwise drop the typing indicator
+      if (typingIndicator.dataset.streamed) {
+        appendMessage('bot', '⏹️ Dihentikeun.');
+      } else {
+        typingIndicator.remove();
+        appendMessage('bot', '⏹️ Dihentikeun samemeh Neng ngajawab.');
+      }
+      return;
     }
 
-    const data = await response.json();
-    
-    // delete typing indicator
-    typingIndicator.remove();
-    
-    if (response.ok && data.status && data.data) {
-      // append response bot
-      appendMessage('bot', data.data);
-    } else {
-      // Show error message from server
-      const errorMsg = data.message || 'Aduh punten aya kasalahan. Mangga cobian sakedap deui.';
-      appendMessage('bot', `${errorMsg}`);
+    // Remove typing indicator unless part of the answer already arrived
+    if (!typingIndicator.dataset.streamed) {
+      typingIndicator.remove();
     }
-  } catch (error) {
-    // Remove typing indicator
-    typingIndicator.remove();
     
     // Error Logging
     console.error('Error in handleFormSubmit:', error);
@@ -115,6 +112,8 @@ async function handleFormSubmit() {
     appendMessage('bot', errorMessage);
   } finally {
     // Re-enable input after processing
+    activeRequest = null;
+    stopButton.style.display = 'none';
     input.disabled = false;
     submitButton.disabled = false;
     submitButton.textContent = 'Send';
@@ -126,6 +125,163 @@ async function handleFormSubmit() {
   }
 }
 
+// Send a chat message and wait for the whole answer as one JSON payload
+async function sendChatMessage(userMessage, typingIndicator, signal) {
+  const apiUrl = '/api/nengAI/chat';
+  // for secure using authentication token or other headers if needed
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', },
+    body: JSON.stringify({
+      messages: [
+        {
+          role: 'user',
+          content: userMessage
+        }
+      ],
+    }),
+    signal
+  });
+
+  // Check if response is actually JSON
+  const contentType = response.headers.get('content-type');
+  
+  if (!contentType || !contentType.includes('application/json')) {
+    const textResponse = await response.text();
+    console.log('Invalid response:', textResponse);
+    throw new Error('Server returned non-JSON response: ' + textResponse);
+  }
+
+  const data = await response.json();
+  
+  // delete typing indicator
+  typingIndicator.remove();
+  
+  if (response.ok && data.status && data.data) {
+    // append response bot
+    appendMessage('bot', data.data);
+  } else {
+    // Show error message from server
+    const errorMsg = data.message || 'Aduh punten aya kasalahan. Mangga cobian sakedap deui.';
+    appendMessage('bot', `${errorMsg}`);
+  }
+}
+
+// Stream a chat answer over Server-Sent Events, filling the bot bubble as
+// chunks arrive. Returns false when the server has no streaming endpoint so
+// the caller can fall back to the JSON endpoint.
+async function streamChatReply(userMessage, botBubble, signal) {
+  const response = await fetch('/api/nengAI/chat/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream'
+    },
+    body: JSON.stringify({
+      messages: [
+        {
+          role: 'user',
+          content: userMessage
+        }
+      ],
+    }),
+    signal
+  });
+
+  if (response.status === 404 || response.status === 405) {
+    streamingAvailable = false;
+    return false;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+
+  if (!contentType.includes('text/event-stream')) {
+    // Errors raised before the stream starts (validation, rate limit) are JSON
+    if (contentType.includes('application/json')) {
+      const data = await response.json();
+      botBubble.remove();
+      appendMessage('bot', data.message || 'Aduh punten aya kasalahan. Mangga cobian sakedap deui.');
+      return true;
+    }
+    const textResponse = await response.text();
+    throw new Error('Server returned non-JSON response: ' + textResponse);
+  }
+
+  if (!response.body) {
+    streamingAvailable = false;
+    throw new Error('Browser ieu teu ngadukung streaming.');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let botText = '';
+  let finished = false;
+
+  while (!finished) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // SSE frames are separated by a blank line
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, separatorIndex);
+      buffer = buffer.slice(separatorIndex + 2);
+
+      const { event, data } = parseSSEFrame(frame);
+
+      if (event === 'chunk') {
+        if (!botBubble.dataset.streamed) {
+          // First chunk replaces the typing indicator
+          botBubble.dataset.streamed = 'true';
+          botBubble.style.fontStyle = '';
+          botBubble.style.opacity = '';
+        }
+        botText += data.text;
+        renderMessageContent(botBubble, botText);
+        scrollChatToBottom();
+      } else if (event === 'error') {
+        throw new Error(data.message || 'Streaming gagal');
+      } else if (event === 'done') {
+        finished = true;
+      }
+    }
+  }
+
+  if (!finished) {
+    throw new Error('Sambungan pegat samemeh jawaban beres.');
+  }
+
+  if (!botText) {
+    botBubble.remove();
+  }
+
+  return true;
+}
+
+// Parse one SSE frame into its event name and JSON data
+function parseSSEFrame(frame) {
+  let event = 'message';
+  const dataLines = [];
+
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  return {
+    event,
+    data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : {}
+  };
+}
+
 // Focus input on page load and set initial scroll
 input.focus();
 
@@ -312,6 +468,20 @@ function appendMessage(sender, text) {
   const msg = document.createElement('div');
   msg.classList.add('message', sender);
   
+  renderMessageContent(msg, text);
+  
+  // Tambahkan ke chatBox (otomatis akan berada di bawah pesan sebelumnya)
+  chatBox.appendChild(msg);
+  
+  // Always auto-scroll to bottom for new messages
+  scrollChatToBottom();
+  
+  // Return element untuk bisa dihapus jika diperlukan (untuk loading message)
+  return msg;
+}
+
+// Render message text into a bubble, keeping formatting support
+function renderMessageContent(msg, text) {
   // Parse the text for formatting
   const parsedText = parseMessageText(text);
   
@@ -321,18 +491,10 @@ function appendMessage(sender, text) {
   } else {
     msg.textContent = text;
   }
-  
-  // Check if user was at bottom before adding message (with some tolerance)
-  const isAtBottom = chatBox.scrollTop >= (chatBox.scrollHeight - chatBox.clientHeight - 100);
-  
-  // Tambahkan ke chatBox (otomatis akan berada di bawah pesan sebelumnya)
-  chatBox.appendChild(msg);
-  
-  // Always auto-scroll to bottom for new messages
+}
+
+function scrollChatToBottom() {
   setTimeout(() => {
     chatBox.scrollTop = chatBox.scrollHeight;
   }, 50);
-  
-  // Return element untuk bisa dihapus jika diperlukan (untuk loading message)
-  return msg;
 }
@@ -0,0 +1,498 @@
+/**
+ * Local text extraction for documents Gemini does not read well as raw
+ * bytes: Word, Excel and PowerPoint (Office Open XML), CSV and text files.
+ *
+ * The structure is kept as Markdown: headings, lists and tables of Word
+ * documents, one table per sheet and one section per slide. Office files
+ * are ZIP archives of XML parts, read here with zlib and a small linear
+ * element scanner so no native or third-party parser is needed. Matching
+ * tags with lazy regular expressions would take quadratic time on tags that
+ * are never closed, which a small upload can expand to. CSV and text
+ * files are decoded from UTF-16, UTF-8 or Windows-1252 (see decodeText).
+ */
+import { inflateRaw } from 'zlib';
+import { promisify } from 'util';
+import path from 'path';
+import { FILE_TYPES } from './fileValidation.js';
+import { decodeText } from './fileSignature.js';
+
+const inflateRawAsync = promisify(inflateRaw);
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_FILE_HEADER = 0x04034b50;
+// Decompressed bytes read from one document, across all its parts; guards
+// against ZIP bombs. Real documents expand well within their upload limit.
+const MAX_EXTRACTED_BYTES = FILE_TYPES.DOCUMENT.maxSize;
+
+/**
+ * Open a ZIP archive held in memory
+ * @param {Buffer} buffer - Archive content
+ * @param {number} maxBytes - Decompressed bytes all parts read may add up to
+ * @returns {Object} - has(name) and async text(name) of the archive parts
+ * @throws {Error} - If the buffer is not a ZIP archive this reader supports
+ */
+function openZip(buffer, maxBytes = MAX_EXTRACTED_BYTES) {
+  // The end of central directory record is last, followed by an optional comment
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xFFFF); offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let count = buffer.readUInt16LE(end + 10); count > 0; count--) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Invalid ZIP central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  let remaining = maxBytes;
+
+  async function read(name) {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`${name} is missing from the document`);
+    }
+    const { method, compressedSize, localOffset } = entry;
+    if (compressedSize === 0xFFFFFFFF) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid ZIP entry ${name}`);
+    }
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+
+    let content = data;
+    if (method === 8) {
+      try {
+        content = await inflateRawAsync(data, { maxOutputLength: Math.max(1, remaining + 1) });
+      } catch (error) {
+        if (error.code !== 'ERR_BUFFER_TOO_LARGE') {
+          throw error;
+        }
+        content = { length: Infinity };
+      }
+    }
+    if (content.length > remaining) {
+      throw new Error(`Document expands to more than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+    }
+    remaining -= content.length;
+    return content;
+  }
+
+  return {
+    has: name => entries.has(name),
+    text: async name => (await read(name)).toString('utf8')
+  };
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+/**
+ * Replace XML entity and character references
+ * @param {string} text - XML text content or attribute value
+ * @returns {string} - Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(?:#x([0-9a-fA-F]{1,6})|#(\d{1,7})|(amp|lt|gt|quot|apos));/g, (reference, hex, decimal, name) => {
+    if (name) {
+      return XML_ENTITIES[name];
+    }
+    const codePoint = hex ? parseInt(hex, 16) : Number(decimal);
+    return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : reference;
+  });
+}
+
+/**
+ * Position of the next start tag of an element, e.g. `<w:p>` or `<w:p w:rsidR="1">`
+ * but not `<w:pPr>`
+ * @param {string} xml - XML to search
+ * @param {string} tag - Qualified tag name
+ * @param {number} from - Position to search from
+ * @returns {number} - Position of the `<`, or -1
+ */
+function findStartTag(xml, tag, from) {
+  for (let index = xml.indexOf(`<${tag}`, from); index !== -1; index = xml.indexOf(`<${tag}`, index + 1)) {
+    if (/[\s/>]/.test(xml[index + tag.length + 1] ?? '')) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Elements with one of some tag names, in document order. The XML is
+ * scanned once: elements nested in a matched one are skipped, elements of
+ * the same name nested in each other are not supported, and elements that
+ * are never closed are left out.
+ * @param {string} xml - XML to search
+ * @param {string|Array<string>} tags - Qualified tag names, e.g. w:p
+ * @returns {Array<Object>} - tag, attributes (raw attribute text), content (inner XML),
+ *   start and end (positions in the XML) of each element
+ */
+function elements(xml, tags) {
+  const names = [].concat(tags);
+  // Next start tag by name, and names whose end tag does not occur any more
+  const next = new Map();
+  const unclosed = new Set();
+  const found = [];
+  let position = 0;
+
+  for (;;) {
+    let tag = null;
+    let start = -1;
+    for (const name of names) {
+      if (!next.has(name) || (next.get(name) !== -1 && next.get(name) < position)) {
+        next.set(name, findStartTag(xml, name, position));
+      }
+      const at = next.get(name);
+      if (at !== -1 && (start === -1 || at < start)) {
+        tag = name;
+        start = at;
+      }
+    }
+    if (tag === null) {
+      break;
+    }
+
+    const startEnd = xml.indexOf('>', start);
+    if (startEnd === -1) {
+      break;
+    }
+    const selfClosing = xml[startEnd - 1] === '/';
+    const attributes = xml.slice(start + tag.length + 1, selfClosing ? startEnd - 1 : startEnd);
+    if (selfClosing) {
+      found.push({ tag, attributes, content: '', start, end: startEnd + 1 });
+      position = startEnd + 1;
+      continue;
+    }
+
+    const close = unclosed.has(tag) ? -1 : xml.indexOf(`</${tag}>`, startEnd + 1);
+    if (close === -1) {
+      unclosed.add(tag);
+      position = startEnd + 1;
+      continue;
+    }
+    const end = close + tag.length + 3;
+    found.push({ tag, attributes, content: xml.slice(startEnd + 1, close), start, end });
+    position = end;
+  }
+
+  return found;
+}
+
+/**
+ * XML with the elements of a tag name removed
+ * @param {string} xml - XML to filter
+ * @param {string} tag - Qualified tag name
+ * @returns {string} - Remaining XML
+ */
+function withoutElements(xml, tag) {
+  let remaining = '';
+  let position = 0;
+  for (const { start, end } of elements(xml, tag)) {
+    remaining += xml.slice(position, start);
+    position = end;
+  }
+  return remaining + xml.slice(position);
+}
+
+/**
+ * Value of an attribute in the raw attribute text of an element
+ * @param {string} attributes - Attribute text
+ * @param {string} name - Qualified attribute name
+ * @returns {string|null} - Decoded value, or null when absent
+ */
+function attribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}=(?:"([^"]*)"|'([^']*)')`).exec(attributes);
+  return match ? decodeXml(match[1] ?? match[2]) : null;
+}
+
+/**
+ * Concatenated text runs of an element
+ * @param {string} xml - Inner XML
+ * @param {string} tag - Text run tag, e.g. a:t
+ * @returns {string} - Text content
+ */
+function runText(xml, tag) {
+  return elements(xml, tag).map(({ content }) => decodeXml(content)).join('');
+}
+
+/**
+ * Targets of the relationships of a part, by relationship ID
+ * @param {Object} zip - Opened archive
+ * @param {string} relsName - Relationships part, e.g. xl/_rels/workbook.xml.rels
+ * @param {string} baseDir - Directory relative targets are resolved from
+ * @returns {Promise<Map<string, string>>} - Relationship ID to part name
+ */
+async function relationshipTargets(zip, relsName, baseDir) {
+  return new Map(elements(await zip.text(relsName), 'Relationship').map(({ attributes }) => {
+    const target = attribute(attributes, 'Target');
+    return [
+      attribute(attributes, 'Id'),
+      target.startsWith('/') ? target.slice(1) : path.posix.join(baseDir, target)
+    ];
+  }));
+}
+
+/**
+ * Render rows as a Markdown table, the first row being the header
+ * @param {Array<Array<string>>} rows - Table rows (may be ragged or sparse)
+ * @returns {string} - Markdown table, or an empty string without rows
+ */
+function markdownTable(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+  const width = Math.max(...rows.map(row => row.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, index) =>
+    (cells[index] ?? '').replace(/\|/g, '\\|').replace(/\s+/g, space => space.includes('\n') ? ' ' : space)).join(' | ')} |`;
+
+  return [line(rows[0]), `| ${Array(width).fill('---').join(' | ')} |`, ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Text of a Word paragraph; tabs and line breaks are kept
+ * @param {string} xml - Inner XML of a w:p element
+ * @returns {string} - Paragraph text
+ */
+function wordParagraphText(xml) {
+  // Paragraph properties hold tab stop definitions, not tabs
+  const runs = withoutElements(xml, 'w:pPr');
+  return elements(runs, ['w:t', 'w:tab', 'w:br', 'w:cr'])
+    .map(({ tag, content }) => ({ 'w:t': decodeXml(content), 'w:tab': '\t' })[tag] ?? '\n')
+    .join('');
+}
+
+/**
+ * Markdown of a Word paragraph: headings and list items are marked up
+ * @param {string} xml - Inner XML of a w:p element
+ * @returns {string} - Paragraph line
+ */
+function wordParagraph(xml) {
+  const text = wordParagraphText(xml).trim();
+  const style = attribute(elements(xml, 'w:pStyle')[0]?.attributes || '', 'w:val') || '';
+  const heading = /^heading\s*(\d)$/i.exec(style);
+
+  if (heading) {
+    return `${'#'.repeat(Number(heading[1]))} ${text}`;
+  }
+  if (style === 'Title') {
+    return `# ${text}`;
+  }
+  return xml.includes('<w:numPr>') ? `- ${text}` : text;
+}
+
+/**
+ * Extract a Word document: paragraphs and tables in document order
+ * @param {Object} zip - Opened archive
+ * @returns {Promise<string>} - Markdown text
+ */
+async function extractDocx(zip) {
+  const body = await zip.text('word/document.xml');
+  // Empty paragraphs are self-closing (<w:p/>) and have no text to keep
+  const blocks = elements(body, ['w:tbl', 'w:p'])
+    .map(({ tag, content }) => {
+      if (tag === 'w:p') {
+        return wordParagraph(content);
+      }
+      return markdownTable(elements(content, 'w:tr').map(({ content: row }) => elements(row, 'w:tc')
+        .map(({ content: cell }) => elements(cell, 'w:p').map(({ content }) => wordParagraphText(content).trim()).join(' ').trim())));
+    });
+
+  return blocks.filter(block => block.replace(/^[#-]+/, '').trim()).join('\n\n');
+}
+
+/**
+ * Zero-based column of a cell reference, e.g. 2 for C7
+ * @param {string|null} reference - Cell reference
+ * @returns {number|null} - Column index, or null without a reference
+ */
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/.exec(reference || '');
+  if (!letters) {
+    return null;
+  }
+  return [...letters[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Displayed value of a worksheet cell
+ * @param {Object} cell - c element (attributes and content)
+ * @param {Array<string>} sharedStrings - Shared string table of the workbook
+ * @returns {string} - Cell value
+ */
+function cellValue({ attributes, content }, sharedStrings) {
+  const type = attribute(attributes, 't');
+  if (type === 'inlineStr') {
+    return runText(content, 't');
+  }
+  const value = decodeXml(elements(content, 'v')[0]?.content || '');
+  if (type === 's') {
+    return sharedStrings[Number(value)] ?? '';
+  }
+  if (type === 'b') {
+    return value === '1' ? 'TRUE' : 'FALSE';
+  }
+  // Numbers, dates (serial numbers), formula strings and errors
+  return value;
+}
+
+/**
+ * Extract an Excel workbook: one table per sheet, in workbook order
+ * @param {Object} zip - Opened archive
+ * @returns {Promise<string>} - Markdown text
+ */
+async function extractXlsx(zip) {
+  const targets = await relationshipTargets(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+  // Phonetic runs repeat East Asian text as readings
+  const sharedStrings = zip.has('xl/sharedStrings.xml')
+    ? elements(await zip.text('xl/sharedStrings.xml'), 'si').map(({ content }) => runText(withoutElements(content, 'rPh'), 't'))
+    : [];
+
+  const sheets = [];
+  for (const { attributes } of elements(await zip.text('xl/workbook.xml'), 'sheet')) {
+    const sheet = await zip.text(targets.get(attribute(attributes, 'r:id')));
+    const rows = elements(sheet, 'row').map(({ content }) => {
+      const cells = [];
+      for (const cell of elements(content, 'c')) {
+        cells[columnIndex(attribute(cell.attributes, 'r')) ?? cells.length] = cellValue(cell, sharedStrings);
+      }
+      return cells;
+    }).filter(cells => cells.some(Boolean));
+
+    sheets.push(`## Sheet: ${attribute(attributes, 'name')}\n\n${markdownTable(rows)}`.trim());
+  }
+  return sheets.join('\n\n');
+}
+
+/**
+ * Extract a PowerPoint presentation: the text of each slide, in slide order
+ * @param {Object} zip - Opened archive
+ * @returns {Promise<string>} - Markdown text
+ */
+async function extractPptx(zip) {
+  const targets = await relationshipTargets(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+
+  const slides = [];
+  for (const { attributes } of elements(await zip.text('ppt/presentation.xml'), 'p:sldId')) {
+    const slide = await zip.text(targets.get(attribute(attributes, 'r:id')));
+    const lines = elements(slide, 'a:p')
+      .map(({ content }) => elements(content, ['a:t', 'a:br'])
+        .map(({ tag, content: text }) => tag === 'a:br' ? '\n' : decodeXml(text)).join('').trim())
+      .filter(Boolean);
+
+    slides.push([`## Slide ${slides.length + 1}`, ...lines].join('\n\n'));
+  }
+  return slides.join('\n\n');
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting). The delimiter is the one of comma,
+ * semicolon or tab used most in the first line.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Non-empty rows
+ */
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .reduce((best, current) => (current.count > best.count ? current : best)).candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  rows.push([...row, field]);
+
+  return rows.filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Extract a CSV file as a table
+ * @param {Buffer} buffer - File content
+ * @returns {string} - Markdown table
+ */
+function extractCsv(buffer) {
+  return markdownTable(parseCsv(decodeText(buffer)));
+}
+
+// MIME type -> extractor; Office formats are read from their ZIP archive
+const EXTRACTORS = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { name: 'docx', zip: true, extract: extractDocx },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { name: 'xlsx', zip: true, extract: extractXlsx },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { name: 'pptx', zip: true, extract: extractPptx },
+  'text/csv': { name: 'csv', zip: false, extract: extractCsv },
+  // Decoded to UTF-8, as text files may be UTF-16 or a single-byte encoding
+  'text/plain': { name: 'text', zip: false, extract: decodeText }
+};
+
+/**
+ * Whether documents of a MIME type are converted to text before sending
+ * @param {string} mimeType - Declared MIME type
+ * @returns {boolean}
+ */
+export function hasExtractor(mimeType) {
+  return Object.hasOwn(EXTRACTORS, mimeType);
+}
+
+/**
+ * Extract the text of a document, keeping its structure as Markdown
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Declared MIME type
+ * @returns {Promise<Object|null>} - extractor (name of the extractor that ran) and text,
+ *   or null when the type has no extractor
+ * @throws {Error} - If the document cannot be read
+ */
+export async function extractDocument(buffer, mimeType) {
+  if (!hasExtractor(mimeType)) {
+    return null;
+  }
+  const { name, zip, extract } = EXTRACTORS[mimeType];
+  return { extractor: name, text: await extract(zip ? openZip(buffer) : buffer) };
+}
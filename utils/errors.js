@@ -0,0 +1,99 @@
+/**
+ * Error classes carrying an HTTP status and a machine-readable error code
+ */
+
+/**
+ * Base class for errors that map to a specific API response
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {string} options.code - Machine-readable error code
+   * @param {number} options.statusCode - HTTP status code
+   * @param {Error} options.cause - Underlying error (optional)
+   */
+  constructor(message, { code = 'INTERNAL_ERROR', statusCode = 500, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AppError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Upstream LLM error classes: HTTP status returned to our clients, whether
+ * the call may succeed when retried, and a message safe to show to users
+ */
+export const LLM_ERROR_TYPES = {
+  RATE_LIMITED: {
+    statusCode: 429,
+    retryable: true,
+    publicMessage: 'The AI service is receiving too many requests, please retry later'
+  },
+  QUOTA_EXCEEDED: {
+    statusCode: 429,
+    retryable: false,
+    publicMessage: 'The AI service quota has been exhausted'
+  },
+  SAFETY_BLOCKED: {
+    statusCode: 422,
+    retryable: false,
+    publicMessage: 'The request or response was blocked by the AI safety filters'
+  },
+  INVALID_ARGUMENT: {
+    statusCode: 400,
+    retryable: false,
+    publicMessage: 'The AI service rejected the request as invalid'
+  },
+  TIMEOUT: {
+    statusCode: 504,
+    retryable: true,
+    publicMessage: 'The AI service took too long to respond'
+  },
+  UPSTREAM_UNAVAILABLE: {
+    statusCode: 503,
+    retryable: true,
+    publicMessage: 'The AI service is temporarily unavailable'
+  },
+  UPSTREAM_ERROR: {
+    statusCode: 502,
+    retryable: false,
+    publicMessage: 'The AI service returned an unexpected error'
+  },
+  INVALID_OUTPUT: {
+    statusCode: 502,
+    retryable: false,
+    publicMessage: 'The AI service reply did not match the requested format'
+  },
+  TOOL_LOOP_LIMIT: {
+    statusCode: 502,
+    retryable: false,
+    publicMessage: 'The AI service did not finish its answer within the allowed tool calls'
+  }
+};
+
+/**
+ * Classified error from an LLM provider
+ */
+export class LLMError extends AppError {
+  /**
+   * @param {string} type - Key of LLM_ERROR_TYPES
+   * @param {string} message - Error message (defaults to the public message)
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Underlying provider error (optional)
+   * @param {number} options.retryAfterMs - Delay requested by the upstream (optional)
+   */
+  constructor(type, message, { cause, retryAfterMs = null } = {}) {
+    const errorType = LLM_ERROR_TYPES[type] || LLM_ERROR_TYPES.UPSTREAM_ERROR;
+    super(message || errorType.publicMessage, {
+      code: LLM_ERROR_TYPES[type] ? type : 'UPSTREAM_ERROR',
+      statusCode: errorType.statusCode,
+      cause
+    });
+    this.name = 'LLMError';
+    this.retryable = errorType.retryable;
+    this.publicMessage = errorType.publicMessage;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
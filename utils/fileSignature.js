@@ -0,0 +1,211 @@
+/**
+ * File format detection from content signatures ("magic bytes"), so the
+ * MIME type declared by the client can be checked against what the file
+ * actually is.
+ */
+
+// Bytes of the file start needed to detect every supported format
+export const SIGNATURE_HEADER_BYTES = 4100;
+
+/**
+ * Whether the bytes at an offset match a signature
+ * @param {Buffer} header - File start
+ * @param {Array<number>|string} signature - Bytes, or ASCII text
+ * @param {number} offset - Position of the signature
+ * @returns {boolean}
+ */
+function startsWith(header, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return header.length >= offset + bytes.length && header.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+// C0 control characters binary data has and text does not; tab, line
+// breaks, form feed, SUB (DOS end of file) and ESC are left out
+const BINARY_CONTROL_CHARACTERS = /[\x00-\x08\x0E-\x19\x1C-\x1F]/;
+
+// Windows-1252 characters of bytes 0x80-0x9F (the undefined ones are kept as in Latin-1)
+const WINDOWS_1252_C1 = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8DŽ\x8F\x90‘’“”•–—˜™š›œ\x9DžŸ';
+
+/**
+ * Whether the content starts with a UTF-16 byte order mark
+ * @param {Buffer} header - File start
+ * @returns {boolean}
+ */
+function hasUtf16Bom(header) {
+  return startsWith(header, [0xFF, 0xFE]) || startsWith(header, [0xFE, 0xFF]);
+}
+
+/**
+ * Whether the content is valid UTF-8 (a multi-byte character cut at the end
+ * of the header is fine)
+ * @param {Buffer} header - File start
+ * @returns {boolean}
+ */
+function isUtf8(header) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(header, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether the file start looks like text without a byte order mark: no NUL
+ * bytes, and valid UTF-8 or a single-byte encoding such as Windows-1252 or
+ * Latin-1, told from binary data by its lack of control characters
+ * @param {Buffer} header - File start
+ * @returns {boolean}
+ */
+function isText(header) {
+  if (header.includes(0)) {
+    return false;
+  }
+  return isUtf8(header) || !BINARY_CONTROL_CHARACTERS.test(header.toString('latin1'));
+}
+
+/**
+ * Decode text content: UTF-16 when it starts with a byte order mark, UTF-8
+ * when valid, Windows-1252 (a superset of Latin-1) otherwise
+ * @param {Buffer} buffer - File content
+ * @returns {string} - Text, without byte order mark
+ */
+export function decodeText(buffer) {
+  if (startsWith(buffer, [0xFF, 0xFE])) {
+    return new TextDecoder('utf-16le').decode(buffer);
+  }
+  if (startsWith(buffer, [0xFE, 0xFF])) {
+    return new TextDecoder('utf-16be').decode(buffer);
+  }
+  if (isUtf8(buffer)) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+  // Node decodes windows-1252 as Latin-1, so the characters it adds at 0x80-0x9F are mapped here
+  return buffer.toString('latin1').replace(/[\x80-\x9F]/g, char => WINDOWS_1252_C1[char.charCodeAt(0) - 0x80]);
+}
+
+/**
+ * Office Open XML kind of a ZIP file, from the part names near its start
+ * @param {Buffer} header - File start
+ * @returns {string} - OOXML MIME type, or application/zip when unknown
+ */
+function detectZip(header) {
+  const names = header.toString('latin1');
+  if (names.includes('word/')) {
+    return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  }
+  if (names.includes('xl/')) {
+    return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  }
+  if (names.includes('ppt/')) {
+    return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+  }
+  return 'application/zip';
+}
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  // UTF-16 text has NUL bytes, and its byte order mark looks like an MPEG frame sync
+  { mimeType: 'text/plain', test: hasUtf16Bom },
+  { mimeType: 'image/jpeg', test: header => startsWith(header, [0xFF, 0xD8, 0xFF]) },
+  { mimeType: 'image/png', test: header => startsWith(header, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mimeType: 'image/gif', test: header => startsWith(header, 'GIF87a') || startsWith(header, 'GIF89a') },
+  { mimeType: 'image/webp', test: header => startsWith(header, 'RIFF') && startsWith(header, 'WEBP', 8) },
+  // Reserved header bytes are zero, which keeps text starting with "BM" out
+  { mimeType: 'image/bmp', test: header => startsWith(header, 'BM') && startsWith(header, [0, 0, 0, 0], 6) },
+  { mimeType: 'application/pdf', test: header => startsWith(header, '%PDF-') },
+  // Compound File Binary: legacy Word, Excel and PowerPoint
+  { mimeType: 'application/x-cfb', test: header => startsWith(header, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  { mimeType: detectZip, test: header => startsWith(header, [0x50, 0x4B, 0x03, 0x04]) },
+  { mimeType: 'audio/wav', test: header => startsWith(header, 'RIFF') && startsWith(header, 'WAVE', 8) },
+  { mimeType: 'video/x-msvideo', test: header => startsWith(header, 'RIFF') && startsWith(header, 'AVI ', 8) },
+  { mimeType: 'audio/ogg', test: header => startsWith(header, 'OggS') },
+  { mimeType: 'audio/flac', test: header => startsWith(header, 'fLaC') },
+  { mimeType: 'audio/mpeg', test: header => startsWith(header, 'ID3') },
+  // ADTS frame sync with layer bits 00 is AAC; other layers are MPEG audio
+  { mimeType: 'audio/aac', test: header => startsWith(header, 'ADIF') || (header[0] === 0xFF && (header[1] & 0xF6) === 0xF0) },
+  { mimeType: 'audio/mpeg', test: header => header[0] === 0xFF && (header[1] & 0xE0) === 0xE0 && (header[1] & 0x06) !== 0 },
+  {
+    mimeType: header => header.toString('latin1', 8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4',
+    test: header => startsWith(header, 'ftyp', 4)
+  },
+  { mimeType: 'video/quicktime', test: header => ['moov', 'mdat', 'wide', 'free'].some(atom => startsWith(header, atom, 4)) },
+  { mimeType: 'video/x-ms-asf', test: header => startsWith(header, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11]) },
+  { mimeType: 'video/x-flv', test: header => startsWith(header, [0x46, 0x4C, 0x56, 0x01]) },
+  // EBML: the DocType element tells WebM from Matroska
+  {
+    mimeType: header => header.includes('webm', 0, 'latin1') ? 'video/webm' : 'video/x-matroska',
+    test: header => startsWith(header, [0x1A, 0x45, 0xDF, 0xA3])
+  }
+];
+
+/**
+ * Detect the format of a file from its first bytes
+ * @param {Buffer} header - File content, or at least its first SIGNATURE_HEADER_BYTES bytes
+ * @returns {string|null} - Detected MIME type, or null for unknown binary data
+ */
+export function detectMimeType(header) {
+  if (!header || header.length === 0) {
+    return null;
+  }
+  const start = header.subarray(0, SIGNATURE_HEADER_BYTES);
+
+  const signature = SIGNATURES.find(({ test }) => test(start));
+  if (signature) {
+    return typeof signature.mimeType === 'function' ? signature.mimeType(start) : signature.mimeType;
+  }
+
+  if (isText(start)) {
+    return /<svg[\s>]/i.test(start.toString('utf8')) ? 'image/svg+xml' : 'text/plain';
+  }
+  return null;
+}
+
+// Detected formats accepted for declared types that do not map one to one
+const ACCEPTED_FORMATS = {
+  'image/jpg': ['image/jpeg'],
+  'audio/mp3': ['audio/mpeg'],
+  'audio/webm': ['video/webm'],
+  'video/avi': ['video/x-msvideo'],
+  'video/mov': ['video/quicktime', 'video/mp4'],
+  'video/wmv': ['video/x-ms-asf'],
+  'video/flv': ['video/x-flv'],
+  'video/mkv': ['video/x-matroska', 'video/webm'],
+  // SVG is detected from markup, which plain text may contain too
+  'text/plain': ['text/plain', 'image/svg+xml'],
+  'text/csv': ['text/plain', 'image/svg+xml'],
+  'application/msword': ['application/x-cfb'],
+  'application/vnd.ms-excel': ['application/x-cfb'],
+  // The part names are not always within the header
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip'
+  ],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/zip'
+  ],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': [
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation', 'application/zip'
+  ]
+};
+
+/**
+ * Whether detected content is consistent with the declared MIME type
+ * @param {string} declaredMimeType - MIME type sent by the client
+ * @param {string|null} detectedMimeType - Result of detectMimeType
+ * @returns {boolean}
+ */
+export function matchesDeclaredType(declaredMimeType, detectedMimeType) {
+  if (!detectedMimeType) {
+    return false;
+  }
+  return (ACCEPTED_FORMATS[declaredMimeType] || [declaredMimeType]).includes(detectedMimeType);
+}
+
+/**
+ * First bytes of base64 encoded content, without decoding all of it
+ * @param {string} data - Base64 data
+ * @returns {Buffer} - Decoded start of the content
+ */
+export function base64Header(data) {
+  return Buffer.from((data || '').slice(0, Math.ceil(SIGNATURE_HEADER_BYTES / 3) * 4), 'base64');
+}
@@ -1,12 +1,37 @@
 /**
  * File validation utilities and configurations
  */
+import 'dotenv/config';
+import { detectMimeType, matchesDeclaredType } from './fileSignature.js';
 
-// File type configurations
+/**
+ * Upload limit from an environment variable
+ * @param {string} name - Env var name
+ * @param {number} fallback - Value when unset
+ * @returns {number} - Positive integer
+ * @throws {Error} - If the variable is set to anything but a positive integer
+ */
+function readLimit(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`${name} must be a positive integer, got "${raw}"`);
+  }
+  return value;
+}
+
+// File type configurations. maxSize applies to each file, maxFiles and
+// maxTotalSize to all the files of one request (<TYPE>_MAX_FILES and
+// <TYPE>_MAX_TOTAL_MB, e.g. IMAGE_MAX_FILES)
 export const FILE_TYPES = {
   IMAGE: {
     name: 'image',
     maxSize: 10 * 1024 * 1024, // 10MB
+    maxFiles: readLimit('IMAGE_MAX_FILES', 10),
+    maxTotalSize: readLimit('IMAGE_MAX_TOTAL_MB', 50) * 1024 * 1024,
     allowedMimeTypes: [
       'image/jpeg',
       'image/jpg', 
@@ -22,6 +47,8 @@ export const FILE_TYPES = {
   DOCUMENT: {
     name: 'document',
     maxSize: 50 * 1024 * 1024, // 50MB
+    maxFiles: readLimit('DOCUMENT_MAX_FILES', 5),
+    maxTotalSize: readLimit('DOCUMENT_MAX_TOTAL_MB', 100) * 1024 * 1024,
     allowedMimeTypes: [
       'application/pdf',
       'application/msword',
@@ -38,6 +65,8 @@ export const FILE_TYPES = {
   AUDIO: {
     name: 'audio',
     maxSize: 100 * 1024 * 1024, // 100MB
+    maxFiles: readLimit('AUDIO_MAX_FILES', 1),
+    maxTotalSize: readLimit('AUDIO_MAX_TOTAL_MB', 100) * 1024 * 1024,
     allowedMimeTypes: [
       'audio/mpeg',
       'audio/mp3',
@@ -53,6 +82,8 @@ export const FILE_TYPES = {
   VIDEO: {
     name: 'video',
     maxSize: 200 * 1024 * 1024, // 200MB
+    maxFiles: readLimit('VIDEO_MAX_FILES', 1),
+    maxTotalSize: readLimit('VIDEO_MAX_TOTAL_MB', 200) * 1024 * 1024,
     allowedMimeTypes: [
       'video/mp4',
       'video/avi',
@@ -86,6 +117,40 @@ export function isValidFileType(file, fileType) {
   return config.allowedMimeTypes.includes(file.mimetype);
 }
 
+/**
+ * Start of the file content used for signature detection: the buffer of
+ * memory uploads, or the header captured while writing disk uploads
+ * @param {Object} file - Uploaded file object
+ * @returns {Buffer|null} - Content start, or null when no content is available
+ */
+function fileHeader(file) {
+  return file.buffer ?? file.header ?? null;
+}
+
+/**
+ * Check that the file content is in the format its declared MIME type says
+ * @param {Object} file - Uploaded file object with mimetype and buffer or header
+ * @returns {Object} - Validation result with isValid, error and the detected MIME type
+ */
+export function validateFileSignature(file) {
+  const header = fileHeader(file);
+  if (!header) {
+    // Nothing to sniff, e.g. a check of metadata only
+    return { isValid: true, error: null, detectedMimeType: null };
+  }
+
+  const detectedMimeType = detectMimeType(header);
+  if (!matchesDeclaredType(file.mimetype, detectedMimeType)) {
+    return {
+      isValid: false,
+      error: `File content does not match the declared type ${file.mimetype} (detected ${detectedMimeType || 'unknown format'})`,
+      detectedMimeType
+    };
+  }
+
+  return { isValid: true, error: null, detectedMimeType };
+}
+
 /**
  * Validate file size
  * @param {Object} file - Uploaded file object
@@ -113,6 +178,16 @@ export function getFileTypeConfig(typeName) {
   return FILE_TYPES[upperTypeName] || null;
 }
 
+/**
+ * Find the file type category accepting a MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string|null} - Type name (image, document, audio, video) or null if no category accepts it
+ */
+export function getFileTypeForMimeType(mimeType) {
+  const config = Object.values(FILE_TYPES).find(type => type.allowedMimeTypes.includes(mimeType));
+  return config ? config.name : null;
+}
+
 /**
  * Validate uploaded file against type configuration
  * @param {Object} file - Uploaded file object
@@ -144,6 +219,15 @@ export function validateFile(file, fileType) {
     };
   }
 
+  // Check the content against the declared type
+  const signature = validateFileSignature(file);
+  if (!signature.isValid) {
+    return {
+      isValid: false,
+      error: signature.error
+    };
+  }
+
   // Check file size
   if (!isValidFileSize(file, config.maxSize)) {
     const maxSizeMB = Math.round(config.maxSize / (1024 * 1024));
@@ -159,6 +243,48 @@ export function validateFile(file, fileType) {
   };
 }
 
+/**
+ * Validate all the files of a request: the file count limit of the type,
+ * each file on its own, then the aggregate size limit
+ * @param {Array} files - Uploaded file objects
+ * @param {string} fileType - File type name
+ * @returns {Object} - Validation result with isValid and error message
+ */
+export function validateFiles(files, fileType) {
+  const config = getFileTypeConfig(fileType);
+  if (!config || !files || files.length === 0) {
+    return validateFile(null, fileType);
+  }
+
+  if (files.length > config.maxFiles) {
+    return {
+      isValid: false,
+      error: `At most ${config.maxFiles} ${config.name} file${config.maxFiles === 1 ? '' : 's'} can be uploaded at once`
+    };
+  }
+
+  for (const file of files) {
+    const validation = validateFile(file, fileType);
+    if (!validation.isValid) {
+      return validation;
+    }
+  }
+
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalSize > config.maxTotalSize) {
+    const maxTotalSizeMB = Math.round(config.maxTotalSize / (1024 * 1024));
+    return {
+      isValid: false,
+      error: `Total upload size exceeds ${maxTotalSizeMB}MB limit`
+    };
+  }
+
+  return {
+    isValid: true,
+    error: null
+  };
+}
+
 /**
  * Prepare file for API by converting to base64
  * @param {Object} file - Uploaded file object with buffer
@@ -186,9 +312,13 @@ export function formatFileMetadata(file) {
     return null;
   }
 
+  const header = fileHeader(file);
+
   return {
     originalName: file.originalname || 'unknown',
     mimeType: file.mimetype || 'unknown',
+    declaredMimeType: file.mimetype || 'unknown',
+    detectedMimeType: header ? detectMimeType(header) : null,
     size: file.size || 0,
     sizeFormatted: formatFileSize(file.size || 0),
     uploadedAt: new Date().toISOString()
@@ -220,6 +350,9 @@ export function getAllFileTypeConfigs() {
     name: config.name,
     maxSize: config.maxSize,
     maxSizeMB: Math.round(config.maxSize / (1024 * 1024)),
+    maxFiles: config.maxFiles,
+    maxTotalSize: config.maxTotalSize,
+    maxTotalSizeMB: Math.round(config.maxTotalSize / (1024 * 1024)),
     allowedMimeTypes: config.allowedMimeTypes,
     fieldName: config.fieldName,
     errorMessage: config.errorMessage
@@ -0,0 +1,18 @@
+/**
+ * Generation parameters sent to the LLM with a request
+ */
+
+/**
+ * Effective generation settings of a request: the persona defaults
+ * overridden by what the client asked for
+ * @param {Object|null} persona - Persona of the conversation (optional)
+ * @param {Object} generationConfig - Validated client settings (optional)
+ * @returns {Object} - temperature, topP, topK, maxOutputTokens and stopSequences that are set
+ */
+export function resolveGenerationConfig(persona = null, generationConfig = {}) {
+  const config = {};
+  if (persona?.temperature !== undefined && persona?.temperature !== null) {
+    config.temperature = persona.temperature;
+  }
+  return { ...config, ...generationConfig };
+}
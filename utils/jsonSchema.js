@@ -0,0 +1,210 @@
+/**
+ * JSON Schema support for structured output.
+ *
+ * Only the subset Gemini accepts in `responseJsonSchema` is supported, so a
+ * schema the server validates against is also one the model can follow:
+ * type, enum, properties, required, additionalProperties, items, minItems,
+ * maxItems, minimum, maximum, anyOf and oneOf (treated as anyOf), plus the
+ * annotations title, description, format and propertyOrdering.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+
+const ANNOTATIONS = ['title', 'description', 'format', 'propertyOrdering'];
+
+const KEYWORDS = new Set([
+  ...ANNOTATIONS,
+  'type',
+  'enum',
+  'properties',
+  'required',
+  'additionalProperties',
+  'items',
+  'minItems',
+  'maxItems',
+  'minimum',
+  'maximum',
+  'anyOf',
+  'oneOf'
+]);
+
+const MAX_DEPTH = 16;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check that a schema only uses the supported subset
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location of the schema, for error messages
+ * @param {number} depth - Nesting depth
+ * @returns {string|null} - Description of the first problem, or null if the schema is usable
+ */
+export function checkSchema(schema, path = 'responseSchema', depth = 0) {
+  if (!isPlainObject(schema)) {
+    return `${path} must be an object`;
+  }
+  if (depth > MAX_DEPTH) {
+    return `${path} is nested too deeply (maximum ${MAX_DEPTH} levels)`;
+  }
+
+  const unsupported = Object.keys(schema).find(key => !KEYWORDS.has(key));
+  if (unsupported) {
+    return `${path}.${unsupported} is not supported`;
+  }
+
+  const types = [].concat(schema.type ?? []);
+  const unknownType = types.find(type => !TYPES.includes(type));
+  if (unknownType !== undefined) {
+    return `${path}.type "${unknownType}" is not a valid type`;
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    return `${path}.enum must be a non-empty array`;
+  }
+  if (schema.required !== undefined &&
+      (!Array.isArray(schema.required) || !schema.required.every(name => typeof name === 'string'))) {
+    return `${path}.required must be an array of property names`;
+  }
+  for (const keyword of ['minItems', 'maxItems', 'minimum', 'maximum']) {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+      return `${path}.${keyword} must be a number`;
+    }
+  }
+
+  const children = [];
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      return `${path}.properties must be an object`;
+    }
+    for (const [name, child] of Object.entries(schema.properties)) {
+      children.push([child, `${path}.properties.${name}`]);
+    }
+  }
+  if (schema.items !== undefined) {
+    children.push([schema.items, `${path}.items`]);
+  }
+  if (isPlainObject(schema.additionalProperties)) {
+    children.push([schema.additionalProperties, `${path}.additionalProperties`]);
+  } else if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    return `${path}.additionalProperties must be a boolean or a schema`;
+  }
+  for (const keyword of ['anyOf', 'oneOf']) {
+    if (schema[keyword] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+      return `${path}.${keyword} must be a non-empty array`;
+    }
+    schema[keyword].forEach((child, index) => children.push([child, `${path}.${keyword}[${index}]`]));
+  }
+
+  for (const [child, childPath] of children) {
+    const problem = checkSchema(child, childPath, depth + 1);
+    if (problem) {
+      return problem;
+    }
+  }
+  return null;
+}
+
+/**
+ * JSON type of a value, telling integers apart from other numbers
+ * @param {any} value - Parsed JSON value
+ * @returns {string} - JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Parsed JSON value
+ * @param {Object} schema - Schema accepted by checkSchema
+ * @param {string} path - Location of the value, for error messages
+ * @returns {string|null} - Description of the first mismatch, or null if the value matches
+ */
+export function validateJson(value, schema, path = '$') {
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (alternatives && !alternatives.some(option => validateJson(value, option, path) === null)) {
+    return `${path} does not match any of the allowed schemas`;
+  }
+
+  const actualType = typeOf(value);
+  const types = [].concat(schema.type ?? []);
+  // Integers are numbers too
+  if (types.length > 0 && !types.includes(actualType) && !(actualType === 'integer' && types.includes('number'))) {
+    return `${path} must be of type ${types.join(' or ')}`;
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    return `${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} must be greater than or equal to ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} must be less than or equal to ${schema.maximum}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${path} must contain at least ${schema.minItems} items`;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path} must contain at most ${schema.maxItems} items`;
+    }
+    if (schema.items) {
+      for (let index = 0; index < value.length; index++) {
+        const problem = validateJson(value[index], schema.items, `${path}[${index}]`);
+        if (problem) {
+          return problem;
+        }
+      }
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    const missing = (schema.required || []).find(name => !Object.hasOwn(value, name));
+    if (missing) {
+      return `${path}.${missing} is required`;
+    }
+    for (const [name, child] of Object.entries(value)) {
+      const propertySchema = Object.hasOwn(properties, name) ? properties[name] : schema.additionalProperties;
+      if (propertySchema === false) {
+        return `${path}.${name} is not allowed`;
+      }
+      if (isPlainObject(propertySchema)) {
+        const problem = validateJson(child, propertySchema, `${path}.${name}`);
+        if (problem) {
+          return problem;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a model reply that should be JSON. Models sometimes wrap JSON in a
+ * markdown code fence even in JSON mode, so a single fence is tolerated.
+ * @param {string} text - Reply text
+ * @returns {any} - Parsed value
+ * @throws {SyntaxError} - If the reply is not JSON
+ */
+export function parseJsonReply(text) {
+  const fenced = /^\s*```(?:json)?\s*([\s\S]*?)\s*```\s*$/i.exec(text || '');
+  return JSON.parse(fenced ? fenced[1] : text);
+}
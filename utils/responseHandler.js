@@ -1,6 +1,7 @@
 /**
  * Response handling utilities for consistent API responses
  */
+import { AppError } from './errors.js';
 
 /**
  * Standard success response format
@@ -32,8 +33,9 @@ export function sendSuccessResponse(res, data, message = 'Success', meta = null,
  * @param {string} message - Error message
  * @param {number} statusCode - HTTP status code
  * @param {string|Object} errors - Detailed error information
+ * @param {string} errorCode - Machine-readable error code (optional)
  */
-export function sendErrorResponse(res, message, statusCode = 500, errors = null) {
+export function sendErrorResponse(res, message, statusCode = 500, errors = null, errorCode = null) {
   const response = {
     status: false,
     code: statusCode,
@@ -41,6 +43,10 @@ export function sendErrorResponse(res, message, statusCode = 500, errors = null)
     timestamp: new Date().toISOString()
   };
   
+  if (errorCode) {
+    response.errorCode = errorCode;
+  }
+  
   if (errors) {
     response.errors = errors;
   }
@@ -55,11 +61,13 @@ export function sendErrorResponse(res, message, statusCode = 500, errors = null)
  * @param {string|Object} validationErrors - Specific validation errors
  */
 export function sendValidationError(res, message, validationErrors = null) {
-  sendErrorResponse(res, message, 400, validationErrors);
+  sendErrorResponse(res, message, 400, validationErrors, 'VALIDATION_ERROR');
 }
 
 /**
- * Internal server error response
+ * Error response for an exception caught by a handler.
+ * Classified errors (AppError) keep their own status and error code;
+ * anything else is an internal server error.
  * @param {Object} res - Express response object
  * @param {Error} error - Error object
  * @param {string} customMessage - Custom error message
@@ -68,12 +76,20 @@ export function sendInternalServerError(res, error, customMessage = 'Internal se
   console.error('Internal Server Error:', error);
   
   const isDevelopment = process.env.NODE_ENV === 'development';
+  const isClassified = error instanceof AppError;
   const errorDetails = isDevelopment ? {
     message: error.message,
     stack: error.stack
-  } : 'Internal server error occurred';
+  } : (isClassified ? error.publicMessage || error.message : 'Internal server error occurred');
   
-  sendErrorResponse(res, customMessage, 500, errorDetails);
+  if (!isClassified) {
+    return sendErrorResponse(res, customMessage, 500, errorDetails, 'INTERNAL_ERROR');
+  }
+  
+  if (error.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+  sendErrorResponse(res, customMessage, error.statusCode, errorDetails, error.code);
 }
 
 /**
@@ -82,7 +98,7 @@ export function sendInternalServerError(res, error, customMessage = 'Internal se
  * @param {string} resource - Resource that was not found
  */
 export function sendNotFoundError(res, resource = 'Resource') {
-  sendErrorResponse(res, `${resource} not found`, 404);
+  sendErrorResponse(res, `${resource} not found`, 404, null, 'NOT_FOUND');
 }
 
 /**
@@ -91,7 +107,7 @@ export function sendNotFoundError(res, resource = 'Resource') {
  * @param {string} message - Unauthorized message
  */
 export function sendUnauthorizedError(res, message = 'Unauthorized access') {
-  sendErrorResponse(res, message, 401);
+  sendErrorResponse(res, message, 401, null, 'UNAUTHORIZED');
 }
 
 /**
@@ -100,5 +116,5 @@ export function sendUnauthorizedError(res, message = 'Unauthorized access') {
  * @param {string} message - Forbidden message
  */
 export function sendForbiddenError(res, message = 'Forbidden access') {
-  sendErrorResponse(res, message, 403);
+  sendErrorResponse(res, message, 403, null, 'FORBIDDEN');
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Retry helper with exponential backoff and full jitter
+ */
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before a retry: a random value between 0 and the exponential cap
+ * ("full jitter"), so concurrent clients do not retry in lockstep. A delay
+ * requested by the upstream (e.g. Retry-After) is honoured up to maxDelayMs.
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay cap of the first retry
+ * @param {number} options.maxDelayMs - Upper bound for any delay
+ * @param {number} options.retryAfterMs - Delay requested by the upstream (optional)
+ * @param {Function} options.random - Random source, mainly for tests
+ * @returns {number} - Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs = null, random = Math.random }) {
+  if (retryAfterMs) {
+    return Math.min(retryAfterMs, maxDelayMs);
+  }
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(random() * cap);
+}
+
+/**
+ * Run an async function, retrying it while it fails with a retryable error
+ * @param {Function} fn - Function to run, called with the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Maximum number of retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay cap of the first retry
+ * @param {number} options.maxDelayMs - Upper bound for any delay
+ * @param {Function} options.shouldRetry - Decides whether an error is worth retrying
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before waiting (optional)
+ * @param {AbortSignal} options.signal - Stops retrying once aborted (optional)
+ * @param {Function} options.wait - Sleep function, mainly for tests
+ * @param {Function} options.random - Random source, mainly for tests
+ * @returns {any} - Result of fn
+ */
+export async function withRetry(fn, {
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  shouldRetry = (error) => Boolean(error.retryable),
+  onRetry = () => {},
+  signal = null,
+  wait = sleep,
+  random = Math.random
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delayMs = getBackoffDelay(attempt, {
+        baseDelayMs,
+        maxDelayMs,
+        retryAfterMs: error.retryAfterMs,
+        random
+      });
+      onRetry(error, attempt + 1, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
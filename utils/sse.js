@@ -0,0 +1,69 @@
+/**
+ * Server-Sent Events helpers for streaming responses
+ */
+import { AppError } from './errors.js';
+
+/**
+ * Start an SSE response
+ * @param {Object} res - Express response object
+ */
+export function initSSE(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write a single SSE event
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {any} data - Event payload, serialized as JSON
+ */
+export function sendSSEEvent(res, event, data) {
+  if (res.writableEnded) {
+    return;
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Write an error event and close the stream.
+ * The HTTP status is already sent, so the error class travels as
+ * `errorCode` (and `code` for classified errors) in the event payload.
+ * @param {Object} res - Express response object
+ * @param {string} message - Error message
+ * @param {Error} error - Error object
+ */
+export function sendSSEError(res, message, error) {
+  const payload = { status: false, message, errorCode: 'INTERNAL_ERROR' };
+
+  if (error instanceof AppError) {
+    payload.code = error.statusCode;
+    payload.errorCode = error.code;
+    if (error.publicMessage) {
+      payload.errors = error.publicMessage;
+    }
+  }
+
+  if (process.env.NODE_ENV === 'development' && error) {
+    payload.errors = error.message;
+  }
+
+  sendSSEEvent(res, 'error', payload);
+  endSSE(res);
+}
+
+/**
+ * Close an SSE response
+ * @param {Object} res - Express response object
+ */
+export function endSSE(res) {
+  if (!res.writableEnded) {
+    res.end();
+  }
+}
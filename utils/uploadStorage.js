@@ -0,0 +1,123 @@
+/**
+ * Upload storage for multer.
+ *
+ * UPLOAD_STORAGE=memory (default) keeps uploads in memory as `file.buffer`.
+ * UPLOAD_STORAGE=disk streams them to temporary files in UPLOAD_TMP_DIR
+ * instead, hashing them on the way, so large audio and video never sit in
+ * the Node heap: disk files carry `path`, `sha256` and `header` (the first
+ * bytes, for signature checks) instead of `buffer`.
+ * Temporary files are removed once the response is done (see
+ * middleware/uploads.js).
+ */
+import { createHash, randomUUID } from 'crypto';
+import { createWriteStream, promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import { SIGNATURE_HEADER_BYTES } from './fileSignature.js';
+
+const DEFAULT_UPLOAD_TMP_DIR = path.join(os.tmpdir(), 'nengai-uploads');
+
+/**
+ * Remove a file, ignoring files that are already gone
+ * @param {string} filePath - File to remove
+ */
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Multer storage engine writing each upload to a temporary file while
+ * computing its SHA-256
+ * @param {Object} options - Storage options
+ * @param {string} options.directory - Directory of the temporary files
+ * @returns {Object} - Multer storage engine
+ */
+export function createHashingDiskStorage({ directory = DEFAULT_UPLOAD_TMP_DIR } = {}) {
+  let ready = null;
+
+  return {
+    _handleFile(req, file, cb) {
+      ready ??= fs.mkdir(directory, { recursive: true });
+      ready.then(() => {
+        const filePath = path.join(directory, randomUUID());
+        const hash = createHash('sha256');
+        const output = createWriteStream(filePath);
+        const headerChunks = [];
+        let size = 0;
+
+        const fail = (error) => {
+          output.destroy();
+          removeFile(filePath).finally(() => cb(error));
+        };
+
+        file.stream.on('data', chunk => {
+          hash.update(chunk);
+          if (size < SIGNATURE_HEADER_BYTES) {
+            headerChunks.push(chunk.subarray(0, SIGNATURE_HEADER_BYTES - size));
+          }
+          size += chunk.length;
+        });
+        file.stream.on('error', fail);
+        output.on('error', fail);
+        output.on('finish', () => cb(null, {
+          destination: directory,
+          filename: path.basename(filePath),
+          path: filePath,
+          size,
+          sha256: hash.digest('hex'),
+          header: Buffer.concat(headerChunks)
+        }));
+        file.stream.pipe(output);
+      }, cb);
+    },
+
+    _removeFile(req, file, cb) {
+      removeFile(file.path).then(() => cb(null), cb);
+    }
+  };
+}
+
+/**
+ * Storage engine selected by UPLOAD_STORAGE
+ * @returns {Object} - Multer storage engine
+ * @throws {Error} - If UPLOAD_STORAGE is not "memory" or "disk"
+ */
+export function createUploadStorage() {
+  const mode = (process.env.UPLOAD_STORAGE || 'memory').toLowerCase();
+  if (mode === 'memory') {
+    return multer.memoryStorage();
+  }
+  if (mode === 'disk') {
+    return createHashingDiskStorage({ directory: process.env.UPLOAD_TMP_DIR || DEFAULT_UPLOAD_TMP_DIR });
+  }
+  throw new Error(`Unknown UPLOAD_STORAGE: ${mode}. Use "memory" or "disk"`);
+}
+
+/**
+ * Content of an uploaded file, from memory or its temporary file
+ * @param {Object} file - Multer file
+ * @returns {Promise<Buffer>} - File content
+ */
+export async function readUploadedFile(file) {
+  return file.buffer ?? fs.readFile(file.path);
+}
+
+/**
+ * Remove the temporary files of a request's uploads
+ * @param {Object} req - Express request object
+ * @returns {Promise<number>} - Number of files removed
+ */
+export async function removeUploadedFiles(req) {
+  const paths = new Set([req.file, ...(req.files || [])]
+    .filter(file => file?.path)
+    .map(file => file.path));
+  await Promise.all([...paths].map(removeFile));
+  return paths.size;
+}